@@ -4,30 +4,154 @@
  * Coordinates all game systems and runs the main game loop.
  */
 
-import { Vehicle, MAX_SPEED } from './modules/physics.js';
-import { GameWorld, ROAD_LENGTH, LANE_WIDTH } from './modules/world.js';
+import { Simulation, isGameMode, DEFAULT_MODE, MAX_PLAYERS, TICK_RATE, FIXED_TIMESTEP } from './modules/simulation.js';
 import { GameRenderer } from './modules/renderer.js';
 import { AudioSystem } from './modules/audio.js';
 import { InputHandler } from './modules/input.js';
+import { KeyBindings } from './modules/keybindings.js';
+import { GamepadInput } from './modules/gamepad.js';
+import { formatSeed } from './modules/random.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './modules/replay.js';
+import { HighScoreTable, InitialsEntry } from './modules/highscores.js';
+import { LeaderboardClient } from './modules/leaderboard.js';
+import { Garage, getVehicleClass, DEFAULT_VEHICLE } from './modules/vehicles.js';
+import { Livery } from './modules/livery.js';
+import { Ghost, GhostStore } from './modules/ghost.js';
+import { MAX_RIVALS } from './modules/ai.js';
+import { RaceClient } from './modules/network.js';
+import { BestTimeStore } from './modules/course.js';
+
+// Frame timing (the simulation tick rate lives in simulation.js)
+const MAX_FRAME_TIME = 0.25;             // Cap on real time consumed per frame (avoids tick bursts after a stall)
+
+// Game states
+const GAME_STATE = {
+    TITLE: 'title',           // Title screen, waiting for the player
+    COUNTDOWN: 'countdown',   // Scene live, simulation held until GO
+    RACING: 'racing',         // Simulation running
+    PAUSED: 'paused',         // Simulation, clock and audio suspended
+    GAME_OVER: 'gameover',    // Run ended, GAME OVER banner
+    RESULTS: 'results'        // Final stats with restart
+};
+
+// Allowed state changes (anything else is ignored)
+const STATE_TRANSITIONS = {
+    [GAME_STATE.TITLE]: [GAME_STATE.COUNTDOWN],
+    [GAME_STATE.COUNTDOWN]: [GAME_STATE.RACING, GAME_STATE.PAUSED],
+    [GAME_STATE.RACING]: [GAME_STATE.PAUSED, GAME_STATE.GAME_OVER],
+    [GAME_STATE.PAUSED]: [GAME_STATE.COUNTDOWN, GAME_STATE.RACING, GAME_STATE.GAME_OVER],
+    [GAME_STATE.GAME_OVER]: [GAME_STATE.RESULTS],
+    [GAME_STATE.RESULTS]: [GAME_STATE.COUNTDOWN]
+};
+
+// Player two's car in split screen - stock paint that stands out from player one's livery
+const SECOND_PLAYER_PAINT = {
+    bodyColor: 0xff8800,
+    underglowColor: 0xff8800,
+    trimColor: null,
+    decal: null,
+    decalColor: null
+};
+
+// State timing (real seconds)
+const COUNTDOWN_DURATION = 3;            // 3, 2, 1 before GO
+const GAME_OVER_DURATION = 2;            // GAME OVER banner before the results
 
 // Main game class
 class Game {
     constructor() {
         // Game state
-        this.score = 0;
-        this.clock = new THREE.Clock();
-        this.gameActive = false;
+        // The clock only runs while the scene is live, so pausing doesn't count as frame time
+        this.clock = new THREE.Clock(false);
+        this.state = GAME_STATE.TITLE;
+        this.stateBeforePause = null;    // State to return to on resume
+        this.stateTimer = 0;             // Real seconds left in a timed state (countdown, game over)
+        
+        // Fixed timestep state
+        this.accumulator = 0;        // Real time not yet consumed by simulation ticks
         this.debugMode = true;  // Enable debug mode by default for troubleshooting
         
+        // Track seed, game mode, AI rivals and split screen - shared runs pass them in the URL
+        // (e.g. ?seed=1A2B3C4D&mode=time&rivals=3, with &players=2 for two players, or ?lan to race the network)
+        const params = new URLSearchParams(window.location.search);
+        this.seed = params.get('seed');
+        this.mode = params.get('mode') || DEFAULT_MODE;
+        if (!isGameMode(this.mode)) {
+            console.warn(`Unknown game mode "${this.mode}", using ${DEFAULT_MODE}`);
+            this.mode = DEFAULT_MODE;
+        }
+        this.rivalCount = Number(params.get('rivals') || 0);
+        if (!Number.isInteger(this.rivalCount) || this.rivalCount < 0 || this.rivalCount > MAX_RIVALS) {
+            console.warn(`Rival count must be 0 to ${MAX_RIVALS}, racing alone`);
+            this.rivalCount = 0;
+        }
+        this.playerCount = Number(params.get('players') || 1);
+        if (!Number.isInteger(this.playerCount) || this.playerCount < 1 || this.playerCount > MAX_PLAYERS) {
+            console.warn(`Player count must be 1 to ${MAX_PLAYERS}, playing alone`);
+            this.playerCount = 1;
+        }
+        this.lan = params.has('lan');
+        if (this.lan && this.playerCount > 1) {
+            console.warn("Split screen isn't available in LAN races, playing alone");
+            this.playerCount = 1;
+        }
+        
+        // Per-browser settings and scores (localStorage can be unavailable, e.g. with site data blocked)
+        let storage = null;
+        try {
+            storage = window.localStorage;
+        } catch (e) {
+            console.warn("High scores and controls won't be saved: localStorage unavailable", e);
+        }
+        
         // Core systems
-        this.input = new InputHandler();
+        this.keyBindings = new KeyBindings(storage);
+        this.gamepad = new GamepadInput(storage);
+        this.input = new InputHandler(this.keyBindings, this.gamepad);
         this.renderer = new GameRenderer();
         this.audio = new AudioSystem();
         
-        // Game objects
+        // The player's vehicle class (chosen in the garage on the title screen)
+        this.garage = new Garage(storage);
+        this.garageOpen = false;
+        
+        // The player's paint job (chosen in the customizer on the title screen)
+        this.livery = new Livery(storage);
+        this.liveryOpen = false;
+        
+        // Gameplay simulation and shortcuts to its objects
+        this.simulation = null;
         this.vehicle = null;
         this.world = null;
         
+        // Replays - every run is recorded; a loaded replay drives the vehicle instead of the keyboard
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        
+        // Ghost car - the personal best on this track, or a loaded replay raced instead of watched
+        this.ghosts = new GhostStore(storage);
+        this.ghost = null;
+        this.ghostMesh = null;
+        this.ghostLoaded = false;        // The ghost came from a file, so a new personal best doesn't replace it
+        
+        // Time trials - the best time (and its checkpoint splits) on each course and track
+        this.bestTimes = new BestTimeStore(storage);
+        
+        // High scores
+        this.highScores = new HighScoreTable(storage);
+        this.initialsEntry = null;       // Set while the player enters initials for a new high score
+        this.lastInitials = 'AAA';       // Offered again on the next high score
+        
+        // Controls menu (opened from the title screen or the pause menu)
+        this.controlsOpen = false;
+        this.rebinding = null;           // { action, slot } waiting for a key press
+        
+        // Shared leaderboard on the bundled server (quietly unavailable on static hosting)
+        this.leaderboard = new LeaderboardClient();
+        
+        // LAN race room on the bundled server, and the other racers' car meshes by racer id
+        this.raceClient = null;
+        this.remoteMeshes = new Map();
     }
     
     /**
@@ -43,26 +167,36 @@ class Game {
         this.input.init();
         this.audio.init();
         
-        // Create game world with reference to scene
-        this.world = new GameWorld(scene);
-        this.world.init();
+        // Create the gameplay simulation (world and vehicles) in the scene
+        this.simulation = new Simulation(scene, this.seed, this.mode, this.garage.selected, this.rivalCount,
+            this.playerCount).init();
+        this.world = this.simulation.world;
+        this.vehicle = this.simulation.vehicle;
         
-        // CRITICAL FIX: Ensure road is initialized properly by forcing a position check
-        // This fixes the "falling off the end of the road" issue at first game start
-        if (this.world.roadSegments.length > 0) {
-
-            
-            // Force road position check to make sure the road extends far enough
-            this.world.recycleRoadSegments(0);
-        } else {
+        // Two players get a view, a HUD and controls each
+        if (this.isSplitScreen()) {
+            this.renderer.setSplitScreen(true);
+            this.input.setSplitScreen(true);
+            document.body.classList.add('split-screen');
         }
         
-        // Create vehicle
+        // Use the normalized seed from now on and show it so the run can be shared
+        this.seed = this.simulation.seed;
+        this.renderer.getEffects().showSeed(formatSeed(this.seed));
+        this.showLeaderboards();
+        
+        // Give the vehicles and the rivals their meshes
         this.createVehicle();
+        this.createRivals();
         
         // Set up event handlers
         this.setupEventHandlers();
         
+        // Race the others on the network when asked to
+        if (this.lan) {
+            this.joinLanRace();
+        }
+        
         // Start animation loop
         this.animate();
         
@@ -70,27 +204,197 @@ class Game {
     }
     
     /**
-     * Create the player vehicle
+     * Check if two players are sharing the screen
+     */
+    isSplitScreen() {
+        return this.simulation.players.length > 1;
+    }
+    
+    /**
+     * Create the player vehicle meshes (player two's in its own stock paint)
+     * The vehicles' physics already sit on the start line (see Simulation.init)
      */
     createVehicle() {
-        // Create physics object
-        this.vehicle = new Vehicle();
+        this.simulation.players.forEach(player => {
+            // Create vehicle mesh for the vehicle class being driven, in the player's livery
+            const { mesh, frontWheels, rearWheels } = player.index === 0 ?
+                this.createVehicleMesh() :
+                this.renderer.createVehicleMesh(this.simulation.vehicleClass, SECOND_PLAYER_PAINT);
+            
+            // Connect physics to mesh
+            player.vehicle.setMesh(mesh, frontWheels, rearWheels);
+            player.vehicle.updateMeshTransform();
+            
+            // Add to scene
+            this.scene.add(mesh);
+        });
+    }
+    
+    /**
+     * Remove the player vehicle meshes
+     */
+    disposeVehicle() {
+        this.simulation.players.forEach(player => this.renderer.disposeVehicleMesh(player.vehicle.mesh));
+    }
+    
+    /**
+     * Build a mesh of the current vehicle class in the player's livery
+     */
+    createVehicleMesh() {
+        const vehicleClass = this.simulation.vehicleClass;
+        return this.renderer.createVehicleMesh(vehicleClass, this.livery.resolve(vehicleClass));
+    }
+    
+    /**
+     * Swap the cars for ones of another vehicle class (between runs only)
+     * @throws {Error} If the vehicle class is unknown
+     */
+    useVehicle(vehicleId) {
+        if (vehicleId === this.simulation.vehicleClass.id) return;
         
-        // Create vehicle mesh
-        const { mesh, frontWheels, rearWheels } = this.renderer.createVehicleMesh();
+        this.disposeVehicle();
+        this.vehicle = this.simulation.setVehicle(vehicleId);
+        this.createVehicle();
+    }
+    
+    /**
+     * Give each rival a mesh of its vehicle class in its own color
+     */
+    createRivals() {
+        this.simulation.rivals.forEach(rival => {
+            const { mesh, frontWheels, rearWheels } = this.renderer.createVehicleMesh(rival.vehicleClass, {
+                bodyColor: rival.color,
+                underglowColor: null,
+                trimColor: null,
+                decal: null,
+                decalColor: null
+            });
+            
+            rival.vehicle.setMesh(mesh, frontWheels, rearWheels);
+            rival.vehicle.updateMeshTransform();
+            this.scene.add(mesh);
+        });
+    }
+    
+    /**
+     * Swap the rivals for a different number of them (between runs only)
+     * @throws {Error} If the count is out of range
+     */
+    useRivals(count) {
+        if (count === this.simulation.rivals.length) return;
         
-        // Connect physics to mesh
-        this.vehicle.setMesh(mesh, frontWheels, rearWheels);
+        this.simulation.rivals.forEach(rival => this.renderer.disposeVehicleMesh(rival.vehicle.mesh));
+        this.simulation.setRivals(count);
+        this.createRivals();
+    }
+    
+    /**
+     * Join the race room on the server and show the other racers' cars
+     */
+    joinLanRace() {
+        this.raceClient = new RaceClient();
+        const events = this.raceClient.events;
+        const effects = this.renderer.getEffects();
+        
+        events.on('welcome', ({ name, seed, mode }) => {
+            this.useRaceTrack(seed, mode);
+            this.raceClient.remotes.forEach(remote => this.createRemoteMesh(remote));
+            effects.showMessage(`LAN RACE - YOU ARE ${name}`, 3000);
+        });
+        
+        events.on('joined', remote => {
+            this.createRemoteMesh(remote);
+            effects.showMessage(`${remote.name} JOINED`, 2000);
+        });
+        
+        events.on('left', remote => {
+            this.removeRemoteMesh(remote.id);
+            effects.showMessage(`${remote.name} LEFT`, 2000);
+        });
+        
+        events.on('start', remote => {
+            this.joinRemoteStart(remote);
+        });
         
-        // Position the vehicle at the starting point
-        // Slightly elevated to account for suspension settling
-        this.vehicle.position.set(0, 1.0, 0);
+        events.on('finish', ({ remote, score }) => {
+            effects.showMessage(`${remote.name} FINISHED: ${score}`, 3000);
+        });
         
-        // Set initial wheel positions
-        this.vehicle.updateVehicleVectors();
+        events.on('disconnected', (wasConnected) => {
+            this.remoteMeshes.forEach((mesh, id) => this.removeRemoteMesh(id));
+            effects.showMessage(wasConnected ? 'DISCONNECTED FROM LAN RACE' : 'LAN RACE UNAVAILABLE', 4000);
+        });
         
-        // Add to scene
+        const vehicleClass = this.simulation.vehicleClass;
+        this.raceClient.connect(this.simulation.mode, vehicleClass.id, this.livery.settings);
+    }
+    
+    /**
+     * Move to the race room's track (runs already under way keep theirs)
+     */
+    useRaceTrack(seed, mode) {
+        if (this.state !== GAME_STATE.TITLE && this.state !== GAME_STATE.RESULTS) {
+            console.warn("Joined the LAN race mid-run, staying on this track");
+            return;
+        }
+        if (mode && !isGameMode(mode)) {
+            console.warn(`Unknown LAN race mode "${mode}", keeping ${this.simulation.mode}`);
+            mode = null;
+        }
+        
+        this.simulation.reset(seed, mode || this.simulation.mode);
+        this.vehicle.updateMeshTransform();
+        this.seed = this.simulation.seed;
+        this.renderer.getEffects().showSeed(formatSeed(this.seed));
+        this.showLeaderboards();
+    }
+    
+    /**
+     * Give a remote racer a mesh of its vehicle class in its livery (hidden until it's racing)
+     */
+    createRemoteMesh(remote) {
+        let vehicleClass;
+        try {
+            vehicleClass = getVehicleClass(remote.vehicle);
+        } catch (e) {
+            vehicleClass = getVehicleClass(DEFAULT_VEHICLE);
+        }
+        
+        const livery = new Livery(null);
+        livery.use(remote.livery || {});
+        
+        const { mesh } = this.renderer.createVehicleMesh(vehicleClass, livery.resolve(vehicleClass));
+        mesh.visible = false;
         this.scene.add(mesh);
+        
+        this.removeRemoteMesh(remote.id);
+        this.remoteMeshes.set(remote.id, mesh);
+    }
+    
+    /**
+     * Remove a remote racer's mesh
+     */
+    removeRemoteMesh(id) {
+        this.renderer.disposeVehicleMesh(this.remoteMeshes.get(id));
+        this.remoteMeshes.delete(id);
+    }
+    
+    /**
+     * Another racer started a race - count in with them if waiting on the title or results screen
+     */
+    joinRemoteStart(remote) {
+        this.renderer.getEffects().showMessage(`${remote.name} STARTED A RACE`, 2000);
+        
+        if (this.state === GAME_STATE.TITLE) {
+            if (this.controlsOpen) {
+                this.closeControls();
+            }
+            
+            // Hides the title screen, then starts like pressing start
+            this.input.startGame();
+        } else if (this.state === GAME_STATE.RESULTS && !this.initialsEntry) {
+            this.restartGame();
+        }
     }
     
     /**
@@ -108,6 +412,203 @@ class Game {
             this.toggleDebugVisuals(enabled);
         });
         
+        // Handle replay save / load
+        this.input.on('saveReplay', () => {
+            this.saveReplay();
+        });
+        
+        this.input.on('replayFileSelected', (file) => {
+            file.text()
+                .then(text => this.loadReplay(text))
+                .catch(error => {
+                    console.error("Replay load failed:", error);
+                    this.renderer.getEffects().showMessage(`REPLAY ERROR: ${error.message}`, 4000);
+                });
+        });
+        
+        this.input.on('ghostFileSelected', (file) => {
+            file.text()
+                .then(text => this.loadGhost(text))
+                .catch(error => {
+                    console.error("Ghost load failed:", error);
+                    this.renderer.getEffects().showMessage(`GHOST ERROR: ${error.message}`, 4000);
+                });
+        });
+        
+        // Handle pause, restart and ending the run (Escape backs out of the controls menu and garage first)
+        this.input.on('pauseToggle', () => {
+            if (this.controlsOpen) {
+                this.closeControls();
+            } else if (this.garageOpen) {
+                this.closeGarage();
+            } else if (this.liveryOpen) {
+                this.closeLivery();
+            } else {
+                this.togglePause();
+            }
+        });
+        
+        this.input.on('resume', () => {
+            this.resumeGame();
+        });
+        
+        this.input.on('restart', () => {
+            this.restartGame();
+        });
+        
+        this.input.on('endRun', () => {
+            this.endRun();
+        });
+        
+        // Pause automatically when the window loses focus
+        this.input.on('focusLost', () => {
+            this.pauseGame();
+        });
+        
+        // Handle the controls menu
+        this.input.on('openControls', () => {
+            this.openControls();
+        });
+        
+        this.input.on('closeControls', () => {
+            this.closeControls();
+        });
+        
+        this.input.on('resetControls', () => {
+            this.keyBindings.resetToDefaults();
+            this.showControls('CONTROLS RESET');
+        });
+        
+        this.input.on('rebindKey', (binding) => {
+            this.startRebinding(binding);
+        });
+        
+        this.input.on('adjustGamepadSetting', ({ setting, direction }) => {
+            this.gamepad.adjustSetting(setting, direction);
+            this.showControls();
+        });
+        
+        // Handle the garage
+        this.input.on('openGarage', () => {
+            this.openGarage();
+        });
+        
+        this.input.on('closeGarage', () => {
+            this.closeGarage();
+        });
+        
+        this.input.on('selectVehicle', (vehicleId) => {
+            this.selectVehicle(vehicleId);
+        });
+        
+        // Handle the livery customizer
+        this.input.on('openLivery', () => {
+            this.openLivery();
+        });
+        
+        this.input.on('closeLivery', () => {
+            this.closeLivery();
+        });
+        
+        this.input.on('adjustLivery', ({ part, direction }) => {
+            if (!this.liveryOpen) return;
+            this.livery.cycle(part, direction);
+            this.showLivery();
+        });
+        
+        this.input.on('resetLivery', () => {
+            if (!this.liveryOpen) return;
+            this.livery.reset();
+            this.showLivery();
+        });
+        
+        // Tilt steering on touch devices
+        this.input.on('tiltToggle', (enabled) => {
+            this.renderer.getEffects().showMessage(enabled ? 'TILT STEERING ON' : 'TILT STEERING OFF');
+        });
+        
+        this.input.on('tiltError', (error) => {
+            console.warn("Tilt steering unavailable:", error);
+            this.renderer.getEffects().showMessage(error.message.toUpperCase(), 3000);
+        });
+        
+        // Controller plugged in or out (pause if it goes mid-race, like losing focus)
+        this.input.on('gamepadConnected', () => {
+            this.renderer.getEffects().showMessage('CONTROLLER CONNECTED');
+            if (this.controlsOpen) this.showControls();
+        });
+        
+        this.input.on('gamepadDisconnected', () => {
+            this.renderer.getEffects().showMessage('CONTROLLER DISCONNECTED');
+            this.pauseGame();
+            if (this.controlsOpen) this.showControls();
+        });
+        
+        // Handle high score entry, export and import (text entry keys also capture new bindings)
+        this.input.on('keyPress', (key) => {
+            if (this.rebinding) {
+                this.handleRebindKey(key);
+            } else {
+                this.handleInitialsKey(key);
+            }
+        });
+        
+        this.input.on('exportHighScores', () => {
+            downloadFile('neon-drift-highscores.json', this.highScores.exportJSON());
+            this.renderer.getEffects().showMessage('HIGH SCORES EXPORTED');
+        });
+        
+        this.input.on('highScoreFileSelected', (file) => {
+            file.text()
+                .then(text => {
+                    const added = this.highScores.importJSON(text);
+                    this.showLeaderboards();
+                    this.renderer.getEffects().showMessage(`IMPORTED ${added} RUNS`);
+                })
+                .catch(error => {
+                    console.error("High score import failed:", error);
+                    this.renderer.getEffects().showMessage(`IMPORT ERROR: ${error.message}`, 4000);
+                });
+        });
+        
+        // End the run when the simulation's end condition is met
+        this.simulation.events.on('runOver', () => {
+            this.endRun();
+        });
+        
+        // Collision feedback from the simulation
+        this.simulation.events.on('obstacleHit', () => {
+            this.onObstacleHit();
+        });
+        
+        this.simulation.events.on('collectiblePickup', () => {
+            this.onCollectiblePickup();
+        });
+        
+        this.simulation.events.on('edgeImpact', () => {
+            this.onEdgeImpact();
+        });
+        
+        this.simulation.events.on('nearMiss', (event) => {
+            this.onNearMiss(event);
+        });
+        
+        this.simulation.events.on('boostStart', (event) => {
+            this.onBoostStart(event);
+        });
+        
+        this.simulation.events.on('rivalContact', () => {
+            this.onRivalContact();
+        });
+        
+        this.simulation.events.on('rivalRetired', (event) => {
+            this.renderer.getEffects().showMessage(`${event.name} IS OUT`, 2000);
+        });
+        
+        this.simulation.events.on('checkpoint', (event) => {
+            this.onCheckpoint(event);
+        });
+        
         // Handle turn notifications from world
         this.world.events.on('turnNotification', (direction) => {
             this.renderer.getEffects().showTurnNotification(direction);
@@ -129,13 +630,426 @@ class Game {
     }
     
     /**
-     * Start the game
+     * Change game state, running the exit/enter work for the change
+     * @returns {Boolean} False if the change isn't allowed from the current state
+     */
+    setState(newState) {
+        if (!STATE_TRANSITIONS[this.state].includes(newState)) {
+            return false;
+        }
+        
+        const oldState = this.state;
+        this.state = newState;
+        const effects = this.renderer.getEffects();
+        
+        // On-screen touch controls only while the car can be driven
+        this.input.showTouchControls(newState === GAME_STATE.COUNTDOWN || newState === GAME_STATE.RACING);
+        
+        // Leaving pause: restart the clock fresh and bring the audio back
+        if (oldState === GAME_STATE.PAUSED) {
+            effects.showPauseMenu(false);
+            this.clock.start();
+            this.audio.resume();
+        }
+        
+        switch (newState) {
+            case GAME_STATE.COUNTDOWN:
+                // A fresh countdown (not a resume mid-countdown) starts from the top
+                if (oldState !== GAME_STATE.PAUSED || this.stateBeforePause !== GAME_STATE.COUNTDOWN) {
+                    this.stateTimer = COUNTDOWN_DURATION;
+                }
+                effects.showResults(null, null);
+                this.clock.start();
+                break;
+                
+            case GAME_STATE.RACING:
+                effects.showCountdown(oldState === GAME_STATE.COUNTDOWN ? 'GO!' : null);
+                if (oldState === GAME_STATE.COUNTDOWN) {
+                    setTimeout(() => {
+                        if (this.state === GAME_STATE.RACING) effects.showCountdown(null);
+                    }, 700);
+                }
+                this.accumulator = 0;
+                break;
+                
+            case GAME_STATE.PAUSED:
+                this.stateBeforePause = oldState;
+                this.clock.stop();
+                this.audio.suspend();
+                effects.showCountdown(null);
+                effects.showPauseMenu(true);
+                break;
+                
+            case GAME_STATE.GAME_OVER:
+                this.stateTimer = GAME_OVER_DURATION;
+                effects.setOffRoadEffect(false);
+                effects.showResults(this.getResultsTitle(), this.simulation.getStats());
+                effects.showResultsButtons(false);
+                this.saveGhost();
+                this.saveBestTime();
+                if (this.raceClient && !this.replayPlayer) {
+                    this.raceClient.finishRace(this.simulation.score);
+                }
+                break;
+                
+            case GAME_STATE.RESULTS:
+                effects.showResults(this.getResultsTitle(), this.simulation.getStats());
+                this.showLeaderboards();
+                
+                // Live single player runs that place get to enter initials before the buttons come back
+                if (!this.replayPlayer && !this.isSplitScreen() &&
+                    this.highScores.qualifies(this.simulation.mode, this.seed, this.simulation.score)) {
+                    this.startInitialsEntry();
+                } else {
+                    effects.showResultsButtons(true);
+                    this.submitToLeaderboard();
+                }
+                break;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Start arcade-style initials entry for a new high score
+     */
+    startInitialsEntry() {
+        this.initialsEntry = new InitialsEntry(this.lastInitials);
+        this.input.setTextEntry(true);
+        this.renderer.getEffects().showInitialsEntry(this.initialsEntry);
+    }
+    
+    /**
+     * Handle a key press during initials entry
+     */
+    handleInitialsKey(key) {
+        if (!this.initialsEntry) return;
+        
+        this.initialsEntry.handleKey(key);
+        this.renderer.getEffects().showInitialsEntry(this.initialsEntry);
+        
+        if (this.initialsEntry.done) {
+            this.submitHighScore();
+        }
+    }
+    
+    /**
+     * Save the finished run to the high score table
+     */
+    submitHighScore() {
+        const stats = this.simulation.getStats();
+        this.lastInitials = this.initialsEntry.getInitials();
+        
+        const rank = this.highScores.addScore(this.simulation.mode, this.seed, {
+            initials: this.lastInitials,
+            score: stats.score,
+            distance: stats.distance,
+            time: stats.time
+        });
+        
+        // Back to the normal results screen, with the new entry highlighted
+        this.initialsEntry = null;
+        this.input.setTextEntry(false);
+        
+        const effects = this.renderer.getEffects();
+        effects.showInitialsEntry(null);
+        effects.showResultsButtons(true);
+        this.showLeaderboards(rank);
+        
+        this.submitToLeaderboard();
+    }
+    
+    /**
+     * Open the controls menu (title screen and pause menu only, so the car isn't driving)
+     */
+    openControls() {
+        if (this.state !== GAME_STATE.TITLE && this.state !== GAME_STATE.PAUSED) return;
+        
+        this.controlsOpen = true;
+        this.showControls();
+    }
+    
+    /**
+     * Close the controls menu, abandoning any unfinished rebinding
+     */
+    closeControls() {
+        if (this.rebinding) {
+            this.rebinding = null;
+            this.input.setTextEntry(false);
+        }
+        
+        this.controlsOpen = false;
+        this.renderer.getEffects().showControlsMenu(null);
+    }
+    
+    /**
+     * Redraw the controls menu
+     */
+    showControls(message = '') {
+        const effects = this.renderer.getEffects();
+        effects.showControlsMenu(this.keyBindings, this.rebinding, message);
+        effects.showGamepadSettings(this.gamepad.settings, this.gamepad.getGamepad());
+    }
+    
+    /**
+     * Wait for the next key press to bind to an action slot
+     * @param {Object} binding - { action, slot } clicked in the controls menu
+     */
+    startRebinding(binding) {
+        if (!this.controlsOpen) return;
+        
+        this.rebinding = binding;
+        this.input.setTextEntry(true);
+        this.showControls();
+    }
+    
+    /**
+     * Handle the key press that finishes a rebinding
+     * Escape cancels, Backspace/Delete clears the slot, anything else is bound (if it's free)
+     */
+    handleRebindKey(key) {
+        const { action, slot } = this.rebinding;
+        let message = '';
+        
+        try {
+            if (key === 'Backspace' || key === 'Delete') {
+                this.keyBindings.unbind(action, slot);
+            } else if (key !== 'Escape') {
+                this.keyBindings.bind(action, slot, key);
+            }
+        } catch (error) {
+            // Conflicting or reserved key - keep the old binding and say why
+            message = error.message.toUpperCase();
+        }
+        
+        this.rebinding = null;
+        this.input.setTextEntry(false);
+        this.showControls(message);
+    }
+    
+    /**
+     * Open the garage (title screen only - the car can't change mid-run)
+     */
+    openGarage() {
+        if (this.state !== GAME_STATE.TITLE) return;
+        
+        this.garageOpen = true;
+        this.renderer.getEffects().showGarageMenu(this.garage.selected);
+    }
+    
+    /**
+     * Close the garage
+     */
+    closeGarage() {
+        this.garageOpen = false;
+        this.renderer.getEffects().showGarageMenu(null);
+    }
+    
+    /**
+     * Choose a vehicle class in the garage, save the choice and put the car on the start line
+     */
+    selectVehicle(vehicleId) {
+        if (!this.garageOpen) return;
+        
+        this.garage.select(vehicleId);
+        this.useVehicle(vehicleId);
+        this.renderer.getEffects().showGarageMenu(this.garage.selected);
+    }
+    
+    /**
+     * Open the livery customizer (title screen only)
+     */
+    openLivery() {
+        if (this.state !== GAME_STATE.TITLE) return;
+        
+        this.liveryOpen = true;
+        this.showLivery();
+    }
+    
+    /**
+     * Close the customizer and repaint the car on the start line
+     */
+    closeLivery() {
+        this.liveryOpen = false;
+        this.renderer.getEffects().showLiveryMenu(null);
+        this.renderer.showVehiclePreview(null);
+        
+        this.disposeVehicle();
+        this.createVehicle();
+    }
+    
+    /**
+     * Redraw the customizer and its spinning preview car
+     */
+    showLivery() {
+        this.renderer.getEffects().showLiveryMenu(this.livery);
+        this.renderer.showVehiclePreview(this.createVehicleMesh().mesh);
+    }
+    
+    /**
+     * Send the finished live run to the shared leaderboard
+     */
+    submitToLeaderboard() {
+        if (this.replayPlayer || !this.replayRecorder || this.simulation.score <= 0) return;
+        
+        const stats = this.simulation.getStats();
+        this.leaderboard.submitRun({
+            mode: stats.mode,
+            seed: formatSeed(stats.seed),
+            initials: this.lastInitials,
+            score: stats.score,
+            distance: stats.distance,
+            furthestDistance: stats.furthestDistance,
+            time: stats.time,
+            replay: this.replayRecorder.toJSON()
+        })
+            .then(result => {
+                if (result) {
+                    this.renderer.getEffects().showMessage(`LEADERBOARD RANK: #${result.rank}`, 4000);
+                }
+            })
+            .catch(error => {
+                console.error("Leaderboard submission failed:", error);
+                this.renderer.getEffects().showMessage(`LEADERBOARD ERROR: ${error.message}`, 4000);
+            });
+    }
+    
+    /**
+     * Show the high scores for the current mode and seed on the title and results screens
+     * @param {Number} highlightRank - Entry to highlight on the results screen, -1 for none
+     */
+    showLeaderboards(highlightRank = -1) {
+        const mode = this.simulation.mode;
+        const scores = this.highScores.getScores(mode, this.seed);
+        const title = `TOP RUNS - ${mode.toUpperCase()} - ${formatSeed(this.seed)}`;
+        
+        const effects = this.renderer.getEffects();
+        effects.showLeaderboard('leaderboard', title, scores);
+        effects.showLeaderboard('resultsLeaderboard', title, scores, highlightRank);
+    }
+    
+    /**
+     * Heading for the results screen, based on how the run ended (or who won, in split screen)
+     */
+    getResultsTitle() {
+        if (this.isSplitScreen()) {
+            const winner = this.simulation.winner;
+            return winner === null ? 'DRAW' : `${this.simulation.players[winner].name} WINS`;
+        }
+        
+        switch (this.simulation.finishReason) {
+            case 'integrity': return 'SYSTEM FAILURE';
+            case 'time': return 'TIME UP';
+            case 'distance': return 'TARGET REACHED';
+            case 'course': return 'COURSE COMPLETE';
+            default: return 'GAME OVER';
+        }
+    }
+    
+    /**
+     * Race against the ghost for this track and mode - the loaded one, or else the personal best
+     */
+    setupGhost() {
+        // In split screen the other player is the one to beat
+        if (this.isSplitScreen()) return;
+        
+        const mode = this.simulation.mode;
+        
+        if (this.ghost && !this.ghost.matches(this.seed, mode)) {
+            this.setGhost(null);
+        }
+        if (!this.ghost) {
+            const replay = this.ghosts.getBest(mode, this.seed);
+            if (replay) {
+                this.setGhost(new Ghost(replay));
+            }
+        }
+        
+        if (this.ghost) {
+            this.ghost.reset();
+        }
+        this.renderer.getEffects().showGhostSplit(null);
+    }
+    
+    /**
+     * Swap the ghost car (null removes it), with a mesh of the class it was driven in
+     * @param {Ghost} ghost - Ghost to race
+     * @param {Boolean} loaded - Whether it came from a file rather than the personal bests
+     */
+    setGhost(ghost, loaded = false) {
+        this.renderer.disposeVehicleMesh(this.ghostMesh);
+        this.ghostMesh = null;
+        this.ghost = ghost;
+        this.ghostLoaded = Boolean(ghost) && loaded;
+        
+        if (ghost) {
+            this.ghostMesh = this.renderer.createGhostMesh(getVehicleClass(ghost.vehicle));
+            this.ghostMesh.visible = false;
+            this.scene.add(this.ghostMesh);
+        }
+    }
+    
+    /**
+     * Keep the finished live run as the ghost for this track if it's a new personal best
+     */
+    saveGhost() {
+        if (this.replayPlayer || !this.replayRecorder || this.simulation.score <= 0) return;
+        
+        const stats = this.simulation.getStats();
+        
+        // Time trials rank by course time, so a run that never crossed the finish line can't be the best
+        const courseTime = this.simulation.course ? stats.courseTime : null;
+        if (this.simulation.course && courseTime === null) return;
+        
+        if (this.ghosts.submitRun(stats.mode, stats.seed, stats.score, this.replayRecorder.toJSON(), courseTime)) {
+            // Race the new best from the next run on (unless a loaded ghost is being raced)
+            if (!this.ghostLoaded) {
+                this.setGhost(null);
+            }
+            this.renderer.getEffects().showMessage('NEW PERSONAL BEST GHOST', 3000);
+        }
+    }
+    
+    /**
+     * Keep the finished live time trial's splits if it's the best time on this course and track
+     */
+    saveBestTime() {
+        const course = this.simulation.course;
+        if (!course || this.replayPlayer || this.isSplitScreen()) return;
+        
+        const stats = this.simulation.getStats();
+        if (stats.courseTime === null) return;
+        
+        if (this.bestTimes.submitRun(course.id, this.seed, stats.splits)) {
+            this.renderer.getEffects().showMessage('NEW COURSE RECORD', 3000);
+        }
+    }
+    
+    /**
+     * Best time to beat on the time trial course, or null outside time trials (and in split screen,
+     * where the other player is the one to beat)
+     */
+    getBestTime() {
+        const course = this.simulation.course;
+        if (!course || this.isSplitScreen()) return null;
+        
+        return this.bestTimes.getBest(course.id, this.seed);
+    }
+    
+    /**
+     * Start the game from the title screen
      */
     startGame() {
-        if (this.gameActive) return;
+        if (this.state !== GAME_STATE.TITLE) return;
+        
+        if (this.garageOpen) {
+            this.closeGarage();
+        }
+        if (this.liveryOpen) {
+            this.closeLivery();
+        }
         
-        this.gameActive = true;
-        this.clock.start();
+        this.beginRun();
         
         // Resume audio context (must be done after user interaction)
         this.audio.resume().then(() => {
@@ -145,178 +1059,491 @@ class Game {
             // Start background music
             this.audio.startBackgroundMusic();
         });
+    }
+    
+    /**
+     * Set up a new run and count it in
+     */
+    beginRun() {
+        this.accumulator = 0;
+        
+        // Record this run unless we're playing one back (or it's split screen - replays drive one car)
+        this.replayRecorder = this.replayPlayer || this.isSplitScreen() ?
+            null :
+            new ReplayRecorder(this.seed, TICK_RATE, this.simulation.mode, this.simulation.vehicleClass.id,
+                this.simulation.rivals.length);
+        
+        this.setupGhost();
+        this.renderer.getEffects().showCheckpointSplit(null);
+        
+        // Everyone waiting in the LAN race counts in with us
+        if (this.raceClient && !this.replayPlayer) {
+            this.raceClient.startRace();
+        }
         
-        // console.log('Game started!');
+        this.setState(GAME_STATE.COUNTDOWN);
+    }
+    
+    /**
+     * Pause or resume, depending on the current state
+     */
+    togglePause() {
+        if (this.state === GAME_STATE.PAUSED) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+    
+    /**
+     * Pause the race (or the countdown)
+     */
+    pauseGame() {
+        this.setState(GAME_STATE.PAUSED);
     }
     
     /**
-     * Stop the game
+     * Resume from the pause menu
      */
-    stopGame() {
-        this.gameActive = false;
-        this.clock.stop();
-        this.audio.stopAll();
+    resumeGame() {
+        if (this.state !== GAME_STATE.PAUSED) return;
+        
+        this.setState(this.stateBeforePause);
     }
     
     /**
-     * Main update loop
+     * Restart the run on the same track without rebuilding the scene
+     * A replay being played back restarts from its first tick
      */
-    update(deltaTime) {
-        if (!this.gameActive) return;
+    restartGame() {
+        if (!STATE_TRANSITIONS[this.state].includes(GAME_STATE.COUNTDOWN)) return;
         
-        // Get current game time
-        const gameTime = this.clock.getElapsedTime();
+        // Reset vehicles, world objects and score
+        this.simulation.reset(this.seed);
+        this.simulation.players.forEach(player => player.vehicle.updateMeshTransform());
+        this.stateBeforePause = null;
         
-        // Track update count for initial game stability
-        if (!this.updateCount) {
-            this.updateCount = 0;
-        }
-        this.updateCount++;
+        // Clear leftover effects from the last run
+        document.body.style.backgroundColor = '#000000';
+        this.renderer.getEffects().setOffRoadEffect(false);
         
-        // CRITICAL: First-frame road safety check to prevent initial road end issue
-        if (this.updateCount === 1) {
-            // console.log("GAME FIRST UPDATE - Ensuring road is ready");
-            
-            // Sanity check: ensure road exists and extends far enough
-            if (this.world.roadSegments.length > 0) {
-                const roadAheadDistance = this.world.roadZMax;
-                
-                // Force position check with player at position 0
-                if (roadAheadDistance < 10000) {
-                    this.world.recycleRoadSegments(0);
-                }
-            } else {
+        this.beginRun();
+        
+        // Keep the soundtrack going if it was stopped at the end of a run
+        this.audio.resume().then(() => {
+            if (!this.audio.isMusicPlaying()) {
+                this.audio.startBackgroundMusic();
             }
+        });
+    }
+    
+    /**
+     * End the current run and show the results
+     */
+    endRun() {
+        this.setState(GAME_STATE.GAME_OVER);
+    }
+    
+    /**
+     * Load a replay and play it back from the start of its track
+     * @param {String|Object} data - Replay JSON text or object
+     * @throws {Error} If the replay is invalid or was recorded at another tick rate, or in split screen or a LAN race
+     */
+    loadReplay(data) {
+        if (this.state !== GAME_STATE.TITLE) return;
+        if (this.isSplitScreen()) {
+            throw new Error('Replays play in single player');
+        }
+        if (this.raceClient) {
+            throw new Error('Replays play outside LAN races');
         }
         
-        // Get current input state
-        const inputState = this.input.getInputState();
-        
-        // Get world state for physics calculations
-        const worldState = this.world.getWorldState();
+        const replay = parseReplay(data);
+        if (replay.tickRate !== TICK_RATE) {
+            throw new Error(`Replay uses ${replay.tickRate} ticks/s, expected ${TICK_RATE}`);
+        }
         
-        // Add world state to input state so vehicle can access road information
-        inputState.world = worldState;
-        // IMPORTANT: Also provide access to road segments for proper collision detection
-        inputState.world.roadSegments = this.world.roadSegments;
+        // Rebuild the exact starting conditions of the recorded run, in the car it was driven in
+        // and against the rivals it raced
+        this.useVehicle(replay.vehicle);
+        this.useRivals(replay.rivals);
+        this.simulation.reset(replay.seed, replay.mode);
+        this.seed = this.simulation.seed;
+        this.renderer.getEffects().showSeed(formatSeed(this.seed));
+        this.showLeaderboards();
         
-        // Update vehicle physics
-        this.vehicle.update(inputState, deltaTime, worldState);
+        this.replayPlayer = new ReplayPlayer(replay);
         
-        // Only check this occasionally during the first minute to improve performance
-        const isFirstMinute = gameTime < 60;
-        if (isFirstMinute && this.vehicle.position && this.updateCount % 30 === 0) {
-            const roadAheadDistance = this.world.roadZMax - this.vehicle.position.z;
-            
-            // Emergency fix only if road is actually running out
-            if (roadAheadDistance < 500) {
-                // Force road regeneration but only once
-                this.world.recycleRoadSegments(this.vehicle.position.z);
-            }
+        // Hide the title screen and start like a normal run
+        this.input.startGame();
+        this.renderer.getEffects().showMessage('REPLAY');
+    }
+    
+    /**
+     * Load a replay to race against as a ghost, on its track and mode but in the player's own car
+     * @param {String|Object} data - Replay JSON text or object
+     * @throws {Error} If the replay is invalid or was recorded at another tick rate, or in split screen or a LAN race
+     */
+    loadGhost(data) {
+        if (this.state !== GAME_STATE.TITLE) return;
+        if (this.isSplitScreen()) {
+            throw new Error('Ghosts race in single player');
+        }
+        if (this.raceClient) {
+            throw new Error('LAN races stay on the room track');
         }
         
-        // Update vehicle visual effects (with time for bouncing)
-        this.vehicle.updateVisuals(deltaTime, gameTime);
+        const replay = parseReplay(data);
+        if (replay.tickRate !== TICK_RATE) {
+            throw new Error(`Replay uses ${replay.tickRate} ticks/s, expected ${TICK_RATE}`);
+        }
         
-        // Update vehicle mesh transform
+        // Move to the ghost's track, and drive it live rather than watching a replay
+        this.simulation.reset(replay.seed, replay.mode);
         this.vehicle.updateMeshTransform();
+        this.seed = this.simulation.seed;
+        this.replayPlayer = null;
+        this.renderer.getEffects().showSeed(formatSeed(this.seed));
+        this.showLeaderboards();
         
-        // Update world with vehicle data
-        this.world.update(
-            deltaTime, 
-            this.vehicle.speed, 
-            this.vehicle.position,
-            gameTime // This will be passed as currentTime to updateRoad
-        );
-        
-        // IMPORTANT: Make sure the vehicle has access to the latest world state
-        // This fixes the synchronization issue between road curves and physics
-        this.vehicle.input.world = this.world.getWorldState();
-        
-        // Update camera to follow vehicle
-        this.renderer.updateCamera(
-            this.vehicle.position, 
-            this.vehicle.direction, 
-            this.vehicle.speed,
-            worldState.roadCurve
-        );
-        
-        // Update visual effects
-        this.renderer.getEffects().setOffRoadEffect(this.vehicle.isOffRoad);
+        this.setGhost(new Ghost(replay), true);
+        this.renderer.getEffects().showMessage('GHOST LOADED - PRESS START', 3000);
+    }
+    
+    /**
+     * Download the current run (or the replay being played back) as a JSON file
+     */
+    saveReplay() {
+        let json = null;
+        if (this.replayPlayer) {
+            json = this.replayPlayer.serialize();
+        } else if (this.replayRecorder && this.replayRecorder.tickCount > 0) {
+            json = this.replayRecorder.serialize();
+        }
         
-        // Update audio based on game state
-        this.audio.updateBeat(this.vehicle.speed, MAX_SPEED);
+        if (!json) {
+            this.renderer.getEffects().showMessage('NOTHING TO SAVE');
+            return;
+        }
         
-        // Update UI elements
-        this.renderer.getEffects().updateUI(this.score, this.vehicle.speed);
+        downloadFile(`neon-drift-${formatSeed(this.seed)}.json`, json);
         
-        // Check for collisions
-        this.checkCollisions();
+        this.renderer.getEffects().showMessage('REPLAY SAVED');
     }
     
     /**
-     * Check for collisions
+     * Stop at the end of a replay
      */
-    checkCollisions() {
-        // Get vehicle bounding box
-        const vehicleBox = this.vehicle.getBoundingBox();
-        if (!vehicleBox) return;
+    finishReplay() {
+        this.renderer.getEffects().showMessage('REPLAY COMPLETE', 3000);
+        this.endRun();
+    }
+    
+    /**
+     * Advance the simulation by one fixed tick
+     * Everything that affects handling or score happens in Simulation.tick, never per frame
+     */
+    update() {
+        if (this.state !== GAME_STATE.RACING) return;
         
-        // Check collisions with world objects
-        const collisions = this.world.checkCollisions(vehicleBox);
+        // Split screen reads both players' controls (and is never recorded or played back)
+        if (this.isSplitScreen()) {
+            this.simulation.tick(...this.input.getSplitInputStates());
+            return;
+        }
         
-        // Handle obstacle collisions
-        if (collisions.obstacles.length > 0) {
-            const result = this.vehicle.collideWithObstacle();
-            
-            // Play sound effect
-            this.audio.playErrorSound();
-            
-            // Apply visual effects
-            this.renderer.getEffects().applyGlitchEffect(true);
+        // Get current input state - from the replay when playing one back
+        const tick = this.simulation.tickCount;
+        const inputState = this.replayPlayer ?
+            this.replayPlayer.getInputState(tick) :
+            this.input.getInputState();
+        
+        // Record the exact input this tick uses
+        if (this.replayRecorder) {
+            this.replayRecorder.record(inputState);
+        }
+        
+        this.simulation.tick(inputState);
+        
+        // Let the others in a LAN race see where we are
+        if (this.raceClient) {
+            this.raceClient.sendState(this.simulation.tickCount, this.vehicle);
+        }
+        
+        // Time against the ghost at each split marker
+        if (this.ghost) {
+            const split = this.ghost.checkSplit(this.simulation.furthestDistance, this.simulation.time);
+            if (split) {
+                this.renderer.getEffects().showGhostSplit(split);
+            }
+        }
+        
+        // End playback once every recorded tick has run
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.simulation.tickCount)) {
+            this.finishReplay();
+        }
+    }
+    
+    /**
+     * Update everything that is only presentation (meshes, camera, HUD, audio)
+     * @param {Number} frameTime - Real seconds since the last rendered frame
+     * @param {Number} alpha - Progress from the previous tick to the latest one (0-1)
+     */
+    updatePresentation(frameTime, alpha) {
+        // Time between the last two ticks, used for smooth animation
+        const renderTime = this.simulation.time - (1 - alpha) * FIXED_TIMESTEP;
+        
+        this.simulation.players.forEach(player => {
+            const vehicle = player.vehicle;
             
-            // Flash the screen
-            document.body.style.backgroundColor = '#ff0000';
-            setTimeout(() => {
-                document.body.style.backgroundColor = '#000000';
-            }, 100);
+            // Update vehicle visual effects (with time for bouncing)
+            vehicle.updateVisuals(frameTime, renderTime);
             
-            // Reduce score
-            this.score = Math.max(this.score - 50, 0);
-        }
+            // Place the mesh between the previous and current tick
+            vehicle.updateMeshTransform(alpha);
+            this.renderer.updateVehicleDamage(vehicle.mesh, vehicle.getHealth(), renderTime);
+        });
+        this.updateRivalMeshes(frameTime, renderTime, alpha);
+        this.updateGhostMesh(alpha);
+        this.updateRemoteMeshes();
+        this.world.updateTrafficMeshes(alpha);
+        
+        // Animate world visuals (grid colours, starting area)
+        this.world.updateVisualEffects(renderTime);
+        
+        // Update each player's camera to follow their vehicle, leaning into the track bend at the car
+        this.simulation.players.forEach(player => {
+            const vehicle = player.vehicle;
+            const { position, direction } = vehicle.getInterpolatedTransform(alpha);
+            this.renderer.updateCamera(
+                position, 
+                direction, 
+                vehicle.speed,
+                player.index === 0 ? this.world.roadCurve : this.world.track.getBend(vehicle.position.z),
+                player.index
+            );
+        });
         
-        // Handle collectible collisions
-        if (collisions.collectibles.length > 0) {
-            // Play collect sound
-            this.audio.playCollectSound();
+        // Update visual effects (full-screen, so they'd cover both views in split screen)
+        const soloEffects = !this.isSplitScreen();
+        this.renderer.getEffects().setOffRoadEffect(soloEffects && this.vehicle.isOffRoad);
+        this.renderer.getEffects().setBoostEffect(soloEffects && this.vehicle.isBoosting);
+        
+        // Update audio based on game state
+        this.audio.updateBeat(this.vehicle.speed, this.vehicle.handling.maxSpeed);
+        
+        // Update each player's UI elements (LAN racers count toward the race position)
+        const remoteCars = this.raceClient ?
+            this.raceClient.countRemoteCars(this.vehicle.position.z) :
+            { racing: 0, ahead: 0 };
+        const carCount = this.simulation.rivals.length + this.simulation.players.length + remoteCars.racing;
+        const best = this.getBestTime();
+        this.simulation.players.forEach(player => {
+            const vehicle = player.vehicle;
+            const stats = { ...this.simulation.getPlayerStats(player), time: this.simulation.time };
+            const effects = this.renderer.getEffects();
             
-            // Apply visual effects
-            this.renderer.getEffects().applyGlitchEffect(false);
+            effects.updateUI(player.score, vehicle.speed, player.index);
+            effects.updateCombo(player.scoring.getComboState(), player.index);
+            effects.updateBoostMeter(vehicle.boostMeter, vehicle.canBoost(), vehicle.isBoosting, player.index);
+            effects.updateObjective(this.simulation.endCondition, stats, player.index);
+            effects.updateRacePosition(this.simulation.getRacePosition(player) + remoteCars.ahead, carCount, player.index);
+            effects.updateLapTimer(
+                this.simulation.course,
+                player.courseTimer ? player.courseTimer.getProgress(this.simulation.time) : null,
+                best ? best.time : null,
+                player.index
+            );
+        });
+    }
+    
+    /**
+     * Place the rivals' meshes like the player's (rivals out of the race disappear)
+     */
+    updateRivalMeshes(frameTime, renderTime, alpha) {
+        this.simulation.rivals.forEach(rival => {
+            const vehicle = rival.vehicle;
+            vehicle.mesh.visible = !rival.retired;
+            if (rival.retired) return;
             
-            // Increase score
-            this.score += 100;
+            vehicle.updateVisuals(frameTime, renderTime);
+            vehicle.updateMeshTransform(alpha);
+            this.renderer.updateVehicleDamage(vehicle.mesh, vehicle.getHealth(), renderTime);
+        });
+    }
+    
+    /**
+     * Place the ghost car on its recorded track at the live run's tick
+     * It shows from the countdown until the ghost's own run ended
+     */
+    updateGhostMesh(alpha) {
+        if (!this.ghostMesh) return;
+        
+        const tick = this.simulation.tickCount;
+        this.ghostMesh.visible = this.state !== GAME_STATE.TITLE && !this.ghost.isFinished(tick);
+        if (!this.ghostMesh.visible) return;
+        
+        const { position, rotationY } = this.ghost.getTransform(tick, alpha);
+        this.ghostMesh.position.copy(position);
+        this.ghostMesh.rotation.y = rotationY;
+    }
+    
+    /**
+     * Place the other LAN racers' cars where their latest snapshots put them
+     * A car shows only while its racer is sending snapshots
+     */
+    updateRemoteMeshes() {
+        if (!this.raceClient) return;
+        
+        this.remoteMeshes.forEach((mesh, id) => {
+            const transform = this.raceClient.getRemoteTransform(this.raceClient.remotes.get(id));
+            mesh.visible = Boolean(transform);
+            if (!transform) return;
             
-            // Speed boost
-            this.vehicle.speed = Math.min(this.vehicle.speed + 2, MAX_SPEED);
+            mesh.position.copy(transform.position);
+            mesh.rotation.y = transform.rotationY;
+        });
+    }
+    
+    /**
+     * Obstacle hit feedback (the simulation already applied the crash, damage and penalty)
+     */
+    onObstacleHit() {
+        // Play sound effect
+        this.audio.playErrorSound();
+        
+        // Apply visual effects
+        this.renderer.getEffects().applyGlitchEffect(true);
+        
+        // Flash the screen
+        document.body.style.backgroundColor = '#ff0000';
+        setTimeout(() => {
+            document.body.style.backgroundColor = '#000000';
+        }, 100);
+    }
+    
+    /**
+     * Collectible pickup feedback (the simulation already added score and boost)
+     */
+    onCollectiblePickup() {
+        // Play collect sound
+        this.audio.playCollectSound();
+        
+        // Apply visual effects
+        this.renderer.getEffects().applyGlitchEffect(false);
+    }
+    
+    /**
+     * Road edge impact feedback (the simulation already applied the damage)
+     */
+    onEdgeImpact() {
+        this.audio.playHitWallSound();
+        this.renderer.getEffects().triggerWallHitEffect();
+    }
+    
+    /**
+     * Rival contact feedback (the simulation already bumped the cars apart and applied the damage)
+     */
+    onRivalContact() {
+        this.audio.playHitWallSound();
+        this.renderer.getEffects().triggerWallHitEffect();
+    }
+    
+    /**
+     * Near miss feedback (the simulation already scored it)
+     */
+    onNearMiss(event) {
+        const closeness = 1 - Math.min(1, event.clearance / this.simulation.nearMissMargin);
+        
+        this.audio.playNearMissSound(closeness);
+        this.renderer.getEffects().triggerNearMissEffect(closeness);
+    }
+    
+    /**
+     * Boost feedback (the VHS streaking lasts while the car is boosting)
+     */
+    onBoostStart(event) {
+        this.audio.playBoostSound(this.simulation.players[event.player].vehicle.boostTime);
+        this.renderer.getEffects().applyGlitchEffect(false);
+    }
+    
+    /**
+     * Time trial checkpoint feedback - the split against the best time's (solo only; in split screen
+     * the lap timers tell the players apart)
+     */
+    onCheckpoint(event) {
+        this.audio.playCollectSound();
+        if (this.isSplitScreen()) return;
+        
+        const best = this.getBestTime();
+        let label = 'CHECKPOINT';
+        if (event.finish) {
+            label = 'FINISH';
+        } else if (event.lapTime !== null) {
+            label = `LAP ${event.lap + 1}`;
+        }
+        
+        this.renderer.getEffects().showCheckpointSplit({
+            label,
+            time: event.time,
+            delta: best ? event.time - best.splits[event.index] : null
+        });
+    }
+    
+    /**
+     * Count down to the start of the race
+     */
+    updateCountdown(frameTime) {
+        this.stateTimer -= frameTime;
+        
+        if (this.stateTimer <= 0) {
+            this.setState(GAME_STATE.RACING);
+        } else {
+            this.renderer.getEffects().showCountdown(String(Math.ceil(this.stateTimer)));
         }
     }
     
     /**
      * Animation loop
+     * Runs as many fixed simulation ticks as real time allows, then renders
      */
     animate() {
         requestAnimationFrame(this.animate.bind(this));
         
-        const deltaTime = this.clock.getDelta();
+        // Real time since the last frame, capped so a stalled tab doesn't cause a burst of ticks
+        const frameTime = Math.min(this.clock.getDelta(), MAX_FRAME_TIME);
         
         try {
-            this.update(deltaTime);
+            // Read the gamepad (it has no input events to wait for)
+            this.input.update();
+            
+            if (this.state === GAME_STATE.RACING) {
+                // Consume real time in fixed simulation ticks
+                this.accumulator += frameTime;
+                while (this.state === GAME_STATE.RACING && this.accumulator >= FIXED_TIMESTEP) {
+                    this.update();
+                    this.accumulator -= FIXED_TIMESTEP;
+                }
+                
+                // Interpolate presentation between the last two ticks
+                this.updatePresentation(frameTime, this.accumulator / FIXED_TIMESTEP);
+            } else if (this.state === GAME_STATE.COUNTDOWN) {
+                // Show the car on the line while counting in
+                this.updateCountdown(frameTime);
+                this.updatePresentation(frameTime, 1);
+            } else if (this.state === GAME_STATE.GAME_OVER) {
+                // Hold the GAME OVER banner, then show the results
+                this.stateTimer -= frameTime;
+                if (this.stateTimer <= 0) {
+                    this.setState(GAME_STATE.RESULTS);
+                }
+            }
             
             // Render the scene
             this.renderer.render();
             
-            // Apply random VHS glitch effect
-            if (this.gameActive && Math.random() < 0.01) {
+            // Apply random VHS glitch effect (about once every two seconds on average)
+            if (this.state === GAME_STATE.RACING && Math.random() < 0.6 * frameTime) {
                 this.renderer.getEffects().applyGlitchEffect();
             }
         } catch (e) {
@@ -326,6 +1553,20 @@ class Game {
     }
 }
 
+/**
+ * Download text as a file through a temporary link
+ */
+function downloadFile(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // Create and initialize game when page loads
 window.addEventListener('load', () => {
     // Create and initialize game
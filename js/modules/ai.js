@@ -0,0 +1,289 @@
+/**
+ * AI Module for Neon Drift Protocol
+ *
+ * Rival cars that race the player down the same road:
+ * - Each rival drives a Vehicle with the same physics as the player's car, in its own vehicle class
+ * - Its driver steers for a point on a racing line along the track centerline, further ahead the faster it goes,
+ *   pointing the nose past it to pull the car's slide round, and lifts or brakes for tight bends
+ * - Skill sets the driver's pace, how far ahead it reacts and how steadily it holds its line
+ * - Aggression sets how soon it pulls out to pass, how close it cuts past obstacles and cars,
+ *   and whether it lifts or keeps pushing when boxed in behind a slower car
+ * - Drivers pick a clear lane round obstacles, traffic and slower cars ahead of them
+ *
+ * Drivers only produce input states, like the keyboard or a replay does, and all their
+ * randomness comes from the track seed, so races against rivals replay exactly.
+ */
+
+import { Vehicle } from './physics.js';
+import { getVehicleClass } from './vehicles.js';
+import { SeededRandom } from './random.js';
+import { LANE_WIDTH } from './track.js';
+
+// Rival drivers, in the order they join a race
+const RIVAL_ROSTER = [
+    { name: 'SYNTH', vehicle: 'interceptor', color: 0xff6600, skill: 0.95, aggression: 0.8 },
+    { name: 'VAPOR', vehicle: 'vector', color: 0x66ff00, skill: 0.85, aggression: 0.4 },
+    { name: 'GLITCH', vehicle: 'phantom', color: 0xffcc00, skill: 0.8, aggression: 0.9 },
+    { name: 'CHROME', vehicle: 'vector', color: 0xdddddd, skill: 0.7, aggression: 0.2 },
+    { name: 'PIXEL', vehicle: 'phantom', color: 0xff0055, skill: 0.6, aggression: 0.6 }
+];
+const MAX_RIVALS = RIVAL_ROSTER.length;
+
+// Starting grid - rivals line up in pairs ahead of the player, in the outside lanes
+const GRID_FIRST_ROW = 15;               // Distance of the first row ahead of the start line
+const GRID_ROW_SPACING = 15;
+
+// Lines a driver can hold, as offsets from the centerline (the three lane centers)
+const LANE_LINES = [-LANE_WIDTH, 0, LANE_WIDTH];
+
+// Steering
+const LOOKAHEAD_BASE = 30;               // Distance ahead of the car it steers for...
+const LOOKAHEAD_PER_SPEED = 0.3;         // ...plus this many units per unit of speed
+const SLIP_CORRECTION = 3;               // Extra heading per radian the car's travel is off the aim point
+const YAW_RATE_GAIN = 15;                // Yaw rate (radians/second) wanted per radian of heading error
+const MAX_APPROACH_ANGLE = 0.3;          // Most the nose points off the road's heading (radians)
+const YAW_RESPONSE_TIME = 0.1;           // Seconds to reach the wanted yaw rate
+const LINE_CHANGE_RATE = 25;             // Units/second a driver moves across to a new line (doubled at full aggression)
+const WOBBLE_AMOUNT = 3;                 // Most a driver without skill strays off its line
+const WOBBLE_RATE = 0.5;                 // How quickly the stray wanders (share per second)
+
+// Pace
+const CORNER_GRIP = 50;                  // Sideways acceleration a driver takes a bend at (units/second²)
+const CORNER_PREVIEW_TIME = 2;           // Seconds of travel ahead a driver looks for bends
+const CORNER_SAMPLE_SPACING = 20;        // Distance between the points it checks the bend at
+const CORNER_BRAKE_MARGIN = 1.1;         // Share over the bend's speed at which it brakes rather than lifts
+const MIN_THROTTLE = 0.7;                // Throttle of a driver without skill (full skill drives flat out)
+const BOXED_IN_THROTTLE = 0.5;           // Throttle of a timid driver stuck behind a slower car
+const CATCH_UP_DISTANCE = 60;            // Lead over the player past which a rival eases off (coasting at twice this),
+                                         // and deficit past which it goes flat out
+
+// Reacting
+const REACT_DISTANCE = 30;               // Distance ahead a driver always looks for hazards...
+const REACT_TIME = 0.6;                  // ...plus this many seconds of travel (doubled at full skill)
+const PASS_DISTANCE = 25;                // Distance behind a slower car a driver pulls out to pass (doubled at full aggression)
+const MAX_CLEARANCE = 2;                 // Gap a timid driver leaves round obstacles and cars...
+const MIN_CLEARANCE = 0.5;               // ...and an aggressive one
+const LINE_HOLD_TIME = 1.5;              // Seconds a driver keeps to a line it moved across to before heading home
+const LANE_SWAP_RATE = 0.1;              // Chance per second a driver picks a new preferred lane (at full aggression)
+
+// Rival driver class - turns what a rival sees into input for its car
+class RivalDriver {
+    /**
+     * @param {Object} profile - { skill, aggression }, each 0-1
+     */
+    constructor({ skill, aggression }) {
+        this.skill = skill;
+        this.aggression = aggression;
+
+        // Driving style from skill and aggression
+        this.pace = MIN_THROTTLE + (1 - MIN_THROTTLE) * skill;
+        this.reactTime = REACT_TIME * (1 + skill);
+        this.passDistance = PASS_DISTANCE * (1 + aggression);
+        this.clearance = MAX_CLEARANCE - (MAX_CLEARANCE - MIN_CLEARANCE) * aggression;
+        this.lineChangeRate = LINE_CHANGE_RATE * (1 + aggression);
+    }
+
+    /**
+     * Start a new race on a line
+     * @param {Number} line - Offset from the centerline to start on (and prefer)
+     * @param {SeededRandom} random - The driver's own random stream
+     */
+    reset(line, random) {
+        this.random = random;
+        this.homeLine = line;            // Line the driver settles on when nothing's in the way
+        this.targetLine = line;          // Line the driver is heading for
+        this.line = line;                // Line the driver is on right now
+        this.lineHold = 0;               // Seconds left before it may head back to its preferred line
+        this.wobble = 0;                 // Current stray off the line (-1 to 1, scaled by lack of skill)
+        this.boxedIn = false;            // Stuck behind something with no clear lane
+    }
+
+    /**
+     * Decide this tick's input
+     * @param {Vehicle} vehicle - The rival's car
+     * @param {Object} surroundings
+     * @param {Track} surroundings.track - Track centerline
+     * @param {Array} surroundings.obstacles - Obstacles and traffic packets on the road
+     * @param {Array<Vehicle>} surroundings.cars - Every other car in the race
+     * @param {Number} surroundings.playerZ - How far down the track the (leading) player is
+     * @param {Number} deltaTime - Seconds per tick
+     * @returns {Object} Input state, like InputHandler.getInputState()
+     */
+    getInput(vehicle, { track, obstacles, cars, playerZ }, deltaTime) {
+        const position = vehicle.position;
+        const speed = Math.max(0, vehicle.speed);
+
+        // Now and then a driver fancies another lane
+        if (this.random.chance(LANE_SWAP_RATE * this.aggression * deltaTime)) {
+            this.homeLine = this.random.pick(LANE_LINES);
+        }
+
+        // Pick a line clear of what's ahead and move across to it
+        this.planLine(vehicle, track, obstacles, cars, deltaTime);
+        const step = this.lineChangeRate * deltaTime;
+        this.line += Math.max(-step, Math.min(step, this.targetLine - this.line));
+
+        // Less skilled drivers wander about their line
+        this.wobble += (this.random.range(-1, 1) - this.wobble) * WOBBLE_RATE * deltaTime;
+        const stray = this.wobble * WOBBLE_AMOUNT * (1 - this.skill);
+
+        // Aim for a point on the line ahead. The car slides, so its travel lags its nose:
+        // point the nose past the aim point by however far the travel is off it
+        const lookahead = LOOKAHEAD_BASE + speed * LOOKAHEAD_PER_SPEED;
+        const targetZ = position.z + lookahead;
+        const targetX = track.getXAtOffset(targetZ, this.line + stray);
+        const aim = Math.atan2(targetX - position.x, targetZ - position.z);
+        const travel = speed > 1 ? Math.atan2(vehicle.velocity.x, vehicle.velocity.z) : vehicle.rotation.y;
+        const roadHeading = track.getHeading(position.z);
+        const heading = roadHeading + Math.max(-MAX_APPROACH_ANGLE, Math.min(MAX_APPROACH_ANGLE,
+            aim + (aim - travel) * SLIP_CORRECTION - roadHeading));
+
+        // Steering sets yaw acceleration, so steer for the yaw rate that turns the nose there
+        const yawRate = (heading - vehicle.rotation.y) * YAW_RATE_GAIN;
+        const response = vehicle.getSteeringResponse();
+        const steering = response > 0 ?
+            Math.max(-1, Math.min(1, (yawRate - vehicle.angularVelocity) / YAW_RESPONSE_TIME / response)) :
+            0;
+
+        // Race pace, easing off to a coast far ahead of the player and flat out far behind
+        const lead = position.z - playerZ;
+        let throttle = this.pace;
+        if (lead > CATCH_UP_DISTANCE) {
+            throttle *= Math.max(0, 2 - lead / CATCH_UP_DISTANCE);
+        } else if (lead < -CATCH_UP_DISTANCE) {
+            throttle = 1;
+        }
+
+        // Lift for the tightest bend coming up, braking if well over its speed
+        const cornerSpeed = this.getCornerSpeed(track, position.z, speed);
+        let brakeForCorner = 0;
+        if (speed > cornerSpeed) {
+            throttle = 0;
+            brakeForCorner = speed > cornerSpeed * CORNER_BRAKE_MARGIN ? 1 : 0;
+        }
+
+        // Boxed in: timid drivers lift and wait for a gap, aggressive ones keep the pressure on
+        if (this.boxedIn && this.aggression < 0.5) {
+            throttle = Math.min(throttle, BOXED_IN_THROTTLE);
+        }
+
+        return {
+            accelerate: throttle,
+            brake: 0,
+            reverse: brakeForCorner,        // Reverse brakes at speed without the brake's drift kick
+            steering,
+            turnLeft: steering > 0,
+            turnRight: steering < 0,
+            boost: false
+        };
+    }
+
+    /**
+     * Get the fastest speed the driver takes the tightest bend within its preview at
+     * @returns {Number} Corner speed, or Infinity if the road ahead is straight
+     */
+    getCornerSpeed(track, z, speed) {
+        const preview = speed * CORNER_PREVIEW_TIME;
+        let curvature = 0;
+        for (let ahead = 0; ahead <= preview; ahead += CORNER_SAMPLE_SPACING) {
+            curvature = Math.max(curvature, Math.abs(track.getCurvature(z + ahead)));
+        }
+        return curvature > 0 ? Math.sqrt(CORNER_GRIP / curvature) : Infinity;
+    }
+
+    /**
+     * Choose the line to head for: go back to the preferred lane when that's clear (once the
+     * driver has held the line it moved to for a while), stay on the current one while it's clear,
+     * and otherwise take the nearest clear lane
+     */
+    planLine(vehicle, track, obstacles, cars, deltaTime) {
+        const z = vehicle.position.z;
+        const speed = Math.max(0, vehicle.speed);
+        const halfWidth = vehicle.definition.hitbox.halfWidth;
+        const reach = REACT_DISTANCE + speed * this.reactTime;
+
+        // Obstacles ahead within reach, and slower cars ahead within passing distance
+        const hazards = [];
+        obstacles.forEach(obstacle => {
+            const hitbox = obstacle.userData.hitbox;
+            const ahead = obstacle.position.z - z;
+            if (ahead > -hitbox.halfDepth && ahead < reach) {
+                hazards.push({ offset: track.getLateralOffset(obstacle.position), halfWidth: hitbox.halfWidth });
+            }
+        });
+        cars.forEach(car => {
+            const ahead = car.position.z - z;
+            if (ahead > 0 && ahead < this.passDistance && car.speed < speed) {
+                hazards.push({ offset: track.getLateralOffset(car.position), halfWidth: car.definition.hitbox.halfWidth });
+            }
+        });
+
+        const isClear = line => hazards.every(hazard =>
+            Math.abs(hazard.offset - line) > halfWidth + hazard.halfWidth + this.clearance);
+
+        this.boxedIn = false;
+        this.lineHold = Math.max(0, this.lineHold - deltaTime);
+        if (this.lineHold === 0 && isClear(this.homeLine)) {
+            this.targetLine = this.homeLine;
+        } else if (!isClear(this.targetLine)) {
+            const clearLines = LANE_LINES.filter(isClear)
+                .sort((a, b) => Math.abs(a - this.line) - Math.abs(b - this.line));
+            if (clearLines.length > 0) {
+                this.targetLine = clearLines[0];
+                this.lineHold = LINE_HOLD_TIME;
+            } else {
+                this.boxedIn = true;
+            }
+        }
+    }
+}
+
+// Rival class - a car in the race and the driver at its wheel
+class Rival {
+    /**
+     * @param {Object} entry - Roster entry (see RIVAL_ROSTER)
+     * @param {Number} slot - Place on the starting grid (0 is the front row, outside left)
+     */
+    constructor(entry, slot) {
+        this.name = entry.name;
+        this.color = entry.color;
+        this.slot = slot;
+        this.vehicleClass = getVehicleClass(entry.vehicle);
+        this.vehicle = new Vehicle(this.vehicleClass);
+        this.driver = new RivalDriver(entry);
+
+        this.retired = false;            // Wrecked, or dropped too far behind to race
+        this.lastObstacleHit = null;     // Obstacle it's touching, so one hit counts once
+    }
+
+    /**
+     * Put the rival back in its grid slot for a new race
+     * @param {Number} seed - Track seed (the driver's randomness comes from it)
+     */
+    reset(seed) {
+        const line = this.slot % 2 === 0 ? -LANE_WIDTH : LANE_WIDTH;
+        const z = GRID_FIRST_ROW + Math.floor(this.slot / 2) * GRID_ROW_SPACING;
+
+        // The grid sits on the straight out of the starting area, where the centerline is at x = 0
+        this.vehicle.reset(line, 1.0, z);
+        this.driver.reset(line, new SeededRandom(seed).fork(`rival:${this.name}`));
+
+        this.retired = false;
+        this.lastObstacleHit = null;
+    }
+}
+
+/**
+ * Create the rivals for a race, from the top of the roster
+ * @param {Number} count - Number of rivals (0 to MAX_RIVALS)
+ * @throws {Error} If the count is out of range
+ */
+function createRivals(count) {
+    if (!Number.isInteger(count) || count < 0 || count > MAX_RIVALS) {
+        throw new Error(`Rival count must be 0 to ${MAX_RIVALS}`);
+    }
+    return RIVAL_ROSTER.slice(0, count).map((entry, slot) => new Rival(entry, slot));
+}
+
+// Export the AI classes and roster
+export { Rival, RivalDriver, createRivals, RIVAL_ROSTER, MAX_RIVALS };
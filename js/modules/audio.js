@@ -14,6 +14,7 @@ class AudioSystem {
         this.initialized = false;
         this.backgroundMusic = null;
         this.lastKickTime = 0;
+        this.paused = false;
     }
     
     /**
@@ -39,9 +40,27 @@ class AudioSystem {
     resume() {
         if (!this.initialized) return Promise.reject("Audio system not initialized");
         
+        this.paused = false;
         return this.audioContext.resume();
     }
     
+    /**
+     * Suspend all audio (game paused) - resume() picks up where it left off
+     */
+    suspend() {
+        if (!this.initialized) return Promise.resolve();
+        
+        this.paused = true;
+        return this.audioContext.suspend();
+    }
+    
+    /**
+     * Check if the background music is playing
+     */
+    isMusicPlaying() {
+        return !!(this.backgroundMusic && this.backgroundMusic.started);
+    }
+    
     /**
      * Play startup sound when game begins
      */
@@ -342,6 +361,9 @@ class AudioSystem {
                     return;
                 }
                 
+                // Hold the melody while suspended so notes don't pile up
+                if (this.paused) return;
+                
                 // Determine which phrase we're in (0-3)
                 const phraseIndex = Math.floor(melodyIndex / 10) % 4;
                 
@@ -666,6 +688,91 @@ class AudioSystem {
         harmOsc.stop(this.audioContext.currentTime + 0.25);
     }
     
+    /**
+     * Play the near miss sound - a short filtered-noise whoosh, louder the closer the pass
+     * @param {Number} closeness - 0 at the edge of the near miss margin, 1 for a scrape
+     */
+    playNearMissSound(closeness = 0.5) {
+        if (!this.initialized) return;
+        
+        const now = this.audioContext.currentTime;
+        const duration = 0.35;
+        
+        // White noise for the rush of air
+        const bufferLength = Math.floor(this.audioContext.sampleRate * duration);
+        const buffer = this.audioContext.createBuffer(1, bufferLength, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < bufferLength; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        
+        const noise = this.audioContext.createBufferSource();
+        noise.buffer = buffer;
+        
+        // Sweep a band-pass down, like the obstacle dopplering past
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 4;
+        filter.frequency.setValueAtTime(3000, now);
+        filter.frequency.exponentialRampToValueAtTime(400, now + duration);
+        
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.setValueAtTime(0.1 + 0.25 * closeness, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration);
+        
+        noise.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        noise.start();
+        noise.stop(now + duration);
+    }
+    
+    /**
+     * Play the boost sound - a filtered synth sweep that rises over the boost
+     * @param {Number} duration - Seconds the boost lasts
+     */
+    playBoostSound(duration = 1.5) {
+        if (!this.initialized) return;
+        
+        const now = this.audioContext.currentTime;
+        
+        // Two detuned saws for a thick overdrive tone
+        const oscillator = this.audioContext.createOscillator();
+        const oscillator2 = this.audioContext.createOscillator();
+        const filter = this.audioContext.createBiquadFilter();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.type = 'sawtooth';
+        oscillator2.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(110, now);
+        oscillator.frequency.exponentialRampToValueAtTime(440, now + duration);
+        oscillator2.frequency.setValueAtTime(111.5, now);
+        oscillator2.frequency.exponentialRampToValueAtTime(446, now + duration);
+        
+        // Open the filter as the boost builds
+        filter.type = 'lowpass';
+        filter.Q.value = 8;
+        filter.frequency.setValueAtTime(300, now);
+        filter.frequency.exponentialRampToValueAtTime(4000, now + duration * 0.8);
+        
+        // Quick swell, hold, then fade out as the boost ends
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.15, now + 0.1);
+        gainNode.gain.setValueAtTime(0.15, now + duration * 0.7);
+        gainNode.gain.linearRampToValueAtTime(0, now + duration);
+        
+        oscillator.connect(filter);
+        oscillator2.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.start();
+        oscillator2.start();
+        oscillator.stop(now + duration);
+        oscillator2.stop(now + duration);
+    }
+    
     /**
      * Stop all audio
      */
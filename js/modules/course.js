@@ -0,0 +1,238 @@
+/**
+ * Course Module for Neon Drift Protocol
+ *
+ * Fixed-length courses for time trials:
+ * - A course is point-to-point (start gate to finish gate once) or a closed circuit,
+ *   whose road repeats every lap so each lap drives the same bends
+ * - Every lap is split into equal sectors, with a checkpoint gate at the end of each
+ * - The course timer records when a car crosses each checkpoint, timed between ticks
+ *   so a split doesn't depend on where a tick happened to fall
+ * - The best time (with its splits) for each course and track seed is kept in localStorage
+ */
+
+import { formatSeed, normalizeSeed } from './random.js';
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.courseBests';
+
+// Courses, selected by game mode (see END_CONDITIONS in simulation.js) - a circuit's lap has to be
+// at least MIN_LAP_LENGTH (see track.js) for its bends to fit
+const COURSES = {
+    sprint: { id: 'sprint', name: 'SPRINT', closed: false, lapLength: 5000, laps: 1, sectors: 5 },
+    rally: { id: 'rally', name: 'RALLY', closed: false, lapLength: 15000, laps: 1, sectors: 5 },
+    circuit: { id: 'circuit', name: 'CIRCUIT', closed: true, lapLength: 3000, laps: 3, sectors: 3 }
+};
+
+/**
+ * Get the total length of a course, every lap included
+ */
+function getCourseLength(course) {
+    return course.lapLength * course.laps;
+}
+
+/**
+ * Get where down the track each checkpoint is, in order (the last one is the finish line)
+ */
+function getCheckpointPositions(course) {
+    const sectorLength = course.lapLength / course.sectors;
+    const positions = [];
+    for (let index = 1; index <= course.laps * course.sectors; index++) {
+        positions.push(index * sectorLength);
+    }
+    return positions;
+}
+
+// Course timer class - one car's checkpoint times on a course
+class CourseTimer {
+    /**
+     * @param {Object} course - Course definition (see COURSES)
+     */
+    constructor(course) {
+        this.course = course;
+        this.checkpoints = getCheckpointPositions(course);
+        this.splits = [];                // Run time at each checkpoint crossed, in order
+
+        // Where the car was on the last tick, to time crossings between ticks
+        this.lastDistance = 0;
+        this.lastTime = 0;
+    }
+
+    /**
+     * Check if the car has crossed the finish line
+     */
+    get finished() {
+        return this.splits.length === this.checkpoints.length;
+    }
+
+    /**
+     * Run time at the finish line, or null until it's crossed
+     */
+    get finishTime() {
+        return this.finished ? this.splits[this.splits.length - 1] : null;
+    }
+
+    /**
+     * Time the checkpoints the car crossed since the last tick
+     * @param {Number} distance - How far down the track the car is now
+     * @param {Number} time - Run time now
+     * @returns {Array<Object>} The checkpoints crossed (see getCheckpoint)
+     */
+    update(distance, time) {
+        const crossed = [];
+
+        while (!this.finished && distance >= this.checkpoints[this.splits.length]) {
+            // Crossed partway between the ticks, in proportion to the distance covered
+            const line = this.checkpoints[this.splits.length];
+            const travelled = distance - this.lastDistance;
+            const share = travelled > 0 ? Math.min(1, Math.max(0, (line - this.lastDistance) / travelled)) : 1;
+            this.splits.push(this.lastTime + (time - this.lastTime) * share);
+
+            crossed.push(this.getCheckpoint(this.splits.length - 1));
+        }
+
+        this.lastDistance = distance;
+        this.lastTime = time;
+        return crossed;
+    }
+
+    /**
+     * Describe a crossed checkpoint
+     * @returns {Object} { index, lap, sector, time, sectorTime, lapTime, finish } - lap and sector
+     *     count from 0; lapTime is only set at the end of a lap
+     */
+    getCheckpoint(index) {
+        const sectors = this.course.sectors;
+        const lap = Math.floor(index / sectors);
+        const time = this.splits[index];
+        const endsLap = index % sectors === sectors - 1;
+
+        return {
+            index,
+            lap,
+            sector: index % sectors,
+            time,
+            sectorTime: time - (index > 0 ? this.splits[index - 1] : 0),
+            lapTime: endsLap ? time - this.getLapStartTime(lap) : null,
+            finish: index === this.checkpoints.length - 1
+        };
+    }
+
+    /**
+     * Get the run time a lap started at
+     */
+    getLapStartTime(lap) {
+        return lap > 0 ? this.splits[lap * this.course.sectors - 1] : 0;
+    }
+
+    /**
+     * Get the time of every completed lap
+     */
+    getLapTimes() {
+        const laps = Math.floor(this.splits.length / this.course.sectors);
+        const times = [];
+        for (let lap = 0; lap < laps; lap++) {
+            times.push(this.getLapStartTime(lap + 1) - this.getLapStartTime(lap));
+        }
+        return times;
+    }
+
+    /**
+     * Get the lap and sector the car is on, and how long it's been on them (frozen at the finish)
+     * @param {Number} time - Run time now
+     * @returns {Object} { lap, sector, lapTime, sectorTime } - lap and sector count from 0
+     */
+    getProgress(time) {
+        const sectors = this.course.sectors;
+        const index = Math.min(this.splits.length, this.checkpoints.length - 1);
+        const now = this.finished ? this.finishTime : time;
+        const lap = Math.floor(index / sectors);
+
+        return {
+            lap,
+            sector: index % sectors,
+            lapTime: now - this.getLapStartTime(lap),
+            sectorTime: now - (index > 0 ? this.splits[index - 1] : 0)
+        };
+    }
+}
+
+// Best time store class - the fastest finish on each course and track seed
+class BestTimeStore {
+    /**
+     * @param {Storage} storage - Where to keep the times (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+
+        // { time, splits, savedAt } by key ("course:SEED")
+        this.bests = {};
+
+        this.load();
+    }
+
+    /**
+     * Get the key for a course and seed
+     */
+    getKey(courseId, seed) {
+        return `${courseId}:${formatSeed(normalizeSeed(seed))}`;
+    }
+
+    /**
+     * Load the best times from storage
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const data = this.storage.getItem(STORAGE_KEY);
+            if (data) {
+                this.bests = JSON.parse(data);
+            }
+        } catch (e) {
+            console.warn("BestTimeStore: Ignoring unreadable best times", e);
+            this.bests = {};
+        }
+    }
+
+    /**
+     * Save the best times to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bests));
+        } catch (e) {
+            console.warn("BestTimeStore: Failed to save best times", e);
+        }
+    }
+
+    /**
+     * Get the best time for a course and seed
+     * @returns {Object|null} { time, splits, savedAt }, or null if the course hasn't been finished
+     */
+    getBest(courseId, seed) {
+        return this.bests[this.getKey(courseId, seed)] || null;
+    }
+
+    /**
+     * Keep a finished run's splits if it beats the best time for its course and seed
+     * @param {Array<Number>} splits - Run time at each checkpoint (the last is the finish)
+     * @returns {Boolean} True if it's the new best time
+     */
+    submitRun(courseId, seed, splits) {
+        const key = this.getKey(courseId, seed);
+        const best = this.bests[key];
+        const time = splits[splits.length - 1];
+        if (best && best.time <= time) {
+            return false;
+        }
+
+        this.bests[key] = { time, splits: [...splits], savedAt: Date.now() };
+        this.save();
+        return true;
+    }
+}
+
+// Export the courses, the course timer and the best time store
+export { COURSES, CourseTimer, BestTimeStore, getCourseLength, getCheckpointPositions };
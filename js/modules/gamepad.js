@@ -0,0 +1,157 @@
+/**
+ * Gamepad Module for Neon Drift Protocol
+ *
+ * Reads a standard-mapping controller through the Gamepad API:
+ * - Analog steering from the left stick, throttle and brake from the triggers
+ * - Stick deadzone and steering sensitivity settings, saved per browser
+ * - Analog values are quantized to the replay precision so runs replay exactly
+ * - Reads a second controller for player two in split screen, with the same settings
+ */
+
+import { quantizeAnalog } from './replay.js';
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.gamepad';
+
+// Settings and the range the controls menu can adjust them in
+const DEFAULT_GAMEPAD_SETTINGS = {
+    deadzone: 0.15,      // Stick travel ignored around the center (0-1)
+    sensitivity: 1.0     // Steering multiplier - above 1 reaches full lock before the stick's edge
+};
+const GAMEPAD_SETTING_LIMITS = {
+    deadzone: { min: 0, max: 0.5, step: 0.05 },
+    sensitivity: { min: 0.5, max: 2.0, step: 0.1 }
+};
+
+const TRIGGER_DEADZONE = 0.05;   // Triggers rarely rest at exactly 0
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const STEERING_AXIS = 0;         // Left stick X, -1 is left
+const GAMEPAD_BUTTONS = {
+    BOOST: 0,                    // A / Cross
+    REVERSE: 1,                  // B / Circle
+    BRAKE: 6,                    // Left trigger
+    ACCELERATE: 7,               // Right trigger
+    PAUSE: 9                     // Start / Options
+};
+
+/**
+ * Scale an axis value so the deadzone reads as 0 and the rest of the travel still covers 0-1
+ */
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// Gamepad input class
+class GamepadInput {
+    /**
+     * @param {Storage} storage - Where to keep the settings (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+        this.settings = { ...DEFAULT_GAMEPAD_SETTINGS };
+        this.pauseHeld = [];             // For detecting a fresh press of Start, by slot
+
+        this.load();
+    }
+
+    /**
+     * Load the settings from storage, keeping defaults for anything missing or out of range
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            Object.entries(GAMEPAD_SETTING_LIMITS).forEach(([name, limits]) => {
+                const value = saved[name];
+                if (Number.isFinite(value) && value >= limits.min && value <= limits.max) {
+                    this.settings[name] = value;
+                }
+            });
+        } catch (e) {
+            console.warn("GamepadInput: Ignoring unreadable gamepad settings", e);
+        }
+    }
+
+    /**
+     * Save the settings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn("GamepadInput: Failed to save gamepad settings", e);
+        }
+    }
+
+    /**
+     * Step a setting up (direction 1) or down (-1) within its limits and save
+     */
+    adjustSetting(name, direction) {
+        const limits = GAMEPAD_SETTING_LIMITS[name];
+        if (!limits) return;
+
+        const value = this.settings[name] + Math.sign(direction) * limits.step;
+
+        // Round away floating point drift so the steps stay on the grid
+        this.settings[name] = Math.round(Math.min(limits.max, Math.max(limits.min, value)) * 100) / 100;
+        this.save();
+    }
+
+    /**
+     * Get a connected gamepad, or null
+     * @param {Number} slot - 0 for the first connected gamepad, 1 for the second
+     */
+    getGamepad(slot = 0) {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected)[slot] || null;
+    }
+
+    /**
+     * Read the current gamepad state (call once per frame - the Gamepad API has no events for input)
+     * @param {Number} slot - 0 for the first connected gamepad, 1 for the second (player two in split screen)
+     * @returns {Object|null} { accelerate, brake, reverse, boost, steering, active, pausePressed }, or null with no gamepad
+     */
+    poll(slot = 0) {
+        const pad = this.getGamepad(slot);
+        if (!pad) {
+            this.pauseHeld[slot] = false;
+            return null;
+        }
+
+        const button = index => (pad.buttons[index] ? pad.buttons[index].value : 0);
+        const trigger = index => quantizeAnalog(applyDeadzone(button(index), TRIGGER_DEADZONE));
+
+        // Positive steering is left, matching the vehicle's steering angle
+        const stick = applyDeadzone(pad.axes[STEERING_AXIS] || 0, this.settings.deadzone);
+        const steering = quantizeAnalog(-Math.max(-1, Math.min(1, stick * this.settings.sensitivity)));
+
+        const state = {
+            accelerate: trigger(GAMEPAD_BUTTONS.ACCELERATE),
+            brake: trigger(GAMEPAD_BUTTONS.BRAKE),
+            reverse: button(GAMEPAD_BUTTONS.REVERSE) > 0.5 ? 1 : 0,
+            boost: button(GAMEPAD_BUTTONS.BOOST) > 0.5,
+            steering
+        };
+
+        // Only take over from the keyboard while the pad is actually being used
+        state.active = state.accelerate > 0 || state.brake > 0 || state.reverse > 0 || state.boost ||
+            state.steering !== 0;
+
+        const pauseHeld = button(GAMEPAD_BUTTONS.PAUSE) > 0.5;
+        state.pausePressed = pauseHeld && !this.pauseHeld[slot];
+        this.pauseHeld[slot] = pauseHeld;
+
+        return state;
+    }
+}
+
+// Export the gamepad class and settings
+export { GamepadInput, DEFAULT_GAMEPAD_SETTINGS, GAMEPAD_SETTING_LIMITS, applyDeadzone };
@@ -0,0 +1,243 @@
+/**
+ * Ghost Module for Neon Drift Protocol
+ *
+ * Races the player against an earlier run on the same track:
+ * - A ghost is built from a replay (the personal best or a loaded file), played through headless
+ *   up front to record the car's position and heading on every tick
+ * - The game replays that track alongside the live run, tick for tick
+ * - Split times at every distance marker show how far ahead or behind the ghost the live run is
+ * - The best run's replay for each game mode and track seed is kept in localStorage (the fastest
+ *   course time in time trials, rather than the highest score)
+ */
+
+import { Simulation } from './simulation.js';
+import { ReplayPlayer, parseReplay } from './replay.js';
+import { formatSeed, normalizeSeed } from './random.js';
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.ghosts';
+const MAX_GHOSTS = 10;                   // Personal bests kept (replays are big, so the oldest go first)
+
+// Split times
+const SPLIT_DISTANCE = 1000;             // Distance between markers down the track
+
+// Values recorded per tick: x, y, z, rotation
+const TRACK_STRIDE = 4;
+
+// Ghost class - the recorded track of one run
+class Ghost {
+    /**
+     * @param {Object} replay - Replay object as returned by parseReplay()
+     */
+    constructor(replay) {
+        this.seed = replay.seed;
+        this.mode = replay.mode;
+        this.vehicle = replay.vehicle;
+
+        this.record(replay);
+        this.reset();
+    }
+
+    /**
+     * Play the replay through headless, recording the car's transform every tick
+     * and the time it first reached each split marker
+     */
+    record(replay) {
+        const simulation = new Simulation(null, replay.seed, replay.mode, replay.vehicle, replay.rivals).init();
+        const player = new ReplayPlayer(replay);
+
+        // Tick 0 is the start line; the run stops early if its end condition was met
+        const track = new Float32Array((replay.ticks + 1) * TRACK_STRIDE);
+        this.splitTimes = [];
+
+        let tick = 0;
+        this.storeTransform(track, tick, simulation.vehicle);
+        while (tick < replay.ticks && !simulation.finished) {
+            simulation.tick(player.getInputState(tick));
+            tick++;
+            this.storeTransform(track, tick, simulation.vehicle);
+
+            while (simulation.furthestDistance >= (this.splitTimes.length + 1) * SPLIT_DISTANCE) {
+                this.splitTimes.push(simulation.time);
+            }
+        }
+
+        this.track = track;
+        this.ticks = tick;
+        this.score = simulation.score;
+    }
+
+    /**
+     * Write a vehicle's transform into the track
+     */
+    storeTransform(track, tick, vehicle) {
+        const offset = tick * TRACK_STRIDE;
+        track[offset] = vehicle.position.x;
+        track[offset + 1] = vehicle.position.y;
+        track[offset + 2] = vehicle.position.z;
+        track[offset + 3] = vehicle.rotation.y;
+    }
+
+    /**
+     * Start the split times over for a new run against the ghost
+     */
+    reset() {
+        this.nextSplit = 0;
+    }
+
+    /**
+     * Check if the ghost was recorded on this track and mode
+     */
+    matches(seed, mode) {
+        return this.seed === normalizeSeed(seed) && this.mode === mode;
+    }
+
+    /**
+     * Check if the ghost's run is over by the given tick
+     */
+    isFinished(tick) {
+        return tick > this.ticks;
+    }
+
+    /**
+     * Get the ghost's transform between the tick before and the given tick
+     * @param {Number} tick - Live simulation tick (the ghost holds its last position once its run is over)
+     * @param {Number} alpha - 0 for the previous tick, 1 for the given tick
+     * @returns {Object} { position, rotationY }
+     */
+    getTransform(tick, alpha = 1) {
+        const current = Math.min(tick, this.ticks) * TRACK_STRIDE;
+        const previous = Math.min(Math.max(tick - 1, 0), this.ticks) * TRACK_STRIDE;
+        const track = this.track;
+
+        const position = new THREE.Vector3(track[previous], track[previous + 1], track[previous + 2])
+            .lerp(new THREE.Vector3(track[current], track[current + 1], track[current + 2]), alpha);
+        const rotationY = THREE.MathUtils.lerp(track[previous + 3], track[current + 3], alpha);
+
+        return { position, rotationY };
+    }
+
+    /**
+     * Compare the live run against the ghost once it passes the next split marker
+     * @param {Number} furthestDistance - Furthest point the live run has reached
+     * @param {Number} time - Live run time in seconds
+     * @returns {Object|null} { distance, delta } when a marker was passed - delta is seconds behind
+     *     the ghost (negative when ahead), or null if the ghost never got that far
+     */
+    checkSplit(furthestDistance, time) {
+        let split = null;
+
+        while (furthestDistance >= (this.nextSplit + 1) * SPLIT_DISTANCE) {
+            const ghostTime = this.splitTimes[this.nextSplit];
+            split = {
+                distance: (this.nextSplit + 1) * SPLIT_DISTANCE,
+                delta: ghostTime !== undefined ? time - ghostTime : null
+            };
+            this.nextSplit++;
+        }
+
+        return split;
+    }
+}
+
+// Ghost store class - the personal best replay for each mode and seed
+class GhostStore {
+    /**
+     * @param {Storage} storage - Where to keep the replays (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+
+        // { score, savedAt, replay } by key ("mode:SEED")
+        this.bests = {};
+
+        this.load();
+    }
+
+    /**
+     * Get the key for a mode and seed
+     */
+    getKey(mode, seed) {
+        return `${mode}:${formatSeed(normalizeSeed(seed))}`;
+    }
+
+    /**
+     * Load the personal bests from storage
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const data = this.storage.getItem(STORAGE_KEY);
+            if (data) {
+                this.bests = JSON.parse(data);
+            }
+        } catch (e) {
+            console.warn("GhostStore: Ignoring unreadable ghosts", e);
+            this.bests = {};
+        }
+    }
+
+    /**
+     * Save the personal bests to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bests));
+        } catch (e) {
+            // Storage can be full - keep the ghost for this session only
+            console.warn("GhostStore: Failed to save ghosts", e);
+        }
+    }
+
+    /**
+     * Get the personal best replay for a mode and seed
+     * @returns {Object|null} Replay object as returned by parseReplay(), or null if there's no usable one
+     */
+    getBest(mode, seed) {
+        const best = this.bests[this.getKey(mode, seed)];
+        if (!best) return null;
+
+        try {
+            return parseReplay(best.replay);
+        } catch (e) {
+            console.warn("GhostStore: Ignoring unplayable ghost", e);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a finished run's replay if it beats the personal best for its mode and seed
+     * @param {Object} replay - Replay object from ReplayRecorder.toJSON()
+     * @param {Number|null} courseTime - Time trials: the run's course time, which ranks it
+     *     instead of the score (lower is better)
+     * @returns {Boolean} True if it's the new personal best
+     */
+    submitRun(mode, seed, score, replay, courseTime = null) {
+        const key = this.getKey(mode, seed);
+        const best = this.bests[key];
+        if (best && (courseTime !== null ?
+            Number.isFinite(best.courseTime) && best.courseTime <= courseTime :
+            best.score >= score)) {
+            return false;
+        }
+
+        this.bests[key] = { score, courseTime, savedAt: Date.now(), replay };
+
+        // Drop the oldest personal bests beyond the limit
+        const keys = Object.keys(this.bests);
+        if (keys.length > MAX_GHOSTS) {
+            keys.sort((a, b) => this.bests[a].savedAt - this.bests[b].savedAt)
+                .slice(0, keys.length - MAX_GHOSTS)
+                .forEach(oldKey => delete this.bests[oldKey]);
+        }
+
+        this.save();
+        return true;
+    }
+}
+
+// Export the ghost classes
+export { Ghost, GhostStore, SPLIT_DISTANCE };
@@ -0,0 +1,249 @@
+/**
+ * High Score Module for Neon Drift Protocol
+ *
+ * Keeps the best runs on this machine:
+ * - Top runs per game mode and track seed, stored in localStorage
+ * - JSON export/import so tables can be backed up or moved between browsers
+ * - Arcade-style three letter initials entry
+ */
+
+import { formatSeed, normalizeSeed } from './random.js';
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.highScores';
+const HIGH_SCORE_FORMAT = 'neon-drift-highscores';
+const HIGH_SCORE_VERSION = 1;
+const MAX_ENTRIES = 10;              // Runs kept per mode and seed
+
+// Initials entry
+const INITIALS_LENGTH = 3;
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+
+// High score table class
+class HighScoreTable {
+    /**
+     * @param {Storage} storage - Where to keep the table (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+
+        // Runs by table key ("mode:SEED"), best first
+        this.tables = {};
+
+        this.load();
+    }
+
+    /**
+     * Get the table key for a mode and seed
+     */
+    getKey(mode, seed) {
+        return `${mode}:${formatSeed(normalizeSeed(seed))}`;
+    }
+
+    /**
+     * Load the tables from storage
+     * A missing or unreadable entry just means an empty table
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const data = this.storage.getItem(STORAGE_KEY);
+            if (data) {
+                this.tables = this.parse(data).tables;
+            }
+        } catch (e) {
+            console.warn("HighScoreTable: Ignoring unreadable high scores", e);
+            this.tables = {};
+        }
+    }
+
+    /**
+     * Save the tables to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, this.exportJSON());
+        } catch (e) {
+            // Storage can be full or disabled (private browsing) - keep scores for this session only
+            console.warn("HighScoreTable: Failed to save high scores", e);
+        }
+    }
+
+    /**
+     * Get the top runs for a mode and seed, best first
+     */
+    getScores(mode, seed) {
+        return this.tables[this.getKey(mode, seed)] || [];
+    }
+
+    /**
+     * Get the rank (0-based) a score would take, or -1 if it wouldn't place
+     */
+    getRank(mode, seed, score) {
+        const scores = this.getScores(mode, seed);
+
+        // Ties go below existing entries, like an arcade cabinet
+        const rank = scores.findIndex(entry => score > entry.score);
+        if (rank !== -1) return rank;
+
+        return scores.length < MAX_ENTRIES ? scores.length : -1;
+    }
+
+    /**
+     * Check whether a score would place in the table
+     */
+    qualifies(mode, seed, score) {
+        return score > 0 && this.getRank(mode, seed, score) !== -1;
+    }
+
+    /**
+     * Add a run to the table and save it
+     * @param {Object} run - { initials, score, distance, time }
+     * @returns {Number} Rank of the new entry (0-based), or -1 if it didn't place
+     */
+    addScore(mode, seed, run) {
+        const rank = this.getRank(mode, seed, run.score);
+        if (rank === -1) return -1;
+
+        const key = this.getKey(mode, seed);
+        const scores = this.tables[key] ? this.tables[key].slice() : [];
+
+        scores.splice(rank, 0, {
+            initials: run.initials,
+            score: run.score,
+            distance: Math.floor(run.distance),
+            time: run.time,
+            date: run.date || new Date().toISOString()
+        });
+
+        this.tables[key] = scores.slice(0, MAX_ENTRIES);
+        this.save();
+
+        return rank;
+    }
+
+    /**
+     * Get all tables as a JSON string for export
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: HIGH_SCORE_FORMAT,
+            version: HIGH_SCORE_VERSION,
+            tables: this.tables
+        });
+    }
+
+    /**
+     * Merge exported tables into this one and save
+     * @returns {Number} Number of runs that made it into the tables
+     * @throws {Error} If the data is not a valid high score export
+     */
+    importJSON(data) {
+        const imported = this.parse(data);
+        let added = 0;
+
+        Object.entries(imported.tables).forEach(([key, entries]) => {
+            const [mode, seed] = key.split(':');
+
+            entries.forEach(entry => {
+                // Skip runs we already have
+                const existing = this.getScores(mode, seed);
+                const duplicate = existing.some(other =>
+                    other.date === entry.date && other.score === entry.score && other.initials === entry.initials);
+
+                if (!duplicate && this.addScore(mode, seed, entry) !== -1) {
+                    added++;
+                }
+            });
+        });
+
+        this.save();
+        return added;
+    }
+
+    /**
+     * Parse and validate exported tables
+     * @throws {Error} If the data is not a valid high score export
+     */
+    parse(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!parsed || parsed.format !== HIGH_SCORE_FORMAT || typeof parsed.tables !== 'object') {
+            throw new Error('Not a Neon Drift high score file');
+        }
+        if (parsed.version > HIGH_SCORE_VERSION) {
+            throw new Error(`High score version ${parsed.version} is newer than this game supports`);
+        }
+
+        const valid = Object.entries(parsed.tables).every(([key, entries]) =>
+            key.includes(':') && Array.isArray(entries) && entries.every(entry =>
+                entry && typeof entry.initials === 'string' && Number.isFinite(entry.score)));
+        if (!valid) {
+            throw new Error('High score data is corrupted');
+        }
+
+        return parsed;
+    }
+}
+
+// Initials entry class
+class InitialsEntry {
+    constructor(initials = 'AAA') {
+        this.letters = initials.padEnd(INITIALS_LENGTH).slice(0, INITIALS_LENGTH).split('');
+        this.cursor = 0;
+        this.done = false;
+    }
+
+    /**
+     * Handle a key press
+     * Up/Down cycle the letter, Left/Right move, typing sets a letter, Enter confirms
+     * @returns {Boolean} True if the key was used
+     */
+    handleKey(key) {
+        if (this.done) return false;
+
+        if (key === 'ArrowUp' || key === 'ArrowDown') {
+            this.cycleLetter(key === 'ArrowUp' ? 1 : -1);
+        } else if (key === 'ArrowLeft' || key === 'Backspace') {
+            this.cursor = Math.max(0, this.cursor - 1);
+        } else if (key === 'ArrowRight') {
+            this.cursor = Math.min(INITIALS_LENGTH - 1, this.cursor + 1);
+        } else if (key === 'Enter') {
+            this.done = true;
+        } else if (key.length === 1 && INITIALS_ALPHABET.includes(key.toUpperCase()) && key !== ' ') {
+            // Typing a letter sets it and moves on; typing the last one confirms
+            this.letters[this.cursor] = key.toUpperCase();
+            if (this.cursor === INITIALS_LENGTH - 1) {
+                this.done = true;
+            } else {
+                this.cursor++;
+            }
+        } else {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Step the letter under the cursor through the alphabet
+     */
+    cycleLetter(direction) {
+        const index = INITIALS_ALPHABET.indexOf(this.letters[this.cursor]);
+        const next = (index + direction + INITIALS_ALPHABET.length) % INITIALS_ALPHABET.length;
+        this.letters[this.cursor] = INITIALS_ALPHABET[next];
+    }
+
+    /**
+     * Get the entered initials
+     */
+    getInitials() {
+        return this.letters.join('').trim() || '???';
+    }
+}
+
+// Export the high score classes
+export { HighScoreTable, InitialsEntry, MAX_ENTRIES };
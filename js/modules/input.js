@@ -2,27 +2,85 @@
  * Input Module for Neon Drift Protocol
  * 
  * Handles all user input including:
- * - Keyboard controls
+ * - Keyboard controls (rebindable, see keybindings.js)
+ * - Gamepad controls (analog, see gamepad.js)
+ * - Touch and tilt controls (see touch.js)
+ * - Split screen controls for two players (WASD and arrows, or a gamepad each)
  * - Game control state
  * - Debug mode toggling
+ * - Replay save / load controls
+ * - Pause, restart and end-of-run controls
+ * - Text entry (high score initials)
  */
 
-// Default key bindings
-const KEY_BINDINGS = {
-    ACCELERATE: ['ArrowUp', 'w', 'W'],
-    BRAKE: [' '], // Spacebar is now the dedicated brake
-    REVERSE: ['ArrowDown', 's', 'S'], // Down arrow now controls reverse
-    TURN_LEFT: ['ArrowLeft', 'a', 'A'],
-    TURN_RIGHT: ['ArrowRight', 'd', 'D'],
-    DEBUG_TOGGLE: ['d', 'D']
+import { KeyBindings, SPLIT_SCREEN_KEY_BINDINGS, RESERVED_KEYS, normalizeKey } from './keybindings.js';
+import { GamepadInput } from './gamepad.js';
+import { TouchControls } from './touch.js';
+
+// Menu buttons and the events they trigger
+const MENU_BUTTONS = {
+    resumeBtn: 'resume',
+    restartBtn: 'restart',
+    endRunBtn: 'endRun',
+    resultsRestartBtn: 'restart',
+    exportScoresBtn: 'exportHighScores',
+    touchPauseBtn: 'pauseToggle',
+    introControlsBtn: 'openControls',
+    controlsBtn: 'openControls',
+    controlsResetBtn: 'resetControls',
+    controlsDoneBtn: 'closeControls',
+    introGarageBtn: 'openGarage',
+    garageDoneBtn: 'closeGarage',
+    introLiveryBtn: 'openLivery',
+    liveryResetBtn: 'resetLivery',
+    liveryDoneBtn: 'closeLivery'
+};
+
+// File picker buttons: button id -> [file input id, event triggered with the chosen File]
+const FILE_BUTTONS = {
+    replayBtn: ['replayFile', 'replayFileSelected'],
+    ghostBtn: ['ghostFile', 'ghostFileSelected'],
+    importScoresBtn: ['highScoreFile', 'highScoreFileSelected']
 };
 
+/**
+ * Mix a gamepad's analog pedals and boost in with the keys (which still work alongside it, at full strength)
+ */
+function applyGamepad(state, pad) {
+    state.accelerate = Math.max(Number(state.accelerate), pad.accelerate);
+    state.brake = Math.max(Number(state.brake), pad.brake);
+    state.reverse = Math.max(Number(state.reverse), pad.reverse);
+    state.boost = state.boost || pad.boost;
+}
+
+/**
+ * Steer with an analog -1 (right) to 1 (left) target, unless steering keys or touch zones are held
+ */
+function applySteering(state, steering) {
+    if (steering !== null && !state.turnLeft && !state.turnRight) {
+        state.steering = steering;
+        state.turnLeft = steering > 0;
+        state.turnRight = steering < 0;
+    }
+}
+
 // Input handler class
 class InputHandler {
-    constructor() {
-        this.keysPressed = {};
+    /**
+     * @param {KeyBindings} keyBindings - Player's key bindings (defaults if omitted)
+     * @param {GamepadInput} gamepad - Gamepad reader with the player's settings (defaults if omitted)
+     */
+    constructor(keyBindings, gamepad) {
+        this.keyBindings = keyBindings || new KeyBindings();
+        this.gamepad = gamepad || new GamepadInput();
+        this.gamepadState = null;       // Latest poll, null without a gamepad
+        this.splitScreen = false;       // Two players sharing the keyboard and a gamepad each
+        this.secondGamepadState = null; // Latest poll of player two's gamepad in split screen
+        this.touch = new TouchControls();
+        this.keysPressed = {};          // By normalized key, so Shift doesn't matter
         this.debugMode = false;
         this.gameActive = false;
+        this.textEntryActive = false;   // Keys go to text entry instead of controls
         this.eventHandlers = {};
         
         // Initialize key state
@@ -30,6 +88,7 @@ class InputHandler {
             accelerate: false,
             brake: false,
             reverse: false, // Added reverse state
+            boost: false,
             turnLeft: false,
             turnRight: false
         };
@@ -39,6 +98,7 @@ class InputHandler {
      * Initialize input handler
      */
     init() {
+        this.touch.init();
         this.setupEventListeners();
         return this;
     }
@@ -56,33 +116,193 @@ class InputHandler {
         if (startBtn) {
             startBtn.addEventListener('click', this.startGame.bind(this));
         }
+        
+        // Load replay and high score files from the title screen
+        Object.entries(FILE_BUTTONS).forEach(([buttonId, [inputId, event]]) => {
+            const button = document.getElementById(buttonId);
+            const fileInput = document.getElementById(inputId);
+            if (!button || !fileInput) return;
+            
+            button.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.triggerEvent(event, fileInput.files[0]);
+                }
+                // Allow the same file to be picked again
+                fileInput.value = '';
+            });
+        });
+        
+        // Pause menu and results screen buttons
+        Object.entries(MENU_BUTTONS).forEach(([id, event]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.triggerEvent(event));
+            }
+        });
+        
+        // Key slots in the controls menu (rebuilt whenever the bindings change, so listen on the list)
+        const controlsList = document.getElementById('controlsList');
+        if (controlsList) {
+            controlsList.addEventListener('click', (event) => {
+                const slot = event.target.closest('[data-action]');
+                if (slot) {
+                    this.triggerEvent('rebindKey', {
+                        action: slot.dataset.action,
+                        slot: parseInt(slot.dataset.slot, 10)
+                    });
+                }
+            });
+        }
+        
+        // Vehicle classes in the garage (rebuilt on every change, so listen on the list)
+        const garageList = document.getElementById('garageList');
+        if (garageList) {
+            garageList.addEventListener('click', (event) => {
+                const car = event.target.closest('[data-vehicle]');
+                if (car) {
+                    this.triggerEvent('selectVehicle', car.dataset.vehicle);
+                }
+            });
+        }
+        
+        // Livery choices in the customizer
+        const liveryOptions = document.getElementById('liveryOptions');
+        if (liveryOptions) {
+            liveryOptions.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-livery]');
+                if (button) {
+                    this.triggerEvent('adjustLivery', {
+                        part: button.dataset.livery,
+                        direction: parseInt(button.dataset.direction, 10)
+                    });
+                }
+            });
+        }
+        
+        // Gamepad settings in the controls menu
+        const gamepadSettings = document.getElementById('gamepadSettings');
+        if (gamepadSettings) {
+            gamepadSettings.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-setting]');
+                if (button) {
+                    this.triggerEvent('adjustGamepadSetting', {
+                        setting: button.dataset.setting,
+                        direction: parseInt(button.dataset.direction, 10)
+                    });
+                }
+            });
+        }
+        
+        // Tilt steering toggle on the touch layout (has to ask for sensor access from the tap itself)
+        const tiltBtn = document.getElementById('touchTiltBtn');
+        if (tiltBtn) {
+            tiltBtn.addEventListener('click', () => {
+                this.touch.toggleTilt()
+                    .then(enabled => {
+                        tiltBtn.classList.toggle('held', enabled);
+                        this.triggerEvent('tiltToggle', enabled);
+                    })
+                    .catch(error => this.triggerEvent('tiltError', error));
+            });
+        }
+        
+        // Tapping the initials confirms them (there's no Enter key on a phone)
+        const initialsEntry = document.getElementById('initialsEntry');
+        if (initialsEntry) {
+            initialsEntry.addEventListener('click', () => {
+                if (this.textEntryActive) {
+                    this.triggerEvent('keyPress', 'Enter');
+                }
+            });
+        }
+        
+        // Controller plugged in or out
+        window.addEventListener('gamepadconnected', (event) => {
+            this.triggerEvent('gamepadConnected', event.gamepad.id);
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.gamepadState = null;
+            this.secondGamepadState = null;
+            this.triggerEvent('gamepadDisconnected', event.gamepad.id);
+        });
+        
+        // Pause when the tab is hidden, and forget keys held while it was
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.releaseAllKeys();
+                this.triggerEvent('focusLost');
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.releaseAllKeys();
+            this.triggerEvent('focusLost');
+        });
     }
     
     /**
      * Handle key down events
      */
     handleKeyDown(event) {
-        this.keysPressed[event.key] = true;
+        // While typing, keys only go to the text entry (so typing R doesn't save a replay)
+        if (this.textEntryActive) {
+            // Don't let Space/Enter also click the focused menu button
+            event.preventDefault();
+            if (!event.repeat || event.key.startsWith('Arrow')) {
+                this.triggerEvent('keyPress', event.key);
+            }
+            return;
+        }
+        
+        const key = normalizeKey(event.key);
+        this.keysPressed[key] = true;
         
         // Update input state based on pressed keys
         this.updateInputState();
         
-        // Check for debug mode toggle
-        if (KEY_BINDINGS.DEBUG_TOGGLE.includes(event.key)) {
+        // Check for debug mode toggle (reserved key, never a driving control)
+        if (key === RESERVED_KEYS.DEBUG_TOGGLE && !event.repeat) {
             this.toggleDebugMode();
         }
+        
+        // Check for replay save (ignore auto-repeat so holding the key saves once)
+        if (this.keyBindings.matches('SAVE_REPLAY', key) && !event.repeat) {
+            this.triggerEvent('saveReplay');
+        }
+        
+        // Check for pause toggle (Escape always works, even if PAUSE was rebound)
+        if ((key === RESERVED_KEYS.MENU || this.keyBindings.matches('PAUSE', key)) && !event.repeat) {
+            this.triggerEvent('pauseToggle');
+        }
     }
     
     /**
      * Handle key up events
      */
     handleKeyUp(event) {
-        this.keysPressed[event.key] = false;
+        this.keysPressed[normalizeKey(event.key)] = false;
         
         // Update input state based on released keys
         this.updateInputState();
     }
     
+    /**
+     * Send keys to text entry (true) or back to the game controls (false)
+     */
+    setTextEntry(active) {
+        this.textEntryActive = active;
+        this.releaseAllKeys();
+    }
+    
+    /**
+     * Treat every key as released (focus lost, so key up events won't arrive)
+     */
+    releaseAllKeys() {
+        this.keysPressed = {};
+        this.touch.releaseAll();
+        this.updateInputState();
+    }
+    
     /**
      * Update the input state based on pressed keys
      */
@@ -90,20 +310,25 @@ class InputHandler {
         // Store previous state to detect changes
         const prevState = { ...this.inputState };
         
+        const isHeld = action => this.keyBindings.getKeys(action).some(key => this.keysPressed[key]);
+        
         // Check acceleration keys
-        this.inputState.accelerate = KEY_BINDINGS.ACCELERATE.some(key => this.keysPressed[key]);
+        this.inputState.accelerate = isHeld('ACCELERATE');
         
-        // Check brake keys (spacebar)
-        this.inputState.brake = KEY_BINDINGS.BRAKE.some(key => this.keysPressed[key]);
+        // Check brake keys
+        this.inputState.brake = isHeld('BRAKE');
         
-        // Check reverse keys (down arrow/S)
-        this.inputState.reverse = KEY_BINDINGS.REVERSE.some(key => this.keysPressed[key]);
+        // Check reverse keys
+        this.inputState.reverse = isHeld('REVERSE');
+        
+        // Check boost keys
+        this.inputState.boost = isHeld('BOOST');
         
         // Check turn left keys
-        this.inputState.turnLeft = KEY_BINDINGS.TURN_LEFT.some(key => this.keysPressed[key]);
+        this.inputState.turnLeft = isHeld('TURN_LEFT');
         
         // Check turn right keys
-        this.inputState.turnRight = KEY_BINDINGS.TURN_RIGHT.some(key => this.keysPressed[key]);
+        this.inputState.turnRight = isHeld('TURN_RIGHT');
         
         // Debug log if state changes
         if (JSON.stringify(prevState) !== JSON.stringify(this.inputState)) {
@@ -140,11 +365,94 @@ class InputHandler {
         this.triggerEvent('gameStart');
     }
     
+    /**
+     * Poll the gamepads (call once per frame - gamepad input doesn't arrive as events)
+     */
+    update() {
+        this.gamepadState = this.gamepad.poll();
+        this.secondGamepadState = this.splitScreen ? this.gamepad.poll(1) : null;
+        
+        const pausePressed = [this.gamepadState, this.secondGamepadState].some(pad => pad && pad.pausePressed);
+        if (pausePressed && !this.textEntryActive) {
+            this.triggerEvent('pauseToggle');
+        }
+    }
+    
+    /**
+     * Switch between one player's controls and two players' split screen controls
+     */
+    setSplitScreen(enabled) {
+        this.splitScreen = enabled;
+        this.secondGamepadState = null;
+    }
+    
+    /**
+     * Show or hide the touch layout (it only appears on touch devices)
+     */
+    showTouchControls(visible) {
+        this.touch.setVisible(visible);
+    }
+    
     /**
      * Get the current input state
+     * Keys and touch pads give booleans; while the gamepad is in use accelerate, brake and reverse
+     * become 0-1 amounts, and the stick or tilt give steering as an analog -1 (right) to 1 (left) target
      */
     getInputState() {
-        return { ...this.inputState };
+        const state = { ...this.inputState };
+        const pad = this.gamepadState;
+        
+        // Touch pads work like keys
+        const touch = this.touch.getState();
+        Object.keys(touch).forEach(name => {
+            state[name] = state[name] || touch[name];
+        });
+        
+        if (pad && pad.active && !this.textEntryActive) {
+            applyGamepad(state, pad);
+        }
+        
+        // Analog steering from the stick, or tilt when the stick is centered
+        let steering = pad && pad.active && !this.textEntryActive ? pad.steering : null;
+        const tilt = this.touch.getTiltSteering();
+        if (!steering && tilt !== null) {
+            steering = tilt;
+        }
+        
+        // Steering keys and touch zones override analog steering
+        applySteering(state, steering);
+        
+        return state;
+    }
+    
+    /**
+     * Get the input state for each player in split screen
+     * Player one drives with WASD and player two with the arrows (see SPLIT_SCREEN_KEY_BINDINGS);
+     * the first connected gamepad is player one's and the second player two's
+     * @returns {Array<Object>} Input state for each player, like getInputState() gives
+     */
+    getSplitInputStates() {
+        const pads = [this.gamepadState, this.secondGamepadState];
+        
+        return SPLIT_SCREEN_KEY_BINDINGS.map((bindings, index) => {
+            const isHeld = action => bindings[action].some(key => this.keysPressed[key]);
+            const state = {
+                accelerate: isHeld('ACCELERATE'),
+                brake: isHeld('BRAKE'),
+                reverse: isHeld('REVERSE'),
+                boost: isHeld('BOOST'),
+                turnLeft: isHeld('TURN_LEFT'),
+                turnRight: isHeld('TURN_RIGHT')
+            };
+            
+            const pad = pads[index];
+            if (pad && pad.active && !this.textEntryActive) {
+                applyGamepad(state, pad);
+                applySteering(state, pad.steering);
+            }
+            
+            return state;
+        });
     }
     
     /**
@@ -158,7 +466,7 @@ class InputHandler {
      * Get raw key state
      */
     isKeyPressed(key) {
-        return !!this.keysPressed[key];
+        return !!this.keysPressed[normalizeKey(key)];
     }
     
     /**
@@ -0,0 +1,292 @@
+/**
+ * Key Bindings Module for Neon Drift Protocol
+ *
+ * Keeps the player's keyboard controls:
+ * - Up to two keys per action, starting from the defaults
+ * - Conflict detection so one key never drives two actions
+ * - Reserved keys (debug, menu) that can't be rebound
+ * - Saved per browser in localStorage
+ * - Fixed layouts for two players sharing one keyboard in split screen
+ */
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.keyBindings';
+const KEY_BINDINGS_VERSION = 1;
+const KEYS_PER_ACTION = 2;
+
+// Default key bindings (letters are stored lower case and match either case)
+const DEFAULT_KEY_BINDINGS = {
+    ACCELERATE: ['ArrowUp', 'w'],
+    BRAKE: [' '], // Spacebar is the dedicated brake
+    REVERSE: ['ArrowDown', 's'], // Down arrow controls reverse
+    TURN_LEFT: ['ArrowLeft', 'a'],
+    TURN_RIGHT: ['ArrowRight', 'd'],
+    BOOST: ['Shift', 'e'],
+    SAVE_REPLAY: ['r'],
+    PAUSE: ['p']
+};
+
+// Split screen layouts, one per player - fixed, so each player keeps to their own side of the keyboard
+const SPLIT_SCREEN_KEY_BINDINGS = [
+    {
+        ACCELERATE: ['w'],
+        BRAKE: [' '],
+        REVERSE: ['s'],
+        TURN_LEFT: ['a'],
+        TURN_RIGHT: ['d'],
+        BOOST: ['e']
+    },
+    {
+        ACCELERATE: ['ArrowUp'],
+        BRAKE: ['Enter'],
+        REVERSE: ['ArrowDown'],
+        TURN_LEFT: ['ArrowLeft'],
+        TURN_RIGHT: ['ArrowRight'],
+        BOOST: ['Shift']
+    }
+];
+
+// Names shown in the controls menu, in menu order
+const ACTION_LABELS = {
+    ACCELERATE: 'ACCELERATE',
+    BRAKE: 'BRAKE',
+    REVERSE: 'REVERSE',
+    TURN_LEFT: 'STEER LEFT',
+    TURN_RIGHT: 'STEER RIGHT',
+    BOOST: 'BOOST',
+    SAVE_REPLAY: 'SAVE REPLAY',
+    PAUSE: 'PAUSE'
+};
+
+// Keys with a fixed job - they can't be bound to anything else
+const RESERVED_KEYS = {
+    DEBUG_TOGGLE: '`',
+    MENU: 'Escape'       // Always pauses / backs out of menus, whatever PAUSE is bound to
+};
+
+// Display names for keys whose event.key isn't readable on its own
+const KEY_NAMES = {
+    ' ': 'SPACE',
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT',
+    Shift: 'SHIFT',
+    Enter: 'ENTER',
+    Escape: 'ESC'
+};
+
+/**
+ * Normalize a KeyboardEvent key so W and w (Shift held) are the same binding
+ */
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Get a short display name for a key
+ */
+function formatKey(key) {
+    return KEY_NAMES[key] || key.toUpperCase();
+}
+
+// Key bindings class
+class KeyBindings {
+    /**
+     * @param {Storage} storage - Where to keep the bindings (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+        this.bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+
+        this.load();
+    }
+
+    /**
+     * Load the bindings from storage
+     * Missing or broken bindings fall back to the defaults
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const data = this.storage.getItem(STORAGE_KEY);
+            if (data) {
+                this.bindings = this.parse(data);
+            }
+        } catch (e) {
+            console.warn("KeyBindings: Ignoring unreadable key bindings", e);
+            this.bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+        }
+    }
+
+    /**
+     * Save the bindings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({
+                version: KEY_BINDINGS_VERSION,
+                bindings: this.bindings
+            }));
+        } catch (e) {
+            // Storage can be full or disabled (private browsing) - keep bindings for this session only
+            console.warn("KeyBindings: Failed to save key bindings", e);
+        }
+    }
+
+    /**
+     * Get the keys bound to an action
+     */
+    getKeys(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Check whether a key is bound to an action
+     */
+    matches(action, key) {
+        return this.getKeys(action).includes(normalizeKey(key));
+    }
+
+    /**
+     * Get the action a key is bound to, or null
+     */
+    findAction(key) {
+        const normalized = normalizeKey(key);
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(normalized)) || null;
+    }
+
+    /**
+     * Bind a key to one of an action's slots and save
+     * @throws {Error} If the key is reserved or bound to another action
+     */
+    bind(action, slot, key) {
+        if (!DEFAULT_KEY_BINDINGS[action] || slot < 0 || slot >= KEYS_PER_ACTION) {
+            throw new Error(`Unknown binding ${action} ${slot}`);
+        }
+
+        const normalized = normalizeKey(key);
+        if (Object.values(RESERVED_KEYS).includes(normalized)) {
+            throw new Error(`${formatKey(normalized)} is reserved`);
+        }
+
+        const conflict = this.findAction(normalized);
+        if (conflict && conflict !== action) {
+            throw new Error(`${formatKey(normalized)} is already used for ${ACTION_LABELS[conflict]}`);
+        }
+
+        const keys = this.getKeys(action).slice();
+        const current = keys.indexOf(normalized);
+        if (current === -1) {
+            keys[Math.min(slot, keys.length)] = normalized;
+        } else if (slot < keys.length) {
+            // Already one of this action's keys - swap it with the key in the target slot
+            keys[current] = keys[slot];
+            keys[slot] = normalized;
+        }
+
+        this.bindings[action] = keys;
+        this.save();
+    }
+
+    /**
+     * Remove the key in one of an action's slots and save
+     * @throws {Error} If it's the action's last key
+     */
+    unbind(action, slot) {
+        const keys = this.getKeys(action);
+        if (slot >= keys.length) return;
+
+        if (keys.length === 1) {
+            throw new Error(`${ACTION_LABELS[action]} needs at least one key`);
+        }
+
+        this.bindings[action] = keys.filter((key, index) => index !== slot);
+        this.save();
+    }
+
+    /**
+     * Go back to the default bindings and save
+     */
+    resetToDefaults() {
+        this.bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+        this.save();
+    }
+
+    /**
+     * Parse and validate saved bindings
+     * Actions added since the bindings were saved get their defaults (those still free)
+     * @throws {Error} If the data is not valid bindings
+     */
+    parse(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!parsed || typeof parsed.bindings !== 'object' || parsed.version > KEY_BINDINGS_VERSION) {
+            throw new Error('Not a supported key bindings entry');
+        }
+
+        const bindings = {};
+        const used = new Set(Object.values(RESERVED_KEYS));
+        const actions = Object.keys(DEFAULT_KEY_BINDINGS);
+
+        actions.filter(action => parsed.bindings[action]).forEach(action => {
+            const keys = parsed.bindings[action];
+
+            if (!Array.isArray(keys) || keys.length === 0 || keys.length > KEYS_PER_ACTION) {
+                throw new Error(`Invalid keys for ${action}`);
+            }
+
+            bindings[action] = keys.map(key => {
+                if (typeof key !== 'string' || key.length === 0) {
+                    throw new Error(`Invalid keys for ${action}`);
+                }
+
+                const normalized = normalizeKey(key);
+                if (used.has(normalized)) {
+                    throw new Error(`Key ${formatKey(normalized)} is bound twice`);
+                }
+                used.add(normalized);
+                return normalized;
+            });
+        });
+
+        // New actions get whichever of their default keys the player hasn't taken
+        actions.filter(action => !parsed.bindings[action]).forEach(action => {
+            const keys = DEFAULT_KEY_BINDINGS[action].filter(key => !used.has(key));
+            if (keys.length === 0) {
+                throw new Error(`No free keys for ${action}`);
+            }
+
+            keys.forEach(key => used.add(key));
+            bindings[action] = keys;
+        });
+
+        return bindings;
+    }
+}
+
+/**
+ * Copy a bindings object so edits don't touch the original
+ */
+function copyBindings(bindings) {
+    const copy = {};
+    Object.entries(bindings).forEach(([action, keys]) => {
+        copy[action] = keys.slice();
+    });
+    return copy;
+}
+
+// Export the key bindings class and helpers
+export {
+    KeyBindings,
+    DEFAULT_KEY_BINDINGS,
+    SPLIT_SCREEN_KEY_BINDINGS,
+    ACTION_LABELS,
+    RESERVED_KEYS,
+    KEYS_PER_ACTION,
+    normalizeKey,
+    formatKey
+};
@@ -0,0 +1,72 @@
+/**
+ * Leaderboard Client Module for Neon Drift Protocol
+ *
+ * Talks to the shared leaderboard API of the bundled Node server (see leaderboard.js):
+ * - Submits finished runs together with their replays
+ * - Fetches the top runs for a mode and seed
+ *
+ * When the game is served by a plain static server the API isn't there;
+ * the client notices on the first request and stops trying.
+ */
+
+const API_BASE = 'api';
+
+// Leaderboard client class
+class LeaderboardClient {
+    constructor(baseUrl = API_BASE) {
+        this.baseUrl = baseUrl;
+        this.available = true;    // Cleared once we know there's no API to talk to
+    }
+
+    /**
+     * Submit a finished run
+     * @param {Object} run - { mode, seed, initials, score, distance, furthestDistance, time, replay }
+     * @returns {Promise<Object|null>} { run, rank } from the server, or null if there's no leaderboard
+     * @throws {Error} If the server rejected the run
+     */
+    submitRun(run) {
+        return this.request('runs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(run)
+        });
+    }
+
+    /**
+     * Get the top runs for a mode and seed
+     * @returns {Promise<Object|null>} { mode, seed, runs } or null if there's no leaderboard
+     */
+    getTopRuns(mode, seed, limit = 10) {
+        const query = new URLSearchParams({ mode, seed, limit });
+        return this.request(`leaderboard?${query}`);
+    }
+
+    /**
+     * Make an API request, returning the parsed JSON response
+     */
+    request(path, options) {
+        if (!this.available) return Promise.resolve(null);
+
+        return fetch(`${this.baseUrl}/${path}`, options)
+            .catch(() => null)
+            .then(response => {
+                // No server or no API on it (static hosting) - stay quiet from now on
+                const isJson = response &&
+                    (response.headers.get('Content-Type') || '').includes('application/json');
+                if (!isJson) {
+                    this.available = false;
+                    return null;
+                }
+
+                return response.json().then(data => {
+                    if (!response.ok) {
+                        throw new Error(data.error || `Leaderboard error ${response.status}`);
+                    }
+                    return data;
+                });
+            });
+    }
+}
+
+// Export the leaderboard client class
+export { LeaderboardClient };
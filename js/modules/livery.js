@@ -0,0 +1,170 @@
+/**
+ * Livery Module for Neon Drift Protocol
+ *
+ * The player's paint job, applied to whichever vehicle class they drive:
+ * - Body color (or the class's stock color), neon underglow, trim and a decal pattern
+ * - Each is picked from a fixed list, stepped through in the customization screen
+ * - Saved per browser; purely cosmetic, so replays and scores don't record it
+ */
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.livery';
+
+// Choices for each part of the livery, in the order the customizer steps through them
+// (a null color means the part takes its color from elsewhere - see Livery.resolve)
+const LIVERY_OPTIONS = {
+    bodyColor: [
+        { id: 'stock', name: 'STOCK', color: null },
+        { id: 'cyan', name: 'CYAN', color: 0x00ffff },
+        { id: 'magenta', name: 'MAGENTA', color: 0xff00aa },
+        { id: 'violet', name: 'VIOLET', color: 0xaa66ff },
+        { id: 'sunset', name: 'SUNSET', color: 0xff6600 },
+        { id: 'acid', name: 'ACID', color: 0x66ff00 },
+        { id: 'gold', name: 'GOLD', color: 0xffcc00 },
+        { id: 'white', name: 'WHITE', color: 0xffffff }
+    ],
+    underglow: [
+        { id: 'none', name: 'OFF', color: null },
+        { id: 'cyan', name: 'CYAN', color: 0x00ffff },
+        { id: 'magenta', name: 'MAGENTA', color: 0xff00ff },
+        { id: 'violet', name: 'VIOLET', color: 0x8833ff },
+        { id: 'sunset', name: 'SUNSET', color: 0xff4400 },
+        { id: 'acid', name: 'ACID', color: 0x66ff00 }
+    ],
+    trim: [
+        { id: 'none', name: 'NONE', color: null },
+        { id: 'chrome', name: 'CHROME', color: 0xdddddd },
+        { id: 'gold', name: 'GOLD', color: 0xffcc00 },
+        { id: 'neon', name: 'NEON', color: null }                // Matches the underglow
+    ],
+    decal: [
+        { id: 'none', name: 'NONE' },
+        { id: 'stripes', name: 'RACING STRIPES' },
+        { id: 'chevrons', name: 'CHEVRONS' },
+        { id: 'grid', name: 'GRID' },
+        { id: 'sun', name: 'SUNSET' }
+    ]
+};
+
+// Customizer labels for each part
+const LIVERY_LABELS = {
+    bodyColor: 'BODY',
+    underglow: 'UNDERGLOW',
+    trim: 'TRIM',
+    decal: 'DECAL'
+};
+
+// The stock look - exactly the car as the vehicle class describes it
+const DEFAULT_LIVERY = {
+    bodyColor: 'stock',
+    underglow: 'none',
+    trim: 'none',
+    decal: 'none'
+};
+
+// Livery class
+class Livery {
+    /**
+     * @param {Storage} storage - Where to keep the livery (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+        this.settings = { ...DEFAULT_LIVERY };
+
+        this.load();
+    }
+
+    /**
+     * Load the livery from storage, keeping defaults for anything missing or no longer offered
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            this.use(JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}'));
+        } catch (e) {
+            console.warn("Livery: Ignoring unreadable livery", e);
+        }
+    }
+
+    /**
+     * Take the parts of another livery (e.g. a LAN racer's), keeping the current choice for
+     * anything missing or not offered - doesn't save
+     * @param {Object} settings - Option ids by part, like DEFAULT_LIVERY
+     */
+    use(settings) {
+        Object.keys(LIVERY_OPTIONS).forEach(part => {
+            if (LIVERY_OPTIONS[part].some(option => option.id === settings[part])) {
+                this.settings[part] = settings[part];
+            }
+        });
+    }
+
+    /**
+     * Save the livery to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn("Livery: Failed to save livery", e);
+        }
+    }
+
+    /**
+     * Step a part to the next (direction 1) or previous (-1) choice, wrapping round, and save
+     */
+    cycle(part, direction) {
+        const options = LIVERY_OPTIONS[part];
+        if (!options) return;
+
+        const index = options.findIndex(option => option.id === this.settings[part]);
+        const next = (index + Math.sign(direction) + options.length) % options.length;
+        this.settings[part] = options[next].id;
+        this.save();
+    }
+
+    /**
+     * Go back to the stock look and save
+     */
+    reset() {
+        this.settings = { ...DEFAULT_LIVERY };
+        this.save();
+    }
+
+    /**
+     * Get the chosen option for a part
+     */
+    getOption(part) {
+        return LIVERY_OPTIONS[part].find(option => option.id === this.settings[part]);
+    }
+
+    /**
+     * Work out the colors to paint a vehicle class with
+     * @param {Object} definition - Vehicle class (see vehicles.js)
+     * @returns {Object} { bodyColor, underglowColor, trimColor, decal, decalColor } - null colors are left off
+     */
+    resolve(definition) {
+        const underglowColor = this.getOption('underglow').color;
+
+        // Neon trim and decals glow in the underglow color, or the class's accent color without one
+        const neonColor = underglowColor !== null ? underglowColor : definition.mesh.cockpitColor;
+        const trim = this.getOption('trim');
+        const decal = this.settings.decal;
+
+        return {
+            bodyColor: this.getOption('bodyColor').color !== null ?
+                this.getOption('bodyColor').color :
+                definition.mesh.bodyColor,
+            underglowColor,
+            trimColor: trim.id === 'neon' ? neonColor : trim.color,
+            decal: decal === 'none' ? null : decal,
+            decalColor: neonColor
+        };
+    }
+}
+
+// Export the livery class and options
+export { Livery, LIVERY_OPTIONS, LIVERY_LABELS, DEFAULT_LIVERY };
@@ -0,0 +1,262 @@
+/**
+ * Network Module for Neon Drift Protocol
+ *
+ * Races other players on the local network through the bundled server's race room (see race.js):
+ * - Joins the room and takes its shared track seed and game mode
+ * - Sends a snapshot of the player's car several times a second while racing
+ * - Keeps a short history of each remote car's snapshots, stamped by the server's clock,
+ *   and shows the car a little in the past, between two snapshots, so it moves smoothly
+ * - Passes on when other racers join, leave, start a race or finish
+ *
+ * Remote cars are only shown - each game simulates its own car, so racers can't touch.
+ */
+
+import { EventSystem } from './world.js';
+
+const RACE_PATH = 'race';
+const SNAPSHOT_INTERVAL = 3;             // Simulation ticks between snapshots sent (20 a second at 60 Hz)
+const INTERPOLATION_DELAY = 100;         // ms behind the server clock remote cars are shown (two snapshots)
+const SNAPSHOT_HISTORY = 1000;           // ms of snapshots kept per remote car
+const REMOTE_TIMEOUT = 500;              // ms without a snapshot before a remote car counts as stopped racing
+
+/**
+ * Interpolate between two headings the short way round (so a car turning through ±π doesn't spin)
+ */
+function lerpAngle(from, to, alpha) {
+    const turn = THREE.MathUtils.euclideanModulo(to - from + Math.PI, Math.PI * 2) - Math.PI;
+    return from + turn * alpha;
+}
+
+// Race client class - one connection to the race room
+class RaceClient {
+    constructor() {
+        this.events = new EventSystem();
+        this.socket = null;
+        this.connected = false;          // Welcomed into the room
+
+        // Set by the room's welcome
+        this.id = null;
+        this.name = null;
+        this.seed = null;
+        this.mode = null;
+
+        // Remote racers by id: { id, name, vehicle, livery, snapshots }
+        this.remotes = new Map();
+
+        // Local ms minus server ms, from the quickest message so far (so it includes the least delay)
+        this.clockOffset = null;
+    }
+
+    /**
+     * Connect to the race room on the server the game was loaded from
+     * Emits 'welcome' once in, or 'disconnected' (with whether it ever got in) if it can't connect or drops
+     * @param {String} mode - Game mode to race, if this racer sets up the room's track
+     * @param {String} vehicle - Vehicle class id the others see this racer in
+     * @param {Object} livery - Livery option ids the others see this racer in
+     */
+    connect(mode, vehicle, livery) {
+        const url = new URL(RACE_PATH, window.location.href);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+        this.socket = new WebSocket(url.href);
+        this.socket.addEventListener('open', () => {
+            this.send({ type: 'join', mode, vehicle, livery });
+        });
+        this.socket.addEventListener('message', event => {
+            this.receive(event.data);
+        });
+        this.socket.addEventListener('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.socket = null;
+            this.remotes.clear();
+            this.events.trigger('disconnected', wasConnected);
+        });
+    }
+
+    /**
+     * Send a message to the room, if connected
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Handle a message from the room
+     */
+    receive(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            console.warn("RaceClient: Ignoring unreadable message", e);
+            return;
+        }
+
+        if (Number.isFinite(message.time)) {
+            this.syncClock(message.time);
+        }
+
+        const remote = this.remotes.get(message.id);
+
+        switch (message.type) {
+            case 'welcome':
+                this.connected = true;
+                this.id = message.id;
+                this.name = message.name;
+                this.seed = message.seed;
+                this.mode = message.mode;
+                message.racers.forEach(racer => this.addRemote(racer));
+                this.events.trigger('welcome', message);
+                break;
+
+            case 'joined':
+                this.events.trigger('joined', this.addRemote(message.racer));
+                break;
+
+            case 'left':
+                if (!remote) return;
+                this.remotes.delete(remote.id);
+                this.events.trigger('left', remote);
+                break;
+
+            case 'state':
+                if (!remote) return;
+                remote.snapshots.push({ time: message.time, ...message.state });
+                while (remote.snapshots[0].time < message.time - SNAPSHOT_HISTORY) {
+                    remote.snapshots.shift();
+                }
+                break;
+
+            case 'start':
+                if (!remote) return;
+                remote.snapshots = [];
+                this.events.trigger('start', remote);
+                break;
+
+            case 'finish':
+                if (!remote) return;
+                this.events.trigger('finish', { remote, score: message.score });
+                break;
+        }
+    }
+
+    /**
+     * Keep track of a racer already in the room or just joined
+     */
+    addRemote(racer) {
+        const remote = { ...racer, snapshots: [] };
+        this.remotes.set(remote.id, remote);
+        return remote;
+    }
+
+    /**
+     * Update the clock offset from a server timestamp that just arrived
+     */
+    syncClock(serverTime) {
+        const offset = performance.now() - serverTime;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        }
+    }
+
+    /**
+     * Get the current time on the server's clock (in ms)
+     */
+    getServerTime() {
+        return performance.now() - this.clockOffset;
+    }
+
+    /**
+     * Tell the room this racer has started a run (anyone waiting starts too)
+     */
+    startRace() {
+        this.send({ type: 'start' });
+    }
+
+    /**
+     * Tell the room this racer's run is over
+     */
+    finishRace(score) {
+        this.send({ type: 'finish', score });
+    }
+
+    /**
+     * Send a snapshot of the player's car, every SNAPSHOT_INTERVAL ticks
+     * @param {Number} tick - Simulation tick just run
+     * @param {Vehicle} vehicle - The player's vehicle
+     */
+    sendState(tick, vehicle) {
+        if (!this.connected || tick % SNAPSHOT_INTERVAL !== 0) return;
+
+        this.send({
+            type: 'state',
+            state: {
+                x: vehicle.position.x,
+                y: vehicle.position.y,
+                z: vehicle.position.z,
+                rotationY: vehicle.rotation.y,
+                speed: vehicle.speed
+            }
+        });
+    }
+
+    /**
+     * Get where to show a remote car now - INTERPOLATION_DELAY in the past, between the two
+     * snapshots either side of that moment (or at the newest one if nothing newer has arrived)
+     * @returns {Object|null} { position, rotationY, speed }, or null if the racer isn't racing
+     */
+    getRemoteTransform(remote) {
+        const snapshots = remote.snapshots;
+        const serverTime = this.getServerTime();
+        if (snapshots.length === 0 || snapshots[snapshots.length - 1].time < serverTime - REMOTE_TIMEOUT) {
+            return null;
+        }
+
+        const renderTime = serverTime - INTERPOLATION_DELAY;
+        let previous = snapshots[0];
+        let next = snapshots[0];
+        for (let i = 0; i < snapshots.length; i++) {
+            next = snapshots[i];
+            if (next.time >= renderTime) break;
+            previous = next;
+        }
+
+        const span = next.time - previous.time;
+        const alpha = span > 0 ? THREE.MathUtils.clamp((renderTime - previous.time) / span, 0, 1) : 1;
+
+        return {
+            position: new THREE.Vector3(previous.x, previous.y, previous.z)
+                .lerp(new THREE.Vector3(next.x, next.y, next.z), alpha),
+            rotationY: lerpAngle(previous.rotationY, next.rotationY, alpha),
+            speed: THREE.MathUtils.lerp(previous.speed, next.speed, alpha)
+        };
+    }
+
+    /**
+     * Count the remote cars racing, and how many of them are further down the track
+     * @param {Number} playerZ - How far down the track the player is
+     * @returns {Object} { racing, ahead }
+     */
+    countRemoteCars(playerZ) {
+        let racing = 0;
+        let ahead = 0;
+
+        this.remotes.forEach(remote => {
+            const transform = this.getRemoteTransform(remote);
+            if (!transform) return;
+
+            racing++;
+            if (transform.position.z > playerZ) {
+                ahead++;
+            }
+        });
+
+        return { racing, ahead };
+    }
+}
+
+// Export the race client class
+export { RaceClient };
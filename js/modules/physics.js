@@ -1,40 +1,69 @@
 /**
  * Vehicle Physics Module for Neon Drift Protocol
  * 
- * Handles all vehicle physics simulation including:
+ * Handles all vehicle physics simulation, with handling from the vehicle class (see vehicles.js), including:
  * - Car movement and acceleration
  * - Steering and handling
- * - Collision detection and response
+ * - Drifting (brake tap + steer at speed)
+ * - Boost meter (filled by data fragments and drifting, spent on timed boosts)
+ * - Integrity (damage from impacts, costing engine power, top speed and steering)
+ * - Collision detection and response (obstacles and other cars)
  * - Surface interaction (road vs off-road)
  */
 
-// Physics constants
-const MAX_SPEED = 5000;                   // Maximum speed in units/second (increased by 33%)
-const ACCELERATION = 2000;                // Acceleration rate in units/second² (increased by 30%)
-const DECELERATION = 800;                // Braking rate in units/second² (significantly increased)
-const ENGINE_BRAKING = 1.0;              // Deceleration when not accelerating (increased for better natural slowdown)
-const DRAG_COEFFICIENT = 0.00015;         // Air resistance factor (reduced by 50%)
-const OFF_ROAD_FRICTION = 0.03;          // Friction multiplier when off road (reduced further)
-const OFF_ROAD_DAMAGE = 10;              // Instant speed reduction when hitting edge
+import { ROAD_HALF_WIDTH } from './track.js';
+import { DEFAULT_VEHICLE, getVehicleClass } from './vehicles.js';
 
-// Vehicle physics parameters
+// Physics constants (handling that differs between cars lives in the vehicle classes, see vehicles.js)
+const OFF_ROAD_DAMAGE = 10;              // Instant speed reduction when hitting edge
 const GRAVITY = 9.8;                     // For suspension calculations
-const MAX_STEERING_ANGLE = Math.PI / 4;  // Maximum steering angle (45 degrees)
-const STEERING_SPEED = 2.5;              // How quickly steering changes (radians/second)
-const STEERING_RETURN_SPEED = 5.0;       // How quickly steering returns to center (radians/second)
-const WHEEL_BASE = 6;                    // Distance between front and rear axles
-const WHEEL_TRACK = 4;                   // Distance between left and right wheels
-const SUSPENSION_STIFFNESS = 50;         // Suspension spring stiffness
-const SUSPENSION_DAMPING = 4;            // Suspension damping coefficient
-const SUSPENSION_TRAVEL = 0.5;           // Maximum suspension compression/extension
-const WHEEL_RADIUS = 0.8;                // Wheel radius for ground contact calculation
-const WHEEL_MASS = 20;                   // Mass of each wheel
-const CHASSIS_MASS = 400;                // Mass of the vehicle chassis
-const TOTAL_MASS = CHASSIS_MASS + WHEEL_MASS * 4; // Total vehicle mass
+
+// Drift parameters
+const DRIFT_MIN_SPEED = 80;              // Speed needed to start a drift
+const DRIFT_EXIT_SPEED = 50;             // Drift ends below this speed
+const DRIFT_ENTRY_KICK = 0.5;            // Yaw rate added on entry to swing the rear out (radians/second)
+const DRIFT_YAW_ACCELERATION = 1.5;      // Extra yaw while steering into the drift (radians/second²)
+const DRIFT_COUNTER_STEER_GAIN = 1.5;    // Counter-steering is this much stronger while sliding
+const DRIFT_SCRUB = 0.999;               // Share of speed kept each tick while sliding
+const DRIFT_MAX_ANGLE = Math.PI / 4;     // Slip angle where the rear stops stepping further out
+const DRIFT_EXIT_ANGLE = 0.1;            // Slip angle (radians) that counts as straightened out
+const DRIFT_MIN_TIME = 0.3;              // Seconds before straightening out can end a drift
+
+// Boost parameters
+const BOOST_COST = 1 / 3;                // Share of the meter one boost uses
+const BOOST_DURATION = 1.5;              // Seconds a boost lasts
+const BOOST_FORCE = 12000;               // Extra tractive force while boosting
+const BOOST_TOP_SPEED = 1.25;            // Top speed multiplier while boosting (acceleration tapers later)
+const BOOST_DRIFT_FILL_RATE = 0.1;       // Meter filled per second of drifting
+
+// Damage parameters
+const MAX_INTEGRITY = 100;               // Integrity of an undamaged car
+const OBSTACLE_DAMAGE_BASE = 10;         // Integrity lost hitting an obstacle at any speed...
+const OBSTACLE_DAMAGE_PER_SPEED = 0.1;   // ...plus this much per unit of impact speed
+const EDGE_SAFE_SPEED = 20;              // Sideways speed the road edge can be crossed at without damage
+const EDGE_DAMAGE_PER_SPEED = 0.1;       // Integrity lost per unit of sideways speed above that
+const MAX_IMPACT_DAMAGE = 60;            // Most integrity one impact can take
+const DAMAGED_ENGINE_POWER = 0.6;        // Share of engine power left at zero integrity
+const DAMAGED_TOP_SPEED = 0.7;           // Share of top speed left at zero integrity
+const DAMAGED_STEERING = 0.6;            // Share of steering response left at zero integrity
+
+// Car to car contact parameters
+const CONTACT_RESTITUTION = 0.3;         // Share of the closing speed the cars bounce apart with
+const CONTACT_SEPARATION = 0.05;         // Extra gap left between cars after pushing them apart
+const CONTACT_SAFE_SPEED = 15;           // Closing speed two cars can touch at without damage
+const CONTACT_DAMAGE_PER_SPEED = 0.15;   // Integrity lost per unit of closing speed above that
 
 // Vehicle state
 class Vehicle {
-    constructor() {
+    /**
+     * @param {Object} definition - Vehicle class to drive (see vehicles.js), the default class if omitted
+     */
+    constructor(definition = getVehicleClass(DEFAULT_VEHICLE)) {
+        // Handling and size from the vehicle class
+        this.definition = definition;
+        this.handling = definition.handling;
+        this.mass = this.handling.chassisMass + this.handling.wheelMass * 4;
+        
         // Position and movement (world space)
         this.position = new THREE.Vector3(0, 0.8, 0);
         this.velocity = new THREE.Vector3(0, 0, 0);
@@ -45,6 +74,10 @@ class Vehicle {
         this.rotation = new THREE.Euler(0, 0, 0);
         this.angularVelocity = 0;                       // Rotation around Y axis
         
+        // Transform at the start of the latest tick (for render interpolation)
+        this.previousPosition = this.position.clone();
+        this.previousRotationY = 0;
+        
         // Physics state
         this.speed = 0;                  // Current forward speed (positive for forward, negative for reverse)
         this.wheelSpeed = 0;             // Wheel rotation speed (for visual effects)
@@ -55,11 +88,30 @@ class Vehicle {
         this.isGrounded = true;          // Whether the vehicle is on the ground
         this.isOffRoad = false;          // Whether the vehicle is off the road
         this.wasOffRoad = false;         // Whether the vehicle was off road last frame
+        this.steerInput = 0;             // Steering input direction this tick (-1 right to 1 left)
+        this.previousBrake = 0;          // Brake input last tick, for spotting a brake tap
+        
+        // Drift state (read by scoring and effects)
+        this.isDrifting = false;
+        this.driftDirection = 0;         // 1 drifting left, -1 right, 0 not drifting
+        this.driftAngle = 0;             // Signed slip angle between heading and travel (radians)
+        this.driftTime = 0;              // Seconds into the current drift
+        this.lastDriftTime = 0;          // Length of the most recent finished drift
+        
+        // Damage state (read by the HUD, mesh and end condition)
+        this.integrity = MAX_INTEGRITY;
+        this.lastImpactDamage = 0;       // Integrity lost in the latest impact
+        this.lateralOffset = null;       // Distance from the road centerline last tick, for edge impacts
+        
+        // Boost state (read by the HUD and effects)
+        this.boostMeter = 0;             // Stored boost (0-1)
+        this.boostTime = 0;              // Seconds left in the current boost
+        this.isBoosting = false;
         
         // Suspension state (for each wheel: front-left, front-right, rear-left, rear-right)
         this.wheels = [
             { 
-                position: new THREE.Vector3(-WHEEL_TRACK/2, 0, WHEEL_BASE/2),   // Front left
+                position: new THREE.Vector3(-this.handling.wheelTrack/2, 0, this.handling.wheelBase/2),   // Front left
                 contactPoint: new THREE.Vector3(),
                 suspensionForce: 0,
                 compression: 0,
@@ -67,7 +119,7 @@ class Vehicle {
                 isFront: true
             },
             { 
-                position: new THREE.Vector3(WHEEL_TRACK/2, 0, WHEEL_BASE/2),    // Front right
+                position: new THREE.Vector3(this.handling.wheelTrack/2, 0, this.handling.wheelBase/2),    // Front right
                 contactPoint: new THREE.Vector3(),
                 suspensionForce: 0,
                 compression: 0,
@@ -75,7 +127,7 @@ class Vehicle {
                 isFront: true
             },
             { 
-                position: new THREE.Vector3(-WHEEL_TRACK/2, 0, -WHEEL_BASE/2),  // Rear left
+                position: new THREE.Vector3(-this.handling.wheelTrack/2, 0, -this.handling.wheelBase/2),  // Rear left
                 contactPoint: new THREE.Vector3(),
                 suspensionForce: 0,
                 compression: 0,
@@ -83,7 +135,7 @@ class Vehicle {
                 isFront: false
             },
             { 
-                position: new THREE.Vector3(WHEEL_TRACK/2, 0, -WHEEL_BASE/2),   // Rear right
+                position: new THREE.Vector3(this.handling.wheelTrack/2, 0, -this.handling.wheelBase/2),   // Rear right
                 contactPoint: new THREE.Vector3(),
                 suspensionForce: 0,
                 compression: 0,
@@ -105,9 +157,57 @@ class Vehicle {
         };
     }
 
+    /**
+     * Reset the vehicle to a standstill at the given position
+     * Keeps the mesh so a run can restart without rebuilding the scene
+     */
+    reset(x = 0, y = 1.0, z = 0) {
+        this.position.set(x, y, z);
+        this.velocity.set(0, 0, 0);
+        this.acceleration.set(0, 0, 0);
+        this.rotation.set(0, 0, 0);
+        this.angularVelocity = 0;
+        this.angularAcceleration = 0;
+        
+        this.speed = 0;
+        this.wheelSpeed = 0;
+        this.steeringAngle = 0;
+        this.throttle = 0;
+        this.brake = 0;
+        this.reverse = 0;
+        this.isGrounded = true;
+        this.isOffRoad = false;
+        this.wasOffRoad = false;
+        this.steerInput = 0;
+        this.previousBrake = 0;
+        
+        this.isDrifting = false;
+        this.driftDirection = 0;
+        this.driftAngle = 0;
+        this.driftTime = 0;
+        this.lastDriftTime = 0;
+        
+        this.boostMeter = 0;
+        this.boostTime = 0;
+        this.isBoosting = false;
+        
+        this.integrity = MAX_INTEGRITY;
+        this.lastImpactDamage = 0;
+        this.lateralOffset = null;
+        
+        this.wheels.forEach(wheel => {
+            wheel.suspensionForce = 0;
+            wheel.compression = 0;
+            wheel.onGround = true;
+        });
+        
+        this.updateVehicleVectors();
+        this.syncPreviousTransform();
+    }
+    
     /**
      * Update physics based on input and delta time
-     * @param {Object} input - Keyboard input state
+     * @param {Object} input - Input state (keyboard, gamepad or replay)
      * @param {Number} deltaTime - Time since last frame in seconds
      * @param {Object} world - World state for collision detection
      */
@@ -115,8 +215,9 @@ class Vehicle {
         // Store input for other methods
         this.input = input;
         
-        // Store previous state for comparison
-        const previousPosition = this.position.clone();
+        // Store previous state for comparison and render interpolation
+        this.syncPreviousTransform();
+        const previousPosition = this.previousPosition;
         this.wasOffRoad = this.isOffRoad;
         
         // Cap delta time to prevent large jumps
@@ -132,6 +233,12 @@ class Vehicle {
         // Update vehicle controls from input
         this.updateControls(input, dt);
         
+        // Start or end a drift
+        this.updateDrift(dt);
+        
+        // Fill, fire and run down the boost
+        this.updateBoost(input, dt);
+        
         // Update suspension for each wheel
         this.updateSuspension(dt, world);
         
@@ -162,51 +269,52 @@ class Vehicle {
     updateControls(input, dt) {
         // Debug input
         
-        // Update throttle, brake and reverse
+        // Update throttle, brake and reverse - 0-1 amounts (keys give 0 or 1, gamepad triggers anything between)
         // OPTION A: Brake cancels acceleration - if brake is pressed, throttle is ignored
-        this.brake = input.brake ? 1.0 : 0.0;
-        this.reverse = input.reverse ? 1.0 : 0.0;
+        this.brake = Number(input.brake) || 0;
+        this.reverse = Number(input.reverse) || 0;
         
         // Only allow throttle if brake is not being applied
-        this.throttle = (input.accelerate && !input.brake) ? 1.0 : 0.0;
-        
-        // Future enhancement: Here we could detect brake+accelerate+turn for drift mechanics
-        // Example drift detection (commented out for future implementation):
-        /*
-        this.isDrifting = false; // Default state
-        if (input.brake && input.accelerate && (input.turnLeft || input.turnRight)) {
-            // Drift conditions met - would set drift state and apply specialized physics
-            this.isDrifting = true;
+        this.throttle = this.brake > 0 ? 0.0 : (Number(input.accelerate) || 0);
+        
+        // Steering direction asked for, for drift entry and counter-steer (see updateDrift)
+        if (typeof input.steering === 'number') {
+            this.steerInput = input.steering;
+        } else {
+            this.steerInput = input.turnLeft ? 1 : (input.turnRight ? -1 : 0);
         }
-        */
         
         // Debug throttle/brake
         if (this.throttle > 0 || this.brake > 0) {
         }
         
-        // Update steering with rate limiting
-        if (input.turnLeft) {
+        // Update steering
+        if (typeof input.steering === 'number') {
+            // Analog stick: steer straight to the target angle (-1 full right, 1 full left)
+            this.steeringAngle = THREE.MathUtils.clamp(input.steering, -1, 1) * this.handling.maxSteeringAngle;
+        } else if (input.turnLeft) {
+            // Digital keys: ramp the steering with rate limiting (slower on a damaged car)
             this.steeringAngle = Math.min(
-                this.steeringAngle + STEERING_SPEED * dt,
-                MAX_STEERING_ANGLE
+                this.steeringAngle + this.handling.steeringSpeed * this.getDamageFactor(DAMAGED_STEERING) * dt,
+                this.handling.maxSteeringAngle
             );
         } else if (input.turnRight) {
             this.steeringAngle = Math.max(
-                this.steeringAngle - STEERING_SPEED * dt,
-                -MAX_STEERING_ANGLE
+                this.steeringAngle - this.handling.steeringSpeed * this.getDamageFactor(DAMAGED_STEERING) * dt,
+                -this.handling.maxSteeringAngle
             );
         } else {
             // Return steering to center
-            if (Math.abs(this.steeringAngle) < STEERING_RETURN_SPEED * dt) {
+            if (Math.abs(this.steeringAngle) < this.handling.steeringReturnSpeed * dt) {
                 this.steeringAngle = 0;
             } else {
-                this.steeringAngle -= Math.sign(this.steeringAngle) * STEERING_RETURN_SPEED * dt;
+                this.steeringAngle -= Math.sign(this.steeringAngle) * this.handling.steeringReturnSpeed * dt;
             }
         }
         
         // Steering becomes significantly less effective at high speeds (arcade handling model)
         // More aggressive reduction - at max speed, steering is only 15% effective
-        const speedFactor = Math.max(0.15, 1.0 - Math.pow(this.speed / MAX_SPEED, 0.7) * 0.85);
+        const speedFactor = Math.max(0.15, 1.0 - Math.pow(this.speed / this.handling.maxSpeed, 0.7) * 0.85);
         const effectiveSteeringAngle = this.steeringAngle * speedFactor;
         
         // Apply steering angle to front wheels for visual effect
@@ -217,6 +325,78 @@ class Vehicle {
         }
     }
     
+    /**
+     * Start or end a drift
+     * A tap of the brake while steering at speed kicks the rear out; the drift lasts
+     * until the car is straightened out (counter-steer) or slows down
+     */
+    updateDrift(dt) {
+        const brakeTapped = this.brake > 0 && this.previousBrake === 0;
+        this.previousBrake = this.brake;
+        
+        if (!this.isDrifting) {
+            if (brakeTapped && this.steerInput !== 0 && this.isGrounded && this.speed > DRIFT_MIN_SPEED) {
+                this.isDrifting = true;
+                this.driftDirection = Math.sign(this.steerInput);
+                this.driftTime = 0;
+                
+                // Swing the rear out
+                this.angularVelocity += this.driftDirection * DRIFT_ENTRY_KICK;
+            }
+            return;
+        }
+        
+        this.driftTime += dt;
+        
+        const straightened = this.driftTime > DRIFT_MIN_TIME && Math.abs(this.driftAngle) < DRIFT_EXIT_ANGLE;
+        if (straightened || this.speed < DRIFT_EXIT_SPEED || !this.isGrounded) {
+            this.isDrifting = false;
+            this.driftDirection = 0;
+            this.lastDriftTime = this.driftTime;
+            this.driftTime = 0;
+        }
+    }
+    
+    /**
+     * Fill the boost meter while drifting, and spend it on a boost when asked
+     * Holding the boost input chains boosts for as long as the meter lasts
+     */
+    updateBoost(input, dt) {
+        if (this.isDrifting) {
+            this.addBoost(BOOST_DRIFT_FILL_RATE * dt);
+        }
+        
+        if (this.isBoosting) {
+            this.boostTime -= dt;
+            if (this.boostTime <= 0) {
+                this.isBoosting = false;
+                this.boostTime = 0;
+            }
+        }
+        
+        // A boost starts on a press, or straight after the last one while the input is held
+        if (!this.isBoosting && input.boost && this.canBoost() && this.speed >= 0) {
+            this.boostMeter = Math.max(0, this.boostMeter - BOOST_COST);
+            this.boostTime = BOOST_DURATION;
+            this.isBoosting = true;
+        }
+    }
+    
+    /**
+     * Add to the boost meter (data fragments, drifting)
+     * @param {Number} amount - Share of the full meter
+     */
+    addBoost(amount) {
+        this.boostMeter = Math.min(1, this.boostMeter + amount);
+    }
+    
+    /**
+     * Check whether the meter holds enough for a boost
+     */
+    canBoost() {
+        return this.boostMeter >= BOOST_COST;
+    }
+    
     /**
      * Update suspension for each wheel
      */
@@ -231,7 +411,7 @@ class Vehicle {
             
             // Distance from wheel to ground (simplified, assumes flat ground at y=0)
             // In a more complex implementation, we would raycast to find ground height
-            const restLength = WHEEL_RADIUS + SUSPENSION_TRAVEL;
+            const restLength = this.handling.wheelRadius + this.handling.suspensionTravel;
             const groundHeight = 0; // Flat ground
             
             // Calculate suspension compression
@@ -244,11 +424,11 @@ class Vehicle {
             // Calculate suspension force (spring and damper)
             if (wheel.onGround) {
                 // Spring force (Hooke's law: F = k * x)
-                const springForce = compressionDistance * SUSPENSION_STIFFNESS;
+                const springForce = compressionDistance * this.handling.suspensionStiffness;
                 
                 // Damping force (F = c * v) - dampens suspension movement
                 const suspensionVelocity = this.velocity.y; // Simplified, just look at vertical velocity
-                const dampingForce = suspensionVelocity * SUSPENSION_DAMPING;
+                const dampingForce = suspensionVelocity * this.handling.suspensionDamping;
                 
                 // Total suspension force
                 wheel.suspensionForce = springForce - dampingForce;
@@ -290,7 +470,9 @@ class Vehicle {
         if (this.isGrounded) {
             if (this.throttle > 0 && this.speed >= -1) {  // Only allow acceleration if not moving fast in reverse
                 // Mario Kart-style acceleration curve: stronger at low speeds, tapering as speed increases
-                const speedRatio = Math.max(0, Math.min(1, this.speed / MAX_SPEED));
+                // (a boost raises the top speed the curve tapers towards, damage lowers it)
+                const topSpeed = this.getTopSpeed();
+                const speedRatio = Math.max(0, Math.min(1, this.speed / topSpeed));
                 
                 // This curve provides:
                 // - At 0% speed: 2x acceleration (strong launch)
@@ -298,37 +480,42 @@ class Vehicle {
                 // - At 100% speed: 0.2x acceleration (still some push at top end)
                 const accelerationMultiplier = 1.8 * Math.pow(1 - speedRatio, 1.5) + 0.2;
                 
-                // Apply the acceleration with the dynamic multiplier
-                tractiveForce = ACCELERATION * accelerationMultiplier * this.throttle;
+                // Apply the acceleration with the dynamic multiplier (a damaged engine gives less)
+                tractiveForce = this.handling.acceleration * accelerationMultiplier * this.throttle * this.getDamageFactor(DAMAGED_ENGINE_POWER);
                 
             } else if (this.brake > 0) {
                 // Dedicated emergency braking with spacebar (dramatically powerful arcade-style brake)
-                tractiveForce = -Math.sign(this.speed) * DECELERATION * 6.0 * this.brake;  // 6x stronger braking (arcade-style emergency stop)
+                tractiveForce = -Math.sign(this.speed) * this.handling.deceleration * 6.0 * this.brake;  // 6x stronger braking (arcade-style emergency stop)
             } else if (this.reverse > 0) {
                 if (this.speed > 5) {
                     // If moving forward fast, first act as a brake
-                    tractiveForce = -DECELERATION * 2.0 * this.reverse;  // 2x stronger than regular braking
+                    tractiveForce = -this.handling.deceleration * 2.0 * this.reverse;  // 2x stronger than regular braking
                 } else if (this.speed > 0) {
                     // If moving forward slowly, stronger braking to stop quickly
-                    tractiveForce = -DECELERATION * 2.5 * this.reverse;
+                    tractiveForce = -this.handling.deceleration * 2.5 * this.reverse;
                 } else {
                     // If stopped or moving backward, accelerate in reverse (at 40% of forward acceleration)
-                    tractiveForce = -ACCELERATION * 0.4 * this.reverse;
+                    tractiveForce = -this.handling.acceleration * 0.4 * this.reverse;
                 }
             } else {
                 // Engine braking when no throttle, brake or reverse applied
-                tractiveForce = -Math.sign(this.speed) * ENGINE_BRAKING;
+                tractiveForce = -Math.sign(this.speed) * this.handling.engineBraking;
+            }
+            
+            // Boost pushes on top of the engine, unless braking or reversing
+            if (this.isBoosting && this.brake === 0 && this.reverse === 0 && this.speed >= -1) {
+                tractiveForce += BOOST_FORCE;
             }
         }
         
         // Calculate drag force (increases with speed squared)
-        const dragForce = -Math.sign(this.speed) * DRAG_COEFFICIENT * this.speed * this.speed;
+        const dragForce = -Math.sign(this.speed) * this.handling.dragCoefficient * this.speed * this.speed;
         
         // Apply rolling resistance if on ground
         let rollingResistance = 0;
         if (this.isGrounded) {
             // Rolling resistance is higher off-road
-            const resistanceFactor = this.isOffRoad ? OFF_ROAD_FRICTION : 0.001; // Reduced on-road resistance by 50%
+            const resistanceFactor = this.isOffRoad ? this.handling.offRoadFriction : 0.001; // Reduced on-road resistance by 50%
             rollingResistance = -Math.sign(this.speed) * resistanceFactor * Math.abs(this.speed);
         }
         
@@ -336,7 +523,7 @@ class Vehicle {
         const totalLongitudinalForce = tractiveForce + dragForce + rollingResistance;
         
         // Convert force to acceleration (F = ma)
-        const forwardAcceleration = totalLongitudinalForce / TOTAL_MASS;
+        const forwardAcceleration = totalLongitudinalForce / this.mass;
         
         // Apply longitudinal acceleration in the vehicle's forward direction
         const forwardAccelerationVector = this.direction.clone().multiplyScalar(forwardAcceleration);
@@ -349,7 +536,8 @@ class Vehicle {
             // We only apply steering forces when the vehicle is moving
             // Calculate yaw rate based on steering angle, speed, and wheelbase
             // This is an Ackermann steering approximation for low speeds
-            const steeringFactor = this.steeringAngle / (WHEEL_BASE * 0.5);
+            // (a damaged car turns in less sharply)
+            const steeringFactor = this.steeringAngle / (this.handling.wheelBase * 0.5) * this.getDamageFactor(DAMAGED_STEERING);
             
             // Adjust angular acceleration based on speed
             // At higher speeds, the steering becomes more gradually responsive
@@ -362,13 +550,23 @@ class Vehicle {
             // This creates a more arcade-like feel with better stability
             totalAngularAcceleration = directionFactor * steeringFactor * Math.sqrt(Math.abs(this.speed) * 20) * speedFactor;
             
+            if (this.isDrifting) {
+                // Steering into the drift holds the rear out; counter-steering catches the slide
+                const steerInto = this.steerInput * this.driftDirection;
+                if (steerInto > 0) {
+                    totalAngularAcceleration += this.driftDirection * DRIFT_YAW_ACCELERATION * steerInto;
+                } else {
+                    totalAngularAcceleration *= DRIFT_COUNTER_STEER_GAIN;
+                }
+            }
+            
             // Apply lateral forces (for drifting at high speeds and steering angles)
             // Raised threshold for drift onset to 60% of max speed and requires more steering
-            if (Math.abs(this.steeringAngle) > 0.25 && Math.abs(this.speed) > MAX_SPEED * 0.6) {
+            if (Math.abs(this.steeringAngle) > 0.25 && Math.abs(this.speed) > this.handling.maxSpeed * 0.6) {
                 // Calculate lateral traction loss with more gradual onset
                 // The 1.5 divisor makes traction loss more manageable at high speeds
                 const tractionLoss = Math.min(0.7, (Math.abs(this.steeringAngle) * Math.abs(this.speed)) / 
-                                        (MAX_STEERING_ANGLE * MAX_SPEED * 1.5));
+                                        (this.handling.maxSteeringAngle * this.handling.maxSpeed * 1.5));
                 
                 // Calculate drift force with speed-based dampening (prevents excessive spin-outs)
                 // The higher the speed, the more we dampen lateral forces
@@ -416,15 +614,29 @@ class Vehicle {
         const newForwardSpeed = forwardSpeed + forwardAccel * dt;
         
         // Keep lateral velocity component for drifting feel, but reduce it for more control
+        // While drifting the rear has far less grip, so the car keeps sliding
         const lateralVelocity = this.velocity.clone().sub(this.direction.clone().multiplyScalar(forwardSpeed));
-        lateralVelocity.multiplyScalar(0.98); // Further reduced lateral drag for better drifting and speed
+        const slipSpeed = lateralVelocity.dot(this.right);
+        const lateralGrip = this.isDrifting ? this.handling.driftLateralGrip : this.handling.lateralGrip;
+        lateralVelocity.multiplyScalar(lateralGrip);
+        
+        // A drift keeps its momentum - the slide the rear gives up turns into forward speed, less a little scrub
+        let driftedForwardSpeed = newForwardSpeed;
+        if (this.isDrifting) {
+            const keptSlip = slipSpeed * lateralGrip;
+            const forwardSpeedSquared = newForwardSpeed * newForwardSpeed + slipSpeed * slipSpeed - keptSlip * keptSlip;
+            driftedForwardSpeed = Math.sign(newForwardSpeed) * Math.sqrt(forwardSpeedSquared) * DRIFT_SCRUB;
+        }
         
         // Reconstruct velocity from forward and lateral components
-        this.velocity = this.direction.clone().multiplyScalar(newForwardSpeed).add(lateralVelocity);
+        this.velocity = this.direction.clone().multiplyScalar(driftedForwardSpeed).add(lateralVelocity);
         this.velocity.y = verticalVelocity + this.acceleration.y * dt; // Add vertical acceleration
         
         // Update speed value
-        this.speed = newForwardSpeed;
+        this.speed = driftedForwardSpeed;
+        
+        // Slip angle between where the car points and where it's going
+        this.driftAngle = Math.abs(this.speed) > 1 ? Math.atan2(slipSpeed * lateralGrip, Math.abs(this.speed)) : 0;
         
         // Apply angular acceleration to angular velocity
         this.angularVelocity += this.angularAcceleration * dt;
@@ -448,73 +660,34 @@ class Vehicle {
         // Apply damping to angular velocity (simulates friction in the steering system)
         this.angularVelocity *= 0.97; // Reduced angular velocity damping for smoother turning
         
+        // Past the maximum slip angle the rear stops stepping out (no spinning round)
+        if (this.isDrifting && Math.abs(this.driftAngle) > DRIFT_MAX_ANGLE &&
+            Math.sign(this.angularVelocity) === this.driftDirection) {
+            this.angularVelocity *= 0.85;
+        }
+        
     }
     
     /**
      * Check if vehicle is on or off road
      */
     checkSurfaceInteraction(world, dt) {
-        // Check road boundaries
-        const ROAD_HALF_WIDTH = 15; // Based on LANE_WIDTH * 1.5
-        
         // IMPORTANT: Save previous off-road state for transition effects
         const wasOffRoad = this.isOffRoad;
         
-        // Find the closest road segment to determine if we're on or off road
-        let isOffRoad = true;
-        let closestSegmentX = 0;
-        let closestDistance = Infinity;
+        // Ask the track centerline where the road is at our Z position
+        // This is the same geometry the world uses to place the road segments
+        let isOffRoad;
+        let lateralOffset;
         
-        if (world && world.roadSegments) {
-            // Find the closest road segment to the vehicle
-            let closestSegment = null;
-            let closestZDistance = Infinity;
-            
-            // First, find the closest segment in Z-direction
-            for (const segment of world.roadSegments) {
-                // Get segment position in world space
-                const segmentPos = new THREE.Vector3();
-                segment.getWorldPosition(segmentPos);
-                
-                // Calculate Z-distance (distance along the road)
-                const zDistance = Math.abs(segmentPos.z - this.position.z);
-                
-                // Find the segment we're currently on or closest to
-                if (zDistance < closestZDistance) {
-                    closestZDistance = zDistance;
-                    closestSegment = segment;
-                }
-            }
-            
-            // If we found a close segment, check if we're on it
-            if (closestSegment && closestZDistance < 30) {
-                const segmentPos = new THREE.Vector3();
-                closestSegment.getWorldPosition(segmentPos);
-                
-                // Calculate local coordinates relative to the segment
-                // This takes into account the segment's rotation and position
-                const localPoint = this.position.clone().sub(segmentPos);
-                
-                // Apply inverse segment rotation to get vehicle position in segment space
-                if (closestSegment.rotation.y !== 0) {
-                    const inverseRotation = new THREE.Matrix4().makeRotationY(-closestSegment.rotation.y);
-                    localPoint.applyMatrix4(inverseRotation);
-                }
-                
-                // Determine distance from center of road
-                const distanceFromCenter = Math.abs(localPoint.x);
-                
-                // Check if we're on this segment of road
-                isOffRoad = distanceFromCenter > ROAD_HALF_WIDTH;
-                
-                // Store for recovery forces
-                closestSegmentX = localPoint.x;
-                closestDistance = distanceFromCenter - ROAD_HALF_WIDTH;
-            }
+        if (world && world.track) {
+            // Signed distance from the centerline, perpendicular to the road heading
+            lateralOffset = world.track.getLateralOffset(this.position);
+            isOffRoad = Math.abs(lateralOffset) > world.track.getHalfWidth(this.position.z);
         } else {
-            // Fallback to simple method if segments not available
+            // Fallback to a straight road along Z if no track is available
+            lateralOffset = this.position.x;
             isOffRoad = Math.abs(this.position.x) > ROAD_HALF_WIDTH;
-            closestSegmentX = this.position.x;
         }
         
         // Update off-road state
@@ -528,12 +701,20 @@ class Vehicle {
             // Only apply recovery forces if we're not deliberately steering
             if (!this.input.turnLeft && !this.input.turnRight) {
                 // Very gentle force to guide back toward road (not force)
-                const roadForce = -Math.sign(closestSegmentX) * 0.0005 * dt * Math.min(5, this.speed);
+                const roadForce = -Math.sign(lateralOffset) * 0.0005 * dt * Math.min(5, this.speed);
                 
                 // Apply as a subtle steering suggestion
                 this.steeringAngle = THREE.MathUtils.lerp(this.steeringAngle, roadForce, 0.01);
             }
             
+            // Crossing the edge fast sideways damages the car
+            if (!wasOffRoad && this.lateralOffset !== null) {
+                const sidewaysSpeed = Math.abs(lateralOffset - this.lateralOffset) / dt;
+                if (sidewaysSpeed > EDGE_SAFE_SPEED) {
+                    this.takeDamage((sidewaysSpeed - EDGE_SAFE_SPEED) * EDGE_DAMAGE_PER_SPEED);
+                }
+            }
+            
             // Only trigger the collision event once when transitioning to off-road
             if (!wasOffRoad && Math.abs(this.speed) > 20) {
                 // Apply virtually no speed reduction when hitting edge at high speed
@@ -552,6 +733,62 @@ class Vehicle {
         
         // Update previous state for next frame
         this.wasOffRoad = this.isOffRoad;
+        this.lateralOffset = lateralOffset;
+    }
+    
+    /**
+     * Take integrity off the car
+     * @param {Number} amount - Integrity lost (capped at MAX_IMPACT_DAMAGE per impact)
+     * @returns {Number} Integrity actually lost
+     */
+    takeDamage(amount) {
+        const damage = Math.min(amount, MAX_IMPACT_DAMAGE, this.integrity);
+        this.integrity -= damage;
+        this.lastImpactDamage = damage;
+        return damage;
+    }
+    
+    /**
+     * Restore integrity (data fragments patch the car up)
+     * @param {Number} amount - Integrity restored
+     */
+    repair(amount) {
+        this.integrity = Math.min(MAX_INTEGRITY, this.integrity + amount);
+    }
+    
+    /**
+     * Get the car's condition (1 undamaged, 0 wrecked)
+     */
+    getHealth() {
+        return this.integrity / MAX_INTEGRITY;
+    }
+    
+    /**
+     * Scale a handling factor from its wrecked share (at zero integrity) up to 1 (undamaged)
+     */
+    getDamageFactor(wreckedShare) {
+        return wreckedShare + (1 - wreckedShare) * this.getHealth();
+    }
+    
+    /**
+     * Top speed the acceleration curve tapers towards (boost raises it, damage lowers it)
+     */
+    getTopSpeed() {
+        const boost = this.isBoosting ? BOOST_TOP_SPEED : 1;
+        return this.handling.maxSpeed * boost * this.getDamageFactor(DAMAGED_TOP_SPEED);
+    }
+    
+    /**
+     * Yaw acceleration (radians/second²) that full steering lock gives at the current speed,
+     * matching the cornering model in calculateForces (drift forces aside)
+     */
+    getSteeringResponse() {
+        const speed = Math.abs(this.speed);
+        if (!this.isGrounded || speed <= 0.5) return 0;
+        
+        const speedFactor = Math.max(0.2, Math.min(1.0, speed / 30.0));
+        return this.handling.maxSteeringAngle / (this.handling.wheelBase * 0.5) *
+            this.getDamageFactor(DAMAGED_STEERING) * Math.sqrt(speed * 20) * speedFactor;
     }
     
     /**
@@ -559,7 +796,7 @@ class Vehicle {
      */
     updateWheelRotation(dt) {
         // Update wheel rotation speed based on vehicle speed
-        this.wheelSpeed = this.speed / WHEEL_RADIUS;
+        this.wheelSpeed = this.speed / this.handling.wheelRadius;
         
         // Rotate all wheels for visual effect (each wheel rotates around its local X axis)
         // Note: Sign is important for correct rotation direction in forward vs reverse
@@ -665,7 +902,7 @@ class Vehicle {
         if (time !== undefined) {
             const bounceHeight = this.isOffRoad 
                 ? 0.15 * Math.sin(time * 20) // More intense bounce off-road
-                : 0.05 * (this.speed / MAX_SPEED) * Math.sin(time * 10); // Normal bounce
+                : 0.05 * (this.speed / this.handling.maxSpeed) * Math.sin(time * 10); // Normal bounce
                 
             // Apply bounce height to mesh
             this.mesh.position.y = bounceHeight;
@@ -681,23 +918,51 @@ class Vehicle {
         this.rearWheels = rearWheels || [];
     }
     
+    /**
+     * Remember the current transform as the start of the next tick
+     * Call after teleporting the vehicle so rendering doesn't interpolate across the jump
+     */
+    syncPreviousTransform() {
+        this.previousPosition.copy(this.position);
+        this.previousRotationY = this.rotation.y;
+    }
+    
+    /**
+     * Get the transform between the previous tick and the current one
+     * @param {Number} alpha - 0 for the previous tick, 1 for the current tick
+     */
+    getInterpolatedTransform(alpha = 1) {
+        const position = new THREE.Vector3().lerpVectors(this.previousPosition, this.position, alpha);
+        const rotationY = THREE.MathUtils.lerp(this.previousRotationY, this.rotation.y, alpha);
+        const direction = new THREE.Vector3(Math.sin(rotationY), 0, Math.cos(rotationY));
+        
+        return { position, rotationY, direction };
+    }
+    
     /**
      * Apply vehicle's position and rotation to its mesh
+     * @param {Number} alpha - Interpolation between the previous and current tick (0-1)
      */
-    updateMeshTransform() {
+    updateMeshTransform(alpha = 1) {
         if (!this.mesh) return;
         
+        const { position, rotationY } = this.getInterpolatedTransform(alpha);
+        
         // Update mesh position from physics state
-        this.mesh.position.copy(this.position);
+        this.mesh.position.copy(position);
         
         // Update mesh rotation (y-rotation only - roll/pitch handled in updateVisuals)
-        this.mesh.rotation.y = this.rotation.y;
+        this.mesh.rotation.y = rotationY;
     }
     
     /**
      * Handle collision with an obstacle
+     * @param {THREE.Object3D} obstacle - The obstacle that was hit (optional)
      */
-    collideWithObstacle() {
+    collideWithObstacle(obstacle) {
+        // Harder hits at higher speeds do more damage
+        const damage = this.takeDamage(OBSTACLE_DAMAGE_BASE + Math.abs(this.speed) * OBSTACLE_DAMAGE_PER_SPEED);
+        
         // Reduce speed based on current speed (harder hit at higher speeds)
         const speedReduction = Math.min(Math.abs(this.speed), 60);
         const oldSpeed = this.speed;
@@ -711,8 +976,11 @@ class Vehicle {
         // Add a vertical bounce that's less dramatic
         this.velocity.y = 0.5;  // Smaller upward velocity
         
-        // Add some random rotation for effect
-        this.angularVelocity += (Math.random() - 0.5) * 0.2;
+        // Knock the nose away from the obstacle - deterministic so runs are reproducible
+        if (obstacle) {
+            const sideOffset = this.position.x - obstacle.position.x;
+            this.angularVelocity += THREE.MathUtils.clamp(sideOffset / 3, -1, 1) * 0.1;
+        }
         
         // IMPORTANT: Ensure position doesn't go below ground
         // This fixes the sinking issue
@@ -723,6 +991,7 @@ class Vehicle {
         
         return {
             speedReduction,
+            damage,
             effects: ['heavyGlitch', 'screenShake', 'flashRed']
         };
     }
@@ -731,17 +1000,10 @@ class Vehicle {
      * Get world-aligned bounding box for collision detection
      */
     getBoundingBox() {
-        if (!this.mesh) return null;
-        
-        // Instead of using the entire mesh, create a custom bounding box
-        // that more closely matches the car's actual body
-        // The car body is 4x1x8 (from renderer.js line 295)
-        
-        // Create a custom bounding box slightly smaller than the car's visual body
-        // to allow for more forgiving collision detection
-        const halfWidth = 1.7; // Slightly smaller than car width (4 units / 2)
-        const halfHeight = 0.5; // Car height (1 unit / 2) 
-        const halfLength = 3.5; // Slightly smaller than car length (8 units / 2)
+        // Instead of using the entire mesh, use the vehicle class's hitbox,
+        // which sits slightly inside the car's visual body to allow for more forgiving collision detection
+        // Built from the physics state alone, so it also works without a mesh (headless runs)
+        const { halfWidth, halfHeight, halfLength } = this.definition.hitbox;
         
         // Use the car's position and rotation to position the hitbox
         const position = this.position.clone();
@@ -767,5 +1029,66 @@ class Vehicle {
     }
 }
 
+/**
+ * Resolve contact between two cars: push them apart and trade speed between them by their masses
+ * Nose-to-tail hits push along the track, side-by-side rubs push sideways - whichever overlaps less
+ * @param {Vehicle} a - One car
+ * @param {Vehicle} b - The other car
+ * @returns {Number|null} Closing speed of the impact (0 if they were already moving apart), or null if not touching
+ */
+function resolveVehicleContact(a, b) {
+    const footprintA = getFootprint(a);
+    const footprintB = getFootprint(b);
+    
+    const overlapX = Math.min(footprintA.maxX, footprintB.maxX) - Math.max(footprintA.minX, footprintB.minX);
+    const overlapZ = Math.min(footprintA.maxZ, footprintB.maxZ) - Math.max(footprintA.minZ, footprintB.minZ);
+    if (overlapX <= 0 || overlapZ <= 0) return null;
+    
+    // Separate along the axis with less overlap (n points from a to b)
+    const axis = overlapX < overlapZ ? 'x' : 'z';
+    const n = a.position[axis] < b.position[axis] ? 1 : -1;
+    const push = Math.min(overlapX, overlapZ) / 2 + CONTACT_SEPARATION;
+    a.position[axis] -= n * push;
+    b.position[axis] += n * push;
+    
+    // Bounce apart if they were closing, shared out by mass
+    const closingSpeed = Math.max(0, (a.velocity[axis] - b.velocity[axis]) * n);
+    if (closingSpeed > 0) {
+        const impulse = closingSpeed * (1 + CONTACT_RESTITUTION) / (1 / a.mass + 1 / b.mass);
+        a.velocity[axis] -= n * impulse / a.mass;
+        b.velocity[axis] += n * impulse / b.mass;
+        
+        // Keep the forward speed in step with the new velocity
+        a.speed = a.velocity.dot(a.direction);
+        b.speed = b.velocity.dot(b.direction);
+        
+        const damage = (closingSpeed - CONTACT_SAFE_SPEED) * CONTACT_DAMAGE_PER_SPEED;
+        if (damage > 0) {
+            a.takeDamage(damage);
+            b.takeDamage(damage);
+        }
+    }
+    
+    return closingSpeed;
+}
+
+/**
+ * Get the world-aligned rectangle a car's hitbox covers on the ground, at any heading
+ */
+function getFootprint(vehicle) {
+    const { halfWidth, halfLength } = vehicle.definition.hitbox;
+    const sin = Math.abs(Math.sin(vehicle.rotation.y));
+    const cos = Math.abs(Math.cos(vehicle.rotation.y));
+    const halfX = sin * halfLength + cos * halfWidth;
+    const halfZ = cos * halfLength + sin * halfWidth;
+    
+    return {
+        minX: vehicle.position.x - halfX,
+        maxX: vehicle.position.x + halfX,
+        minZ: vehicle.position.z - halfZ,
+        maxZ: vehicle.position.z + halfZ
+    };
+}
+
 // Export the vehicle class and constants
-export { Vehicle, MAX_SPEED, ACCELERATION };
\ No newline at end of file
+export { Vehicle, resolveVehicleContact, MAX_INTEGRITY };
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Random Module for Neon Drift Protocol
+ *
+ * Provides seeded pseudo-random numbers so that everything generated
+ * from a track seed (turns, straights, spawn placements) can be
+ * reproduced exactly on another machine or in another run.
+ */
+
+// Seeded random number generator (mulberry32)
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next random float in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random float in the range [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Get a random integer in the range [min, max] (inclusive)
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Return true with the given probability (0-1)
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Create an independent generator derived from this seed
+     * Streams forked with different names never affect each other,
+     * so e.g. the track layout does not change when spawn rules change.
+     */
+    fork(name) {
+        return new SeededRandom(hashString(`${this.seed}:${name}`));
+    }
+}
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ */
+function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Convert a user supplied seed (number, hex code or any text) to a 32-bit seed
+ */
+function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value >>> 0;
+    }
+
+    const text = String(value).trim();
+
+    // Seeds are displayed as hex codes, so accept them back in that form
+    if (/^[0-9a-f]{1,8}$/i.test(text)) {
+        return parseInt(text, 16) >>> 0;
+    }
+
+    return hashString(text);
+}
+
+/**
+ * Create a fresh seed for a new random track
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Format a seed as a short shareable code
+ */
+function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+// Export the random helpers
+export { SeededRandom, hashString, normalizeSeed, createRandomSeed, formatSeed };
@@ -2,14 +2,17 @@
  * Renderer Module for Neon Drift Protocol
  * 
  * Handles all visual aspects including:
- * - Scene setup and camera management
+ * - Scene setup and camera management (one view, or two stacked views for split screen)
  * - Lighting and visual effects
  * - Vehicle model creation
- * - UI element updates
+ * - UI element updates (with the lap and sector timer and checkpoint splits of time trials)
  */
 
 // Import Skybox module
 import { Skybox } from './skybox.js';
+import { ACTION_LABELS, KEYS_PER_ACTION, RESERVED_KEYS, formatKey } from './keybindings.js';
+import { VEHICLE_CLASSES, getVehicleRatings } from './vehicles.js';
+import { LIVERY_LABELS } from './livery.js';
 
 // Camera settings
 const CAMERA_SETTINGS = {
@@ -20,12 +23,49 @@ const CAMERA_SETTINGS = {
     baseDistance: 20
 };
 
+// HUD
+const AWARD_DISPLAY_TIME = 1.5;          // Seconds the last points award stays on the HUD
+
+/**
+ * Get a player's copy of a HUD element - player two's ids end in 2 (score2, speedometer2, ...)
+ */
+function getHudElement(id, player = 0) {
+    return document.getElementById(player === 0 ? id : `${id}${player + 1}`);
+}
+
+// Garage stat bars: rating name -> label
+const GARAGE_RATINGS = {
+    speed: 'TOP SPEED',
+    acceleration: 'ACCELERATION',
+    steering: 'STEERING',
+    grip: 'GRIP'
+};
+
+// Color a wrecked vehicle's wireframe burns toward
+const WRECKED_COLOR = 0xff2200;
+
+// Livery parts
+const DECAL_TEXTURE_SIZE = { width: 128, height: 256 };  // Canvas pixels across and along the car
+const UNDERGLOW_OPACITY = 0.8;
+
+// Customizer preview
+const PREVIEW_SPIN_SPEED = 0.8;          // Radians per second
+
+// Ghost car
+const GHOST_COLOR = 0x66ffff;
+const GHOST_OPACITY = 0.35;
+const GHOST_SPLIT_DISPLAY_TIME = 3000;   // Milliseconds a split time stays on the HUD
+
+// Time trials
+const CHECKPOINT_SPLIT_DISPLAY_TIME = 3000;  // Milliseconds a checkpoint split stays on the HUD
+
 // Visual effects
 class VisualEffects {
     constructor() {
         this.vhsOverlay = document.getElementById('vhs-overlay');
         this.glitchActive = false;
         this.glitchTimeout = null;
+        this.messageTimeout = null;
     }
     
     /**
@@ -89,6 +129,28 @@ class VisualEffects {
         }
     }
     
+    /**
+     * Handle boost visual effects (VHS streaking while the boost lasts)
+     */
+    setBoostEffect(isBoosting) {
+        document.body.classList.toggle('boosting', isBoosting);
+    }
+    
+    /**
+     * Near miss effect - a cyan edge flash, with a glitch for the closest passes
+     * @param {Number} closeness - 0 at the edge of the near miss margin, 1 for a scrape
+     */
+    triggerNearMissEffect(closeness) {
+        document.body.classList.add('near-miss');
+        if (closeness > 0.5) {
+            this.applyGlitchEffect(false);
+        }
+        
+        setTimeout(() => {
+            document.body.classList.remove('near-miss');
+        }, 300);
+    }
+    
     /**
      * Wall collision effect
      */
@@ -117,18 +179,52 @@ class VisualEffects {
         }, 2000);
     }
     
+    /**
+     * Show a short status message (replay saved, playback finished, ...)
+     */
+    showMessage(text, duration = 2000) {
+        const message = document.getElementById('message');
+        if (!message) return;
+        
+        message.textContent = text;
+        message.style.opacity = 1;
+        
+        // Fade out, unless a newer message replaced this one
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            message.style.opacity = 0;
+        }, duration);
+    }
+    
+    /**
+     * Show the track seed on the title screen and HUD
+     */
+    showSeed(seedCode) {
+        const seedElements = [
+            document.getElementById('seed'),
+            document.getElementById('introSeed')
+        ];
+        
+        seedElements.forEach(element => {
+            if (element) {
+                element.textContent = `SEED: ${seedCode}`;
+            }
+        });
+    }
+    
     /**
      * Update UI score and speed display
+     * @param {Number} player - Whose HUD to update (0 for player one, 1 for player two in split screen)
      */
-    updateUI(score, speed) {
+    updateUI(score, speed, player = 0) {
         // Update score display
-        const scoreElement = document.getElementById('score');
+        const scoreElement = getHudElement('score', player);
         if (scoreElement) {
             scoreElement.textContent = `SCORE: ${score}`;
         }
         
         // Update speedometer with visual indicator
-        const speedElement = document.getElementById('speedometer');
+        const speedElement = getHudElement('speedometer', player);
         if (speedElement) {
             // Convert speed to positive value and scale appropriately for display
             const absSpeed = Math.abs(speed);
@@ -158,6 +254,507 @@ class VisualEffects {
             speedElement.innerHTML = `SPEED: ${displaySpeed} MB/s<br><span style="color: ${barColor}">${speedBar}</span>`;
         }
     }
+    
+    /**
+     * Update the HUD boost meter
+     * @param {Number} meter - Stored boost (0-1)
+     * @param {Boolean} ready - Whether there's enough for a boost
+     * @param {Boolean} active - Whether a boost is running
+     * @param {Number} player - Whose HUD to update
+     */
+    updateBoostMeter(meter, ready, active, player = 0) {
+        const boostElement = getHudElement('boostMeter', player);
+        if (!boostElement) return;
+        
+        getHudElement('boostFill', player).style.width = `${Math.round(meter * 100)}%`;
+        boostElement.classList.toggle('ready', ready);
+        boostElement.classList.toggle('active', active);
+    }
+    
+    /**
+     * Update the HUD combo readout
+     * @param {Object} combo - Combo state from ScoreSystem.getComboState()
+     * @param {Number} player - Whose HUD to update
+     */
+    updateCombo(combo, player = 0) {
+        const comboElement = getHudElement('combo', player);
+        if (!comboElement) return;
+        
+        // The last award stays up for a moment, even once the combo has run out
+        const award = combo.lastAward && combo.time - combo.lastAward.time < AWARD_DISPLAY_TIME ?
+            combo.lastAward : null;
+        
+        if (combo.multiplier <= 1 && !award) {
+            comboElement.style.display = 'none';
+            return;
+        }
+        
+        comboElement.style.display = 'block';
+        getHudElement('comboMultiplier', player).textContent =
+            combo.multiplier > 1 ? `COMBO x${combo.multiplier.toFixed(1)}` : '';
+        getHudElement('comboTimer', player).style.width = `${Math.round(combo.timeLeft * 120)}px`;
+        getHudElement('comboAward', player).textContent = award ? `${award.label} +${award.points}` : '';
+    }
+    
+    /**
+     * Update the HUD race position against the rivals (and the other player)
+     * @param {Number} position - Player's place (1 is leading)
+     * @param {Number} total - Cars that started the race, 1 hides the position (no rivals)
+     * @param {Number} player - Whose HUD to update
+     */
+    updateRacePosition(position, total, player = 0) {
+        const positionElement = getHudElement('racePosition', player);
+        if (!positionElement) return;
+        
+        if (total <= 1) {
+            positionElement.style.display = 'none';
+            return;
+        }
+        
+        positionElement.textContent = `POS ${position}/${total}`;
+        positionElement.style.display = 'block';
+    }
+    
+    /**
+     * Show the time ahead of or behind the ghost at a split marker (null hides it)
+     * @param {Object} split - { distance, delta } from Ghost.checkSplit()
+     */
+    showGhostSplit(split) {
+        const splitElement = document.getElementById('ghostSplit');
+        if (!splitElement) return;
+        
+        clearTimeout(this.ghostSplitTimeout);
+        if (!split) {
+            splitElement.style.display = 'none';
+            return;
+        }
+        
+        // A ghost that never reached the marker counts as beaten
+        const ahead = split.delta === null || split.delta < 0;
+        const time = split.delta === null ?
+            'NEW GROUND' :
+            `${split.delta < 0 ? '-' : '+'}${Math.abs(split.delta).toFixed(2)}s`;
+        
+        splitElement.textContent = `${split.distance} - GHOST ${time}`;
+        splitElement.classList.toggle('ahead', ahead);
+        splitElement.style.display = 'block';
+        
+        this.ghostSplitTimeout = setTimeout(() => {
+            splitElement.style.display = 'none';
+        }, GHOST_SPLIT_DISPLAY_TIME);
+    }
+    
+    /**
+     * Show the time at a course checkpoint against the best time's (null hides it)
+     * @param {Object|null} split - { label, time, delta } - delta is seconds behind the best
+     *     (negative when ahead), or null without a best time to beat
+     */
+    showCheckpointSplit(split) {
+        const splitElement = document.getElementById('checkpointSplit');
+        if (!splitElement) return;
+        
+        clearTimeout(this.checkpointSplitTimeout);
+        if (!split) {
+            splitElement.style.display = 'none';
+            return;
+        }
+        
+        const delta = split.delta === null ?
+            '' :
+            ` ${split.delta < 0 ? '-' : '+'}${Math.abs(split.delta).toFixed(2)}`;
+        
+        splitElement.textContent = `${split.label} ${formatLapTime(split.time)}${delta}`;
+        splitElement.classList.toggle('ahead', split.delta === null || split.delta < 0);
+        splitElement.style.display = 'block';
+        
+        this.checkpointSplitTimeout = setTimeout(() => {
+            splitElement.style.display = 'none';
+        }, CHECKPOINT_SPLIT_DISPLAY_TIME);
+    }
+    
+    /**
+     * Update the lap and sector timer of a time trial (null progress hides it)
+     * @param {Object} course - Course being driven (see course.js)
+     * @param {Object|null} progress - { lap, sector, lapTime, sectorTime } from CourseTimer.getProgress
+     * @param {Number|null} bestTime - Best time on the course, or null if there isn't one to show
+     * @param {Number} player - Whose HUD to update
+     */
+    updateLapTimer(course, progress, bestTime, player = 0) {
+        const lapTimer = getHudElement('lapTimer', player);
+        if (!lapTimer) return;
+        
+        if (!progress) {
+            lapTimer.style.display = 'none';
+            return;
+        }
+        
+        const lines = [
+            `LAP ${progress.lap + 1}/${course.laps} ${formatLapTime(progress.lapTime)}`,
+            `SECTOR ${progress.sector + 1}/${course.sectors} ${formatLapTime(progress.sectorTime)}`
+        ];
+        if (bestTime !== null) {
+            lines.push(`BEST ${formatLapTime(bestTime)}`);
+        }
+        
+        lapTimer.textContent = lines.join('\n');
+        lapTimer.style.display = 'block';
+    }
+    
+    /**
+     * Show the pre-race countdown (null hides it)
+     */
+    showCountdown(text) {
+        const countdown = document.getElementById('countdown');
+        if (!countdown) return;
+        
+        countdown.textContent = text || '';
+        countdown.style.display = text ? 'block' : 'none';
+    }
+    
+    /**
+     * Show or hide the pause menu
+     */
+    showPauseMenu(visible) {
+        const pauseMenu = document.getElementById('pauseMenu');
+        if (pauseMenu) {
+            pauseMenu.style.display = visible ? 'flex' : 'none';
+        }
+    }
+    
+    /**
+     * Show the end of run screen
+     * @param {String} title - Heading, e.g. GAME OVER
+     * @param {Object|null} stats - Run stats to list (score, distance, time); null hides the screen
+     *     Split screen stats list both players side by side
+     */
+    showResults(title, stats) {
+        const results = document.getElementById('results');
+        if (!results) return;
+        
+        if (!stats) {
+            results.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('resultsTitle').textContent = title;
+        if (stats.players) {
+            document.getElementById('resultsStats').innerHTML = getSplitResultLines(stats).join('<br>');
+            results.style.display = 'flex';
+            return;
+        }
+        
+        const lines = [
+            `SCORE: ${stats.score}`,
+            `DISTANCE: ${Math.floor(stats.distance)}`,
+            `TOP SPEED: ${Math.floor(stats.topSpeed * 0.5)} MB/s`,  // Same scale as the speedometer
+            `OBSTACLES HIT: ${stats.obstaclesHit}`,
+            `DATA FRAGMENTS: ${stats.collectiblesCollected}`,
+            `TIME OFF-ROAD: ${stats.offRoadTime.toFixed(1)}s`,
+            `DRIFTS: ${stats.drifts} (LONGEST ${stats.longestDrift.toFixed(1)}s)`,
+            `BOOSTS: ${stats.boosts}`,
+            `INTEGRITY: ${Math.ceil(stats.integrity)}%`,
+            `NEAR MISSES: ${stats.nearMisses}`,
+            `BEST COMBO: x${stats.bestMultiplier.toFixed(1)}`,
+            `TIME: ${formatTime(stats.time)}`
+        ];
+        
+        // Time trials: the course time leads, with each lap's time on a circuit
+        if (stats.splits) {
+            lines.unshift(`COURSE TIME: ${formatCourseTime(stats.courseTime)}`);
+            if (stats.lapTimes.length > 1) {
+                lines.splice(1, 0, ...stats.lapTimes.map((time, lap) => `LAP ${lap + 1}: ${formatLapTime(time)}`));
+            }
+        }
+        
+        // Racing rivals: where the player finished and how often they traded paint
+        if (stats.rivals > 0) {
+            lines.unshift(`POSITION: ${stats.position}/${stats.rivals + 1}`);
+            lines.push(`RIVAL CONTACTS: ${stats.rivalContacts}`);
+        }
+        
+        document.getElementById('resultsStats').innerHTML = lines.join('<br>');
+        
+        results.style.display = 'flex';
+    }
+    
+    /**
+     * Update the HUD readout for the run's end condition
+     * @param {Object} endCondition - Simulation end condition
+     * @param {Object} stats - Current run stats (the player's own, with the run time)
+     * @param {Number} player - Whose HUD to update
+     */
+    updateObjective(endCondition, stats, player = 0) {
+        const objective = getHudElement('objective', player);
+        if (!objective) return;
+        
+        let text = '';
+        switch (endCondition.type) {
+            case 'integrity':
+                text = `INTEGRITY: ${Math.ceil(stats.integrity)}%`;
+                break;
+            case 'time':
+                text = `TIME LEFT: ${formatTime(Math.max(0, endCondition.timeLimit - stats.time))}`;
+                break;
+            case 'distance':
+                text = `DISTANCE: ${Math.floor(Math.max(0, stats.distance))} / ${endCondition.distance}`;
+                break;
+            case 'course': {
+                const course = endCondition.course;
+                const length = course.lapLength * course.laps;
+                text = `${course.name}: ${Math.floor(Math.min(length, Math.max(0, stats.distance)))} / ${length}`;
+                break;
+            }
+        }
+        
+        objective.textContent = text;
+    }
+    
+    /**
+     * Fill a leaderboard element with high score entries
+     * @param {String} elementId - Leaderboard element to fill
+     * @param {String} title - Heading, e.g. the mode and seed
+     * @param {Array} entries - High score entries, best first
+     * @param {Number} highlightRank - Entry to highlight (the run just played), -1 for none
+     */
+    showLeaderboard(elementId, title, entries, highlightRank = -1) {
+        const leaderboard = document.getElementById(elementId);
+        if (!leaderboard) return;
+        
+        if (entries.length === 0) {
+            leaderboard.innerHTML = `${title}<br>NO RUNS YET`;
+            return;
+        }
+        
+        const rows = entries.map((entry, rank) => {
+            const rowClass = rank === highlightRank ? ' class="highlight"' : '';
+            return `<tr${rowClass}><td>${rank + 1}.</td><td>${escapeHTML(entry.initials)}</td>` +
+                `<td>${entry.score}</td><td>${entry.distance}</td></tr>`;
+        });
+        
+        leaderboard.innerHTML = `${title}<table>${rows.join('')}</table>`;
+    }
+    
+    /**
+     * Show the arcade-style initials entry (null hides it)
+     * @param {InitialsEntry|null} entry - Entry being edited
+     */
+    showInitialsEntry(entry) {
+        const initialsEntry = document.getElementById('initialsEntry');
+        if (!initialsEntry) return;
+        
+        if (!entry) {
+            initialsEntry.style.display = 'none';
+            return;
+        }
+        
+        const letters = entry.letters.map((letter, index) => {
+            const shown = letter === ' ' ? '_' : escapeHTML(letter);
+            return index === entry.cursor ? `<span class="cursor">${shown}</span>` : shown;
+        });
+        
+        initialsEntry.innerHTML = `NEW HIGH SCORE<br>${letters.join('')}` +
+            '<small>TYPE OR USE ARROWS - ENTER OR TAP TO CONFIRM</small>';
+        initialsEntry.style.display = 'block';
+    }
+    
+    /**
+     * Show the controls menu (null hides it)
+     * @param {KeyBindings|null} keyBindings - Bindings to list
+     * @param {Object|null} rebinding - { action, slot } waiting for a key, or null
+     * @param {String} message - Status line, e.g. why a key was refused
+     */
+    showControlsMenu(keyBindings, rebinding = null, message = '') {
+        const controlsMenu = document.getElementById('controlsMenu');
+        if (!controlsMenu) return;
+        
+        if (!keyBindings) {
+            controlsMenu.style.display = 'none';
+            return;
+        }
+        
+        const rows = Object.entries(ACTION_LABELS).map(([action, label]) => {
+            const keys = keyBindings.getKeys(action);
+            const slots = [];
+            
+            for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+                const listening = rebinding && rebinding.action === action && rebinding.slot === slot;
+                const text = listening ? 'PRESS A KEY' : (keys[slot] ? escapeHTML(formatKey(keys[slot])) : '-');
+                const slotClass = listening ? 'key-slot listening' : 'key-slot';
+                slots.push(`<td><button class="${slotClass}" data-action="${action}" data-slot="${slot}">${text}</button></td>`);
+            }
+            
+            return `<tr><td>${label}</td>${slots.join('')}</tr>`;
+        });
+        
+        // Reserved keys are listed but can't be changed
+        rows.push(`<tr class="reserved"><td>DEBUG</td><td>${formatKey(RESERVED_KEYS.DEBUG_TOGGLE)}</td><td></td></tr>`);
+        rows.push(`<tr class="reserved"><td>MENU / BACK</td><td>${formatKey(RESERVED_KEYS.MENU)}</td><td></td></tr>`);
+        
+        document.getElementById('controlsList').innerHTML = rows.join('');
+        document.getElementById('controlsMessage').textContent = message ||
+            (rebinding ? 'ESC TO CANCEL - BACKSPACE TO CLEAR' : 'CLICK A KEY TO CHANGE IT');
+        controlsMenu.style.display = 'flex';
+    }
+    
+    /**
+     * List the gamepad settings in the controls menu
+     * @param {Object} settings - { deadzone, sensitivity }
+     * @param {Gamepad|null} gamepad - Connected controller, if any
+     */
+    showGamepadSettings(settings, gamepad) {
+        const gamepadSettings = document.getElementById('gamepadSettings');
+        if (!gamepadSettings) return;
+        
+        const row = (label, setting, value) =>
+            `<tr><td>${label}</td>` +
+            `<td><button class="key-slot" data-setting="${setting}" data-direction="-1">-</button></td>` +
+            `<td>${value}</td>` +
+            `<td><button class="key-slot" data-setting="${setting}" data-direction="1">+</button></td></tr>`;
+        
+        const status = gamepad ? 'GAMEPAD CONNECTED' : 'NO GAMEPAD - PRESS A BUTTON TO CONNECT';
+        gamepadSettings.innerHTML = `<tr><td colspan="4">${status}</td></tr>` +
+            row('STICK DEADZONE', 'deadzone', `${Math.round(settings.deadzone * 100)}%`) +
+            row('STEERING SENSITIVITY', 'sensitivity', `${settings.sensitivity.toFixed(1)}x`);
+    }
+    
+    /**
+     * Show the garage with every vehicle class and its ratings (null hides it)
+     * @param {String|null} selectedId - Vehicle class currently chosen
+     */
+    showGarageMenu(selectedId) {
+        const garageMenu = document.getElementById('garageMenu');
+        if (!garageMenu) return;
+        
+        if (!selectedId) {
+            garageMenu.style.display = 'none';
+            return;
+        }
+        
+        const cards = Object.values(VEHICLE_CLASSES).map(definition => {
+            const ratings = getVehicleRatings(definition.id);
+            const color = '#' + definition.mesh.bodyColor.toString(16).padStart(6, '0');
+            const bars = Object.entries(GARAGE_RATINGS).map(([name, label]) =>
+                `<tr><td>${label}</td><td><div class="garage-bar">` +
+                `<div style="width: ${Math.round(ratings[name] * 100)}%; background: ${color};"></div>` +
+                '</div></td></tr>');
+            const cardClass = definition.id === selectedId ? 'garage-car selected' : 'garage-car';
+            
+            return `<button class="${cardClass}" data-vehicle="${definition.id}" style="border-color: ${color};">` +
+                `<h3 style="color: ${color};">${escapeHTML(definition.name)}</h3>` +
+                `<p>${escapeHTML(definition.description)}</p>` +
+                `<table>${bars.join('')}</table></button>`;
+        });
+        
+        document.getElementById('garageList').innerHTML = cards.join('');
+        garageMenu.style.display = 'flex';
+    }
+    
+    /**
+     * Show the livery customizer with the current choices (null hides it)
+     * @param {Livery|null} livery - Player's livery
+     */
+    showLiveryMenu(livery) {
+        const liveryMenu = document.getElementById('liveryMenu');
+        if (!liveryMenu) return;
+        
+        if (!livery) {
+            liveryMenu.style.display = 'none';
+            return;
+        }
+        
+        const rows = Object.entries(LIVERY_LABELS).map(([part, label]) => {
+            const option = livery.getOption(part);
+            const swatch = typeof option.color === 'number' ?
+                `<span class="livery-swatch" style="background: #${option.color.toString(16).padStart(6, '0')};"></span>` :
+                '';
+            
+            return `<tr><td>${label}</td>` +
+                `<td><button class="key-slot" data-livery="${part}" data-direction="-1">&lt;</button></td>` +
+                `<td class="livery-choice">${swatch}${option.name}</td>` +
+                `<td><button class="key-slot" data-livery="${part}" data-direction="1">&gt;</button></td></tr>`;
+        });
+        
+        document.getElementById('liveryOptions').innerHTML = rows.join('');
+        liveryMenu.style.display = 'flex';
+    }
+    
+    /**
+     * Show or hide the results screen buttons (hidden during the GAME OVER banner)
+     */
+    showResultsButtons(visible) {
+        const buttons = document.getElementById('resultsButtons');
+        if (buttons) {
+            buttons.style.display = visible ? 'block' : 'none';
+        }
+    }
+}
+
+/**
+ * Escape text for use in innerHTML (initials can come from imported files)
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Format seconds as M:SS for the HUD and results
+ */
+function formatTime(time) {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60).toString().padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Format seconds as M:SS.hh for lap, sector and course times
+ */
+function formatLapTime(time) {
+    const hundredths = Math.round(time * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const seconds = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Format a time trial's course time, which is null if the finish line was never reached
+ */
+function formatCourseTime(time) {
+    return time === null ? 'DID NOT FINISH' : formatLapTime(time);
+}
+
+/**
+ * List a split screen run's results with both players side by side
+ */
+function getSplitResultLines(stats) {
+    const [first, second] = stats.players;
+    const both = (label, format) => `${label}: ${format(first)} | ${format(second)}`;
+    
+    const lines = [
+        'P1 | P2',
+        both('SCORE', player => player.score),
+        both('DISTANCE', player => Math.floor(player.distance)),
+        both('TOP SPEED', player => `${Math.floor(player.topSpeed * 0.5)} MB/s`),
+        both('OBSTACLES HIT', player => player.obstaclesHit),
+        both('DATA FRAGMENTS', player => player.collectiblesCollected),
+        both('DRIFTS', player => player.drifts),
+        both('NEAR MISSES', player => player.nearMisses),
+        both('BEST COMBO', player => `x${player.bestMultiplier.toFixed(1)}`),
+        both('INTEGRITY', player => `${Math.ceil(player.integrity)}%`),
+        both('CONTACTS', player => player.rivalContacts),
+        `TIME: ${formatTime(stats.time)}`
+    ];
+    
+    // Racing rivals too: where each player finished among all the cars
+    if (stats.rivals > 0) {
+        lines.splice(1, 0, both('POSITION', player => `${player.position}/${player.rivals + stats.players.length}`));
+    }
+    
+    // Time trials: each player's course time
+    if (first.splits) {
+        lines.splice(1, 0, both('COURSE TIME', player => formatCourseTime(player.courseTime)));
+    }
+    
+    return lines;
 }
 
 // Main renderer class
@@ -165,9 +762,12 @@ class GameRenderer {
     constructor() {
         this.scene = null;
         this.camera = null;
+        this.cameras = [];           // One per view - player one's is this.camera
+        this.splitScreen = false;    // Two views, player one's above player two's
         this.renderer = null;
         this.effects = new VisualEffects();
         this.skybox = null;
+        this.preview = null;         // Customizer preview, created the first time it's shown
     }
     
     /**
@@ -195,14 +795,8 @@ class GameRenderer {
         this.scene.fog = new THREE.FogExp2(0x330066, 0.0007); // Much less dense fog to match larger skybox scale
         
         // Create camera
-        this.camera = new THREE.PerspectiveCamera(
-            CAMERA_SETTINGS.fov, 
-            window.innerWidth / window.innerHeight, 
-            CAMERA_SETTINGS.near, 
-            CAMERA_SETTINGS.far
-        );
-        this.camera.position.set(0, CAMERA_SETTINGS.baseHeight, -CAMERA_SETTINGS.baseDistance);
-        this.camera.lookAt(0, 1, 30);
+        this.camera = this.createCamera();
+        this.cameras = [this.camera];
         
         // Create renderer with enhanced settings
         this.renderer = new THREE.WebGLRenderer({ 
@@ -215,6 +809,66 @@ class GameRenderer {
         document.body.appendChild(this.renderer.domElement);
     }
     
+    /**
+     * Create a camera for one view, looking down the road from behind the start line
+     */
+    createCamera() {
+        const camera = new THREE.PerspectiveCamera(
+            CAMERA_SETTINGS.fov, 
+            window.innerWidth / window.innerHeight, 
+            CAMERA_SETTINGS.near, 
+            CAMERA_SETTINGS.far
+        );
+        camera.position.set(0, CAMERA_SETTINGS.baseHeight, -CAMERA_SETTINGS.baseDistance);
+        camera.lookAt(0, 1, 30);
+        
+        return camera;
+    }
+    
+    /**
+     * Switch between one full-screen view and split screen (player one on top, player two below)
+     */
+    setSplitScreen(enabled) {
+        this.splitScreen = enabled;
+        
+        if (enabled && this.cameras.length < 2) {
+            const camera = this.createCamera();
+            this.scene.add(camera);
+            this.cameras.push(camera);
+        }
+        
+        this.updateCameraAspects();
+    }
+    
+    /**
+     * Get the screen area of each view, in CSS pixels from the bottom left (as WebGL counts them)
+     */
+    getViewports() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        
+        if (!this.splitScreen) {
+            return [{ x: 0, y: 0, width, height }];
+        }
+        
+        const half = Math.floor(height / 2);
+        return [
+            { x: 0, y: height - half, width, height: half },
+            { x: 0, y: 0, width, height: height - half }
+        ];
+    }
+    
+    /**
+     * Fit each camera's aspect ratio to its view
+     */
+    updateCameraAspects() {
+        this.getViewports().forEach((viewport, view) => {
+            const camera = this.cameras[view];
+            camera.aspect = viewport.width / viewport.height;
+            camera.updateProjectionMatrix();
+        });
+    }
+    
     /**
      * Create enhanced lighting for the scene that complements the skybox
      */
@@ -276,67 +930,75 @@ class GameRenderer {
      */
     setupEventListeners() {
         window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
+            this.updateCameraAspects();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
         });
     }
     
     /**
      * Create the player vehicle mesh
+     * @param {Object} definition - Vehicle class (see vehicles.js) - its mesh description sets the shape and colors
+     * @param {Object} paint - Livery colors from Livery.resolve(), or null for the class's stock look
      */
-    createVehicleMesh() {
+    createVehicleMesh(definition, paint = null) {
+        const { cockpitColor, wheelColor, body: bodySize, nose: noseSize, cockpit: cockpitSize, wheels } = definition.mesh;
+        const { bodyColor, underglowColor, trimColor, decal, decalColor } = paint ||
+            { bodyColor: definition.mesh.bodyColor, underglowColor: null, trimColor: null, decal: null, decalColor: null };
+        
         // Create a vehicle group
         const vehicleGroup = new THREE.Group();
         const frontWheels = [];
         const rearWheels = [];
         
         // Vehicle body - proper shape to make front/back obvious
-        const bodyGeometry = new THREE.BoxGeometry(4, 1, 8);
+        const bodyGeometry = new THREE.BoxGeometry(bodySize.width, bodySize.height, bodySize.length);
         const bodyMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x00ffff,
+            color: bodyColor,
             wireframe: true
         });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.name = 'body';
         body.position.y = 0.5;
         vehicleGroup.add(body);
         
         // Add a pointed front to make car direction obvious
-        const noseGeometry = new THREE.ConeGeometry(2, 2, 4);
+        const noseGeometry = new THREE.ConeGeometry(noseSize.radius, noseSize.length, 4);
         const noseMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
+            color: bodyColor,
             wireframe: true
         });
         const nose = new THREE.Mesh(noseGeometry, noseMaterial);
+        nose.name = 'nose';
         
         // Position the nose at the FRONT of the car (+Z)
-        nose.position.set(0, 0.5, 4.5);
+        nose.position.set(0, 0.5, bodySize.length / 2 + noseSize.length / 4);
         nose.rotation.x = Math.PI / 2; // Rotate to point forward
         vehicleGroup.add(nose);
         
         // Cockpit - positioned toward the front
-        const cockpitGeometry = new THREE.BoxGeometry(2, 1, 3);
+        const cockpitGeometry = new THREE.BoxGeometry(cockpitSize.width, cockpitSize.height, cockpitSize.length);
         const cockpitMaterial = new THREE.MeshBasicMaterial({
-            color: 0xff00aa,
+            color: cockpitColor,
             transparent: true,
             opacity: 0.7
         });
         const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
-        cockpit.position.set(0, 1.5, 1.5); // Moved forward
+        cockpit.name = 'cockpit';
+        cockpit.position.set(0, 0.5 + (bodySize.height + cockpitSize.height) / 2, cockpitSize.z);
         vehicleGroup.add(cockpit);
         
         // Wheels
-        const wheelGeometry = new THREE.CylinderGeometry(0.8, 0.8, 0.5, 8);
-        const wheelMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+        const wheelGeometry = new THREE.CylinderGeometry(wheels.radius, wheels.radius, wheels.width, 8);
+        const wheelMaterial = new THREE.MeshBasicMaterial({ color: wheelColor });
         
         // Wheel positions - Z+ is forward
         const wheelPositions = [
             // Front wheels (the steering wheels)
-            { x: -2, y: 0, z: 3, isFront: true, name: "front-left" },
-            { x: 2, y: 0, z: 3, isFront: true, name: "front-right" },
+            { x: -wheels.x, y: 0, z: wheels.frontZ, isFront: true, name: "front-left" },
+            { x: wheels.x, y: 0, z: wheels.frontZ, isFront: true, name: "front-right" },
             // Rear wheels (the driving wheels)
-            { x: -2, y: 0, z: -3.5, isFront: false, name: "rear-left" },
-            { x: 2, y: 0, z: -3.5, isFront: false, name: "rear-right" }
+            { x: -wheels.x, y: 0, z: wheels.rearZ, isFront: false, name: "rear-left" },
+            { x: wheels.x, y: 0, z: wheels.rearZ, isFront: false, name: "rear-right" }
         ];
         
         // Create wheels
@@ -362,16 +1024,67 @@ class GameRenderer {
         });
         
         // Glow effect
-        const glowGeometry = new THREE.BoxGeometry(4.5, 1.5, 8.5);
+        const glowGeometry = new THREE.BoxGeometry(bodySize.width + 0.5, bodySize.height + 0.5, bodySize.length + 0.5);
         const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
+            color: bodyColor,
             transparent: true,
             opacity: 0.3
         });
         const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.name = 'glow';
         glow.position.y = 0.5;
         vehicleGroup.add(glow);
         
+        // Livery: trim outlines the glow shell
+        if (trimColor !== null) {
+            const trim = new THREE.LineSegments(
+                new THREE.EdgesGeometry(glowGeometry),
+                new THREE.LineBasicMaterial({ color: trimColor })
+            );
+            trim.name = 'trim';
+            trim.position.y = 0.5;
+            vehicleGroup.add(trim);
+        }
+        
+        // Livery: decal painted across the top of the body
+        if (decal) {
+            const decalMaterial = new THREE.MeshBasicMaterial({
+                map: createDecalTexture(decal, decalColor),
+                transparent: true,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            const decalPlane = new THREE.Mesh(new THREE.PlaneGeometry(bodySize.width, bodySize.length), decalMaterial);
+            decalPlane.name = 'decal';
+            decalPlane.rotation.x = Math.PI / 2;  // Lie flat, the texture's top toward the nose
+            decalPlane.position.y = 0.5 + bodySize.height / 2 + 0.02;
+            vehicleGroup.add(decalPlane);
+        }
+        
+        // Livery: neon underglow pooled on the road under the car
+        if (underglowColor !== null) {
+            const underglowMaterial = new THREE.MeshBasicMaterial({
+                map: createUnderglowTexture(underglowColor),
+                transparent: true,
+                opacity: UNDERGLOW_OPACITY,
+                blending: THREE.AdditiveBlending,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            const underglow = new THREE.Mesh(
+                new THREE.PlaneGeometry(bodySize.width + 3, bodySize.length + 3),
+                underglowMaterial
+            );
+            underglow.name = 'underglow';
+            underglow.rotation.x = Math.PI / 2;
+            underglow.position.y = -wheels.radius + 0.05;
+            vehicleGroup.add(underglow);
+        }
+        
+        // What the damage effects start from (see updateVehicleDamage) - the livery's color, not the class's
+        vehicleGroup.userData.bodyColor = bodyColor;
+        vehicleGroup.userData.noseZ = nose.position.z;
+        
         return { 
             mesh: vehicleGroup, 
             frontWheels: frontWheels, 
@@ -379,10 +1092,109 @@ class GameRenderer {
         };
     }
     
+    /**
+     * Show the car's damage on the mesh from createVehicleMesh()
+     * @param {THREE.Group} mesh - Vehicle mesh
+     * @param {Number} health - Condition from 1 (undamaged) to 0 (wrecked)
+     * @param {Number} time - Seconds, for flickering
+     */
+    updateVehicleDamage(mesh, health, time) {
+        if (!mesh) return;
+        
+        const damage = 1 - health;
+        const body = mesh.getObjectByName('body');
+        const nose = mesh.getObjectByName('nose');
+        const cockpit = mesh.getObjectByName('cockpit');
+        const glow = mesh.getObjectByName('glow');
+        const underglow = mesh.getObjectByName('underglow');
+        
+        if (!this.wreckedColor) {
+            this.wreckedColor = new THREE.Color(WRECKED_COLOR);
+        }
+        
+        // The wireframe burns from its own color toward red
+        [body, nose, glow].forEach(part => {
+            part.material.color.setHex(mesh.userData.bodyColor).lerp(this.wreckedColor, damage);
+        });
+        
+        // The nose crumples back and the body buckles
+        nose.scale.y = 1 - damage * 0.5;
+        nose.position.z = mesh.userData.noseZ - damage * 0.5;
+        body.rotation.z = damage * 0.08;
+        body.rotation.y = -damage * 0.05;
+        
+        // Below half integrity the shield glow and cockpit start to flicker
+        const flicker = health < 0.5 ? 0.5 + 0.5 * Math.sin(time * (10 + damage * 30)) : 1;
+        glow.material.opacity = 0.3 * flicker;
+        cockpit.material.opacity = 0.7 - damage * 0.4 * (1 - flicker);
+        if (underglow) {
+            underglow.material.opacity = UNDERGLOW_OPACITY * flicker;
+        }
+    }
+    
+    /**
+     * Create a see-through neon wireframe of a vehicle class for the ghost car
+     * @param {Object} definition - Vehicle class (see vehicles.js)
+     */
+    createGhostMesh(definition) {
+        const { mesh } = this.createVehicleMesh(definition);
+        
+        // The glow shell would just double up the body's outline
+        const glow = mesh.getObjectByName('glow');
+        mesh.remove(glow);
+        disposeObject(glow);
+        
+        // One shared material, so the whole car fades as a single outline
+        const ghostMaterial = new THREE.MeshBasicMaterial({
+            color: GHOST_COLOR,
+            wireframe: true,
+            transparent: true,
+            opacity: GHOST_OPACITY,
+            depthWrite: false
+        });
+        mesh.traverse(object => {
+            if (object.isMesh) {
+                object.material.dispose();
+                object.material = ghostMaterial;
+            }
+        });
+        
+        return mesh;
+    }
+    
+    /**
+     * Take a vehicle mesh out of the scene and free its GPU resources
+     */
+    disposeVehicleMesh(mesh) {
+        if (!mesh) return;
+        
+        if (mesh.parent) {
+            mesh.parent.remove(mesh);
+        }
+        disposeObject(mesh);
+    }
+    
+    /**
+     * Show a vehicle mesh spinning in the customizer's preview (null clears it)
+     * The preview has its own canvas and renderer, so the track behind the title screen is left alone
+     */
+    showVehiclePreview(mesh) {
+        if (!this.preview) {
+            const canvas = document.getElementById('liveryPreview');
+            if (!canvas) return;
+            this.preview = new VehiclePreview(canvas);
+        }
+        
+        this.preview.setMesh(mesh);
+    }
+    
     /**
      * Update camera position to follow vehicle
+     * @param {Number} view - Which view's camera (0 for player one, 1 for player two in split screen)
      */
-    updateCamera(vehiclePosition, vehicleDirection, vehicleSpeed, roadCurve) {
+    updateCamera(vehiclePosition, vehicleDirection, vehicleSpeed, roadCurve, view = 0) {
+        const camera = this.cameras[view];
+        
         // Create a fixed reference point relative to the vehicle
         const fixedReferencePoint = vehiclePosition.clone();
         
@@ -402,12 +1214,12 @@ class GameRenderer {
         targetCameraPos.add(rightVec.multiplyScalar(roadCurve * 5));
         
         // CRITICAL FIX: Remove the lerp entirely for a rigid camera that stays in fixed relation to the car
-        this.camera.position.copy(targetCameraPos); // No lerp - camera directly follows car with no lag
+        camera.position.copy(targetCameraPos); // No lerp - camera directly follows car with no lag
         
         // Keep camera tilt for turns, with fixed intensity
         const targetTilt = -roadCurve * 0.15;
-        this.camera.rotation.z = THREE.MathUtils.lerp(
-            this.camera.rotation.z,
+        camera.rotation.z = THREE.MathUtils.lerp(
+            camera.rotation.z,
             targetTilt,
             0.1
         );
@@ -421,7 +1233,7 @@ class GameRenderer {
         lookTarget.y = Math.max(0, fixedReferencePoint.y - 3); // Look slightly downward
         
         // Make camera look at target point
-        this.camera.lookAt(lookTarget);
+        camera.lookAt(lookTarget);
     }
     
     /**
@@ -447,7 +1259,26 @@ class GameRenderer {
             this.pulsingLight.color = color;
         }
         
-        this.renderer.render(this.scene, this.camera);
+        if (this.splitScreen) {
+            // Draw each player's view into its own part of the screen, with the sky around its camera
+            this.renderer.setScissorTest(true);
+            this.getViewports().forEach((viewport, view) => {
+                const camera = this.cameras[view];
+                this.renderer.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
+                this.renderer.setScissor(viewport.x, viewport.y, viewport.width, viewport.height);
+                this.skybox.followCamera(camera);
+                this.renderer.render(this.scene, camera);
+            });
+            this.renderer.setScissorTest(false);
+            this.renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+        
+        // Spin the customizer's preview car while it's open
+        if (this.preview) {
+            this.preview.render();
+        }
     }
     
     /**
@@ -458,5 +1289,156 @@ class GameRenderer {
     }
 }
 
+// Vehicle preview for the customization screen
+class VehiclePreview {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw the preview in
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.mesh = null;
+        
+        this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+        this.renderer.setSize(canvas.width, canvas.height, false);
+        
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(40, canvas.width / canvas.height, 0.1, 100);
+        this.camera.position.set(0, 7, -15);
+        this.camera.lookAt(0, 0.5, 0);
+        
+        // A patch of neon grid for the car to sit on
+        const grid = new THREE.GridHelper(24, 12, 0xff00ff, 0x00ffff);
+        grid.position.y = -0.8;
+        this.scene.add(grid);
+    }
+    
+    /**
+     * Swap the car shown (null clears it)
+     */
+    setMesh(mesh) {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            disposeObject(this.mesh);
+        }
+        
+        this.mesh = mesh;
+        if (mesh) {
+            this.scene.add(mesh);
+        }
+    }
+    
+    /**
+     * Turn the car and draw it (nothing to do while the preview is empty)
+     */
+    render() {
+        if (!this.mesh) return;
+        
+        this.mesh.rotation.y = (Date.now() * 0.001 * PREVIEW_SPIN_SPEED) % (Math.PI * 2);
+        this.renderer.render(this.scene, this.camera);
+    }
+}
+
+/**
+ * Paint a decal pattern onto a transparent canvas texture (the top of the canvas is the car's nose)
+ */
+function createDecalTexture(pattern, color) {
+    const { width, height } = DECAL_TEXTURE_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    const context = canvas.getContext('2d');
+    const style = '#' + color.toString(16).padStart(6, '0');
+    context.fillStyle = style;
+    context.strokeStyle = style;
+    
+    switch (pattern) {
+        case 'stripes':
+            // Twin racing stripes, nose to tail
+            context.fillRect(width * 0.3, 0, width * 0.12, height);
+            context.fillRect(width * 0.58, 0, width * 0.12, height);
+            break;
+            
+        case 'chevrons':
+            // Arrows pointing at the nose
+            context.lineWidth = 8;
+            for (let y = 30; y < height; y += 50) {
+                context.beginPath();
+                context.moveTo(width * 0.15, y + 30);
+                context.lineTo(width * 0.5, y);
+                context.lineTo(width * 0.85, y + 30);
+                context.stroke();
+            }
+            break;
+            
+        case 'grid':
+            // Vaporwave floor grid
+            context.lineWidth = 2;
+            for (let x = 0; x <= width; x += 16) {
+                context.beginPath();
+                context.moveTo(x, 0);
+                context.lineTo(x, height);
+                context.stroke();
+            }
+            for (let y = 0; y <= height; y += 16) {
+                context.beginPath();
+                context.moveTo(0, y);
+                context.lineTo(width, y);
+                context.stroke();
+            }
+            break;
+            
+        case 'sun':
+            // Striped synthwave sun on the hood
+            context.beginPath();
+            context.arc(width / 2, height * 0.3, width * 0.4, 0, Math.PI * 2);
+            context.fill();
+            for (let band = 0; band < 5; band++) {
+                const y = height * 0.3 + band * 10;
+                context.clearRect(0, y, width, 2 + band * 1.5);
+            }
+            break;
+    }
+    
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * Paint a soft glow that fades out toward the edges, for the underglow
+ */
+function createUnderglowTexture(color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    
+    const context = canvas.getContext('2d');
+    const glowColor = new THREE.Color(color);
+    const rgb = `${Math.round(glowColor.r * 255)}, ${Math.round(glowColor.g * 255)}, ${Math.round(glowColor.b * 255)}`;
+    const gradient = context.createRadialGradient(32, 32, 4, 32, 32, 32);
+    gradient.addColorStop(0, `rgba(${rgb}, 1)`);
+    gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+    
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * Free the GPU resources of an object and everything in it
+ */
+function disposeObject(object) {
+    object.traverse(child => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            if (child.material.map) {
+                child.material.map.dispose();
+            }
+            child.material.dispose();
+        }
+    });
+}
+
 // Export the renderer class
 export { GameRenderer };
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * Replay Module for Neon Drift Protocol
+ *
+ * Records the per-tick input stream of a run together with its track seed, vehicle class and
+ * number of AI rivals, and plays it back deterministically:
+ * - Inputs are packed into bit flags and run-length encoded
+ * - Analog amounts (gamepad triggers and stick) are stored in hundredths alongside the flags
+ * - Replays are plain JSON so they can be saved, shared and attached to bug reports
+ */
+
+import { formatSeed, normalizeSeed } from './random.js';
+import { getVehicleClass } from './vehicles.js';
+import { MAX_RIVALS } from './ai.js';
+import { isGameMode } from './simulation.js';
+
+// Replay file format
+const REPLAY_FORMAT = 'neon-drift-replay';
+const REPLAY_VERSION = 1;
+
+// Bit flags for the digital inputs in InputHandler.getInputState()
+const INPUT_FLAGS = {
+    accelerate: 1,
+    brake: 2,
+    reverse: 4,
+    turnLeft: 8,
+    turnRight: 16,
+    boost: 64
+};
+const ANALOG_STEERING_FLAG = 32;          // The run has an analog steering value
+
+// Analog inputs, in the order they follow the flags and tick count in a run
+const ANALOG_INPUTS = ['accelerate', 'brake', 'reverse', 'steering'];
+const ANALOG_SCALE = 100;                 // Analog values are stored in hundredths
+
+/**
+ * Round an analog value to the precision replays store, so live input replays exactly
+ * (-0 becomes 0, since a saved replay can't tell them apart)
+ */
+function quantizeAnalog(value) {
+    return Math.round(value * ANALOG_SCALE) / ANALOG_SCALE || 0;
+}
+
+/**
+ * Pack an input state into a bit mask
+ */
+function encodeInput(inputState) {
+    let mask = 0;
+    for (const [name, flag] of Object.entries(INPUT_FLAGS)) {
+        if (inputState[name]) {
+            mask |= flag;
+        }
+    }
+    if (typeof inputState.steering === 'number') {
+        mask |= ANALOG_STEERING_FLAG;
+    }
+    return mask;
+}
+
+/**
+ * Pack the analog amounts of an input state into whole hundredths
+ * @returns {Array|null} [accelerate, brake, reverse, steering], or null if the input is all digital
+ */
+function encodeAnalog(inputState) {
+    const isDigital = value => value === undefined || typeof value === 'boolean' || value === 0 || value === 1;
+    if (typeof inputState.steering !== 'number' &&
+        ANALOG_INPUTS.every(name => isDigital(inputState[name]))) {
+        return null;
+    }
+
+    return ANALOG_INPUTS.map(name => Math.round((Number(inputState[name]) || 0) * ANALOG_SCALE));
+}
+
+/**
+ * Unpack a bit mask (and analog amounts, if the run has them) into an input state
+ */
+function decodeInput(mask, analog = null) {
+    const inputState = {};
+    for (const [name, flag] of Object.entries(INPUT_FLAGS)) {
+        inputState[name] = (mask & flag) !== 0;
+    }
+
+    if (analog) {
+        ['accelerate', 'brake', 'reverse'].forEach((name, index) => {
+            inputState[name] = analog[index] / ANALOG_SCALE;
+        });
+        if (mask & ANALOG_STEERING_FLAG) {
+            inputState.steering = analog[3] / ANALOG_SCALE;
+        }
+    }
+    return inputState;
+}
+
+// Replay recorder class
+class ReplayRecorder {
+    /**
+     * @param {Number} seed - Track seed of the run
+     * @param {Number} tickRate - Simulation ticks per second
+     * @param {String} mode - Game mode (end condition) of the run
+     * @param {String} vehicle - Vehicle class id of the run
+     * @param {Number} rivals - Number of AI rivals in the run
+     */
+    constructor(seed, tickRate, mode, vehicle, rivals = 0) {
+        this.seed = seed >>> 0;
+        this.tickRate = tickRate;
+        this.mode = mode;
+        this.vehicle = vehicle;
+        this.rivals = rivals;
+        this.tickCount = 0;
+
+        // Run-length encoded inputs: [[mask, tickCount], ...] or
+        // [mask, tickCount, accelerate, brake, reverse, steering] for analog input
+        this.inputs = [];
+    }
+
+    /**
+     * Record the input state used for one simulation tick
+     */
+    record(inputState) {
+        const mask = encodeInput(inputState);
+        const analog = encodeAnalog(inputState);
+        const lastRun = this.inputs[this.inputs.length - 1];
+
+        const sameAnalog = lastRun && (analog ?
+            lastRun.length === 6 && analog.every((value, index) => lastRun[index + 2] === value) :
+            lastRun.length === 2);
+
+        if (lastRun && lastRun[0] === mask && sameAnalog) {
+            lastRun[1]++;
+        } else {
+            this.inputs.push(analog ? [mask, 1, ...analog] : [mask, 1]);
+        }
+
+        this.tickCount++;
+    }
+
+    /**
+     * Get the replay as a plain object
+     */
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: formatSeed(this.seed),
+            tickRate: this.tickRate,
+            mode: this.mode,
+            vehicle: this.vehicle,
+            rivals: this.rivals,
+            ticks: this.tickCount,
+            inputs: this.inputs.map(run => run.slice())
+        };
+    }
+
+    /**
+     * Get the replay as a JSON string for saving
+     */
+    serialize() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+// Replay player class
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay object as returned by parseReplay()
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.seed = replay.seed;
+        this.tickRate = replay.tickRate;
+        this.mode = replay.mode;
+        this.vehicle = replay.vehicle;
+        this.rivals = replay.rivals;
+        this.ticks = replay.ticks;
+
+        // Cursor into the run-length encoded inputs
+        this.runIndex = 0;
+        this.runStartTick = 0;
+    }
+
+    /**
+     * Get the recorded input state for a tick (0-based)
+     * Ticks are expected in increasing order, as the simulation plays them
+     */
+    getInputState(tick) {
+        const inputs = this.replay.inputs;
+
+        // Rewind if asked for an earlier tick (e.g. playback restarted)
+        if (tick < this.runStartTick) {
+            this.runIndex = 0;
+            this.runStartTick = 0;
+        }
+
+        // Advance to the run containing this tick
+        while (this.runIndex < inputs.length &&
+               tick >= this.runStartTick + inputs[this.runIndex][1]) {
+            this.runStartTick += inputs[this.runIndex][1];
+            this.runIndex++;
+        }
+
+        // Past the end of the recording nothing is pressed
+        if (this.runIndex >= inputs.length) {
+            return decodeInput(0);
+        }
+
+        const run = inputs[this.runIndex];
+        return decodeInput(run[0], run.length === 6 ? run.slice(2) : null);
+    }
+
+    /**
+     * Check if the given tick is past the end of the recording
+     */
+    isFinished(tick) {
+        return tick >= this.ticks;
+    }
+
+    /**
+     * Get the replay back as a JSON string
+     */
+    serialize() {
+        return JSON.stringify({ ...this.replay, seed: formatSeed(this.replay.seed) });
+    }
+}
+
+/**
+ * Parse and validate a replay from JSON text or a plain object
+ * @throws {Error} If the data is not a valid replay, or is for an unknown game mode or vehicle class or too many rivals
+ */
+function parseReplay(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a Neon Drift replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Replay version ${replay.version} is not supported by this game`);
+    }
+    if (!Array.isArray(replay.inputs) ||
+        !replay.inputs.every(run => Array.isArray(run) && (run.length === 2 || run.length === 6) &&
+            run.every(Number.isInteger) && run[1] > 0)) {
+        throw new Error('Replay input data is corrupted');
+    }
+
+    // The recorder writes the seed as hex - anything else would be hashed into some other track
+    if (typeof replay.seed !== 'string' || !/^[0-9A-F]{8}$/i.test(replay.seed)) {
+        throw new Error('Replay has no track seed');
+    }
+    if (!isGameMode(replay.mode)) {
+        throw new Error(`Replay is for unknown game mode "${replay.mode}"`);
+    }
+
+    // The car has to exist in this version of the game
+    getVehicleClass(replay.vehicle);
+
+    // Rivals drive from the seed, so only how many of them raced is recorded
+    if (!Number.isInteger(replay.rivals) || replay.rivals < 0 || replay.rivals > MAX_RIVALS) {
+        throw new Error(`Replay has ${replay.rivals} rivals, this game supports 0 to ${MAX_RIVALS}`);
+    }
+
+    const ticks = replay.inputs.reduce((total, run) => total + run[1], 0);
+
+    return {
+        ...replay,
+        seed: normalizeSeed(replay.seed),
+        ticks
+    };
+}
+
+// Export the replay classes and helpers
+export {
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    encodeInput,
+    encodeAnalog,
+    decodeInput,
+    quantizeAnalog,
+    REPLAY_VERSION
+};
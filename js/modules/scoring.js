@@ -0,0 +1,220 @@
+/**
+ * Scoring Module for Neon Drift Protocol
+ *
+ * Turns what happens on the track into points:
+ * - Data fragments, sustained drifts, near misses and clean sections score points
+ * - Each of them adds to a combo multiplier that applies to the next points
+ * - The combo decays one step at a time once nothing has been chained for a while
+ * - Obstacle hits and leaving the road break the combo (and the drift in progress)
+ *
+ * Owned by the Simulation and advanced in its fixed ticks, so scores stay deterministic.
+ */
+
+// Points (before the combo multiplier)
+const COLLECTIBLE_SCORE = 100;           // Points for a data fragment
+const OBSTACLE_PENALTY = 50;             // Points lost on hitting an obstacle (never multiplied)
+const DRIFT_SCORE_RATE = 100;            // Points per second of a drift, banked when it ends
+const MIN_SCORED_DRIFT = 0.5;            // Drifts shorter than this (seconds) score nothing
+const NEAR_MISS_SCORE = 50;              // Points for passing close to an obstacle without touching it...
+const NEAR_MISS_MAX_SCORE = 100;         // ...rising to this for a hair's breadth
+const CLEAN_SECTION_LENGTH = 1000;       // Distance to drive without leaving the road for a clean section
+const CLEAN_SECTION_SCORE = 150;         // Points for a clean section
+
+// Combo multiplier
+const COMBO_STEP = 0.5;                  // Multiplier added by each chained event
+const MAX_MULTIPLIER = 5;
+const COMBO_WINDOW = 4;                  // Seconds a combo holds before it starts to decay
+const COMBO_DECAY_INTERVAL = 1;          // Seconds per step lost while decaying
+
+// Scoring class
+class ScoreSystem {
+    /**
+     * @param {EventSystem} events - Where to report awarded points and broken combos
+     */
+    constructor(events) {
+        this.events = events;
+        this.reset();
+    }
+
+    /**
+     * Clear the score and combo for a new run
+     */
+    reset() {
+        this.score = 0;
+        this.comboSteps = 0;             // Chained events, each worth COMBO_STEP
+        this.comboTimer = 0;             // Seconds until the combo loses a step
+        this.time = 0;                   // Simulated seconds, for the HUD's award readout
+        this.lastAward = null;           // { label, points, multiplier, time } for the HUD
+
+        // Clean section progress
+        this.cleanDistance = 0;
+        this.lastDistance = 0;
+        this.wasOffRoad = false;
+
+        // Set when the drift in progress hits something or leaves the road
+        this.driftBroken = false;
+
+        // Run stats
+        this.nearMisses = 0;
+        this.cleanSections = 0;
+        this.bestMultiplier = 1;
+    }
+
+    /**
+     * Get the current combo multiplier
+     */
+    getMultiplier() {
+        return Math.min(1 + this.comboSteps * COMBO_STEP, MAX_MULTIPLIER);
+    }
+
+    /**
+     * Advance the combo decay and clean section progress by one tick
+     * @param {Number} deltaTime - Seconds per tick
+     * @param {Vehicle} vehicle - The player's car after this tick's physics
+     * @param {Number} furthestDistance - Furthest point reached down the track (only new ground counts)
+     */
+    update(deltaTime, vehicle, furthestDistance) {
+        this.time += deltaTime;
+
+        // Let the combo run down a step at a time
+        if (this.comboSteps > 0) {
+            this.comboTimer -= deltaTime;
+            if (this.comboTimer <= 0) {
+                this.comboSteps--;
+                this.comboTimer = COMBO_DECAY_INTERVAL;
+            }
+        }
+
+        // Leaving the road breaks the combo and starts the clean section over
+        if (vehicle.isOffRoad) {
+            if (!this.wasOffRoad) {
+                this.breakCombo('offRoad');
+            }
+            this.cleanDistance = 0;
+        } else {
+            this.cleanDistance += furthestDistance - this.lastDistance;
+            if (this.cleanDistance >= CLEAN_SECTION_LENGTH) {
+                this.cleanDistance -= CLEAN_SECTION_LENGTH;
+                this.cleanSections++;
+                this.award('CLEAN SECTION', CLEAN_SECTION_SCORE);
+            }
+        }
+
+        this.wasOffRoad = vehicle.isOffRoad;
+        this.lastDistance = furthestDistance;
+    }
+
+    /**
+     * Score a data fragment pickup
+     */
+    addCollectible() {
+        this.award('DATA FRAGMENT', COLLECTIBLE_SCORE);
+    }
+
+    /**
+     * Score passing close to an obstacle - the closer, the more it's worth
+     * @param {Number} clearance - Closest gap to the obstacle
+     * @param {Number} margin - Most clearance that counts as a near miss
+     */
+    addNearMiss(clearance, margin) {
+        const closeness = 1 - Math.min(1, Math.max(0, clearance / margin));
+
+        this.nearMisses++;
+        this.award('NEAR MISS', Math.round(NEAR_MISS_SCORE + (NEAR_MISS_MAX_SCORE - NEAR_MISS_SCORE) * closeness));
+    }
+
+    /**
+     * Take the obstacle penalty and break the combo
+     */
+    addObstacleHit() {
+        this.score = Math.max(this.score - OBSTACLE_PENALTY, 0);
+        this.breakCombo('obstacle');
+    }
+
+    /**
+     * A drift has started - it scores when it ends, if nothing breaks it first
+     */
+    startDrift() {
+        this.driftBroken = false;
+    }
+
+    /**
+     * Bank the points for a finished drift
+     * @param {Number} duration - Seconds the drift lasted
+     */
+    endDrift(duration) {
+        if (!this.driftBroken && duration >= MIN_SCORED_DRIFT) {
+            this.award('DRIFT', Math.round(duration * DRIFT_SCORE_RATE));
+        }
+        this.driftBroken = false;
+    }
+
+    /**
+     * Add points at the current multiplier, then chain the combo
+     */
+    award(label, basePoints) {
+        const multiplier = this.getMultiplier();
+        const points = Math.round(basePoints * multiplier);
+
+        this.score += points;
+        this.lastAward = { label, points, multiplier, time: this.time };
+
+        this.comboSteps++;
+        this.comboTimer = COMBO_WINDOW;
+        this.bestMultiplier = Math.max(this.bestMultiplier, this.getMultiplier());
+
+        this.events.trigger('scoreAward', { label, points, multiplier, score: this.score });
+    }
+
+    /**
+     * Drop the combo back to x1 and spoil the drift in progress
+     */
+    breakCombo(reason) {
+        const multiplier = this.getMultiplier();
+
+        this.comboSteps = 0;
+        this.comboTimer = 0;
+        this.driftBroken = true;
+
+        if (multiplier > 1) {
+            this.events.trigger('comboBreak', { reason, multiplier });
+        }
+    }
+
+    /**
+     * Get the combo state for the HUD
+     */
+    getComboState() {
+        return {
+            multiplier: this.getMultiplier(),
+            // How much of the combo window is left (0-1), for the HUD's timer bar
+            timeLeft: this.comboSteps > 0 ? Math.min(1, this.comboTimer / COMBO_WINDOW) : 0,
+            lastAward: this.lastAward,
+            time: this.time
+        };
+    }
+}
+
+/**
+ * Highest score a run could reach with every scoring event it could meet
+ * @param {Object} limits
+ * @param {Number} limits.collectibles - Most data fragments the run could pass
+ * @param {Number} limits.obstacles - Most obstacles the run could pass
+ * @param {Number} limits.distance - Distance driven
+ * @param {Number} limits.time - Run time in seconds
+ */
+function getMaxPoints({ collectibles, obstacles, distance, time }) {
+    // Drifting the whole run, with every drift's points rounded up
+    const driftPoints = Math.ceil(time * DRIFT_SCORE_RATE + time / MIN_SCORED_DRIFT);
+
+    const basePoints = collectibles * COLLECTIBLE_SCORE +
+        obstacles * NEAR_MISS_MAX_SCORE +
+        Math.floor(distance / CLEAN_SECTION_LENGTH) * CLEAN_SECTION_SCORE +
+        driftPoints;
+
+    // As if every point was scored at the top multiplier
+    return basePoints * MAX_MULTIPLIER;
+}
+
+// Export the scoring class and limits
+export { ScoreSystem, getMaxPoints, MAX_MULTIPLIER };
@@ -0,0 +1,831 @@
+/**
+ * Simulation Module for Neon Drift Protocol
+ *
+ * Runs the gameplay rules independent of rendering, audio and the DOM:
+ * - Advances vehicle physics, track, spawning and collisions in fixed ticks
+ * - Drives the chosen vehicle class (see vehicles.js)
+ * - Races AI rivals on the same road, bumping into the player and each other (see ai.js)
+ * - Takes one or two players (split screen), each with their own car, score and stats
+ * - Keeps the score (see scoring.js) and run stats, and reports collisions as events
+ * - Ends the run on the configured end condition (integrity, time, distance, or the finish line
+ *   of a time trial course, timing its checkpoints on the way - see course.js)
+ * - Runs headless (no scene) for scripted runs and regression checks in Node
+ *
+ * The browser game and the headless harness both drive this class, so a
+ * scripted or replayed run scores exactly like the same run played live.
+ */
+
+import { Vehicle, resolveVehicleContact } from './physics.js';
+import { LANE_WIDTH } from './track.js';
+import {
+    GameWorld,
+    EventSystem,
+    FIRST_COLLECTIBLE_Z,
+    COLLECTIBLE_SPACING,
+    FIRST_OBSTACLE_Z,
+    OBSTACLE_SPACING,
+    NEAR_MISS_MARGIN
+} from './world.js';
+import { ScoreSystem, getMaxPoints } from './scoring.js';
+import { DEFAULT_VEHICLE, getVehicleClass } from './vehicles.js';
+import { createRivals } from './ai.js';
+import { FIRST_TRAFFIC_Z, TRAFFIC_SPACING } from './traffic.js';
+import { COURSES, CourseTimer } from './course.js';
+
+// Simulation timing
+// The simulation always advances in fixed ticks so handling and scoring are
+// identical on every display refresh rate; rendering interpolates between ticks
+const TICK_RATE = 60;                    // Simulation ticks per second
+const FIXED_TIMESTEP = 1 / TICK_RATE;    // Seconds per tick
+
+// Pickups
+const COLLECTIBLE_BOOST_FILL = 0.1;      // Share of the boost meter a data fragment fills
+const COLLECTIBLE_REPAIR = 5;            // Integrity a data fragment restores
+const COLLECTIBLE_REACH = 10;            // How far ahead of the car's center a pickup can register
+
+// Rivals
+const RIVAL_DROP_DISTANCE = 1500;        // Rivals further behind the player than this retire (the world forgets the track 2000 back)
+const CONTACT_REPORT_SPEED = 5;          // Closing speed a bump with a rival has to reach to count (scrapes don't)
+
+// Players
+const MAX_PLAYERS = 2;                   // Split screen takes two
+const PLAYER_GRID_OFFSET = LANE_WIDTH / 2;  // Two players start side by side, this far either side of the centerline
+const PLAYER_GAP_LIMIT = 3000;           // A player this far behind the other is left behind and loses (keeps both on the world's road)
+
+// Run end conditions, selected by name (e.g. ?mode=time)
+const END_CONDITIONS = {
+    integrity: { type: 'integrity' },                                      // Ends when the car is wrecked
+    time: { type: 'time', timeLimit: 120 },                                // Score as much as possible in 2 minutes
+    distance: { type: 'distance', distance: 20000 },                       // Reach the target distance
+    endless: { type: 'endless' },                                          // Never ends
+    sprint: { type: 'course', course: COURSES.sprint },                    // Time trials: cross the course's finish line
+    rally: { type: 'course', course: COURSES.rally },
+    circuit: { type: 'course', course: COURSES.circuit }
+};
+const DEFAULT_MODE = 'integrity';
+
+/**
+ * Check if a name is one of the game modes (only END_CONDITIONS' own entries, so "constructor" isn't one)
+ */
+function isGameMode(mode) {
+    return Object.prototype.hasOwnProperty.call(END_CONDITIONS, mode);
+}
+
+// Player class - a car driven by a person, with its own score and run stats
+class Player {
+    /**
+     * @param {Number} index - 0 for player one, 1 for player two
+     * @param {Object} vehicleClass - Vehicle class definition (see vehicles.js)
+     * @param {EventSystem} events - Where the player's scoring reports to
+     */
+    constructor(index, vehicleClass, events) {
+        this.index = index;
+        this.name = `P${index + 1}`;
+        this.vehicle = new Vehicle(vehicleClass);
+        this.scoring = new ScoreSystem(events);
+
+        this.resetRunState();
+    }
+
+    /**
+     * Clear the score and run stats
+     * @param {Object|null} course - Time trial course to time the run on (see course.js)
+     */
+    resetRunState(course = null) {
+        this.scoring.reset();
+        this.courseTimer = course ? new CourseTimer(course) : null;
+
+        // Run stats for the results screen
+        this.topSpeed = 0;
+        this.obstaclesHit = 0;
+        this.collectiblesCollected = 0;
+        this.offRoadTime = 0;        // Simulated seconds spent off the road
+        this.furthestDistance = 0;   // Furthest point reached down the track
+        this.drifts = 0;             // Drifts started
+        this.driftTime = 0;          // Simulated seconds spent drifting
+        this.longestDrift = 0;       // Longest single drift in seconds
+        this.boosts = 0;             // Boosts fired
+        this.edgeImpacts = 0;        // Damaging hits on the road edge
+        this.rivalContacts = 0;      // Bumps with rival cars (and the other player)
+    }
+
+    /**
+     * Current score (kept by the scoring system)
+     */
+    get score() {
+        return this.scoring.score;
+    }
+
+    /**
+     * Distance driven down the track from the start line
+     */
+    getDistance() {
+        return this.vehicle.position.z;
+    }
+}
+
+// Simulation class
+class Simulation {
+    /**
+     * @param {THREE.Scene|null} scene - Scene for world objects, or null to run headless
+     * @param {Number|String} seed - Track seed; a random one is chosen if omitted
+     * @param {String} mode - End condition name (see END_CONDITIONS)
+     * @param {String} vehicleId - Vehicle class to drive (see vehicles.js)
+     * @param {Number} rivalCount - Number of AI rivals to race (see ai.js)
+     * @param {Number} playerCount - Number of players (2 for split screen)
+     * @throws {Error} If the mode, vehicle class, rival count or player count is invalid
+     */
+    constructor(scene, seed, mode = DEFAULT_MODE, vehicleId = DEFAULT_VEHICLE, rivalCount = 0, playerCount = 1) {
+        if (!isGameMode(mode)) {
+            throw new Error(`Unknown game mode "${mode}"`);
+        }
+        if (!Number.isInteger(playerCount) || playerCount < 1 || playerCount > MAX_PLAYERS) {
+            throw new Error(`Player count must be 1 to ${MAX_PLAYERS}`);
+        }
+
+        this.events = new EventSystem();
+
+        // Game objects
+        this.world = new GameWorld(scene, seed, END_CONDITIONS[mode].course || null);
+        this.vehicleClass = getVehicleClass(vehicleId);
+        this.players = [];
+        for (let index = 0; index < playerCount; index++) {
+            this.players.push(new Player(index, this.vehicleClass, this.events));
+        }
+        this.rivals = createRivals(rivalCount);
+        this.seed = this.world.seed;
+
+        // End condition for the run
+        this.mode = mode;
+        this.endCondition = END_CONDITIONS[mode];
+
+        // Most clearance to an obstacle that counts as a near miss
+        this.nearMissMargin = NEAR_MISS_MARGIN;
+
+        // Run state
+        this.resetRunState();
+    }
+
+    /**
+     * Clear the score, stats and end condition progress
+     */
+    resetRunState() {
+        this.players.forEach(player => player.resetRunState(this.course));
+        this.tickCount = 0;          // Number of simulation ticks run
+        this.time = 0;               // Simulated seconds (tickCount * FIXED_TIMESTEP)
+
+        // Set once the end condition is met
+        this.finished = false;
+        this.finishReason = null;    // 'integrity', 'time', 'distance', 'course' or 'leftBehind' (split screen)
+        this.winner = null;          // Index of the winning player in split screen (null for a draw)
+    }
+
+    /**
+     * Time trial course of the game mode, or null outside time trials
+     */
+    get course() {
+        return this.endCondition.course || null;
+    }
+
+    /**
+     * Player one's car (the only one outside split screen)
+     */
+    get vehicle() {
+        return this.players[0].vehicle;
+    }
+
+    /**
+     * Player one's scoring system
+     */
+    get scoring() {
+        return this.players[0].scoring;
+    }
+
+    /**
+     * Player one's current score
+     */
+    get score() {
+        return this.players[0].score;
+    }
+
+    /**
+     * Furthest point player one has reached down the track
+     */
+    get furthestDistance() {
+        return this.players[0].furthestDistance;
+    }
+
+    /**
+     * Put each player's car on the start line - alone in the middle, or side by side in split screen
+     */
+    resetPlayers() {
+        const single = this.players.length === 1;
+        this.players.forEach(player => {
+            const x = single ? 0 : (player.index === 0 ? PLAYER_GRID_OFFSET : -PLAYER_GRID_OFFSET);
+            player.vehicle.reset(x, 1.0, 0);
+        });
+    }
+
+    /**
+     * Get how far down the track the rearmost and leading players are
+     * @returns {Object} { trailingZ, leadingZ }
+     */
+    getPlayerRange() {
+        const positions = this.players.map(player => player.vehicle.position.z);
+        return { trailingZ: Math.min(...positions), leadingZ: Math.max(...positions) };
+    }
+
+    /**
+     * Build the world and place the vehicle on the start line
+     */
+    init() {
+        this.world.init();
+
+        // CRITICAL FIX: Ensure road is initialized properly by forcing a position check
+        // This fixes the "falling off the end of the road" issue at first game start
+        if (this.world.roadSegments.length > 0) {
+            this.world.recycleRoadSegments(0);
+        }
+
+        // Slightly elevated to account for suspension settling
+        this.resetPlayers();
+        this.rivals.forEach(rival => rival.reset(this.seed));
+
+        return this;
+    }
+
+    /**
+     * Restart the run, optionally on a different track seed or game mode
+     * @throws {Error} If the mode is unknown
+     */
+    reset(seed, mode) {
+        if (mode !== undefined) {
+            if (!isGameMode(mode)) {
+                throw new Error(`Unknown game mode "${mode}"`);
+            }
+            this.mode = mode;
+            this.endCondition = END_CONDITIONS[mode];
+        }
+
+        this.world.reset(seed, this.course);
+        this.seed = this.world.seed;
+        this.resetPlayers();
+        this.rivals.forEach(rival => rival.reset(this.seed));
+
+        this.resetRunState();
+    }
+
+    /**
+     * Swap in cars of another vehicle class for every player, on the start line
+     * Only between runs - the new vehicles have no meshes, so the game has to give them some
+     * @returns {Vehicle} Player one's new car
+     * @throws {Error} If the vehicle class is unknown
+     */
+    setVehicle(vehicleId) {
+        this.vehicleClass = getVehicleClass(vehicleId);
+        this.players.forEach(player => {
+            player.vehicle = new Vehicle(this.vehicleClass);
+        });
+        this.resetPlayers();
+
+        return this.vehicle;
+    }
+
+    /**
+     * Swap in a different number of rivals, on the starting grid
+     * Only between runs - the new rivals have no meshes, so the game has to give them some
+     * @throws {Error} If the count is out of range
+     */
+    setRivals(count) {
+        this.rivals = createRivals(count);
+        this.rivals.forEach(rival => rival.reset(this.seed));
+
+        return this.rivals;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * Everything that affects handling or score happens here, never per frame
+     * @param {...Object} inputStates - Input for this tick for each player, in order (see InputHandler.getInputState)
+     */
+    tick(...inputStates) {
+        // A finished run stays frozen until reset
+        if (this.finished) return;
+
+        const deltaTime = FIXED_TIMESTEP;
+
+        // Advance simulation clock
+        this.tickCount++;
+        this.time = this.tickCount * deltaTime;
+        const gameTime = this.time;
+
+        // CRITICAL: First-tick road safety check to prevent initial road end issue
+        if (this.tickCount === 1) {
+            // Sanity check: ensure road exists and extends far enough
+            if (this.world.roadSegments.length > 0 && this.world.roadZMax < 10000) {
+                // Force position check with player at position 0
+                this.world.recycleRoadSegments(0);
+            }
+        }
+
+        // Get world state for physics calculations
+        const worldState = this.world.getWorldState();
+
+        // Update each player's vehicle physics
+        this.players.forEach(player => {
+            // Add world state to input state so vehicle can access road information
+            // (worldState.track is the road centerline used for off-road detection)
+            const vehicleInput = { ...inputStates[player.index], world: worldState };
+
+            const vehicle = player.vehicle;
+            const wasDrifting = vehicle.isDrifting;
+            const previousBoostTime = vehicle.boostTime;
+            const previousIntegrity = vehicle.integrity;
+            vehicle.update(vehicleInput, deltaTime, worldState);
+            this.checkDrift(player, wasDrifting);
+            this.checkBoost(player, previousBoostTime);
+            this.checkEdgeImpact(player, previousIntegrity);
+        });
+
+        // Let the rivals drive
+        this.updateRivals(worldState, deltaTime);
+
+        // Only check this occasionally during the first minute to improve performance
+        const isFirstMinute = gameTime < 60;
+        if (isFirstMinute && this.tickCount % 30 === 0) {
+            const { trailingZ, leadingZ } = this.getPlayerRange();
+            const roadAheadDistance = this.world.roadZMax - leadingZ;
+
+            // Emergency fix only if road is actually running out
+            if (roadAheadDistance < 500) {
+                this.world.recycleRoadSegments(trailingZ, leadingZ);
+            }
+        }
+
+        // Update world with every player's car
+        this.world.update(
+            deltaTime,
+            this.players.map(player => ({ position: player.vehicle.position, speed: player.vehicle.speed })),
+            gameTime // This will be passed as currentTime to updateRoad
+        );
+
+        // IMPORTANT: Make sure the vehicles have access to the latest world state
+        // This fixes the synchronization issue between road curves and physics
+        const updatedWorldState = this.world.getWorldState();
+        this.players.forEach(player => {
+            player.vehicle.input.world = updatedWorldState;
+        });
+
+        // Check for collisions
+        this.players.forEach(player => this.checkCollisions(player));
+        this.checkRivalContacts();
+
+        // Update run stats
+        this.players.forEach(player => {
+            const vehicle = player.vehicle;
+            player.topSpeed = Math.max(player.topSpeed, Math.abs(vehicle.speed));
+            player.furthestDistance = Math.max(player.furthestDistance, player.getDistance());
+            if (player.courseTimer) {
+                player.courseTimer.update(player.getDistance(), this.time).forEach(checkpoint => {
+                    this.events.trigger('checkpoint', { ...checkpoint, player: player.index, tick: this.tickCount });
+                });
+            }
+            if (vehicle.isOffRoad) {
+                player.offRoadTime += deltaTime;
+            }
+            player.scoring.update(deltaTime, vehicle, player.furthestDistance);
+        });
+
+        this.checkEndCondition();
+    }
+
+    /**
+     * Count a player's drifts and report them starting and ending (for scoring and effects)
+     */
+    checkDrift(player, wasDrifting) {
+        const vehicle = player.vehicle;
+
+        if (vehicle.isDrifting) {
+            player.driftTime += FIXED_TIMESTEP;
+            player.longestDrift = Math.max(player.longestDrift, vehicle.driftTime);
+        }
+
+        if (vehicle.isDrifting && !wasDrifting) {
+            player.drifts++;
+            player.scoring.startDrift();
+            this.events.trigger('driftStart', { player: player.index, direction: vehicle.driftDirection });
+        } else if (!vehicle.isDrifting && wasDrifting) {
+            player.scoring.endDrift(vehicle.lastDriftTime);
+            this.events.trigger('driftEnd', { player: player.index, duration: vehicle.lastDriftTime });
+        }
+    }
+
+    /**
+     * Count a player's boosts and report them starting and ending (for effects)
+     */
+    checkBoost(player, previousBoostTime) {
+        const vehicle = player.vehicle;
+
+        // Boosts chained by holding the input follow straight on, so a new one shows as the timer refilling
+        if (vehicle.isBoosting && vehicle.boostTime > previousBoostTime) {
+            player.boosts++;
+            this.events.trigger('boostStart', { player: player.index, meter: vehicle.boostMeter });
+        } else if (!vehicle.isBoosting && previousBoostTime > 0) {
+            this.events.trigger('boostEnd', { player: player.index, meter: vehicle.boostMeter });
+        }
+    }
+
+    /**
+     * Drive every rival still racing for one tick, and crash them into obstacles in their way
+     * (rivals leave obstacles where they are - they're still there for the players)
+     */
+    updateRivals(worldState, deltaTime) {
+        // Rivals race the leading player, and only retire once they've dropped behind everyone
+        const { trailingZ, leadingZ } = this.getPlayerRange();
+        const racing = this.rivals.filter(rival => !rival.retired);
+        const cars = [...this.players.map(player => player.vehicle), ...racing.map(rival => rival.vehicle)];
+
+        racing.forEach(rival => {
+            const vehicle = rival.vehicle;
+
+            // Wrecked rivals, and rivals left far behind, are out of the race
+            if (vehicle.integrity <= 0 || trailingZ - vehicle.position.z > RIVAL_DROP_DISTANCE) {
+                rival.retired = true;
+                this.events.trigger('rivalRetired', { name: rival.name, tick: this.tickCount });
+                return;
+            }
+
+            const input = rival.driver.getInput(vehicle, {
+                track: worldState.track,
+                obstacles: this.world.obstacles,
+                cars: cars.filter(car => car !== vehicle),
+                playerZ: leadingZ
+            }, deltaTime);
+            vehicle.update({ ...input, world: worldState }, deltaTime, worldState);
+
+            const obstacle = this.world.findObstacleHit(vehicle.getBoundingBox());
+            if (obstacle && obstacle !== rival.lastObstacleHit) {
+                vehicle.collideWithObstacle(obstacle);
+            }
+            rival.lastObstacleHit = obstacle;
+        });
+    }
+
+    /**
+     * Bump cars that touch apart - a hard bump with a rival (or the other player) damages the
+     * player and breaks their combo
+     */
+    checkRivalContacts() {
+        const racing = this.rivals.filter(rival => !rival.retired);
+
+        racing.forEach((rival, index) => {
+            // The players
+            this.players.forEach(player => {
+                this.checkContact(player, rival.vehicle, rival.name);
+            });
+
+            // Every other rival, each pair once
+            racing.slice(index + 1).forEach(other => {
+                resolveVehicleContact(rival.vehicle, other.vehicle);
+            });
+        });
+
+        // The players bumping each other counts against both
+        if (this.players.length > 1) {
+            const [first, second] = this.players;
+            const integrity = [first.vehicle.integrity, second.vehicle.integrity];
+            const closingSpeed = resolveVehicleContact(first.vehicle, second.vehicle);
+            if (closingSpeed !== null && closingSpeed > CONTACT_REPORT_SPEED) {
+                this.reportContact(first, second.name, closingSpeed, integrity[0]);
+                this.reportContact(second, first.name, closingSpeed, integrity[1]);
+            }
+        }
+    }
+
+    /**
+     * Bump a player's car and another car apart, reporting a hard bump
+     */
+    checkContact(player, vehicle, name) {
+        const previousIntegrity = player.vehicle.integrity;
+        const closingSpeed = resolveVehicleContact(player.vehicle, vehicle);
+        if (closingSpeed !== null && closingSpeed > CONTACT_REPORT_SPEED) {
+            this.reportContact(player, name, closingSpeed, previousIntegrity);
+        }
+    }
+
+    /**
+     * Count a hard bump against a player, break their combo and report it
+     */
+    reportContact(player, name, closingSpeed, previousIntegrity) {
+        player.rivalContacts++;
+        player.scoring.breakCombo('contact');
+        this.events.trigger('rivalContact', {
+            type: 'rivalContact',
+            player: player.index,
+            tick: this.tickCount,
+            time: this.time,
+            rival: name,
+            speed: closingSpeed,
+            damage: previousIntegrity - player.vehicle.integrity,
+            integrity: player.vehicle.integrity
+        });
+    }
+
+    /**
+     * Get a player's place in the race (1 is leading), among the rivals and the other player
+     * @param {Player} player - Defaults to player one
+     */
+    getRacePosition(player = this.players[0]) {
+        const playerZ = player.vehicle.position.z;
+        const rivalsAhead = this.rivals.filter(rival => !rival.retired && rival.vehicle.position.z > playerZ).length;
+        const playersAhead = this.players.filter(other => other.vehicle.position.z > playerZ).length;
+        return 1 + rivalsAhead + playersAhead;
+    }
+
+    /**
+     * Report a player's car being damaged by hitting the road edge during its physics update
+     */
+    checkEdgeImpact(player, previousIntegrity) {
+        const vehicle = player.vehicle;
+
+        if (vehicle.integrity < previousIntegrity) {
+            player.edgeImpacts++;
+            this.events.trigger('edgeImpact', {
+                type: 'edgeImpact',
+                player: player.index,
+                tick: this.tickCount,
+                time: this.time,
+                damage: previousIntegrity - vehicle.integrity,
+                integrity: vehicle.integrity
+            });
+        }
+    }
+
+    /**
+     * End the run once any player meets the end condition, or one gets left behind in split screen
+     */
+    checkEndCondition() {
+        const condition = this.endCondition;
+
+        for (const player of this.players) {
+            let reason = null;
+
+            if (condition.type === 'integrity' && player.vehicle.integrity <= 0) {
+                reason = 'integrity';
+            } else if (condition.type === 'time' && this.time >= condition.timeLimit) {
+                reason = 'time';
+            } else if (condition.type === 'distance' && player.getDistance() >= condition.distance) {
+                reason = 'distance';
+            } else if (condition.type === 'course' && player.courseTimer.finished) {
+                reason = 'course';
+            }
+
+            if (reason) {
+                this.finish(reason, player);
+                return;
+            }
+        }
+
+        if (this.players.length > 1) {
+            const [first, second] = this.players;
+            const gap = first.getDistance() - second.getDistance();
+            if (Math.abs(gap) > PLAYER_GAP_LIMIT) {
+                this.finish('leftBehind', gap > 0 ? second : first);
+            }
+        }
+    }
+
+    /**
+     * Stop the run and report it over
+     * @param {String} reason - What ended it
+     * @param {Player} player - Player it ended on
+     */
+    finish(reason, player) {
+        this.finished = true;
+        this.finishReason = reason;
+        this.winner = this.getWinner(reason, player);
+        this.events.trigger('runOver', this.getStats());
+    }
+
+    /**
+     * Decide who won a split screen run
+     * @param {String} reason - What ended the run
+     * @param {Player} player - Player it ended on
+     * @returns {Number|null} Index of the winner, or null outside split screen or for a draw
+     */
+    getWinner(reason, player) {
+        if (this.players.length < 2) return null;
+
+        // First past the target distance wins; the first car wrecked, or left behind, loses
+        if (reason === 'distance') return player.index;
+        if (reason === 'course') return this.getFastestFinisher();
+        if (reason === 'integrity' || reason === 'leftBehind') return this.players.find(other => other !== player).index;
+
+        // Out of time (or a run stopped early), the higher score wins
+        const [first, second] = this.players;
+        if (first.score === second.score) return null;
+        return first.score > second.score ? first.index : second.index;
+    }
+
+    /**
+     * Find who crossed a course's finish line first - both can in the same tick, so it's
+     * down to the crossing times
+     * @returns {Number|null} Index of the player, or null for a dead heat
+     */
+    getFastestFinisher() {
+        const [first, second] = this.players.map(player =>
+            (player.courseTimer.finished ? player.courseTimer.finishTime : Infinity));
+        if (first === second) return null;
+        return first < second ? 0 : 1;
+    }
+
+    /**
+     * Check for a player's collisions and apply their effect on the run
+     */
+    checkCollisions(player) {
+        const vehicle = player.vehicle;
+
+        // Get vehicle bounding box
+        const vehicleBox = vehicle.getBoundingBox();
+        if (!vehicleBox) return;
+
+        // Check collisions with world objects
+        const collisions = this.world.checkCollisions(vehicleBox, this.nearMissMargin, player.index);
+
+        // Handle obstacle collisions
+        if (collisions.obstacles.length > 0) {
+            const obstacle = collisions.obstacles[0];
+            const impact = vehicle.collideWithObstacle(obstacle);
+
+            // Reduce score and break the combo
+            player.scoring.addObstacleHit();
+            player.obstaclesHit++;
+
+            this.events.trigger('obstacleHit', { ...this.createCollisionEvent(player, obstacle), damage: impact.damage });
+        }
+
+        // Handle collectible collisions
+        if (collisions.collectibles.length > 0) {
+            // Increase score
+            player.scoring.addCollectible();
+            player.collectiblesCollected += collisions.collectibles.length;
+
+            // Charge the boost meter and patch up the car
+            vehicle.addBoost(COLLECTIBLE_BOOST_FILL * collisions.collectibles.length);
+            vehicle.repair(COLLECTIBLE_REPAIR * collisions.collectibles.length);
+
+            collisions.collectibles.forEach(collectible => {
+                this.events.trigger('collectiblePickup', this.createCollisionEvent(player, collectible));
+            });
+        }
+
+        // Handle obstacles passed close by
+        collisions.nearMisses.forEach(({ obstacle, clearance }) => {
+            player.scoring.addNearMiss(clearance, this.nearMissMargin);
+            this.events.trigger('nearMiss', {
+                ...this.createCollisionEvent(player, obstacle),
+                type: 'nearMiss',
+                clearance
+            });
+        });
+    }
+
+    /**
+     * Describe a collision for event listeners and reports
+     */
+    createCollisionEvent(player, object) {
+        return {
+            type: object.userData.type,
+            player: player.index,
+            tick: this.tickCount,
+            time: this.time,
+            lane: object.userData.lane,
+            position: { x: object.position.x, z: object.position.z },
+            speed: player.vehicle.speed,
+            score: player.score
+        };
+    }
+
+    /**
+     * Distance player one has driven down the track from the start line
+     */
+    getDistance() {
+        return this.players[0].getDistance();
+    }
+
+    /**
+     * Get a summary of the run so far
+     * Player one's stats sit at the top level; split screen runs add every player's and the winner
+     */
+    getStats() {
+        const stats = {
+            seed: this.seed,
+            mode: this.mode,
+            vehicle: this.vehicleClass.id,
+            ticks: this.tickCount,
+            time: this.time,
+            ...this.getPlayerStats(this.players[0]),
+            finished: this.finished,
+            finishReason: this.finishReason
+        };
+
+        if (this.players.length > 1) {
+            stats.players = this.players.map(player => this.getPlayerStats(player));
+            stats.winner = this.winner;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Get a summary of one player's run so far
+     */
+    getPlayerStats(player) {
+        const vehicle = player.vehicle;
+        const scoring = player.scoring;
+
+        const stats = {
+            score: player.score,
+            distance: player.getDistance(),
+            speed: vehicle.speed,
+            topSpeed: player.topSpeed,
+            obstaclesHit: player.obstaclesHit,
+            collectiblesCollected: player.collectiblesCollected,
+            offRoadTime: player.offRoadTime,
+            furthestDistance: player.furthestDistance,
+            drifts: player.drifts,
+            driftTime: player.driftTime,
+            longestDrift: player.longestDrift,
+            boosts: player.boosts,
+            nearMisses: scoring.nearMisses,
+            cleanSections: scoring.cleanSections,
+            bestMultiplier: scoring.bestMultiplier,
+            edgeImpacts: player.edgeImpacts,
+            rivals: this.rivals.length,
+            position: this.getRacePosition(player),
+            rivalContacts: player.rivalContacts,
+            integrity: vehicle.integrity
+        };
+
+        // Time trials add the checkpoint and lap times
+        if (player.courseTimer) {
+            stats.courseTime = player.courseTimer.finishTime;
+            stats.splits = [...player.courseTimer.splits];
+            stats.lapTimes = player.courseTimer.getLapTimes();
+        }
+
+        return stats;
+    }
+}
+
+/**
+ * Highest score a run could have after reaching a distance down the track in a time
+ * Used to reject impossible scores submitted to the leaderboard
+ */
+function getMaxScore(furthestDistance, time) {
+    const reach = furthestDistance + COLLECTIBLE_REACH;
+
+    // Every data fragment, obstacle and traffic slot filled, at the tightest possible spacing
+    const countSlots = (firstZ, spacing) => (reach < firstZ ? 0 : Math.floor((reach - firstZ) / spacing.min) + 1);
+
+    return getMaxPoints({
+        collectibles: countSlots(FIRST_COLLECTIBLE_Z, COLLECTIBLE_SPACING),
+        obstacles: countSlots(FIRST_OBSTACLE_Z, OBSTACLE_SPACING) + countSlots(FIRST_TRAFFIC_Z, TRAFFIC_SPACING),
+        distance: furthestDistance,
+        time
+    });
+}
+
+/**
+ * Run a whole simulation headless and report the result
+ * @param {Object} options
+ * @param {Number|String} options.seed - Track seed
+ * @param {String} options.mode - End condition name (see END_CONDITIONS)
+ * @param {String} options.vehicle - Vehicle class id (see vehicles.js)
+ * @param {Number} options.rivals - Number of AI rivals (see ai.js)
+ * @param {Number} options.ticks - Most ticks to run (stops early if the run ends)
+ * @param {Function} options.getInput - (tick, simulation) => input state for that tick (0-based)
+ * @returns {Object} Final stats plus every collision event, in order
+ */
+function runSimulation({ seed, mode, vehicle, rivals, ticks, getInput }) {
+    const simulation = new Simulation(null, seed, mode, vehicle, rivals).init();
+    const collisions = [];
+
+    simulation.events.on('obstacleHit', event => collisions.push(event));
+    simulation.events.on('collectiblePickup', event => collisions.push(event));
+    simulation.events.on('nearMiss', event => collisions.push(event));
+    simulation.events.on('edgeImpact', event => collisions.push(event));
+    simulation.events.on('rivalContact', event => collisions.push(event));
+
+    for (let tick = 0; tick < ticks && !simulation.finished; tick++) {
+        simulation.tick(getInput(tick, simulation));
+    }
+
+    return {
+        ...simulation.getStats(),
+        collisions
+    };
+}
+
+// Export the simulation class and timing constants
+export { Simulation, runSimulation, getMaxScore, isGameMode, END_CONDITIONS, DEFAULT_MODE, MAX_PLAYERS, TICK_RATE, FIXED_TIMESTEP };
@@ -488,22 +488,7 @@ class Skybox {
             // Only apply fixed scale to camera-relative skybox elements
             this.skybox.scale.set(1, 1, 1);
             
-            // Update worldSkybox position to follow camera position with adjustments
-            const cameraWorldPos = new THREE.Vector3();
-            this.camera.getWorldPosition(cameraWorldPos);
-            
-            // Get camera direction to position horizon correctly
-            const cameraDirection = new THREE.Vector3(0, 0, -1);
-            cameraDirection.applyQuaternion(this.camera.quaternion);
-            
-            // Calculate appropriate Y position - follow camera height but with vertical offset
-            // This ensures the horizon stays properly positioned relative to the camera
-            const worldYPosition = cameraWorldPos.y + SKYBOX_CONFIG.VERTICAL_OFFSET;
-            
-            // Follow camera position but with adjusted Y
-            this.worldSkybox.position.x = cameraWorldPos.x;
-            this.worldSkybox.position.y = worldYPosition;
-            this.worldSkybox.position.z = cameraWorldPos.z;
+            this.followCamera(this.camera);
             
             // Very slow rotation speed for subtle effects
             this.skyboxGrid.rotation.y -= SKYBOX_CONFIG.ROTATION_SPEED;
@@ -538,6 +523,32 @@ class Skybox {
             }
         }
     }
+    
+    /**
+     * Center the skybox on a camera
+     * Split screen calls this before drawing each view, so both players see the sky around them
+     */
+    followCamera(camera) {
+        if (!this.skybox) return;
+        
+        // Camera-relative elements ride along with the camera
+        if (this.skybox.parent !== camera) {
+            camera.add(this.skybox);
+        }
+        
+        // Update worldSkybox position to follow camera position with adjustments
+        const cameraWorldPos = new THREE.Vector3();
+        camera.getWorldPosition(cameraWorldPos);
+        
+        // Calculate appropriate Y position - follow camera height but with vertical offset
+        // This ensures the horizon stays properly positioned relative to the camera
+        const worldYPosition = cameraWorldPos.y + SKYBOX_CONFIG.VERTICAL_OFFSET;
+        
+        // Follow camera position but with adjusted Y
+        this.worldSkybox.position.x = cameraWorldPos.x;
+        this.worldSkybox.position.y = worldYPosition;
+        this.worldSkybox.position.z = cameraWorldPos.z;
+    }
 }
 
 // Export the skybox class
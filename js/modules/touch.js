@@ -0,0 +1,191 @@
+/**
+ * Touch Controls Module for Neon Drift Protocol
+ *
+ * On-screen controls for phones and tablets:
+ * - Steer zones, throttle, brake, reverse and boost pads (multi-touch)
+ * - Optional tilt steering from device orientation
+ * - Shown automatically on touch devices
+ */
+
+import { quantizeAnalog } from './replay.js';
+
+// Tilt steering
+const TILT_FULL_LOCK = 30;       // Degrees of tilt for full steering lock
+const TILT_DEADZONE = 3;         // Degrees of tilt ignored around level
+
+// Touch controls class
+class TouchControls {
+    constructor() {
+        this.container = null;
+        this.enabled = false;            // Touch layout in use (touch device detected)
+        this.visible = false;            // Layout wanted on screen (racing)
+        this.pointers = new Map();       // Pointer id -> control it went down on
+        this.tiltEnabled = false;
+        this.tilt = 0;                   // Latest tilt steering (-1 right to 1 left)
+
+        // Digital state of the touch pads, in input state form
+        this.state = {
+            accelerate: false,
+            brake: false,
+            reverse: false,
+            boost: false,
+            turnLeft: false,
+            turnRight: false
+        };
+
+        this.handleOrientation = this.handleOrientation.bind(this);
+    }
+
+    /**
+     * Find the touch layout and start listening to it
+     */
+    init() {
+        this.container = document.getElementById('touchControls');
+        if (!this.container) return this;
+
+        // Pads are tracked per pointer so several can be held at once
+        this.container.querySelectorAll('[data-control]').forEach(pad => {
+            pad.addEventListener('pointerdown', (event) => {
+                event.preventDefault();
+                this.pointers.set(event.pointerId, pad.dataset.control);
+                this.updateState();
+            });
+        });
+
+        const release = (event) => {
+            if (this.pointers.delete(event.pointerId)) {
+                this.updateState();
+            }
+        };
+        window.addEventListener('pointerup', release);
+        window.addEventListener('pointercancel', release);
+
+        // Touch devices get the layout straight away; anything else the first time the screen is touched
+        if (isTouchDevice()) {
+            this.enabled = true;
+        } else {
+            window.addEventListener('touchstart', () => {
+                this.enabled = true;
+                this.setVisible(this.visible);
+            }, { once: true });
+        }
+
+        return this;
+    }
+
+    /**
+     * Show the layout while racing (only if touch is in use)
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.container) {
+            this.container.style.display = visible && this.enabled ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Rebuild the digital state from the pads currently held
+     */
+    updateState() {
+        Object.keys(this.state).forEach(control => {
+            this.state[control] = false;
+        });
+        this.pointers.forEach(control => {
+            this.state[control] = true;
+        });
+
+        if (this.container) {
+            this.container.querySelectorAll('[data-control]').forEach(pad => {
+                pad.classList.toggle('held', this.state[pad.dataset.control]);
+            });
+        }
+    }
+
+    /**
+     * Treat every pad as released
+     */
+    releaseAll() {
+        this.pointers.clear();
+        this.updateState();
+    }
+
+    /**
+     * Get the state of the touch pads
+     */
+    getState() {
+        return { ...this.state };
+    }
+
+    /**
+     * Get the tilt steering (-1 right to 1 left), or null when tilt steering is off
+     */
+    getTiltSteering() {
+        return this.tiltEnabled ? this.tilt : null;
+    }
+
+    /**
+     * Turn tilt steering on or off
+     * iOS only allows orientation access after asking, from a tap
+     * @returns {Promise<Boolean>} Whether tilt steering is now on
+     * @throws {Error} (as a rejection) If the device has no orientation sensor or access was refused
+     */
+    toggleTilt() {
+        if (this.tiltEnabled) {
+            this.tiltEnabled = false;
+            this.tilt = 0;
+            window.removeEventListener('deviceorientation', this.handleOrientation);
+            return Promise.resolve(false);
+        }
+
+        if (typeof DeviceOrientationEvent === 'undefined') {
+            return Promise.reject(new Error('Tilt is not supported on this device'));
+        }
+
+        const permission = typeof DeviceOrientationEvent.requestPermission === 'function' ?
+            DeviceOrientationEvent.requestPermission() :
+            Promise.resolve('granted');
+
+        return permission.then(result => {
+            if (result !== 'granted') {
+                throw new Error('Tilt access was refused');
+            }
+
+            this.tiltEnabled = true;
+            window.addEventListener('deviceorientation', this.handleOrientation);
+            return true;
+        });
+    }
+
+    /**
+     * Turn the device orientation into steering, holding the device like a wheel
+     */
+    handleOrientation(event) {
+        if (event.beta === null || event.gamma === null) return;
+
+        // Which axis is "wheel rotation" depends on how the screen is turned
+        // (roll is positive with the screen's left edge lowered)
+        const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+        let roll;
+        if (angle === 90) {
+            roll = -event.beta;
+        } else if (angle === -90 || angle === 270) {
+            roll = event.beta;
+        } else {
+            roll = -event.gamma;
+        }
+
+        // Past the deadzone, scale so TILT_FULL_LOCK degrees is full lock (positive steers left)
+        const magnitude = Math.max(0, Math.abs(roll) - TILT_DEADZONE) / (TILT_FULL_LOCK - TILT_DEADZONE);
+        this.tilt = quantizeAnalog(Math.sign(roll) * Math.min(1, magnitude));
+    }
+}
+
+/**
+ * Check whether the main pointer is a finger (phones and tablets)
+ */
+function isTouchDevice() {
+    return !!window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+}
+
+// Export the touch controls class
+export { TouchControls };
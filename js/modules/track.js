@@ -0,0 +1,317 @@
+/**
+ * Track Module for Neon Drift Protocol
+ *
+ * Single source of truth for the road geometry:
+ * - Seeded layout of turns and straights as control points along Z
+ * - Endless, or a closed circuit whose layout repeats every lap (see course.js)
+ * - Centerline queries (X, heading, curvature, width) at any Z
+ * - Lateral offset / off-road tests for positions in the world
+ *
+ * The world (road placement, spawns), the physics (off-road detection) and
+ * the camera (curve influence) all query this module so they can't disagree.
+ */
+
+import { SeededRandom } from './random.js';
+
+// Road dimensions
+const LANE_WIDTH = 10;
+const ROAD_WIDTH = LANE_WIDTH * 3;
+const ROAD_HALF_WIDTH = ROAD_WIDTH / 2;
+const TURN_OFFSET = LANE_WIDTH * 5.0;   // Lateral centerline offset for a turn value of 1
+const CURVE_REFERENCE = 0.004;         // Curvature (1/units) that counts as a full bend
+
+// Track generation constants
+const START_STRAIGHT_LENGTH = 400;  // Straight run out of the starting area
+const MIN_STRAIGHT_LENGTH = 80;     // Shortest straight between turns
+const MAX_STRAIGHT_LENGTH = 300;    // Longest straight between turns
+const MIN_TURN_LENGTH = 200;        // Shortest distance over which a turn is made
+const MAX_TURN_LENGTH = 400;        // Longest distance over which a turn is made
+const MAX_TURN = 1.0;               // Hardest turn value (either direction)
+const MIN_TURN_CHANGE = 0.4;        // Smallest change that still reads as a turn
+const RETURN_TO_CENTER_CHANCE = 0.5; // Chance a turn heads back to a straight line
+const S_BEND_CHANCE = 0.3;          // Chance a turn is followed directly by another
+const MIN_LAP_LENGTH = START_STRAIGHT_LENGTH + 2 * MAX_TURN_LENGTH;  // Shortest circuit lap (start straight, a turn and the turn back)
+
+// Track generator class
+class TrackGenerator {
+    /**
+     * @param {Number} seed - Track seed
+     * @param {Number|null} lapLength - Length of a closed circuit's lap, or null for an endless track
+     * @throws {Error} If a circuit's lap is too short to lay out (see MIN_LAP_LENGTH)
+     */
+    constructor(seed, lapLength = null) {
+        if (lapLength !== null && !(lapLength >= MIN_LAP_LENGTH)) {
+            throw new Error(`Circuit lap length ${lapLength} is under the shortest lap, ${MIN_LAP_LENGTH}`);
+        }
+
+        this.seed = seed >>> 0;
+        this.random = new SeededRandom(this.seed).fork('track');
+        this.lapLength = lapLength;
+
+        // Control points are generated in order of increasing Z
+        // Each point stores the turn value the track reaches at that Z
+        this.controlPoints = [
+            { z: 0, turn: 0 },
+            { z: START_STRAIGHT_LENGTH, turn: 0 }
+        ];
+
+        // The first generated feature is always a turn
+        this.nextFeatureIsTurn = true;
+
+        // A circuit's lap is laid out whole, up front
+        if (lapLength !== null) {
+            this.generateLap();
+        }
+    }
+
+    /**
+     * Lay out a closed circuit's lap, ending straight and centered so it runs on into the
+     * next lap's start straight without a kink
+     */
+    generateLap() {
+        const lapLength = this.lapLength;
+
+        // Leave room for one more feature (turns are the longest) and a turn back to the centerline
+        while (this.controlPoints[this.controlPoints.length - 1].z < lapLength - 2 * MAX_TURN_LENGTH) {
+            this.generateNextFeature();
+        }
+
+        const last = this.controlPoints[this.controlPoints.length - 1];
+        this.controlPoints.push({ z: last.z + this.random.range(MIN_TURN_LENGTH, MAX_TURN_LENGTH), turn: 0 });
+        this.controlPoints.push({ z: lapLength, turn: 0 });
+    }
+
+    /**
+     * Make sure control points exist up to (and past) the given Z position
+     */
+    ensureGeneratedTo(z) {
+        // A circuit's lap is all there is
+        if (this.lapLength !== null) return;
+
+        while (this.controlPoints[this.controlPoints.length - 1].z <= z) {
+            this.generateNextFeature();
+        }
+    }
+
+    /**
+     * Append the next turn or straight to the track
+     */
+    generateNextFeature() {
+        const last = this.controlPoints[this.controlPoints.length - 1];
+
+        if (this.nextFeatureIsTurn) {
+            const length = this.random.range(MIN_TURN_LENGTH, MAX_TURN_LENGTH);
+
+            this.controlPoints.push({
+                z: last.z + length,
+                turn: this.pickTurnTarget(last.turn)
+            });
+
+            // Usually settle into a straight, sometimes chain into an S-bend
+            this.nextFeatureIsTurn = this.random.chance(S_BEND_CHANCE);
+        } else {
+            const length = this.random.range(MIN_STRAIGHT_LENGTH, MAX_STRAIGHT_LENGTH);
+
+            // A straight holds the current turn value
+            this.controlPoints.push({
+                z: last.z + length,
+                turn: last.turn
+            });
+
+            this.nextFeatureIsTurn = true;
+        }
+    }
+
+    /**
+     * Choose the turn value the next turn should reach
+     */
+    pickTurnTarget(currentTurn) {
+        // Regularly bring the track back to center so it doesn't wander off
+        if (currentTurn !== 0 && this.random.chance(RETURN_TO_CENTER_CHANCE)) {
+            return 0;
+        }
+
+        // Pick a target that differs enough from the current value to feel like a turn
+        let target = this.random.range(-MAX_TURN, MAX_TURN);
+        if (Math.abs(target - currentTurn) < MIN_TURN_CHANGE) {
+            // Push the target away from the current value, staying within limits
+            const direction = target >= currentTurn ? 1 : -1;
+            target = currentTurn + direction * MIN_TURN_CHANGE;
+            if (Math.abs(target) > MAX_TURN) {
+                target = currentTurn - direction * MIN_TURN_CHANGE;
+            }
+        }
+
+        // Round to keep the values tidy when logged or compared
+        return Math.round(target * 100) / 100;
+    }
+
+    /**
+     * Get the turn value (-1 to 1) of the track at a given Z position
+     */
+    getTurnAtZ(z) {
+        return this.sample(z).turn;
+    }
+
+    /**
+     * Sample the turn value and its first and second derivatives along Z
+     * @returns {Object} { turn, slope, bend } - value, d/dz and d²/dz²
+     */
+    sample(z) {
+        // Everything behind the start line is straight
+        if (z <= 0) return { turn: 0, slope: 0, bend: 0 };
+
+        // Every lap of a circuit drives the same layout
+        if (this.lapLength !== null) {
+            z %= this.lapLength;
+        }
+
+        this.ensureGeneratedTo(z);
+
+        const points = this.controlPoints;
+
+        // Points behind the player may have been discarded already
+        if (z < points[0].z) return { turn: points[0].turn, slope: 0, bend: 0 };
+
+        // Binary search for the two control points we're between
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (points[mid].z <= z) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const p1 = points[low];
+        const p2 = points[high];
+        const length = p2.z - p1.z;
+        const change = p2.turn - p1.turn;
+
+        // Calculate how far we are between these two points (0 to 1)
+        const t = (z - p1.z) / length;
+
+        // Use cubic easing for more realistic turn entry/exit
+        // Derivatives of t²(3 - 2t) are 6t(1 - t) and 6 - 12t
+        return {
+            turn: p1.turn + change * cubicEase(t),
+            slope: change * 6 * t * (1 - t) / length,
+            bend: change * (6 - 12 * t) / (length * length)
+        };
+    }
+
+    /**
+     * Drop control points that are entirely behind the given Z position
+     */
+    discardBefore(z) {
+        // A circuit comes back round to its whole lap
+        if (this.lapLength !== null) return;
+
+        while (this.controlPoints.length > 2 && this.controlPoints[1].z < z) {
+            this.controlPoints.shift();
+        }
+    }
+}
+
+// Track centerline class
+class Track {
+    /**
+     * @param {Number} seed - Track seed
+     * @param {Number|null} lapLength - Length of a closed circuit's lap, or null for an endless track
+     * @throws {Error} If a circuit's lap is too short to lay out (see MIN_LAP_LENGTH)
+     */
+    constructor(seed, lapLength = null) {
+        this.seed = seed >>> 0;
+        this.generator = new TrackGenerator(this.seed, lapLength);
+    }
+
+    /**
+     * Get the X position of the road centerline at a given Z
+     */
+    getCenterX(z) {
+        return this.generator.sample(z).turn * TURN_OFFSET;
+    }
+
+    /**
+     * Get the road heading at a given Z (radians, same convention as Vehicle rotation.y)
+     * 0 means straight along +Z, positive angles lean towards +X
+     */
+    getHeading(z) {
+        return Math.atan(this.generator.sample(z).slope * TURN_OFFSET);
+    }
+
+    /**
+     * Get the signed curvature (1/units) of the centerline at a given Z
+     * Positive values bend towards +X
+     */
+    getCurvature(z) {
+        const { slope, bend } = this.generator.sample(z);
+        const dx = slope * TURN_OFFSET;
+        const ddx = bend * TURN_OFFSET;
+        return ddx / Math.pow(1 + dx * dx, 1.5);
+    }
+
+    /**
+     * Get the curvature as a -1 to 1 "bend" amount for camera and effects
+     */
+    getBend(z) {
+        return Math.max(-1, Math.min(1, this.getCurvature(z) / CURVE_REFERENCE));
+    }
+
+    /**
+     * Get the full road width at a given Z
+     */
+    getWidth(z) {
+        return ROAD_WIDTH;
+    }
+
+    /**
+     * Get half the road width at a given Z
+     */
+    getHalfWidth(z) {
+        return this.getWidth(z) / 2;
+    }
+
+    /**
+     * Get the signed distance of a world position from the centerline
+     * Measured perpendicular to the road heading, positive towards +X
+     */
+    getLateralOffset(position) {
+        const heading = this.getHeading(position.z);
+        return (position.x - this.getCenterX(position.z)) * Math.cos(heading);
+    }
+
+    /**
+     * Check whether a world position is off the road surface
+     */
+    isOffRoad(position) {
+        return Math.abs(this.getLateralOffset(position)) > this.getHalfWidth(position.z);
+    }
+
+    /**
+     * Get the world X for a point at a lateral offset from the centerline at Z
+     * Inverse of getLateralOffset, used to place objects in lanes
+     */
+    getXAtOffset(z, lateralOffset) {
+        return this.getCenterX(z) + lateralOffset / Math.cos(this.getHeading(z));
+    }
+
+    /**
+     * Forget layout far behind the given Z position
+     */
+    discardBefore(z) {
+        this.generator.discardBefore(z);
+    }
+}
+
+/**
+ * Cubic easing function for smoother transitions
+ */
+function cubicEase(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// Export the track classes, road dimensions and shortest circuit lap
+export { Track, TrackGenerator, cubicEase, LANE_WIDTH, ROAD_WIDTH, ROAD_HALF_WIDTH, MIN_LAP_LENGTH };
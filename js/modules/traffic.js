@@ -0,0 +1,234 @@
+/**
+ * Traffic Module for Neon Drift Protocol
+ *
+ * Neutral "packet" vehicles cruising down the road for the player to weave through:
+ * - Packets appear at planned slots ahead of the player, closer together the further down the track a run gets
+ * - Each drives at its own steady speed, well below the player's, in one of the three lanes
+ * - Now and then a packet moves across to a neighbouring lane that's clear, and it changes lanes
+ *   or slows down for obstacles, other packets and the player in its way
+ * - The world keeps packets with its obstacles, so hits and near misses work just like they do for obstacles
+ *
+ * Slots, lanes, speeds and colors come from the track seed alone, so every run of a seed plans the same
+ * traffic however it's driven. Lane changes roll on a stream of their own (also from the seed, so traffic
+ * replays exactly), as how many rolls there are depends on the packets the player's driving has met.
+ */
+
+import { SeededRandom } from './random.js';
+import { LANE_WIDTH } from './track.js';
+
+// Spawning (distances in world units)
+const FIRST_TRAFFIC_Z = 800;             // Traffic joins once the run is under way
+const TRAFFIC_SPAWN_DISTANCE = 400;      // How far ahead of the player packets appear
+const TRAFFIC_DESPAWN_DISTANCE = 1500;   // Packets that get this far ahead of the player have driven off
+const TRAFFIC_SPACING = { min: 150, max: 300 };  // Gap between packet slots once traffic is at its densest...
+const SPARSE_SPACING_SCALE = 3;          // ...times this where traffic joins...
+const TRAFFIC_RAMP_DISTANCE = 15000;     // ...closing up over this distance
+const MAX_PACKETS = 12;                  // Packets on the road at once (slots past this stay empty)
+const SPAWN_CLEARANCE = 80;              // Free road a packet needs ahead and behind in its lane to appear (room to stop)
+
+// Driving
+const PACKET_SPEED = { min: 50, max: 110 };      // Cruising speed range (units/second)
+const PACKET_ACCELERATION = 20;          // Units/second² a packet gets back up to speed at...
+const PACKET_BRAKING = 80;               // ...and slows down at
+const LOOKAHEAD_BASE = 30;               // Distance ahead a packet watches its lane...
+const LOOKAHEAD_TIME = 1.5;              // ...plus this many seconds of travel
+const PATH_WIDTH = 4.5;                  // Sideways gap under which something is in a packet's way
+const LANE_CHANGE_CHANCE = 0.1;          // Chance per second a packet fancies a neighbouring lane
+const LANE_CHANGE_SPEED = 6;             // Units/second a packet moves across
+const LANE_CHANGE_GAP = 25;              // Free road a packet needs ahead and behind in the lane it moves to
+
+// Collision box (slightly inside the visible body, like the obstacles' box)
+const PACKET_HITBOX = { halfWidth: 1.8, halfHeight: 1.0, halfDepth: 3.5 };
+
+// Packet colors, picked per packet
+const PACKET_COLORS = [0x00ffff, 0xff00ff, 0x66ff00, 0xffcc00];
+
+/**
+ * Get the offset from the centerline of a lane's center (same lane numbering as obstacles)
+ */
+function getLaneOffset(lane) {
+    return -lane * LANE_WIDTH;
+}
+
+// Traffic system class - plans where packets appear and drives them down the road
+class TrafficSystem {
+    /**
+     * @param {Number} seed - Track seed (normalized)
+     */
+    constructor(seed) {
+        this.reset(seed);
+    }
+
+    /**
+     * Start the traffic over for a new run
+     */
+    reset(seed) {
+        this.spawnRandom = new SeededRandom(seed).fork('traffic');
+        this.laneRandom = new SeededRandom(seed).fork('trafficLanes');
+        this.nextTrafficZ = FIRST_TRAFFIC_Z;
+    }
+
+    /**
+     * Get how much wider than at its densest the gap between slots is at a point down the track
+     */
+    getSpacingScale(z) {
+        const ramp = Math.min(1, Math.max(0, (z - FIRST_TRAFFIC_Z) / TRAFFIC_RAMP_DISTANCE));
+        return SPARSE_SPACING_SCALE + (1 - SPARSE_SPACING_SCALE) * ramp;
+    }
+
+    /**
+     * Plan the packets due to appear ahead of the players
+     * @param {Number} playerZ - How far down the track the leading player is
+     * @param {Array<Object>} packets - Packets already on the road
+     * @param {Object} surroundings - What else is on the road (see getOccupants)
+     * @returns {Array<Object>} New packets, to be added to the road
+     */
+    spawn(playerZ, packets, surroundings) {
+        const occupants = this.getOccupants(packets, surroundings);
+        const spawned = [];
+
+        while (this.nextTrafficZ < playerZ + TRAFFIC_SPAWN_DISTANCE) {
+            const z = this.nextTrafficZ;
+
+            // Always draw the whole slot, so an empty slot doesn't shift the ones after it (nothing else
+            // draws from this stream, so the plan only depends on the seed)
+            const lane = this.spawnRandom.int(-1, 1);
+            const cruiseSpeed = this.spawnRandom.range(PACKET_SPEED.min, PACKET_SPEED.max);
+            const color = this.spawnRandom.pick(PACKET_COLORS);
+
+            const offset = getLaneOffset(lane);
+            if (packets.length + spawned.length < MAX_PACKETS && this.isClear(z, offset, occupants, SPAWN_CLEARANCE)) {
+                const packet = {
+                    z,
+                    offset,
+                    lane,
+                    speed: cruiseSpeed,
+                    cruiseSpeed,
+                    offsetRate: 0,               // Units/second it's moving across
+                    color,
+                    previousZ: z,
+                    previousOffset: offset
+                };
+                spawned.push(packet);
+                occupants.push(packet);
+            }
+
+            this.nextTrafficZ += this.spawnRandom.range(TRAFFIC_SPACING.min, TRAFFIC_SPACING.max) * this.getSpacingScale(z);
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Drive every packet for one tick
+     * @param {Array<Object>} packets - Packets on the road
+     * @param {Object} surroundings - What else is on the road (see getOccupants)
+     * @param {Number} deltaTime - Seconds per tick
+     */
+    update(packets, surroundings, deltaTime) {
+        const occupants = this.getOccupants(packets, surroundings);
+
+        packets.forEach(packet => {
+            packet.previousZ = packet.z;
+            packet.previousOffset = packet.offset;
+
+            const targetOffset = getLaneOffset(packet.lane);
+            const blocker = this.findBlocker(packet, targetOffset, occupants);
+
+            // Once settled in a lane, move across when something's in the way, or now and then for the fun of it
+            const fancyChange = this.laneRandom.chance(LANE_CHANGE_CHANCE * deltaTime);
+            if (packet.offset === targetOffset && (blocker || fancyChange)) {
+                const lanes = [packet.lane - 1, packet.lane + 1].filter(lane =>
+                    Math.abs(lane) <= 1 && this.isClear(packet.z, getLaneOffset(lane), occupants, LANE_CHANGE_GAP, packet));
+                if (lanes.length > 0) {
+                    packet.lane = this.laneRandom.pick(lanes);
+                }
+            }
+
+            // Slide across to the lane
+            const laneOffset = getLaneOffset(packet.lane);
+            const step = LANE_CHANGE_SPEED * deltaTime;
+            const move = Math.max(-step, Math.min(step, laneOffset - packet.offset));
+            packet.offset = Math.abs(laneOffset - packet.offset) <= step ? laneOffset : packet.offset + move;
+            packet.offsetRate = move / deltaTime;
+
+            // Hold back to the speed of whatever's still in the way, otherwise cruise
+            const stillBlocked = this.findBlocker(packet, laneOffset, occupants);
+            const targetSpeed = stillBlocked ? Math.min(packet.cruiseSpeed, Math.max(0, stillBlocked.speed)) : packet.cruiseSpeed;
+            if (packet.speed > targetSpeed) {
+                packet.speed = Math.max(targetSpeed, packet.speed - PACKET_BRAKING * deltaTime);
+            } else {
+                packet.speed = Math.min(targetSpeed, packet.speed + PACKET_ACCELERATION * deltaTime);
+            }
+            packet.z += packet.speed * deltaTime;
+        });
+    }
+
+    /**
+     * Check if a packet has got so far ahead of the (leading) player that it's left the road
+     */
+    hasDrivenOff(packet, playerZ) {
+        return packet.z - playerZ > TRAFFIC_DESPAWN_DISTANCE;
+    }
+
+    /**
+     * Gather everything on the road a packet has to keep clear of
+     * @param {Array<Object>} packets - Packets on the road
+     * @param {Object} surroundings
+     * @param {Track} surroundings.track - Track centerline
+     * @param {Array} surroundings.obstacles - Static obstacles on the road
+     * @param {Array<Object>} surroundings.players - { position, speed } of each player's car
+     * @returns {Array<Object>} { z, offset, speed } of each
+     */
+    getOccupants(packets, { track, obstacles, players }) {
+        const occupants = obstacles.map(obstacle => ({
+            z: obstacle.position.z,
+            offset: track.getLateralOffset(obstacle.position),
+            speed: 0
+        }));
+        occupants.push(...packets);
+
+        players.forEach(player => {
+            occupants.push({ z: player.position.z, offset: track.getLateralOffset(player.position), speed: player.speed });
+        });
+
+        return occupants;
+    }
+
+    /**
+     * Find the nearest thing ahead of a packet, in its way now or on its way to a lane
+     * @returns {Object|null} The occupant, or null if the road ahead is clear
+     */
+    findBlocker(packet, targetOffset, occupants) {
+        const reach = LOOKAHEAD_BASE + packet.speed * LOOKAHEAD_TIME;
+        let blocker = null;
+
+        occupants.forEach(occupant => {
+            if (occupant === packet) return;
+
+            const ahead = occupant.z - packet.z;
+            const inPath = Math.abs(occupant.offset - packet.offset) < PATH_WIDTH ||
+                Math.abs(occupant.offset - targetOffset) < PATH_WIDTH;
+            if (ahead > 0 && ahead < reach && inPath && (!blocker || ahead < blocker.z - packet.z)) {
+                blocker = occupant;
+            }
+        });
+
+        return blocker;
+    }
+
+    /**
+     * Check if the road around a point in a lane is free
+     * @param {Number} gap - Free road needed ahead and behind
+     * @param {Object} self - Packet to leave out of the check
+     */
+    isClear(z, offset, occupants, gap, self = null) {
+        return occupants.every(occupant =>
+            occupant === self ||
+            Math.abs(occupant.offset - offset) >= PATH_WIDTH ||
+            Math.abs(occupant.z - z) >= gap);
+    }
+}
+
+// Export the traffic system and the limits the simulation checks scores against
+export { TrafficSystem, FIRST_TRAFFIC_Z, TRAFFIC_SPACING, PACKET_HITBOX };
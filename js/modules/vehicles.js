@@ -0,0 +1,236 @@
+/**
+ * Vehicle Classes Module for Neon Drift Protocol
+ *
+ * Every car is described by data, so the garage can offer several:
+ * - Handling parameters read by the Vehicle physics (see physics.js)
+ * - A hitbox for collisions and a mesh description (proportions and neon colors) for the renderer
+ * - The player's chosen class, saved per browser
+ *
+ * Replays and leaderboard runs record the class id, so a class's handling
+ * can't change without changing how its recorded runs play back.
+ */
+
+// Storage
+const STORAGE_KEY = 'neonDriftProtocol.vehicle';
+
+// Vehicle classes, in the order the garage lists them
+const VEHICLE_CLASSES = {
+    // The original car - every run before the garage was driven in it
+    vector: {
+        id: 'vector',
+        name: 'VECTOR',
+        description: 'Balanced all-rounder. Forgiving grip, easy drifts.',
+        handling: {
+            maxSpeed: 5000,                  // Top speed the acceleration curve tapers towards (units/second)
+            acceleration: 2000,              // Engine force at the top of the acceleration curve
+            deceleration: 800,               // Braking force
+            engineBraking: 1.0,              // Slowdown force with no throttle
+            dragCoefficient: 0.00015,        // Air resistance factor (sets the real top speed)
+            offRoadFriction: 0.03,           // Rolling resistance factor off the road
+            maxSteeringAngle: Math.PI / 4,   // Full steering lock (radians)
+            steeringSpeed: 2.5,              // How quickly steering winds on (radians/second)
+            steeringReturnSpeed: 5.0,        // How quickly steering returns to center (radians/second)
+            wheelBase: 6,                    // Distance between front and rear axles
+            wheelTrack: 4,                   // Distance between left and right wheels
+            suspensionStiffness: 50,
+            suspensionDamping: 4,
+            suspensionTravel: 0.5,
+            wheelRadius: 0.8,
+            wheelMass: 20,
+            chassisMass: 400,
+            lateralGrip: 0.98,               // Share of sideways velocity kept each tick (lower = more grip)
+            driftLateralGrip: 0.975          // Share of the slide kept each tick while drifting
+        },
+        // Half sizes of the collision box, slightly inside the visual body to be forgiving
+        hitbox: { halfWidth: 1.7, halfHeight: 0.5, halfLength: 3.5 },
+        mesh: {
+            bodyColor: 0x00ffff,             // Wireframe body, nose and glow
+            cockpitColor: 0xff00aa,
+            wheelColor: 0xff00ff,
+            body: { width: 4, height: 1, length: 8 },
+            nose: { radius: 2, length: 2 },
+            cockpit: { width: 2, height: 1, length: 3, z: 1.5 },
+            wheels: { radius: 0.8, width: 0.5, x: 2, frontZ: 3, rearZ: -3.5 }
+        }
+    },
+
+    // Heavy and fast, but slow to turn in and loose at the rear
+    interceptor: {
+        id: 'interceptor',
+        name: 'INTERCEPTOR',
+        description: 'Heavy and fast. Highest top speed, slow to turn in.',
+        handling: {
+            maxSpeed: 6500,
+            acceleration: 3000,
+            deceleration: 900,
+            engineBraking: 1.0,
+            dragCoefficient: 0.00012,
+            offRoadFriction: 0.035,
+            maxSteeringAngle: Math.PI / 5,
+            steeringSpeed: 2.0,
+            steeringReturnSpeed: 4.5,
+            wheelBase: 7,
+            wheelTrack: 4.4,
+            suspensionStiffness: 60,
+            suspensionDamping: 5,
+            suspensionTravel: 0.4,
+            wheelRadius: 0.9,
+            wheelMass: 25,
+            chassisMass: 520,
+            lateralGrip: 0.985,
+            driftLateralGrip: 0.98
+        },
+        hitbox: { halfWidth: 1.9, halfHeight: 0.45, halfLength: 4.0 },
+        mesh: {
+            bodyColor: 0xff00aa,
+            cockpitColor: 0x00ffff,
+            wheelColor: 0xffff00,
+            body: { width: 4.4, height: 0.9, length: 9 },
+            nose: { radius: 2.2, length: 2.5 },
+            cockpit: { width: 2.2, height: 0.8, length: 2.5, z: 0.5 },
+            wheels: { radius: 0.9, width: 0.6, x: 2.2, frontZ: 3.5, rearZ: -3.8 }
+        }
+    },
+
+    // Light and twitchy - quick off the line and sharp on the wheel, but runs out of speed early
+    phantom: {
+        id: 'phantom',
+        name: 'PHANTOM',
+        description: 'Light and nimble. Quick launch, sharp steering, runs out of speed early.',
+        handling: {
+            maxSpeed: 1500,
+            acceleration: 1800,
+            deceleration: 700,
+            engineBraking: 1.0,
+            dragCoefficient: 0.00018,
+            offRoadFriction: 0.025,
+            maxSteeringAngle: Math.PI / 4,
+            steeringSpeed: 3.2,
+            steeringReturnSpeed: 6.0,
+            wheelBase: 5,
+            wheelTrack: 3.6,
+            suspensionStiffness: 45,
+            suspensionDamping: 3.5,
+            suspensionTravel: 0.6,
+            wheelRadius: 0.7,
+            wheelMass: 15,
+            chassisMass: 300,
+            lateralGrip: 0.975,
+            driftLateralGrip: 0.97
+        },
+        hitbox: { halfWidth: 1.5, halfHeight: 0.45, halfLength: 3.0 },
+        mesh: {
+            bodyColor: 0xaa66ff,
+            cockpitColor: 0x00ffff,
+            wheelColor: 0xff00aa,
+            body: { width: 3.4, height: 0.8, length: 7 },
+            nose: { radius: 1.7, length: 1.6 },
+            cockpit: { width: 1.8, height: 0.9, length: 2.5, z: 1 },
+            wheels: { radius: 0.7, width: 0.45, x: 1.8, frontZ: 2.5, rearZ: -3 }
+        }
+    }
+};
+const DEFAULT_VEHICLE = 'vector';
+
+// Garage ratings
+const RATING_CRUISE_SPEED = 400;         // Speed the top speed rating measures engine pull at
+
+/**
+ * Look up a vehicle class by id
+ * @throws {Error} If there is no such class
+ */
+function getVehicleClass(id) {
+    if (!Object.prototype.hasOwnProperty.call(VEHICLE_CLASSES, id)) {
+        throw new Error(`Unknown vehicle class "${id}"`);
+    }
+    return VEHICLE_CLASSES[id];
+}
+
+/**
+ * Rate a class's handling against the others for the garage (each 0-1, 1 for the best class)
+ * @returns {Object} { speed, acceleration, steering, grip }
+ */
+function getVehicleRatings(id) {
+    const raw = definition => {
+        const handling = definition.handling;
+        const mass = handling.chassisMass + handling.wheelMass * 4;
+        return {
+            // Engine pull at cruising speed, on Vehicle.calculateForces' acceleration curve
+            // (runs rarely get near maxSpeed, so this is what decides the straights)
+            speed: handling.acceleration / mass *
+                (1.8 * Math.pow(Math.max(0, 1 - RATING_CRUISE_SPEED / handling.maxSpeed), 1.5) + 0.2),
+            acceleration: handling.acceleration / mass,
+            steering: handling.steeringSpeed * handling.maxSteeringAngle / handling.wheelBase,
+            grip: 1 - handling.lateralGrip
+        };
+    };
+
+    const all = Object.values(VEHICLE_CLASSES).map(raw);
+    const ratings = raw(getVehicleClass(id));
+    Object.keys(ratings).forEach(name => {
+        ratings[name] /= Math.max(...all.map(values => values[name]));
+    });
+    return ratings;
+}
+
+// Garage class - the player's chosen vehicle class
+class Garage {
+    /**
+     * @param {Storage} storage - Where to keep the choice (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage || null;
+        this.selected = DEFAULT_VEHICLE;
+
+        this.load();
+    }
+
+    /**
+     * Load the chosen class from storage, keeping the default if it's missing or unknown
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(STORAGE_KEY);
+            if (saved && Object.prototype.hasOwnProperty.call(VEHICLE_CLASSES, saved)) {
+                this.selected = saved;
+            }
+        } catch (e) {
+            console.warn("Garage: Ignoring unreadable vehicle choice", e);
+        }
+    }
+
+    /**
+     * Save the chosen class to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, this.selected);
+        } catch (e) {
+            console.warn("Garage: Failed to save vehicle choice", e);
+        }
+    }
+
+    /**
+     * Choose a class and save the choice
+     * @throws {Error} If there is no such class
+     */
+    select(id) {
+        getVehicleClass(id);
+        this.selected = id;
+        this.save();
+    }
+
+    /**
+     * Get the chosen class's definition
+     */
+    getSelected() {
+        return getVehicleClass(this.selected);
+    }
+}
+
+// Export the vehicle classes and garage
+export { Garage, VEHICLE_CLASSES, DEFAULT_VEHICLE, getVehicleClass, getVehicleRatings };
@@ -4,16 +4,35 @@
  * Handles all environment aspects including:
  * - Road generation and movement
  * - Obstacles and collectibles
+ * - Traffic packets driving down the road (see traffic.js)
+ * - The starting area, and a gate at each checkpoint of a time trial course (see course.js)
  * - Decorative elements
  * - World events and collision detection
  */
 //Note: This needs massive refactoring, there is a ton of un-used or non working stuff here. 
 
+import { Track, cubicEase, LANE_WIDTH, ROAD_WIDTH } from './track.js';
+import { SeededRandom, normalizeSeed, createRandomSeed } from './random.js';
+import { TrafficSystem, PACKET_HITBOX } from './traffic.js';
+import { getCheckpointPositions } from './course.js';
+
 // World constants
 const ROAD_SEGMENTS = 200; // DOUBLED: More segments for smoother curves
 const ROAD_LENGTH = 2000;
 const SEGMENT_LENGTH = ROAD_LENGTH / ROAD_SEGMENTS;
-const LANE_WIDTH = 10;
+
+// Spawn planning constants (distances in world units)
+const FIRST_OBSTACLE_Z = 300;          // Keep the starting area clear
+const FIRST_COLLECTIBLE_Z = 100;
+const OBSTACLE_SPACING = { min: 250, max: 450 };
+const COLLECTIBLE_SPACING = { min: 80, max: 160 };
+const OBSTACLE_SPAWN_CHANCE = 0.7;     // Fraction of obstacle slots that get an obstacle
+const OBSTACLE_SPAWN_DISTANCE = 600;   // How far ahead of the player obstacles appear (beyond where traffic joins, so packets see them coming)
+const COLLECTIBLE_SPAWN_DISTANCE = 120; // How far ahead of the player collectibles appear
+
+// Collision constants
+const NEAR_MISS_MARGIN = 2;            // Default clearance (units) to an obstacle that counts as a near miss
+const OBSTACLE_HITBOX = { halfWidth: 1.8, halfHeight: 1.2, halfDepth: 1.2 };  // 60% of the 6x4x4 visible box
 
 // Road states
 const ROAD_STATE = {
@@ -46,13 +65,48 @@ class EventSystem {
     }
 }
 
+/**
+ * Get the label for the gate over a course's checkpoint
+ * @param {Number} index - Checkpoint number, counting from 0 (the last is the finish line)
+ */
+function getGateLabel(course, index) {
+    if (index === course.laps * course.sectors - 1) return 'FINISH';
+    
+    // The end of one lap is the start of the next
+    if (index % course.sectors === course.sectors - 1) {
+        const nextLap = (index + 1) / course.sectors + 1;
+        return nextLap === course.laps ? 'FINAL LAP' : `LAP ${nextLap}`;
+    }
+    
+    return 'CHECKPOINT';
+}
+
 // World class
 class GameWorld {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene|null} scene - Scene to add world objects to, or null to run headless
+     * @param {Number|String} seed - Track seed; a random one is chosen if omitted
+     * @param {Object|null} course - Time trial course to lay out (see course.js), or null for the endless road
+     */
+    constructor(scene, seed, course = null) {
         // References and state
         this.scene = scene;
         this.events = new EventSystem();
         
+        // Headless worlds (Node, no DOM) only build what gameplay needs:
+        // road segments, obstacles and collectibles - no scenery or canvas textures
+        this.headless = !scene;
+        
+        // Seeded track layout and spawn placement
+        // The track is the single source of truth for road geometry (see track.js)
+        // Separate random streams keep obstacles and collectibles independent of each other
+        this.seed = seed !== undefined && seed !== null ? normalizeSeed(seed) : createRandomSeed();
+        this.course = course;
+        this.track = this.createTrack();
+        this.obstacleRandom = new SeededRandom(this.seed).fork('obstacles');
+        this.collectibleRandom = new SeededRandom(this.seed).fork('collectibles');
+        this.traffic = new TrafficSystem(this.seed);
+        
         // Road state
         this.road = new THREE.Object3D();
         this.roadSegments = [];
@@ -60,8 +114,8 @@ class GameWorld {
         
         // New road curve state machine
         this.roadState = ROAD_STATE.STRAIGHT;
-        this.roadCurve = 0;                // Current curve amount
-        this.targetRoadCurve = 0;          // Target curve we're transitioning to
+        this.roadCurve = 0;                // Bend of the track at the player (-1 to 1)
+        this.targetRoadCurve = 0;          // Bend of the track just ahead of the player
         this.curveTransitionProgress = 0;  // How far through the transition we are (0-1)
         this.curveTransitionSpeed = 0.03;  // INCREASED 6x: Very fast transitions to make curves obvious
         this.straightSegmentCounter = 0;   // Counts straight segments to determine when to curve
@@ -76,19 +130,19 @@ class GameWorld {
         this.obstacles = [];
         this.collectibles = [];
         this.decorations = [];
+        this.courseGates = [];        // Checkpoint and finish gates of the course
         
         // Timing
-        this.lastObstacleTime = 0;
-        this.lastCollectibleTime = 0;
         this.nextTurnTime = 5;        // Time until next turn (seconds)
         
-        // New properties to manage obstacles better
-        this.lastObstaclePositions = []; // Track recent obstacle positions to prevent clustering
-        this.maxObstacleCount = 6;       // Maximum number of obstacles allowed at once
+        // Next planned spawn slots along the track
+        this.nextObstacleZ = FIRST_OBSTACLE_Z;
+        this.nextCollectibleZ = FIRST_COLLECTIBLE_Z;
         
         // Performance tracking
         this.lastRecycleFrame = 0;
-        this.updateCount = 0;
+        this.updateCount = 0;        // Simulation ticks (see update)
+        this.visualFrameCount = 0;   // Rendered frames (see updateVisualEffects)
         this.firstRunComplete = false;
     }
     
@@ -99,12 +153,20 @@ class GameWorld {
         
         // Create basic elements
         this.createRoad();
+        
+        // Headless worlds skip everything purely visual
+        if (this.headless) {
+            this.playerZPositions = [0];
+            return;
+        }
+        
         this.createTerrain();
         // Skybox is now handled by the renderer in a separate module
         this.createDecorations();
         
-        // Add new starting area
+        // Add new starting area, and the course's gates
         this.createStartingArea();
+        this.createCourseGates();
         
         // Add main container to scene
         this.scene.add(this.road);
@@ -112,16 +174,132 @@ class GameWorld {
         // Set a longer timer for the first turn to give player time to adjust
         this.nextTurnTime = 5.0;
         
-        // Initialize player position for reference
-        this.playerZPosition = 0;
+        // Initialize player positions for reference
+        this.playerZPositions = [0];
         
     }
     
+    /**
+     * Reset the world for a new run without rebuilding the scene
+     * @param {Number|String} seed - Track seed for the new run (keeps the current seed if omitted)
+     * @param {Object|null} course - Time trial course for the new run (keeps the current course if omitted)
+     */
+    reset(seed, course = this.course) {
+        if (seed !== undefined && seed !== null) {
+            this.seed = normalizeSeed(seed);
+        }
+        this.course = course;
+        
+        // Fresh track layout and spawn streams from the seed
+        this.track = this.createTrack();
+        this.obstacleRandom = new SeededRandom(this.seed).fork('obstacles');
+        this.collectibleRandom = new SeededRandom(this.seed).fork('collectibles');
+        this.traffic.reset(this.seed);
+        this.nextObstacleZ = FIRST_OBSTACLE_Z;
+        this.nextCollectibleZ = FIRST_COLLECTIBLE_Z;
+        
+        // Remove all obstacles (traffic included) and collectibles
+        this.obstacles.forEach(obstacle => this.road.remove(obstacle));
+        this.collectibles.forEach(collectible => this.road.remove(collectible));
+        this.obstacles = [];
+        this.collectibles = [];
+        
+        // Put every road segment back in its starting place along the new layout
+        this.roadSegments.forEach(segment => {
+            segment.position.z = segment.userData.originalZ;
+            this.positionRoadSegment(segment, 0, segment.position.z);
+        });
+        this.roadZMin = 0;
+        this.roadZMax = this.roadSegments.length * SEGMENT_LENGTH;
+        this.initialBoundsCalculated = false;
+        
+        // Gates for the new course on the new layout
+        this.createCourseGates();
+        
+        // Move decorations back beside the new layout
+        this.decorations.forEach(decoration => {
+            const z = decoration.userData.originalZ;
+            decoration.position.z = z;
+            decoration.position.x = this.getTrackXPositionAtZ(z) + (decoration.userData.trackOffset || 0);
+        });
+        
+        // Reset road and timing state
+        this.roadCurve = 0;
+        this.targetRoadCurve = 0;
+        this.playerZPositions = [0];
+        this.updateCount = 0;
+        this.lastRecycleFrame = 0;
+    }
+    
+    /**
+     * Create the seeded track, repeating every lap on a closed course
+     */
+    createTrack() {
+        const closed = this.course && this.course.closed;
+        return new Track(this.seed, closed ? this.course.lapLength : null);
+    }
+    
     /**
      * Create a dramatic starting area with gateway and starting line
      */
     createStartingArea() {
-        // Create a group for the starting area elements
+        const startingArea = this.createGate('START');
+        
+        // Store reference for animation
+        this.startingArea = startingArea;
+        startingArea.userData = {
+            creationTime: Date.now()
+        };
+        
+        // Add to scene
+        this.scene.add(startingArea);
+    }
+    
+    /**
+     * Put a gate on each of the course's checkpoints, labelled for what the line is,
+     * in place of the last course's gates
+     */
+    createCourseGates() {
+        this.removeCourseGates();
+        if (this.headless || !this.course) return;
+        
+        getCheckpointPositions(this.course).forEach((z, index) => {
+            const gate = this.createGate(getGateLabel(this.course, index));
+            
+            // Line the gate up across the road (its line sits 10 units behind the group)
+            gate.position.set(this.track.getCenterX(z), 0, z + 10);
+            gate.rotation.y = this.track.getHeading(z);
+            
+            this.courseGates.push(gate);
+            this.scene.add(gate);
+        });
+    }
+    
+    /**
+     * Remove the course's gates from the scene and free their GPU resources
+     */
+    removeCourseGates() {
+        this.courseGates.forEach(gate => {
+            this.scene.remove(gate);
+            gate.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    if (object.material.map) object.material.map.dispose();
+                    object.material.dispose();
+                }
+            });
+        });
+        this.courseGates = [];
+    }
+    
+    /**
+     * Build a neon gateway with a starting line, pylons and a floating label
+     * Used for the starting area and the checkpoint and finish lines of courses
+     * @param {String} label - Text floating over the line
+     * @returns {THREE.Group} The gate, with its line 10 units behind the group's origin
+     */
+    createGate(label) {
+        // Create a group for the gate elements
         const startingArea = new THREE.Group();
         
         // 1. Neon Gateway Arch
@@ -224,8 +402,8 @@ class GameWorld {
             startingArea.add(rightPylonTop);
         }
         
-        // 4. Floating "START" Text
-        const startTextTexture = this.createStartTextTexture();
+        // 4. Floating label Text
+        const startTextTexture = this.createGateTextTexture(label);
         const startTextGeometry = new THREE.PlaneGeometry(20, 5);
         const startTextMaterial = new THREE.MeshBasicMaterial({
             map: startTextTexture,
@@ -238,20 +416,13 @@ class GameWorld {
         startText.rotation.y = Math.PI; // Face the player
         startingArea.add(startText);
         
-        // Store reference for animation
-        this.startingArea = startingArea;
-        startingArea.userData = {
-            creationTime: Date.now()
-        };
-        
-        // Add to scene
-        this.scene.add(startingArea);
+        return startingArea;
     }
     
     /**
-     * Create a holographic "START" text texture
+     * Create a holographic text texture for a gate's label
      */
-    createStartTextTexture() {
+    createGateTextTexture(text) {
         const canvas = document.createElement('canvas');
         canvas.width = 512;
         canvas.height = 128;
@@ -274,8 +445,8 @@ class GameWorld {
         context.font = 'bold 80px "Courier New", monospace';
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        context.fillText('START', canvas.width/2, canvas.height/2);
-        context.strokeText('START', canvas.width/2, canvas.height/2);
+        context.fillText(text, canvas.width/2, canvas.height/2);
+        context.strokeText(text, canvas.width/2, canvas.height/2);
         
         // Create texture from canvas
         const texture = new THREE.CanvasTexture(canvas);
@@ -307,7 +478,7 @@ class GameWorld {
         
         // Create road segments spanning a reasonable distance
         for (let i = 0; i < initialSegments; i++) {
-            const segmentGeometry = new THREE.PlaneGeometry(LANE_WIDTH * 3, SEGMENT_LENGTH);
+            const segmentGeometry = new THREE.PlaneGeometry(ROAD_WIDTH, SEGMENT_LENGTH);
             
             // Use special grid material for the first 10 segments to create "materializing road" effect
             const isStartingSegment = i < 10;
@@ -336,49 +507,16 @@ class GameWorld {
                 isStartingSegment: isStartingSegment
             };
             
-            // Explicitly set the X position according to track layout
-            // Calculate track pattern position
-            const patternPosition = (i * SEGMENT_LENGTH % ROAD_LENGTH) / ROAD_LENGTH;
-            
-            // Use the track definition from positionRoadSegment
-            const trackPoints = [
-                { pos: 0.0,  turn: 0 },    // Start straight
-                { pos: 0.15, turn: -1.0 }, // Hard left turn
-                { pos: 0.3,  turn: 0 },    // Back to straight
-                { pos: 0.35, turn: 0 },    // Still straight
-                { pos: 0.5,  turn: 1.0 },  // Hard right turn
-                { pos: 0.65, turn: 0 },    // Back to straight
-                { pos: 0.7,  turn: 0 },    // Still straight
-                { pos: 0.85, turn: -0.6 }, // Medium left turn
-                { pos: 1.0,  turn: 0 }     // Back to straight
-            ];
-            
-            // Find the two control points we're between
-            let p1 = trackPoints[0];
-            let p2 = trackPoints[trackPoints.length - 1];
-            
-            for (let j = 0; j < trackPoints.length - 1; j++) {
-                if (patternPosition >= trackPoints[j].pos && patternPosition < trackPoints[j+1].pos) {
-                    p1 = trackPoints[j];
-                    p2 = trackPoints[j+1];
-                    break;
-                }
-            }
-            
-            // Calculate turn value
-            const segmentProgress = (patternPosition - p1.pos) / (p2.pos - p1.pos);
-            const easeSegmentProgress = this.cubicEase(segmentProgress);
-            const turnValue = p1.turn + (p2.turn - p1.turn) * easeSegmentProgress;
-            
-            // Apply X offset directly based on turn value
-            const xOffset = turnValue * LANE_WIDTH * 5.0;
-            segment.position.x = xOffset;
+            // Explicitly set the X position and heading according to track layout
+            this.positionRoadSegment(segment, 0, i * SEGMENT_LENGTH);
             
             this.road.add(segment);
             this.roadSegments.push(segment);
             
             // Add road markings - but only for regular road segments, not the starting grid segments
-            if (!isStartingSegment) {
+            if (this.headless) {
+                continue;
+            } else if (!isStartingSegment) {
                 this.addRoadMarkings(segment, i);
             } else {
                 // For starting segments, add special grid pattern markings
@@ -397,7 +535,7 @@ class GameWorld {
     addStartingGridMarkings(segment, index) {
         // Create a grid overlay instead of lane markings
         const gridSize = 1;
-        const gridWidth = LANE_WIDTH * 3;
+        const gridWidth = ROAD_WIDTH;
         const gridDepth = SEGMENT_LENGTH;
         
         // Create vertical grid lines
@@ -437,14 +575,14 @@ class GameWorld {
         const leftLineGeometry = new THREE.BoxGeometry(0.5, 0.1, SEGMENT_LENGTH);
         const leftLineMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
         const leftLine = new THREE.Mesh(leftLineGeometry, leftLineMaterial);
-        leftLine.position.set(-LANE_WIDTH * 1.5, 0.05, 0);
+        leftLine.position.set(-ROAD_WIDTH / 2, 0.05, 0);
         segment.add(leftLine);
         
         // Right edge line
         const rightLineGeometry = new THREE.BoxGeometry(0.5, 0.1, SEGMENT_LENGTH);
         const rightLineMaterial = new THREE.MeshBasicMaterial({ color: 0xff00ff });
         const rightLine = new THREE.Mesh(rightLineGeometry, rightLineMaterial);
-        rightLine.position.set(LANE_WIDTH * 1.5, 0.05, 0);
+        rightLine.position.set(ROAD_WIDTH / 2, 0.05, 0);
         segment.add(rightLine);
         
         // Center dashed line
@@ -490,8 +628,8 @@ class GameWorld {
         // Add some palm trees
         for (let i = 0; i < 20; i++) {
             const side = Math.random() > 0.5 ? 1 : -1;
-            const x = side * (30 + Math.random() * 50);
             const z = 50 + i * 100;
+            const x = this.getTrackXPositionAtZ(z) + side * (30 + Math.random() * 50);
             
             this.createPalmTree(x, z);
         }
@@ -499,9 +637,9 @@ class GameWorld {
         // Add some floating objects
         for (let i = 0; i < 10; i++) {
             const size = 5 + Math.random() * 10;
-            const x = -100 + Math.random() * 200;
             const y = 20 + Math.random() * 40;
             const z = 100 + i * 150;
+            const x = this.getTrackXPositionAtZ(z) - 100 + Math.random() * 200;
             
             if (Math.random() > 0.5) {
                 this.createFloatingHead(x, y, z, size);
@@ -513,9 +651,9 @@ class GameWorld {
         // Add some neon signs
         for (let i = 0; i < 15; i++) {
             const side = Math.random() > 0.5 ? 1 : -1;
-            const x = side * (50 + Math.random() * 30);
             const y = 10 + Math.random() * 20;
             const z = 100 + i * 120;
+            const x = this.getTrackXPositionAtZ(z) + side * (50 + Math.random() * 30);
             
             this.createNeonSign(x, y, z);
         }
@@ -523,8 +661,8 @@ class GameWorld {
         // Add roadside poles/markers
         for (let i = 0; i < 50; i++) {
             const side = Math.random() > 0.5 ? 1 : -1;
-            const x = side * (LANE_WIDTH * 2 + 2); // Just outside road edge
             const z = i * 40; // Evenly spaced
+            const x = this.track.getXAtOffset(z, side * (LANE_WIDTH * 2 + 2)); // Just outside road edge
             
             this.createRoadMarker(x, z);
         }
@@ -564,7 +702,8 @@ class GameWorld {
         // Add metadata for animation
         palmTree.userData = { 
             isDecoration: true,
-            originalZ: z
+            originalZ: z,
+            trackOffset: x - this.getTrackXPositionAtZ(z)
         };
         
         // Add to scene
@@ -603,7 +742,8 @@ class GameWorld {
         // Add metadata for animation
         headGroup.userData = { 
             isDecoration: true,
-            originalZ: z
+            originalZ: z,
+            trackOffset: x - this.getTrackXPositionAtZ(z)
         };
         
         // Add to scene
@@ -639,7 +779,8 @@ class GameWorld {
         // Add metadata for animation
         statueGroup.userData = { 
             isDecoration: true,
-            originalZ: z
+            originalZ: z,
+            trackOffset: x - this.getTrackXPositionAtZ(z)
         };
         
         // Add to scene
@@ -671,7 +812,8 @@ class GameWorld {
         // Add metadata for animation
         signGroup.userData = { 
             isDecoration: true,
-            originalZ: z
+            originalZ: z,
+            trackOffset: x - this.getTrackXPositionAtZ(z)
         };
         
         // Add to scene
@@ -712,7 +854,8 @@ class GameWorld {
         // Add metadata for animation
         markerGroup.userData = { 
             isDecoration: true,
-            originalZ: z
+            originalZ: z,
+            trackOffset: x - this.getTrackXPositionAtZ(z)
         };
         
         // Add to scene
@@ -721,24 +864,27 @@ class GameWorld {
     }
     
     /**
-     * Create and add an obstacle
-     * @param {Number} zPosition - Optional Z position for the obstacle
-     * @param {Number} trackX - X position of the track at this Z coordinate
+     * Pick a lane for a planned obstacle from the seeded obstacle stream
      */
-    addObstacle(zPosition, trackX) {
+    pickObstacleLane() {
         // Avoid center lane more often to make game more playable
         // This creates a higher chance of obstacles on side lanes (-1 or 1) than center (0)
-        let lanePosition;
-        const laneRandom = Math.random();
+        const laneRandom = this.obstacleRandom.next();
         
         if (laneRandom < 0.4) {
-            lanePosition = -1; // Left lane
+            return -1; // Left lane
         } else if (laneRandom < 0.8) {
-            lanePosition = 1;  // Right lane
-        } else {
-            lanePosition = 0;  // Center lane (only 20% chance)
+            return 1;  // Right lane
         }
-        
+        return 0;      // Center lane (only 20% chance)
+    }
+    
+    /**
+     * Create and add an obstacle
+     * @param {Number} zPosition - Optional Z position for the obstacle
+     * @param {Number} lanePosition - Lane for the obstacle (-1, 0 or 1)
+     */
+    addObstacle(zPosition, lanePosition = 0) {
         // Create a group for the obstacle
         const obstacleGroup = new THREE.Group();
         
@@ -755,24 +901,28 @@ class GameWorld {
         // Set metadata
         obstacleGroup.userData = {
             type: 'obstacle',
-            lane: lanePosition
+            lane: lanePosition,
+            hitbox: OBSTACLE_HITBOX,
+            nearMisses: new Map()        // Near miss tracking by player index (see checkNearMiss)
         };
         
         // Use provided Z position or default to road length ahead
         const obstacleZ = zPosition !== undefined ? zPosition : ROAD_LENGTH;
         
-        // Calculate final X position based on track curvature and lane offset
-        // If trackX is provided, use that as the base track position, otherwise default to 0
-        const baseX = trackX !== undefined ? trackX : 0;
-        
-        // Position the obstacle
+        // Position the obstacle in its lane relative to the track centerline
         obstacleGroup.position.set(
-            baseX + (-lanePosition * LANE_WIDTH), // Combine track offset with lane position
+            this.track.getXAtOffset(obstacleZ, -lanePosition * LANE_WIDTH),
             2,
             obstacleZ
         );
         
-        // Add error message popup
+        // Add error message popup (needs a canvas, so only when rendering)
+        if (this.headless) {
+            this.road.add(obstacleGroup);
+            this.obstacles.push(obstacleGroup);
+            return obstacleGroup;
+        }
+        
         const errorTexture = this.createErrorTexture();
         const errorGeometry = new THREE.PlaneGeometry(10, 5);
         const errorMaterial = new THREE.MeshBasicMaterial({
@@ -865,14 +1015,98 @@ class GameWorld {
         return texture;
     }
     
+    /**
+     * Create and add a traffic packet
+     * @param {Object} packet - Packet state from TrafficSystem.spawn()
+     */
+    addTrafficPacket(packet) {
+        // The group only carries the position collisions use; the body inside it
+        // turns with the road and is smoothed between ticks (see updateTrafficMeshes)
+        const packetGroup = new THREE.Group();
+        packetGroup.userData = {
+            type: 'traffic',
+            lane: packet.lane,
+            hitbox: PACKET_HITBOX,
+            nearMisses: new Map(),       // Near miss tracking by player index (see checkNearMiss)
+            packet
+        };
+        
+        if (!this.headless) {
+            const body = new THREE.Group();
+            
+            // Dark solid core inside a neon wireframe shell
+            const core = new THREE.Mesh(
+                new THREE.BoxGeometry(3.6, 1.4, 7),
+                new THREE.MeshBasicMaterial({ color: 0x110022 })
+            );
+            body.add(core);
+            
+            const shell = new THREE.Mesh(
+                new THREE.BoxGeometry(4, 1.8, 8),
+                new THREE.MeshBasicMaterial({ color: packet.color, wireframe: true })
+            );
+            body.add(shell);
+            
+            // Glowing header block on the roof
+            const header = new THREE.Mesh(
+                new THREE.BoxGeometry(3.2, 0.3, 2.5),
+                new THREE.MeshBasicMaterial({ color: packet.color })
+            );
+            header.position.set(0, 1.05, 2);
+            body.add(header);
+            
+            // Tail lights facing the player coming up behind
+            const tailLightMaterial = new THREE.MeshBasicMaterial({ color: 0xff0033 });
+            [-1.3, 1.3].forEach(x => {
+                const tailLight = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.3, 0.1), tailLightMaterial);
+                tailLight.position.set(x, 0.3, -4.05);
+                body.add(tailLight);
+            });
+            
+            packetGroup.add(body);
+            packetGroup.userData.body = body;
+        }
+        
+        this.placeTrafficPacket(packetGroup);
+        this.road.add(packetGroup);
+        this.obstacles.push(packetGroup);
+        
+        return packetGroup;
+    }
+    
+    /**
+     * Move a packet's group to where the traffic has driven it this tick
+     */
+    placeTrafficPacket(packetGroup) {
+        const packet = packetGroup.userData.packet;
+        packetGroup.position.set(this.track.getXAtOffset(packet.z, packet.offset), 1, packet.z);
+        packetGroup.userData.lane = packet.lane;
+    }
+    
+    /**
+     * Place the packets' bodies between the previous and current tick, nosed along the road
+     * and into lane changes (the groups themselves stay put for collisions)
+     * @param {Number} alpha - 0 for the previous tick, 1 for the current tick
+     */
+    updateTrafficMeshes(alpha) {
+        this.obstacles.forEach(obstacle => {
+            const { packet, body } = obstacle.userData;
+            if (!packet || !body) return;
+            
+            const z = THREE.MathUtils.lerp(packet.previousZ, packet.z, alpha);
+            const offset = THREE.MathUtils.lerp(packet.previousOffset, packet.offset, alpha);
+            body.position.set(this.track.getXAtOffset(z, offset) - obstacle.position.x, 0, z - obstacle.position.z);
+            body.rotation.y = this.track.getHeading(z) + Math.atan2(packet.offsetRate, Math.max(packet.speed, 1));
+        });
+    }
+    
     /**
      * Create and add a collectible
      * @param {Number} zPosition - Optional Z position for the collectible
-     * @param {Number} trackX - X position of the track at this Z coordinate
+     * @param {Number} lanePosition - Lane for the collectible (-1, 0 or 1)
      */
-    addCollectible(zPosition, trackX) {
-        const lanePosition = Math.floor(Math.random() * 3) - 1; // -1, 0, or 1
-        
+    addCollectible(zPosition, lanePosition = 0) {
+
         // Create a floppy disk collectible
         const collectibleGroup = new THREE.Group();
         
@@ -915,13 +1149,9 @@ class GameWorld {
             maxFloatHeight: 1
         };
         
-        // Calculate final X position based on track curvature and lane offset
-        // If trackX is provided, use that as the base track position, otherwise default to 0
-        const baseX = trackX !== undefined ? trackX : 0;
-        
-        // Position and add to the scene
+        // Position in its lane relative to the track centerline and add to the scene
         collectibleGroup.position.set(
-            baseX + (-lanePosition * LANE_WIDTH), // Combine track offset with lane position
+            this.track.getXAtOffset(collectibleZ, -lanePosition * LANE_WIDTH),
             2,
             collectibleZ
         );
@@ -936,82 +1166,106 @@ class GameWorld {
     
     /**
      * Update all world elements
+     * Runs once per fixed simulation tick, so counters here count ticks, not frames
+     * @param {Number} deltaTime - Seconds per tick
+     * @param {Array<Object>} players - { position, speed } of each player's car (player one first)
+     * @param {Number} gameTime - Simulated seconds since the start of the run
      */
-    update(deltaTime, playerSpeed, playerPosition, gameTime) {
+    update(deltaTime, players, gameTime) {
         // Track update count for performance optimization
         if (!this.updateCount) {
             this.updateCount = 0;
         }
         this.updateCount++;
         
-        // First-frame special handling occurs only once
-        if (this.updateCount === 1) {
-            
-            // Set initial player position reference
-            if (playerPosition) {
-                this.playerZPosition = playerPosition.z;
-            }
-        }
+        // Road, obstacles and scenery stretch from just behind the rearmost player to ahead of the leader
+        this.playerZPositions = players.map(player => player.position.z);
+        const trailingZ = this.getTrailingZ();
+        const leadingZ = this.getLeadingZ();
         
         // Only check road status occasionally in early game
         const earlyGameCheck = this.updateCount < 100;
-        if (earlyGameCheck && playerPosition && this.updateCount % 20 === 0) {
+        if (earlyGameCheck && this.updateCount % 20 === 0) {
             // Only check critical cases
-            const roadAheadDistance = this.roadZMax - playerPosition.z;
+            const roadAheadDistance = this.roadZMax - leadingZ;
             
             if (roadAheadDistance < 2000) {
-                this.recycleRoadSegments(playerPosition.z);
+                this.recycleRoadSegments(trailingZ, leadingZ);
             }
         }
         
         // Update road position and curve
-        this.updateRoad(deltaTime, playerSpeed, playerPosition, gameTime);
+        this.updateRoad(deltaTime, players, gameTime);
         
         // Update obstacles
-        this.updateObstacles(deltaTime, playerSpeed, playerPosition);
+        this.updateObstacles(deltaTime, players);
         
         // Update collectibles
-        this.updateCollectibles(deltaTime, playerSpeed, gameTime, playerPosition);
+        this.updateCollectibles(deltaTime, gameTime);
         
         // Update decorations (trees, statues, etc.)
-        this.updateDecorations(deltaTime, playerSpeed, playerPosition);
+        this.updateDecorations(deltaTime);
         
         // Spawn new objects
-        this.spawnObjects(gameTime, playerSpeed, playerPosition);
+        this.spawnObjects(gameTime, players);
         
-        // Update visual effects
-        this.updateVisualEffects(gameTime);
+        // Note: visual effects are animated per rendered frame via updateVisualEffects()
+    }
+    
+    /**
+     * Get how far down the track the rearmost player is
+     */
+    getTrailingZ() {
+        return Math.min(...this.playerZPositions);
+    }
+    
+    /**
+     * Get how far down the track the leading player is
+     */
+    getLeadingZ() {
+        return Math.max(...this.playerZPositions);
     }
     
     /**
      * Update road position and provide turn notifications
      */
-    updateRoad(deltaTime, playerSpeed, playerPosition, currentTime) {
-        if (!playerPosition) return;
+    updateRoad(deltaTime, players, currentTime) {
+        if (players.length === 0) return;
+        
+        const trailingZ = this.getTrailingZ();
+        const leadingZ = this.getLeadingZ();
+        
+        // Forget track layout far behind the rearmost player (segments recycle at 1000 behind)
+        this.track.discardBefore(trailingZ - 2000);
         
-        // Store current player position for reference
-        const playerZ = playerPosition.z;
-        this.playerZPosition = playerZ;
+        // Track bend at and just ahead of player one, used for camera curve influence
+        // (a second player's camera asks the track directly)
+        const playerZ = players[0].position.z;
+        this.roadCurve = this.track.getBend(playerZ);
+        this.targetRoadCurve = this.track.getBend(playerZ + 100);
         
         // Road safety check only when needed to save performance
-        const distanceToRoadEnd = this.roadZMax - playerZ;
+        const distanceToRoadEnd = this.roadZMax - leadingZ;
         
         // Only do expensive operation if we're getting close to the end
         if (distanceToRoadEnd < 500) {
             // Emergency road extension
-            this.recycleRoadSegments(playerZ);
+            this.recycleRoadSegments(trailingZ, leadingZ);
         }
         
         // Recycle road segments, but not every frame
-        if (playerSpeed > 0 && this.updateCount % 3 === 0) {
-            this.recycleRoadSegments(playerZ);
+        if (players.some(player => player.speed > 0) && this.updateCount % 3 === 0) {
+            this.recycleRoadSegments(trailingZ, leadingZ);
         }
     }
     
     /**
      * Optimized road segment recycling that's easier on CPU
+     * Segments far behind the rearmost player are moved ahead of the leading player
+     * @param {Number} trailingZ - How far down the track the rearmost player is
+     * @param {Number} leadingZ - How far down the track the leading player is (the same player outside split screen)
      */
-    recycleRoadSegments(playerZ) {
+    recycleRoadSegments(trailingZ, leadingZ = trailingZ) {
         // PERFORMANCE OPTIMIZATION: Only run full recycling every few frames
         if (!this.lastRecycleFrame) {
             this.lastRecycleFrame = 0;
@@ -1028,7 +1282,7 @@ class GameWorld {
             // Force calculation if we don't have road bounds yet
         } else {
             // Only do a quick check to see if we need emergency extension
-            const quickAheadDistance = this.roadZMax - playerZ;
+            const quickAheadDistance = this.roadZMax - leadingZ;
             if (quickAheadDistance < 500) {
                 // Emergency extension - extend the road if we're about to run out
                 let maxZ = this.roadZMax;
@@ -1036,11 +1290,11 @@ class GameWorld {
                 // Find segments that are far behind to recycle
                 for (let i = 0; i < 50; i++) {
                     // Use a simple algorithm: just take the first segments in the array
-                    if (i < this.roadSegments.length && playerZ - this.roadSegments[i].position.z > 500) {
+                    if (i < this.roadSegments.length && trailingZ - this.roadSegments[i].position.z > 500) {
                         const segment = this.roadSegments[i];
                         const newZ = maxZ + SEGMENT_LENGTH;
                         segment.position.z = newZ;
-                        this.positionRoadSegment(segment, playerZ, newZ);
+                        this.positionRoadSegment(segment, leadingZ, newZ);
                         maxZ = newZ;
                     }
                 }
@@ -1080,14 +1334,14 @@ class GameWorld {
             this.initialBoundsCalculated = true;
         }
         
-        // Calculate road distances relative to player
-        const roadAheadDistance = this.roadZMax - playerZ;
+        // Calculate road distances relative to the leading player
+        const roadAheadDistance = this.roadZMax - leadingZ;
         
         // Only recycle if needed to extend road ahead
         const minimumAheadDistance = 3000;
         
         if (roadAheadDistance < minimumAheadDistance) {
-            // Find segments that are far behind the player and move them to the front
+            // Find segments that are far behind the rearmost player and move them to the front
             let recycledForward = 0;
             const safeRecycleDistance = 1000;
             let maxZ = this.roadZMax;
@@ -1100,13 +1354,13 @@ class GameWorld {
                 const segment = this.roadSegments[i];
                 const segmentZ = segment.position.z;
                 
-                if (playerZ - segmentZ > safeRecycleDistance) {
+                if (trailingZ - segmentZ > safeRecycleDistance) {
                     // Position this segment ahead of the current furthest segment
                     const newZ = maxZ + SEGMENT_LENGTH;
                     segment.position.z = newZ;
                     
                     // Position according to the track pattern
-                    this.positionRoadSegment(segment, playerZ, newZ);
+                    this.positionRoadSegment(segment, leadingZ, newZ);
                     
                     // Update max position tracker
                     maxZ = newZ;
@@ -1114,7 +1368,7 @@ class GameWorld {
                 }
                 
                 // Break early if we've extended the road enough
-                if (maxZ - playerZ > minimumAheadDistance) {
+                if (maxZ - leadingZ > minimumAheadDistance) {
                     break;
                 }
             }
@@ -1136,70 +1390,34 @@ class GameWorld {
         segment.rotation.y = 0;            // Reset yaw rotation
         segment.rotation.z = 0;            // Reset roll rotation
         
-        // SPLINE-BASED APPROACH for positioning segments
-        // Current position along the track (z-coordinate)
-        const trackPosition = segmentZ;
-        
-        // Calculate position along the repeating track pattern (0 to 1)
-        const patternPosition = (trackPosition % ROAD_LENGTH) / ROAD_LENGTH;
-        
-        // Track definition
-        const trackPoints = [
-            { pos: 0.0,  turn: 0 },    // Start straight
-            { pos: 0.15, turn: -1.0 }, // Hard left turn
-            { pos: 0.3,  turn: 0 },    // Back to straight
-            { pos: 0.35, turn: 0 },    // Still straight
-            { pos: 0.5,  turn: 1.0 },  // Hard right turn
-            { pos: 0.65, turn: 0 },    // Back to straight
-            { pos: 0.7,  turn: 0 },    // Still straight
-            { pos: 0.85, turn: -0.6 }, // Medium left turn
-            { pos: 1.0,  turn: 0 }     // Back to straight
-        ];
-        
-        // Find the two control points we're between
-        let p1 = trackPoints[0];
-        let p2 = trackPoints[trackPoints.length - 1];
-        
-        for (let i = 0; i < trackPoints.length - 1; i++) {
-            if (patternPosition >= trackPoints[i].pos && patternPosition < trackPoints[i+1].pos) {
-                p1 = trackPoints[i];
-                p2 = trackPoints[i+1];
-                break;
-            }
-        }
-        
-        // Calculate how far we are between these two points (0 to 1)
-        const segmentProgress = (patternPosition - p1.pos) / (p2.pos - p1.pos);
-        
-        // Use cubic easing for more realistic turn entry/exit
-        const easeSegmentProgress = this.cubicEase(segmentProgress);
+        // Apply the lateral offset of the track centerline at this Z
+        segment.position.x = this.track.getCenterX(segmentZ);
         
-        // Interpolate between the two control points to get the exact turn value
-        const turnValue = p1.turn + (p2.turn - p1.turn) * easeSegmentProgress;
-        
-        // Apply a lateral offset based on turn value
-        const xOffset = turnValue * LANE_WIDTH * 5.0;
-        
-        // Apply the lateral offset to make the turn
-        segment.position.x = xOffset;
+        // Align the segment with the road heading (the plane is laid flat, so its
+        // local Z axis is the world up axis) and stretch it to close the gaps
+        // between neighbouring segments on diagonal stretches
+        const heading = this.track.getHeading(segmentZ);
+        segment.rotation.z = heading;
+        segment.scale.y = 1 / Math.cos(heading);
     }
     
     /**
      * Cubic easing function for smoother transitions
      */
     cubicEase(t) {
-        return t * t * (3 - 2 * t);
+        return cubicEase(t);
     }
     
     /**
      * Force update ALL road segments at once - only used in emergency situations
      */
     forceUpdateAllRoadSegments() {
-        if (!this.playerZPosition) return;
+        if (!this.playerZPositions) return;
         
-        const playerZ = this.playerZPosition;
+        const playerZ = this.getTrailingZ();
+        if (!playerZ) return;
         
-        // Only update segments ahead of the player for performance
+        // Only update segments ahead of the rearmost player for performance
         for (let i = 0; i < this.roadSegments.length; i++) {
             const segment = this.roadSegments[i];
             if (segment.position.z > playerZ - 30) {
@@ -1211,20 +1429,31 @@ class GameWorld {
     /**
      * Update obstacles positions
      */
-    updateObstacles(deltaTime, playerSpeed, playerPosition) {
-        // Check if player has moved and we need to manage obstacles
-        if (playerPosition) {
-            const playerZ = playerPosition.z;
+    updateObstacles(deltaTime, players) {
+        // Check if the players have moved and we need to manage obstacles
+        if (players.length > 0) {
+            const trailingZ = this.getTrailingZ();
+            const leadingZ = this.getLeadingZ();
             
-            // Remove obstacles that are too far behind the player
+            // Drive the traffic, then move each packet to its new place on the road
+            const { packets, surroundings } = this.getTrafficState(players);
+            this.traffic.update(packets, surroundings, deltaTime);
+            this.obstacles.forEach(obstacle => {
+                if (obstacle.userData.packet) {
+                    this.placeTrafficPacket(obstacle);
+                }
+            });
+            
+            // Remove obstacles that are too far behind every player (and packets that have driven off ahead)
             for (let i = this.obstacles.length - 1; i >= 0; i--) {
                 const obstacle = this.obstacles[i];
                 
-                // Calculate distance between obstacle and player
-                const distanceBehind = playerZ - obstacle.position.z;
+                // Calculate distance between obstacle and the rearmost player
+                const distanceBehind = trailingZ - obstacle.position.z;
+                const packet = obstacle.userData.packet;
                 
                 // If obstacle is too far behind, remove it
-                if (distanceBehind > 150) {
+                if (distanceBehind > 150 || (packet && this.traffic.hasDrivenOff(packet, leadingZ))) {
                     this.road.remove(obstacle);
                     this.obstacles.splice(i, 1);
                 }
@@ -1235,7 +1464,7 @@ class GameWorld {
     /**
      * Update collectibles positions and animations
      */
-    updateCollectibles(deltaTime, playerSpeed, gameTime, playerPosition) {
+    updateCollectibles(deltaTime, gameTime) {
         // Update existing collectibles animation
         for (let i = this.collectibles.length - 1; i >= 0; i--) {
             const collectible = this.collectibles[i];
@@ -1247,10 +1476,9 @@ class GameWorld {
             collectible.userData.floatHeight += collectible.userData.floatSpeed * deltaTime;
             collectible.position.y = 2 + Math.sin(collectible.userData.floatHeight) * collectible.userData.maxFloatHeight;
             
-            // Check if player has moved and remove distant collectibles
-            if (playerPosition) {
-                const playerZ = playerPosition.z;
-                const distanceBehind = playerZ - collectible.position.z;
+            // Remove collectibles every player has left behind
+            if (this.playerZPositions.length > 0) {
+                const distanceBehind = this.getTrailingZ() - collectible.position.z;
                 
                 // If collectible is too far behind, remove it
                 if (distanceBehind > 150) {
@@ -1264,18 +1492,18 @@ class GameWorld {
     /**
      * Update decoration positions
      */
-    updateDecorations(deltaTime, playerSpeed, playerPosition) {
+    updateDecorations(deltaTime) {
         // In the new model, decorations stay in place
-        // and we only recycle them when they're far behind the player
+        // and we only recycle them when they're far behind every player
         
-        if (playerPosition) {
-            const playerZ = playerPosition.z;
+        if (this.playerZPositions.length > 0) {
+            const playerZ = this.getTrailingZ();
             
             // Only update decorations every few frames for performance
             if (this.updateCount % 5 !== 0) return;
             
             this.decorations.forEach(decoration => {
-                // Calculate distance from decoration to player
+                // Calculate distance from decoration to the rearmost player
                 const distanceBehind = playerZ - decoration.position.z;
                 
                 // If decoration is too far behind the player, move it ahead
@@ -1291,9 +1519,10 @@ class GameWorld {
                     
                     // Randomize X position for variety
                     if (decoration.userData.isDecoration) {
-                        // For decorations that should be placed off to the sides
+                        // For decorations that should be placed off to the sides of the track
                         const side = Math.random() > 0.5 ? 1 : -1;
-                        decoration.position.x = side * (30 + Math.random() * 50);
+                        decoration.position.x = this.getTrackXPositionAtZ(decoration.position.z) +
+                            side * (30 + Math.random() * 50);
                     }
                 }
             });
@@ -1303,70 +1532,45 @@ class GameWorld {
     /**
      * Spawn new obstacles and collectibles
      */
-    spawnObjects(gameTime, playerSpeed, playerPosition) {
-        // Only spawn objects if the player is moving
-        if (playerSpeed <= 0 || !playerPosition) return;
-        
-        // Get the player's current position
-        const playerZ = playerPosition.z;
-        
-        // Spawn obstacles ahead of the player periodically
-        // Reduced frequency from 2 seconds to 4 seconds between obstacles
-        if (gameTime - this.lastObstacleTime > 4) {
-            // Only spawn if we're below the maximum obstacle count
-            if (this.obstacles.length < this.maxObstacleCount) {
-                // Create obstacle at a fixed distance ahead of the player
-                // Increased minimum distance to give player more reaction time
-                const obstacleZ = playerZ + 150 + Math.random() * 50;
-                
-                // Check if this position is too close to recently placed obstacles
-                let tooClose = false;
-                for (const lastPos of this.lastObstaclePositions) {
-                    if (Math.abs(obstacleZ - lastPos) < 50) { // Require at least 50 units between obstacles
-                        tooClose = true;
-                        break;
-                    }
-                }
+    spawnObjects(gameTime, players) {
+        if (players.length === 0) return;
+        
+        // Everything spawns ahead of the leading player
+        const playerZ = this.getLeadingZ();
+        
+        // Obstacles and collectibles are placed at planned slots along the track
+        // Slot spacing, lanes and skips all come from the seed, so the same seed
+        // always produces the same course no matter how (or how fast) it is driven
+        while (this.nextObstacleZ < playerZ + OBSTACLE_SPAWN_DISTANCE) {
+            const obstacleZ = this.nextObstacleZ;
+            
+            // Only fill some of the slots with an obstacle
+            if (this.obstacleRandom.chance(OBSTACLE_SPAWN_CHANCE)) {
+                const lanePosition = this.pickObstacleLane();
                 
-                // Only proceed if not too close to other obstacles
-                if (!tooClose) {
-                    // Get the proper X-position based on track curvature
-                    const trackX = this.getTrackXPositionAtZ(obstacleZ);
-                    
-                    // Only spawn an obstacle 70% of the time
-                    if (Math.random() < 0.7) {
-                        // Add obstacle at this position with proper track-aligned X position
-                        const obstacle = this.addObstacle(obstacleZ, trackX);
-                        
-                        // Track this position to avoid clustering
-                        this.lastObstaclePositions.push(obstacleZ);
-                        
-                        // Keep only the last 10 positions
-                        if (this.lastObstaclePositions.length > 10) {
-                            this.lastObstaclePositions.shift();
-                        }
-                    }
-                }
+                // Add obstacle at this position, aligned with the track
+                this.addObstacle(obstacleZ, lanePosition);
             }
             
-            this.lastObstacleTime = gameTime;
+            this.nextObstacleZ += this.obstacleRandom.range(OBSTACLE_SPACING.min, OBSTACLE_SPACING.max);
         }
         
-        // Spawn collectibles ahead of the player more frequently
-        if (gameTime - this.lastCollectibleTime > 1) {
-            // Create collectible at a fixed distance ahead of the player
-            const collectibleZ = playerZ + 80 + Math.random() * 40;
+        // Traffic plans its own slots, from its own stream
+        const { packets, surroundings } = this.getTrafficState(players);
+        this.traffic.spawn(playerZ, packets, surroundings).forEach(packet => this.addTrafficPacket(packet));
+        
+        while (this.nextCollectibleZ < playerZ + COLLECTIBLE_SPAWN_DISTANCE) {
+            const collectibleZ = this.nextCollectibleZ;
+            const lanePosition = this.collectibleRandom.int(-1, 1);
             
-            // IMPORTANT: Get the proper X-position based on track curvature
-            const trackX = this.getTrackXPositionAtZ(collectibleZ);
+            // Add collectible at this position, aligned with the track
+            this.addCollectible(collectibleZ, lanePosition);
             
-            // Add collectible at this position with proper track-aligned X position
-            const collectible = this.addCollectible(collectibleZ, trackX);
-            this.lastCollectibleTime = gameTime;
+            this.nextCollectibleZ += this.collectibleRandom.range(COLLECTIBLE_SPACING.min, COLLECTIBLE_SPACING.max);
         }
         
         // If we have no decorations, add some
-        if (this.decorations.length < 10 && this.updateCount % 30 === 0) {
+        if (!this.headless && this.decorations.length < 10 && this.updateCount % 30 === 0) {
             for (let i = 0; i < 10; i++) {
                 const z = playerZ + 50 + i * 40 + Math.random() * 20;
                 const side = Math.random() > 0.5 ? 1 : -1;
@@ -1381,60 +1585,50 @@ class GameWorld {
         }
     }
     
+    /**
+     * Split the obstacles into traffic packets and the static obstacles traffic keeps clear of
+     * @param {Array<Object>} players - { position, speed } of each player's car
+     * @returns {Object} { packets, surroundings } for TrafficSystem.spawn() and update()
+     */
+    getTrafficState(players) {
+        const packets = [];
+        const obstacles = [];
+        this.obstacles.forEach(obstacle => {
+            if (obstacle.userData.packet) {
+                packets.push(obstacle.userData.packet);
+            } else {
+                obstacles.push(obstacle);
+            }
+        });
+        
+        return {
+            packets,
+            surroundings: {
+                track: this.track,
+                obstacles,
+                players
+            }
+        };
+    }
+    
     /**
      * Get the track's X position at a given Z position
      * This aligns objects with the track's curvature
      */
     getTrackXPositionAtZ(zPosition) {
-        // Calculate position along the repeating track pattern (0 to 1)
-        const patternPosition = (zPosition % ROAD_LENGTH) / ROAD_LENGTH;
-        
-        // Use the same track definition as in positionRoadSegment()
-        const trackPoints = [
-            { pos: 0.0,  turn: 0 },    // Start straight
-            { pos: 0.15, turn: -1.0 }, // Hard left turn
-            { pos: 0.3,  turn: 0 },    // Back to straight
-            { pos: 0.35, turn: 0 },    // Still straight
-            { pos: 0.5,  turn: 1.0 },  // Hard right turn
-            { pos: 0.65, turn: 0 },    // Back to straight
-            { pos: 0.7,  turn: 0 },    // Still straight
-            { pos: 0.85, turn: -0.6 }, // Medium left turn
-            { pos: 1.0,  turn: 0 }     // Back to straight
-        ];
-        
-        // Find the two control points we're between
-        let p1 = trackPoints[0];
-        let p2 = trackPoints[trackPoints.length - 1];
-        
-        for (let i = 0; i < trackPoints.length - 1; i++) {
-            if (patternPosition >= trackPoints[i].pos && patternPosition < trackPoints[i+1].pos) {
-                p1 = trackPoints[i];
-                p2 = trackPoints[i+1];
-                break;
-            }
-        }
-        
-        // Calculate how far we are between these two points (0 to 1)
-        const segmentProgress = (patternPosition - p1.pos) / (p2.pos - p1.pos);
-        
-        // Use cubic easing for more realistic turn entry/exit
-        const easeSegmentProgress = this.cubicEase(segmentProgress);
-        
-        // Interpolate between the two control points to get the exact turn value
-        const turnValue = p1.turn + (p2.turn - p1.turn) * easeSegmentProgress;
-        
-        // Calculate X offset for this position - same formula as in positionRoadSegment
-        const xOffset = turnValue * LANE_WIDTH * 5.0;
-        
-        return xOffset;
+        return this.track.getCenterX(zPosition);
     }
     
     /**
      * Update visual effects (grid color, starting area, etc.)
+     * Called once per rendered frame, separately from the fixed-tick update()
      */
     updateVisualEffects(gameTime) {
+        // Count rendered frames separately from simulation ticks
+        this.visualFrameCount++;
+        
         // Only update visual effects every few frames for performance
-        if (this.updateCount % 3 !== 0) return;
+        if (this.visualFrameCount % 3 !== 0) return;
         
         // Animate grid material
         if (this.gridMaterial) {
@@ -1446,10 +1640,11 @@ class GameWorld {
             this.gridMaterial.color = gridColor;
         }
         
-        // Animate starting area elements
-        if (this.startingArea) {
+        // Animate the starting area and course gates
+        const gates = this.startingArea ? [this.startingArea, ...this.courseGates] : [];
+        gates.forEach(gate => {
             // Find and animate the start line
-            this.startingArea.children.forEach(child => {
+            gate.children.forEach(child => {
                 // Make the starting line pulse
                 if (child.geometry && child.geometry.type === 'PlaneGeometry' && 
                     child.position.y < 1) { // Low y position identifies the start line
@@ -1489,12 +1684,12 @@ class GameWorld {
                     }
                 }
             });
-        }
+        });
         
         // Animate starting road segments
         if (this.roadSegments && this.roadSegments.length > 0) {
             // Only update every few frames to save performance
-            if (this.updateCount % 5 === 0) {
+            if (this.visualFrameCount % 5 === 0) {
                 // Apply effects only to starting segments (first 10 segments)
                 for (let i = 0; i < Math.min(10, this.roadSegments.length); i++) {
                     const segment = this.roadSegments[i];
@@ -1545,11 +1740,17 @@ class GameWorld {
     
     /**
      * Check for collision between a player and obstacles/collectibles
+     * Also reports obstacles passed within the near miss margin without touching them
+     * @param {THREE.Box3} playerBox - The player's hitbox
+     * @param {Number} nearMissMargin - Most clearance (units) that counts as a near miss
+     * @param {Number} player - Index of the player being checked (each player passes obstacles for themselves)
+     * @returns {Object} { obstacles, collectibles, nearMisses: [{ obstacle, clearance }] }
      */
-    checkCollisions(playerBox) {
+    checkCollisions(playerBox, nearMissMargin = NEAR_MISS_MARGIN, player = 0) {
         const collisions = {
             obstacles: [],
-            collectibles: []
+            collectibles: [],
+            nearMisses: []
         };
         
         // Get world position to adjust for relative positioning
@@ -1559,31 +1760,7 @@ class GameWorld {
         // Check obstacle collisions
         for (let i = this.obstacles.length - 1; i >= 0; i--) {
             const obstacle = this.obstacles[i];
-            
-            // Create a custom collision box that only matches the base obstacle (not the error popup)
-            // The obstacle mesh is 6x4x4 units (from line 514)
-            const obstaclePosition = new THREE.Vector3();
-            obstacle.getWorldPosition(obstaclePosition);
-            obstaclePosition.add(roadWorldPosition); // Add road position
-            
-            // Create a box that's 40% smaller than the visual obstacle
-            // This makes the hitbox smaller than the visible obstacle
-            const halfWidth = 1.8; // 60% of 6 units / 2
-            const halfHeight = 1.2; // 60% of 4 units / 2
-            const halfDepth = 1.2; // 60% of 4 units / 2
-            
-            const customBoundingBox = new THREE.Box3(
-                new THREE.Vector3(
-                    obstaclePosition.x - halfWidth,
-                    obstaclePosition.y - halfHeight,
-                    obstaclePosition.z - halfDepth
-                ),
-                new THREE.Vector3(
-                    obstaclePosition.x + halfWidth,
-                    obstaclePosition.y + halfHeight, 
-                    obstaclePosition.z + halfDepth
-                )
-            );
+            const customBoundingBox = this.getObstacleBox(obstacle, roadWorldPosition);
             
             if (playerBox.intersectsBox(customBoundingBox)) {
                 collisions.obstacles.push(obstacle);
@@ -1591,6 +1768,11 @@ class GameWorld {
                 // Remove the obstacle
                 this.road.remove(obstacle);
                 this.obstacles.splice(i, 1);
+            } else {
+                const clearance = this.checkNearMiss(obstacle, playerBox, customBoundingBox, player);
+                if (clearance !== null && clearance < nearMissMargin) {
+                    collisions.nearMisses.push({ obstacle, clearance });
+                }
             }
         }
         
@@ -1634,6 +1816,81 @@ class GameWorld {
         return collisions;
     }
     
+    /**
+     * Get the collision box of an obstacle or traffic packet, from the hitbox it carries
+     * An obstacle's only matches the base (not the error popup), and is 40% smaller than the visible box
+     * @param {THREE.Vector3} roadWorldPosition - World position of the road the obstacle sits on
+     */
+    getObstacleBox(obstacle, roadWorldPosition) {
+        const obstaclePosition = new THREE.Vector3();
+        obstacle.getWorldPosition(obstaclePosition);
+        obstaclePosition.add(roadWorldPosition); // Add road position
+        
+        const { halfWidth, halfHeight, halfDepth } = obstacle.userData.hitbox;
+        
+        return new THREE.Box3(
+            new THREE.Vector3(
+                obstaclePosition.x - halfWidth,
+                obstaclePosition.y - halfHeight,
+                obstaclePosition.z - halfDepth
+            ),
+            new THREE.Vector3(
+                obstaclePosition.x + halfWidth,
+                obstaclePosition.y + halfHeight, 
+                obstaclePosition.z + halfDepth
+            )
+        );
+    }
+    
+    /**
+     * Find an obstacle a car other than the player's is touching, leaving it in place
+     * @param {THREE.Box3} box - The car's hitbox
+     * @returns {THREE.Object3D|null} The obstacle, or null if it's clear
+     */
+    findObstacleHit(box) {
+        const roadWorldPosition = new THREE.Vector3();
+        this.road.getWorldPosition(roadWorldPosition);
+        
+        return this.obstacles.find(obstacle => box.intersectsBox(this.getObstacleBox(obstacle, roadWorldPosition))) || null;
+    }
+    
+    /**
+     * Track how close a player gets to an obstacle while passing it
+     * The closest sideways gap is kept while the player is alongside, and
+     * reported once (on the tick the player is clear past the obstacle)
+     * Each player has their own tracking, so in split screen both can near-miss the same obstacle
+     * @param {Number} player - Index of the player passing
+     * @returns {Number|null} Closest clearance, once the obstacle has been passed
+     */
+    checkNearMiss(obstacle, playerBox, obstacleBox, player) {
+        const nearMisses = obstacle.userData.nearMisses;
+        if (!nearMisses.has(player)) {
+            nearMisses.set(player, { passed: false, closestGap: undefined });
+        }
+        const data = nearMisses.get(player);
+        if (data.passed) return null;
+        
+        // Still ahead of the player
+        if (playerBox.max.z < obstacleBox.min.z) return null;
+        
+        // Sideways gap between the hitboxes
+        const gap = Math.max(
+            playerBox.min.x - obstacleBox.max.x,
+            obstacleBox.min.x - playerBox.max.x,
+            0
+        );
+        
+        // Alongside - keep the smallest gap
+        if (playerBox.min.z <= obstacleBox.max.z) {
+            data.closestGap = data.closestGap === undefined ? gap : Math.min(data.closestGap, gap);
+            return null;
+        }
+        
+        // Passed (at high speed the player can go from ahead to past in one tick - use the gap as it passed)
+        data.passed = true;
+        return data.closestGap === undefined ? gap : data.closestGap;
+    }
+    
     /**
      * Get current road curve for physics calculations
      */
@@ -1648,10 +1905,22 @@ class GameWorld {
         return {
             roadCurve: this.roadCurve,
             targetRoadCurve: this.targetRoadCurve,
-            roadOffset: this.roadOffset
+            roadOffset: this.roadOffset,
+            track: this.track
         };
     }
 }
 
 // Export the world class
-export { GameWorld, ROAD_LENGTH, LANE_WIDTH };
\ No newline at end of file
+export {
+    GameWorld,
+    EventSystem,
+    ROAD_LENGTH,
+    LANE_WIDTH,
+    FIRST_COLLECTIBLE_Z,
+    COLLECTIBLE_SPACING,
+    FIRST_OBSTACLE_Z,
+    OBSTACLE_SPACING,
+    OBSTACLE_HITBOX,
+    NEAR_MISS_MARGIN
+};
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * Leaderboard API for the Neon Drift Protocol server
+ *
+ * A small JSON API backed by files in the data directory:
+ * - POST /api/runs                  Submit a finished run (with its replay)
+ * - GET  /api/leaderboard           Top N runs for a mode and seed (?mode=&seed=&limit=)
+ * - GET  /api/runs/:id              A run's details
+ * - GET  /api/runs/:id/replay       A run's replay file
+ *
+ * Submitted runs are checked against the game's own rules so obviously
+ * impossible scores are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const crypto = require('crypto');
+
+const MAX_BODY_SIZE = 1024 * 1024;       // Replays are run-length encoded, so 1 MB is plenty
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const INITIALS_PATTERN = /^[A-Z0-9 ?]{1,3}$/;
+const RUN_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Leaderboard file store
+class LeaderboardStore {
+    constructor(dataDir) {
+        this.runsFile = path.join(dataDir, 'runs.json');
+        this.replayDir = path.join(dataDir, 'replays');
+
+        // Writes are queued so concurrent submissions can't interleave
+        this.writeQueue = Promise.resolve();
+
+        fs.mkdirSync(this.replayDir, { recursive: true });
+        this.runs = this.load();
+    }
+
+    /**
+     * Load the run index, starting empty if there isn't one yet
+     */
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.runsFile, 'utf-8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Leaderboard: Could not read ${this.runsFile}, starting empty: ${err.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Store a run and its replay
+     * @returns {Promise<Object>} The stored run
+     */
+    addRun(run, replayJson) {
+        const storedRun = {
+            id: crypto.randomBytes(8).toString('hex'),
+            ...run,
+            submittedAt: new Date().toISOString()
+        };
+
+        const write = this.writeQueue.then(async () => {
+            await fs.promises.writeFile(this.getReplayPath(storedRun.id), replayJson, 'utf-8');
+
+            // Write to a temporary file first so a crash can't leave a half-written index
+            const tempFile = `${this.runsFile}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify([...this.runs, storedRun], null, 2), 'utf-8');
+            await fs.promises.rename(tempFile, this.runsFile);
+
+            // Only listed once it's on disk, so a failed write leaves the index as the file has it
+            this.runs.push(storedRun);
+        });
+
+        // A failed write fails this submission, but the ones queued after it still get their turn
+        this.writeQueue = write.catch(() => {});
+        return write.then(() => storedRun);
+    }
+
+    /**
+     * Get the top runs for a mode and seed, best first
+     */
+    getTopRuns(mode, seed, limit) {
+        return this.runs
+            .filter(run => run.mode === mode && run.seed === seed)
+            .sort((a, b) => b.score - a.score || a.time - b.time)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get a run by id
+     */
+    getRun(id) {
+        return this.runs.find(run => run.id === id) || null;
+    }
+
+    /**
+     * Get the file a run's replay is stored in
+     */
+    getReplayPath(id) {
+        return path.join(this.replayDir, `${id}.json`);
+    }
+}
+
+/**
+ * Get an import() specifier for a game module (file URLs work on every platform)
+ */
+function moduleUrl(dir, file) {
+    return pathToFileURL(path.join(dir, file)).href;
+}
+
+/**
+ * Load the game modules used to validate runs (and the LAN race room's game modes)
+ * They are ES modules, so they have to be imported asynchronously
+ */
+async function loadGameModules() {
+    const modules = path.join(__dirname, 'js', 'modules');
+    const [simulation, vehicles, replay, random] = await Promise.all([
+        import(moduleUrl(modules, 'simulation.js')),
+        import(moduleUrl(modules, 'vehicles.js')),
+        import(moduleUrl(modules, 'replay.js')),
+        import(moduleUrl(modules, 'random.js'))
+    ]);
+
+    return {
+        isGameMode: simulation.isGameMode,
+        TICK_RATE: simulation.TICK_RATE,
+        getMaxScore: simulation.getMaxScore,
+        getVehicleClass: vehicles.getVehicleClass,
+        parseReplay: replay.parseReplay,
+        normalizeSeed: random.normalizeSeed,
+        formatSeed: random.formatSeed
+    };
+}
+
+/**
+ * Check a submitted run and turn it into the stored form
+ * @returns {Object} { run } or { error } describing why it was rejected
+ */
+function validateRun(body, game) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Expected a JSON object' };
+    }
+
+    const { mode, initials, score, distance, furthestDistance, time } = body;
+
+    if (!game.isGameMode(mode)) {
+        return { error: `Unknown mode "${mode}"` };
+    }
+    if (typeof initials !== 'string' || !INITIALS_PATTERN.test(initials)) {
+        return { error: 'Initials must be 1-3 letters or digits' };
+    }
+    if (body.seed === undefined || body.seed === null || body.seed === '') {
+        return { error: 'Missing seed' };
+    }
+    if (!Number.isInteger(score) || score < 0) {
+        return { error: 'Score must be a non-negative integer' };
+    }
+    if (![distance, furthestDistance, time].every(Number.isFinite) || time <= 0 || furthestDistance < distance) {
+        return { error: 'Distance and time are missing or inconsistent' };
+    }
+
+    const seed = game.formatSeed(game.normalizeSeed(body.seed));
+
+    // The replay has to be for this run
+    let replay;
+    try {
+        replay = game.parseReplay(body.replay);
+    } catch (err) {
+        return { error: `Invalid replay: ${err.message}` };
+    }
+    if (game.formatSeed(replay.seed) !== seed || replay.mode !== mode) {
+        return { error: 'Replay is for a different seed or mode' };
+    }
+    if (replay.tickRate !== game.TICK_RATE || Math.abs(replay.ticks / replay.tickRate - time) > 2 / game.TICK_RATE) {
+        return { error: 'Replay length does not match the run time' };
+    }
+
+    // Reject what the game can't produce (in the car the replay was driven in)
+    if (furthestDistance > game.getVehicleClass(replay.vehicle).handling.maxSpeed * time) {
+        return { error: 'Distance is impossible for the run time' };
+    }
+    if (score > game.getMaxScore(furthestDistance, time)) {
+        return { error: 'Score is impossible for the distance and time driven' };
+    }
+
+    return {
+        run: {
+            mode,
+            seed,
+            vehicle: replay.vehicle,
+            rivals: replay.rivals,
+            initials,
+            score,
+            distance: Math.floor(distance),
+            time
+        },
+        replayJson: JSON.stringify({ ...replay, seed })
+    };
+}
+
+/**
+ * Read a JSON request body, up to MAX_BODY_SIZE
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+
+            // Keep draining an oversized body so the error response can still be sent
+            if (size <= MAX_BODY_SIZE) {
+                body += chunk;
+            }
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(body));
+            } catch (err) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data), 'utf-8');
+}
+
+/**
+ * Send a stored replay file, or a 404 if it's gone missing
+ * The file is read before anything is sent, so a read error can still get a proper error response
+ */
+async function sendReplay(res, replayPath) {
+    let replayJson;
+    try {
+        replayJson = await fs.promises.readFile(replayPath, 'utf-8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+
+        console.error(`Leaderboard: Replay file missing: ${replayPath}`);
+        sendJson(res, 404, { error: 'Replay not found' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(replayJson, 'utf-8');
+}
+
+/**
+ * Create the API request handler
+ * @param {String} dataDir - Directory for the leaderboard files
+ * @returns {Function} (req, res, url) handler for /api/ requests
+ */
+function createLeaderboardApi(dataDir) {
+    const store = new LeaderboardStore(dataDir);
+    const gameModules = loadGameModules();
+
+    return async function handleApiRequest(req, res, url) {
+        try {
+            const game = await gameModules;
+            const query = new URLSearchParams(req.url.split('?')[1] || '');
+            const runMatch = url.match(/^\/api\/runs\/([^/]+)(\/replay)?$/);
+
+            if (url === '/api/runs' && req.method === 'POST') {
+                const { run, replayJson, error } = validateRun(await readJsonBody(req), game);
+                if (error) {
+                    sendJson(res, 400, { error });
+                    return;
+                }
+
+                const storedRun = await store.addRun(run, replayJson);
+                const rank = store.getTopRuns(run.mode, run.seed, Infinity).indexOf(storedRun) + 1;
+                sendJson(res, 201, { run: storedRun, rank });
+            } else if (url === '/api/leaderboard' && req.method === 'GET') {
+                const mode = query.get('mode');
+                if (!game.isGameMode(mode) || !query.get('seed')) {
+                    sendJson(res, 400, { error: 'mode and seed are required' });
+                    return;
+                }
+
+                const limit = query.has('limit') ? Number(query.get('limit')) : DEFAULT_LIMIT;
+                if (!Number.isInteger(limit) || limit < 1) {
+                    sendJson(res, 400, { error: 'limit must be a whole number above 0' });
+                    return;
+                }
+
+                const seed = game.formatSeed(game.normalizeSeed(query.get('seed')));
+                sendJson(res, 200, { mode, seed, runs: store.getTopRuns(mode, seed, Math.min(limit, MAX_LIMIT)) });
+            } else if (runMatch && req.method === 'GET') {
+                const run = RUN_ID_PATTERN.test(runMatch[1]) ? store.getRun(runMatch[1]) : null;
+                if (!run) {
+                    sendJson(res, 404, { error: 'Run not found' });
+                } else if (runMatch[2]) {
+                    await sendReplay(res, store.getReplayPath(run.id));
+                } else {
+                    sendJson(res, 200, run);
+                }
+            } else {
+                sendJson(res, 404, { error: `No API route for ${req.method} ${url}` });
+            }
+        } catch (err) {
+            if (err.status) {
+                sendJson(res, err.status, { error: err.message });
+            } else {
+                console.error(`API error: ${err.stack}`);
+                sendJson(res, 500, { error: 'Server error' });
+            }
+        }
+    };
+}
+
+module.exports = { createLeaderboardApi, LeaderboardStore, validateRun, loadGameModules };
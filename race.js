@@ -0,0 +1,434 @@
+/**
+ * LAN Race Room for the Neon Drift Protocol server
+ *
+ * A WebSocket endpoint (/race) that lets everyone on the network race the same track:
+ * - The room picks the track seed, and takes the game mode from the first racer in
+ * - Racers send snapshots of their car; the server stamps each with its own clock and
+ *   relays it to the others, who show the car between snapshots (see js/modules/network.js)
+ * - Starting a run starts the countdown for everyone waiting on the title or results screen
+ * - Joins, leaves and finishes are passed on to the rest of the room
+ *
+ * Each racer simulates only their own car, so the server never runs the game.
+ * The WebSocket protocol (RFC 6455) is handled here on Node's own http server,
+ * so `npm start` needs no extra packages.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { loadGameModules } = require('./leaderboard');
+
+const RACE_PATH = '/race';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';   // Fixed by RFC 6455
+const MAX_MESSAGE_SIZE = 16 * 1024;      // Snapshots are tiny, so anything bigger is a broken client
+const MAX_RACERS = 8;
+const RACE_START_WINDOW = 5000;          // ms after a start in which further starts count as the same race
+const ID_PATTERN = /^[a-z0-9-]{1,32}$/;  // Vehicle class and livery ids (the game checks they exist)
+const LIVERY_PARTS = ['bodyColor', 'underglow', 'trim', 'decal'];
+const SNAPSHOT_FIELDS = ['x', 'y', 'z', 'rotationY', 'speed'];
+
+// WebSocket frame opcodes
+const OPCODE = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// WebSocket close codes
+const CLOSE_CODE = {
+    NORMAL: 1000,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED: 1003,
+    TOO_BIG: 1009,
+    TRY_AGAIN_LATER: 1013
+};
+
+// Server end of one WebSocket connection - emits 'message' with each text message and 'close' once
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);   // Received bytes not yet making up a whole frame
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => socket.destroy());   // 'close' follows
+    }
+
+    /**
+     * Handle every whole frame in the received bytes
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Take the next frame off the buffer
+     * @returns {Object|null} { fin, opcode, payload }, or null until the whole frame has arrived
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Browsers always mask what they send, and nothing in a race needs a big message
+        if (!masked) {
+            this.close(CLOSE_CODE.PROTOCOL_ERROR);
+            return null;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_CODE.TOO_BIG);
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Act on a received frame
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+                // Race messages are small enough that browsers never split them into fragments
+                if (!fin) {
+                    this.close(CLOSE_CODE.TOO_BIG);
+                    return;
+                }
+                this.emit('message', payload.toString('utf-8'));
+                break;
+
+            case OPCODE.CLOSE:
+                this.close(CLOSE_CODE.NORMAL);
+                break;
+
+            case OPCODE.PING:
+                this.sendFrame(OPCODE.PONG, payload);
+                break;
+
+            case OPCODE.PONG:
+                break;
+
+            default:
+                // Binary messages and stray continuation frames
+                this.close(CLOSE_CODE.UNSUPPORTED);
+        }
+    }
+
+    /**
+     * Send a message as JSON
+     */
+    send(message) {
+        this.sendFrame(OPCODE.TEXT, Buffer.from(JSON.stringify(message), 'utf-8'));
+    }
+
+    /**
+     * Send one unfragmented frame (servers don't mask)
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Close the connection with a close code (the socket closes once the frame is sent)
+     */
+    close(code) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODE.CLOSE, payload);
+
+        this.closed = true;
+        this.socket.end();
+    }
+
+    /**
+     * The socket has closed, from either end
+     */
+    handleClose() {
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+// The race room - everyone connected to the server races the same track
+class RaceRoom {
+    /**
+     * @param {Object} game - Game modules, from loadGameModules() (to check game modes)
+     */
+    constructor(game) {
+        this.game = game;
+        this.racers = new Map();         // By id: { id, name, vehicle, livery, connection, joined }
+        this.nextId = 1;
+        this.seed = null;                // Chosen when the first racer joins an empty room
+        this.mode = null;
+        this.lastStartTime = 0;          // Server time the current race was started
+    }
+
+    /**
+     * Bring a new connection into the room (it races once it has sent 'join')
+     */
+    add(connection) {
+        if (this.racers.size >= MAX_RACERS) {
+            connection.close(CLOSE_CODE.TRY_AGAIN_LATER);
+            return;
+        }
+
+        const id = this.nextId++;
+        const racer = { id, name: `P${id}`, vehicle: null, livery: null, connection, joined: false };
+        this.racers.set(id, racer);
+
+        connection.on('message', text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (err) {
+                return;
+            }
+            if (message && typeof message === 'object') {
+                this.handleMessage(racer, message);
+            }
+        });
+
+        connection.on('close', () => this.remove(racer));
+    }
+
+    /**
+     * Take a racer out of the room, starting a fresh track once it's empty
+     */
+    remove(racer) {
+        this.racers.delete(racer.id);
+
+        if (racer.joined) {
+            console.log(`Race: ${racer.name} left`);
+            this.broadcast(racer, { type: 'left', id: racer.id });
+        }
+
+        if (![...this.racers.values()].some(other => other.joined)) {
+            this.seed = null;
+            this.mode = null;
+        }
+    }
+
+    /**
+     * Act on a message from a racer (anything malformed is ignored)
+     */
+    handleMessage(racer, message) {
+        const time = Date.now();
+
+        if (message.type === 'join') {
+            this.join(racer, message);
+            return;
+        }
+        if (!racer.joined) return;
+
+        switch (message.type) {
+            case 'state': {
+                const state = message.state || {};
+                if (!SNAPSHOT_FIELDS.every(field => Number.isFinite(state[field]))) return;
+
+                const snapshot = {};
+                SNAPSHOT_FIELDS.forEach(field => {
+                    snapshot[field] = state[field];
+                });
+                this.broadcast(racer, { type: 'state', id: racer.id, time, state: snapshot });
+                break;
+            }
+
+            case 'start':
+                // The first start gets everyone going; the others' own starts are part of the same race
+                if (time - this.lastStartTime > RACE_START_WINDOW) {
+                    this.lastStartTime = time;
+                    console.log(`Race: ${racer.name} started a race`);
+                    this.broadcast(racer, { type: 'start', id: racer.id, time });
+                }
+                break;
+
+            case 'finish':
+                if (!Number.isInteger(message.score) || message.score < 0) return;
+                this.broadcast(racer, { type: 'finish', id: racer.id, time, score: message.score });
+                break;
+        }
+    }
+
+    /**
+     * Welcome a racer to the room with its track, and introduce it to everyone else
+     */
+    join(racer, { mode, vehicle, livery }) {
+        if (racer.joined) return;
+
+        // The first racer into an empty room sets up the track
+        if (this.seed === null) {
+            this.seed = crypto.randomBytes(4).toString('hex').toUpperCase();
+            this.mode = this.game.isGameMode(mode) ? mode : null;
+        }
+
+        racer.vehicle = typeof vehicle === 'string' && ID_PATTERN.test(vehicle) ? vehicle : null;
+        racer.livery = sanitizeLivery(livery);
+        racer.joined = true;
+        console.log(`Race: ${racer.name} joined (seed ${this.seed})`);
+
+        racer.connection.send({
+            type: 'welcome',
+            id: racer.id,
+            name: racer.name,
+            time: Date.now(),
+            seed: this.seed,
+            mode: this.mode,
+            racers: [...this.racers.values()]
+                .filter(other => other.joined && other !== racer)
+                .map(getRacerInfo)
+        });
+        this.broadcast(racer, { type: 'joined', time: Date.now(), racer: getRacerInfo(racer) });
+    }
+
+    /**
+     * Send a message to every joined racer except the one it's about
+     */
+    broadcast(from, message) {
+        this.racers.forEach(racer => {
+            if (racer !== from && racer.joined) {
+                racer.connection.send(message);
+            }
+        });
+    }
+}
+
+/**
+ * Get what the other racers need to know about a racer
+ */
+function getRacerInfo(racer) {
+    return { id: racer.id, name: racer.name, vehicle: racer.vehicle, livery: racer.livery };
+}
+
+/**
+ * Keep only the livery parts the game knows, as short ids
+ */
+function sanitizeLivery(livery) {
+    const sanitized = {};
+    if (livery && typeof livery === 'object') {
+        LIVERY_PARTS.forEach(part => {
+            if (typeof livery[part] === 'string' && ID_PATTERN.test(livery[part])) {
+                sanitized[part] = livery[part];
+            }
+        });
+    }
+    return sanitized;
+}
+
+/**
+ * Turn down an upgrade request with a plain HTTP response
+ */
+function rejectUpgrade(socket, status) {
+    socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Complete the WebSocket handshake for an upgrade request
+ * @returns {WebSocketConnection|null} The connection, or null if the request wasn't a valid WebSocket handshake
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, '400 Bad Request');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+/**
+ * Create the race room's upgrade handler
+ * @returns {Function} (req, socket, head) handler for the http server's 'upgrade' event
+ */
+function createRaceServer() {
+    const room = loadGameModules().then(game => new RaceRoom(game));
+
+    return async function handleRaceUpgrade(req, socket, head) {
+        if (req.url.split('?')[0] !== RACE_PATH) {
+            rejectUpgrade(socket, '404 Not Found');
+            return;
+        }
+
+        // The room opens once the game modules have loaded
+        let raceRoom;
+        try {
+            raceRoom = await room;
+        } catch (err) {
+            console.error(`Race: Could not load the game modules: ${err.stack}`);
+            rejectUpgrade(socket, '500 Internal Server Error');
+            return;
+        }
+
+        const connection = acceptWebSocket(req, socket);
+        if (!connection) return;
+
+        raceRoom.add(connection);
+        if (head.length > 0) {
+            connection.receive(head);
+        }
+    };
+}
+
+module.exports = { createRaceServer, RaceRoom, WebSocketConnection };
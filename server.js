@@ -1,8 +1,14 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createLeaderboardApi } = require('./leaderboard');
+const { createRaceServer } = require('./race');
 
 const PORT = 3000;
+const DATA_DIR = path.join(__dirname, 'data');    // Leaderboard runs and replays
+
+const handleApiRequest = createLeaderboardApi(DATA_DIR);
+const handleRaceUpgrade = createRaceServer();
 
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -22,6 +28,14 @@ const MIME_TYPES = {
     '.wasm': 'application/wasm'
 };
 
+/**
+ * Check if a resolved path is a folder or somewhere inside it
+ */
+function isInside(folder, filePath) {
+    const relative = path.relative(folder, filePath);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
 const server = http.createServer((req, res) => {
     console.log(`${req.method} ${req.url}`);
 
@@ -34,7 +48,22 @@ const server = http.createServer((req, res) => {
         url = '/index.html';
     }
 
+    // Leaderboard API
+    if (url.startsWith('/api/')) {
+        handleApiRequest(req, res, url);
+        return;
+    }
+
     const filePath = path.join(__dirname, url);
+
+    // Only files in the game's folder, and never the leaderboard's (those are only served through the API) -
+    // checked once the path is resolved, so ".." can't step round it
+    if (!isInside(__dirname, filePath) || isInside(DATA_DIR, filePath)) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('Not found', 'utf-8');
+        return;
+    }
+
     const extname = path.extname(filePath).toLowerCase();
     const contentType = MIME_TYPES[extname] || 'application/octet-stream';
 
@@ -58,7 +87,11 @@ const server = http.createServer((req, res) => {
     });
 });
 
+// LAN race room (WebSocket)
+server.on('upgrade', handleRaceUpgrade);
+
 server.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}/`);
+    console.log(`LAN races: open http://<this machine's address>:${PORT}/?lan on each computer`);
     console.log(`Press Ctrl+C to stop the server`);
 });
\ No newline at end of file
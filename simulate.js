@@ -0,0 +1,132 @@
+/**
+ * Headless simulation harness for Neon Drift Protocol
+ *
+ * Runs the gameplay simulation in Node (no browser, renderer or DOM) and
+ * prints a JSON report with score, distance, run stats and every collision.
+ *
+ * Usage:
+ *   npm run simulate -- --seed 1A2B3C4D --mode time --script accelerate
+ *   npm run simulate -- --seed 1A2B3C4D --vehicle phantom --script weave
+ *   npm run simulate -- --seed 1A2B3C4D --rivals 3 --script accelerate
+ *   npm run simulate -- --replay neon-drift-1A2B3C4D.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The game modules expect Three.js as a global, like the CDN build in the browser
+global.THREE = require('three');
+
+// Scripted inputs: (tick) => input state
+const SCRIPTS = {
+    // Sit on the start line
+    idle: () => ({}),
+
+    // Full throttle, no steering
+    accelerate: () => ({ accelerate: true }),
+
+    // Full throttle, swapping steering direction every second
+    weave: (tick) => ({
+        accelerate: true,
+        turnLeft: Math.floor(tick / 60) % 2 === 0,
+        turnRight: Math.floor(tick / 60) % 2 === 1
+    }),
+
+    // Full throttle; after 10 seconds, a brake-tap drift to the left every 4 seconds, caught with a counter-steer
+    drift: (tick) => {
+        const phase = tick % 240;
+        const drifting = tick >= 600;
+        return {
+            accelerate: true,
+            brake: drifting && phase < 6,
+            turnLeft: drifting && phase < 24,
+            turnRight: drifting && phase >= 30 && phase < 45
+        };
+    },
+
+    // Full throttle, boosting whenever the meter has a boost stored
+    boost: () => ({ accelerate: true, boost: true }),
+
+    // Gamepad-style analog input: three-quarter throttle, stick swept gently side to side
+    analog: (tick) => ({
+        accelerate: 0.75,
+        steering: Math.round(Math.sin(tick / 90) * 30) / 100
+    })
+};
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Get an import() specifier for a game module (file URLs work on every platform)
+ */
+function moduleUrl(dir, file) {
+    return pathToFileURL(path.join(dir, file)).href;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Load the game modules after THREE is in place
+    const modules = path.join(__dirname, 'js', 'modules');
+    const { runSimulation, TICK_RATE } = await import(moduleUrl(modules, 'simulation.js'));
+    const { parseReplay, ReplayPlayer } = await import(moduleUrl(modules, 'replay.js'));
+    const { formatSeed } = await import(moduleUrl(modules, 'random.js'));
+
+    let options;
+
+    if (args.replay) {
+        // Feed a recorded run back in, on its own seed and for its own length
+        const replay = parseReplay(fs.readFileSync(args.replay, 'utf-8'));
+        if (replay.tickRate !== TICK_RATE) {
+            throw new Error(`Replay uses ${replay.tickRate} ticks/s, expected ${TICK_RATE}`);
+        }
+
+        const player = new ReplayPlayer(replay);
+        options = {
+            seed: replay.seed,
+            mode: replay.mode,
+            vehicle: replay.vehicle,
+            rivals: replay.rivals,
+            ticks: replay.ticks,
+            getInput: tick => player.getInputState(tick)
+        };
+    } else {
+        const scriptName = args.script || 'accelerate';
+        const script = SCRIPTS[scriptName];
+        if (!script) {
+            throw new Error(`Unknown script "${scriptName}" (available: ${Object.keys(SCRIPTS).join(', ')})`);
+        }
+
+        options = {
+            seed: args.seed,
+            mode: args.mode,
+            vehicle: args.vehicle,
+            rivals: args.rivals ? parseInt(args.rivals, 10) : 0,
+            ticks: args.ticks ? parseInt(args.ticks, 10) : TICK_RATE * 60,
+            getInput: script
+        };
+    }
+
+    const report = runSimulation(options);
+    report.seed = formatSeed(report.seed);
+
+    console.log(JSON.stringify(report, null, 2));
+}
+
+main().catch(error => {
+    console.error(`Simulation failed: ${error.message}`);
+    process.exit(1);
+});
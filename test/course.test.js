@@ -0,0 +1,103 @@
+/**
+ * Tests for time trial courses: checkpoint timing, lap times and best times
+ */
+
+const assert = require('assert');
+const { importModule, MemoryStorage } = require('./helpers');
+
+// A short circuit, to keep the numbers easy: 2 laps of 2 sectors, a checkpoint every 500
+const TEST_COURSE = { id: 'test', name: 'TEST', closed: true, lapLength: 1000, laps: 2, sectors: 2 };
+
+/**
+ * Check two times match to within rounding
+ */
+function assertTime(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+module.exports = {
+    'checkpoints are timed between ticks': async () => {
+        const { CourseTimer, getCheckpointPositions } = await importModule('course.js');
+        assert.deepStrictEqual(getCheckpointPositions(TEST_COURSE), [500, 1000, 1500, 2000]);
+
+        const timer = new CourseTimer(TEST_COURSE);
+        assert.deepStrictEqual(timer.update(400, 4), []);
+
+        // 400 to 600 in a second crosses the first checkpoint halfway through it
+        const [checkpoint] = timer.update(600, 5);
+        assert.strictEqual(checkpoint.index, 0);
+        assertTime(checkpoint.time, 4.5);
+        assertTime(checkpoint.sectorTime, 4.5);
+        assert.strictEqual(checkpoint.lapTime, null);
+
+        // One long tick can cross several, each at its own time
+        const crossed = timer.update(1600, 7);
+        assert.deepStrictEqual(crossed.map(each => each.index), [1, 2]);
+        assertTime(crossed[0].time, 5.8);
+        assertTime(crossed[0].lapTime, 5.8);
+        assertTime(crossed[1].time, 6.8);
+        assert.strictEqual(crossed[1].lap, 1);
+        assert.ok(!timer.finished);
+        assert.strictEqual(timer.finishTime, null);
+    },
+
+    'the finish line freezes the timer and gives the lap times': async () => {
+        const { CourseTimer } = await importModule('course.js');
+        const timer = new CourseTimer(TEST_COURSE);
+
+        [[500, 5], [1000, 10], [1500, 14], [2000, 18]].forEach(([distance, time]) => timer.update(distance, time));
+        assert.ok(timer.finished);
+        assert.strictEqual(timer.finishTime, 18);
+        assert.deepStrictEqual(timer.getLapTimes(), [10, 8]);
+
+        // Nothing more counts once it's finished
+        assert.deepStrictEqual(timer.update(2600, 25), []);
+        assert.deepStrictEqual(timer.getProgress(30), { lap: 1, sector: 1, lapTime: 8, sectorTime: 4 });
+    },
+
+    'a circuit drives the same bends every lap': async () => {
+        const { Track } = await importModule('track.js');
+        const { COURSES } = await importModule('course.js');
+        const lapLength = COURSES.circuit.lapLength;
+        const track = new Track(0x1A2B3C4D, lapLength);
+
+        for (let z = 0; z < lapLength; z += 125) {
+            assertTime(track.getCenterX(z + lapLength), track.getCenterX(z));
+            assertTime(track.getHeading(z + 2 * lapLength), track.getHeading(z));
+        }
+    },
+
+    'circuit laps too short for their bends are refused': async () => {
+        const { TrackGenerator, MIN_LAP_LENGTH } = await importModule('track.js');
+        const { COURSES } = await importModule('course.js');
+
+        Object.values(COURSES).filter(course => course.closed).forEach(course => {
+            assert.ok(course.lapLength >= MIN_LAP_LENGTH, `${course.id} lap is too short`);
+        });
+        assert.throws(() => new TrackGenerator(1, MIN_LAP_LENGTH - 1), /under the shortest lap/);
+
+        // The shortest lap still fits its bends, ending at the lap length
+        for (let seed = 0; seed < 50; seed++) {
+            const points = new TrackGenerator(seed, MIN_LAP_LENGTH).controlPoints;
+            points.slice(1).forEach((point, index) => assert.ok(point.z > points[index].z, `seed ${seed}`));
+            assert.strictEqual(points[points.length - 1].z, MIN_LAP_LENGTH);
+        }
+    },
+
+    'the best time for each course and seed is kept': async () => {
+        const { BestTimeStore } = await importModule('course.js');
+        const storage = new MemoryStorage();
+        const store = new BestTimeStore(storage);
+
+        assert.strictEqual(store.getBest('sprint', '1A2B3C4D'), null);
+        assert.ok(store.submitRun('sprint', '1A2B3C4D', [10, 20, 30]));
+        assert.ok(!store.submitRun('sprint', 0x1A2B3C4D, [10, 20, 30]));
+        assert.ok(store.submitRun('sprint', '1A2B3C4D', [9, 19, 29]));
+        assert.ok(store.submitRun('rally', '1A2B3C4D', [60]));
+
+        const reloaded = new BestTimeStore(storage);
+        assert.strictEqual(reloaded.getBest('sprint', '1a2b3c4d').time, 29);
+        assert.deepStrictEqual(reloaded.getBest('sprint', '1A2B3C4D').splits, [9, 19, 29]);
+        assert.strictEqual(reloaded.getBest('rally', '1A2B3C4D').time, 60);
+    }
+};
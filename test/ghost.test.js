@@ -0,0 +1,77 @@
+/**
+ * Tests for racing against a recorded ghost run
+ */
+
+const assert = require('assert');
+const { importModule, MemoryStorage } = require('./helpers');
+
+/**
+ * Drive flat out for a while, keeping the replay and where the car was on every tick
+ */
+async function driveRun(ticks) {
+    const { Simulation, TICK_RATE } = await importModule('simulation.js');
+    const { ReplayRecorder } = await importModule('replay.js');
+
+    const simulation = new Simulation(null, 0x1A2B3C4D, 'endless', 'vector').init();
+    const recorder = new ReplayRecorder(simulation.seed, TICK_RATE, 'endless', 'vector');
+    const positions = [simulation.vehicle.position.clone()];
+
+    for (let tick = 0; tick < ticks; tick++) {
+        const inputState = { accelerate: true };
+        recorder.record(inputState);
+        simulation.tick(inputState);
+        positions.push(simulation.vehicle.position.clone());
+    }
+
+    return { replay: recorder.toJSON(), positions, simulation };
+}
+
+module.exports = {
+    'a ghost retraces its run and times the split markers': async () => {
+        const { Ghost, SPLIT_DISTANCE } = await importModule('ghost.js');
+        const { parseReplay } = await importModule('replay.js');
+        const { replay, positions, simulation } = await driveRun(1800);
+
+        const ghost = new Ghost(parseReplay(replay));
+        assert.ok(ghost.matches('1A2B3C4D', 'endless'));
+        assert.ok(!ghost.matches('1A2B3C4D', 'time'));
+
+        [0, 1, 900, 1800].forEach(tick => {
+            assert.ok(ghost.getTransform(tick).position.distanceTo(positions[tick]) < 1e-3);
+        });
+        assert.ok(ghost.getTransform(5000).position.distanceTo(positions[1800]) < 1e-3);
+        assert.ok(ghost.isFinished(1801));
+
+        const markers = Math.floor(simulation.furthestDistance / SPLIT_DISTANCE);
+        assert.ok(markers >= 1);
+        assert.strictEqual(ghost.splitTimes.length, markers);
+
+        // A live run a second slower at every marker, then one past where the ghost got to
+        ghost.reset();
+        const first = ghost.checkSplit(SPLIT_DISTANCE, ghost.splitTimes[0] + 1);
+        assert.strictEqual(first.distance, SPLIT_DISTANCE);
+        assert.ok(Math.abs(first.delta - 1) < 1e-9);
+        assert.strictEqual(ghost.checkSplit(SPLIT_DISTANCE + 10, 100), null);
+        assert.deepStrictEqual(ghost.checkSplit((markers + 1) * SPLIT_DISTANCE, 100), {
+            distance: (markers + 1) * SPLIT_DISTANCE,
+            delta: null
+        });
+    },
+
+    'the store keeps only the best run for each mode and seed': async () => {
+        const { GhostStore } = await importModule('ghost.js');
+        const { replay } = await driveRun(60);
+        const storage = new MemoryStorage();
+        const store = new GhostStore(storage);
+
+        assert.strictEqual(store.getBest('endless', '1A2B3C4D'), null);
+        assert.ok(store.submitRun('endless', '1A2B3C4D', 500, replay));
+        assert.ok(!store.submitRun('endless', '1a2b3c4d', 500, replay));
+        assert.ok(store.submitRun('endless', '1A2B3C4D', 800, replay));
+
+        const reloaded = new GhostStore(storage);
+        assert.strictEqual(reloaded.bests['endless:1A2B3C4D'].score, 800);
+        assert.strictEqual(reloaded.getBest('endless', 0x1A2B3C4D).ticks, 60);
+        assert.strictEqual(reloaded.getBest('time', '1A2B3C4D'), null);
+    }
+};
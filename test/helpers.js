@@ -0,0 +1,36 @@
+/**
+ * Helpers shared by the tests
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULES_DIR = path.join(__dirname, '..', 'js', 'modules');
+
+/**
+ * Import a game module (they're ES modules, so asynchronously) by its file name in js/modules
+ */
+function importModule(file) {
+    return import(pathToFileURL(path.join(MODULES_DIR, file)).href);
+}
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+module.exports = { importModule, MemoryStorage };
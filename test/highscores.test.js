@@ -0,0 +1,90 @@
+/**
+ * Tests for the local high score tables and initials entry
+ */
+
+const assert = require('assert');
+const { importModule, MemoryStorage } = require('./helpers');
+
+/**
+ * Make a run to add to a table
+ */
+function makeRun(initials, score, date = '2024-01-01T00:00:00.000Z') {
+    return { initials, score, distance: score * 2, time: 60, date };
+}
+
+module.exports = {
+    'runs are ranked best first, with ties going below the existing entry': async () => {
+        const { HighScoreTable } = await importModule('highscores.js');
+        const table = new HighScoreTable(new MemoryStorage());
+
+        assert.strictEqual(table.addScore('time', 1, makeRun('AAA', 500)), 0);
+        assert.strictEqual(table.addScore('time', 1, makeRun('BBB', 900)), 0);
+        assert.strictEqual(table.addScore('time', 1, makeRun('CCC', 500)), 2);
+
+        assert.deepStrictEqual(table.getScores('time', 1).map(entry => entry.initials), ['BBB', 'AAA', 'CCC']);
+
+        // Tables are kept per mode and per seed
+        assert.deepStrictEqual(table.getScores('distance', 1), []);
+        assert.deepStrictEqual(table.getScores('time', 2), []);
+    },
+
+    'a full table only takes runs that beat its last entry': async () => {
+        const { HighScoreTable, MAX_ENTRIES } = await importModule('highscores.js');
+        const table = new HighScoreTable(new MemoryStorage());
+
+        for (let i = 1; i <= MAX_ENTRIES; i++) {
+            table.addScore('time', 1, makeRun('AAA', i * 100));
+        }
+
+        assert.strictEqual(table.qualifies('time', 1, 100), false);
+        assert.strictEqual(table.addScore('time', 1, makeRun('BBB', 100)), -1);
+        assert.strictEqual(table.qualifies('time', 1, 150), true);
+        assert.strictEqual(table.addScore('time', 1, makeRun('BBB', 150)), MAX_ENTRIES - 1);
+        assert.strictEqual(table.getScores('time', 1).length, MAX_ENTRIES);
+
+        // A score of zero never places, even in an empty table
+        assert.strictEqual(table.qualifies('endless', 1, 0), false);
+    },
+
+    'tables are saved and loaded back': async () => {
+        const { HighScoreTable } = await importModule('highscores.js');
+        const storage = new MemoryStorage();
+        new HighScoreTable(storage).addScore('time', 1, makeRun('AAA', 500));
+
+        assert.strictEqual(new HighScoreTable(storage).getScores('time', 1)[0].initials, 'AAA');
+    },
+
+    'importing skips runs already in the table': async () => {
+        const { HighScoreTable } = await importModule('highscores.js');
+        const table = new HighScoreTable(new MemoryStorage());
+        table.addScore('time', 1, makeRun('AAA', 500));
+
+        const other = new HighScoreTable(new MemoryStorage());
+        other.addScore('time', 1, makeRun('AAA', 500));
+        other.addScore('time', 1, makeRun('BBB', 700));
+
+        assert.strictEqual(table.importJSON(other.exportJSON()), 1);
+        assert.deepStrictEqual(table.getScores('time', 1).map(entry => entry.initials), ['BBB', 'AAA']);
+        assert.strictEqual(table.importJSON(other.exportJSON()), 0);
+
+        assert.throws(() => table.importJSON('{"format":"neon-drift-replay"}'), /Not a Neon Drift high score file/);
+    },
+
+    'initials are typed or cycled in, then confirmed': async () => {
+        const { InitialsEntry } = await importModule('highscores.js');
+
+        const typed = new InitialsEntry();
+        ['n', 'd', 'p'].forEach(key => typed.handleKey(key));
+        assert.strictEqual(typed.done, true);
+        assert.strictEqual(typed.getInitials(), 'NDP');
+
+        const cycled = new InitialsEntry('AAA');
+        cycled.handleKey('ArrowUp');
+        cycled.handleKey('ArrowRight');
+        cycled.handleKey('ArrowDown');
+        assert.strictEqual(cycled.done, false);
+        cycled.handleKey('Enter');
+        assert.strictEqual(cycled.done, true);
+        assert.strictEqual(cycled.getInitials(), 'B A');
+    }
+};
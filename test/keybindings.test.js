@@ -0,0 +1,78 @@
+/**
+ * Tests for the rebindable keyboard controls
+ */
+
+const assert = require('assert');
+const { importModule, MemoryStorage } = require('./helpers');
+
+module.exports = {
+    'a key can only drive one action': async () => {
+        const { KeyBindings } = await importModule('keybindings.js');
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        assert.throws(() => bindings.bind('TURN_LEFT', 1, 'ArrowUp'), /already used for ACCELERATE/);
+        assert.strictEqual(bindings.findAction('ArrowUp'), 'ACCELERATE');
+
+        // A free key binds, whatever case it's typed in
+        bindings.bind('TURN_LEFT', 1, 'Q');
+        assert.strictEqual(bindings.findAction('q'), 'TURN_LEFT');
+        assert.ok(bindings.matches('TURN_LEFT', 'Q'));
+        assert.ok(!bindings.matches('TURN_LEFT', 'a'));
+
+        // Rebinding one of the action's own keys swaps the two slots
+        bindings.bind('TURN_LEFT', 0, 'q');
+        assert.deepStrictEqual(bindings.getKeys('TURN_LEFT'), ['q', 'ArrowLeft']);
+    },
+
+    'reserved keys can never be bound': async () => {
+        const { KeyBindings, RESERVED_KEYS } = await importModule('keybindings.js');
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        Object.values(RESERVED_KEYS).forEach(key => {
+            assert.throws(() => bindings.bind('PAUSE', 1, key), /is reserved/);
+        });
+        assert.throws(() => bindings.bind('NOT_AN_ACTION', 0, 'q'), /Unknown binding/);
+    },
+
+    'every action keeps at least one key': async () => {
+        const { KeyBindings } = await importModule('keybindings.js');
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        assert.throws(() => bindings.unbind('PAUSE', 0), /needs at least one key/);
+        bindings.unbind('TURN_LEFT', 1);
+        assert.strictEqual(bindings.getKeys('TURN_LEFT').length, 1);
+    },
+
+    'saved bindings load back, and broken ones fall back to the defaults': async () => {
+        const { KeyBindings, DEFAULT_KEY_BINDINGS } = await importModule('keybindings.js');
+        const storage = new MemoryStorage();
+        new KeyBindings(storage).bind('TURN_LEFT', 1, 'x');
+
+        assert.deepStrictEqual(new KeyBindings(storage).getKeys('TURN_LEFT'), ['ArrowLeft', 'x']);
+
+        // The same key on two actions can only come from a tampered entry
+        const bindings = new KeyBindings(storage);
+        assert.throws(() => bindings.parse({ version: 1, bindings: { ACCELERATE: ['x'], BRAKE: ['x'] } }), /bound twice/);
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            storage.setItem('neonDriftProtocol.keyBindings', '{"version":1,"bindings":{"BRAKE":["`"]}}');
+            assert.deepStrictEqual(new KeyBindings(storage).bindings, DEFAULT_KEY_BINDINGS);
+        } finally {
+            console.warn = originalWarn;
+        }
+    },
+
+    'split screen players never share a key, or use a reserved one': async () => {
+        const { SPLIT_SCREEN_KEY_BINDINGS, DEFAULT_KEY_BINDINGS, RESERVED_KEYS } = await importModule('keybindings.js');
+        const taken = new Set([...Object.values(RESERVED_KEYS), ...DEFAULT_KEY_BINDINGS.PAUSE]);
+
+        SPLIT_SCREEN_KEY_BINDINGS.forEach(layout => {
+            Object.values(layout).forEach(keys => keys.forEach(key => {
+                assert.ok(!taken.has(key.toLowerCase()) && !taken.has(key), `${key} is used twice`);
+                taken.add(key);
+            }));
+        });
+    }
+};
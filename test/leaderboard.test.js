@@ -0,0 +1,171 @@
+/**
+ * Tests for the server's leaderboard store and run validation
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { importModule } = require('./helpers');
+const { createLeaderboardApi, LeaderboardStore, validateRun, loadGameModules } = require('../leaderboard');
+
+/**
+ * Drive a short run and build the submission the game would send for it
+ */
+async function makeSubmission() {
+    const { runSimulation, TICK_RATE } = await importModule('simulation.js');
+    const { ReplayRecorder } = await importModule('replay.js');
+    const { formatSeed } = await importModule('random.js');
+
+    const recorder = new ReplayRecorder(0x1A2B3C4D, TICK_RATE, 'time', 'vector');
+    const stats = runSimulation({
+        seed: 0x1A2B3C4D,
+        mode: 'time',
+        vehicle: 'vector',
+        ticks: TICK_RATE * 20,
+        getInput: () => {
+            const inputState = { accelerate: true };
+            recorder.record(inputState);
+            return inputState;
+        }
+    });
+
+    return {
+        mode: stats.mode,
+        seed: formatSeed(stats.seed),
+        initials: 'NDP',
+        score: stats.score,
+        distance: stats.distance,
+        furthestDistance: stats.furthestDistance,
+        time: stats.time,
+        replay: recorder.toJSON()
+    };
+}
+
+/**
+ * Run a test against a store in a fresh temporary folder
+ */
+async function withStore(test) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'neon-drift-leaderboard-'));
+    try {
+        await test(new LeaderboardStore(dataDir), dataDir);
+    } finally {
+        // fs.rmSync is Node 14.14+, and the server runs on Node 12
+        (fs.rmSync || fs.rmdirSync)(dataDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Send a request through the API handler
+ * @returns {Promise<Object>} { status, body } of the response
+ */
+async function request(api, method, url, body) {
+    const req = new PassThrough();
+    req.method = method;
+    req.url = url;
+    req.end(body !== undefined ? JSON.stringify(body) : '');
+
+    const response = {};
+    const res = {
+        writeHead: status => {
+            response.status = status;
+        },
+        end: data => {
+            response.body = JSON.parse(data);
+        }
+    };
+
+    await api(req, res, url.split('?')[0]);
+    return response;
+}
+
+module.exports = {
+    'a genuine run is accepted': async () => {
+        const game = await loadGameModules();
+        const submission = await makeSubmission();
+
+        const { run, replayJson, error } = validateRun(submission, game);
+        assert.strictEqual(error, undefined);
+        assert.strictEqual(run.seed, '1A2B3C4D');
+        assert.strictEqual(run.score, submission.score);
+        assert.strictEqual(JSON.parse(replayJson).mode, 'time');
+    },
+
+    'runs the game could not produce are rejected': async () => {
+        const game = await loadGameModules();
+        const submission = await makeSubmission();
+        const rejection = changes => validateRun({ ...submission, ...changes }, game).error;
+
+        assert.match(rejection({ mode: 'warp' }), /Unknown mode/);
+        assert.match(rejection({ mode: 'constructor' }), /Unknown mode/);
+        assert.match(rejection({ initials: 'TOOLONG' }), /Initials/);
+        assert.match(rejection({ score: submission.score + 1e9 }), /Score is impossible/);
+        assert.match(rejection({ furthestDistance: submission.time * game.getVehicleClass('vector').handling.maxSpeed * 2 }), /Distance is impossible/);
+        assert.match(rejection({ seed: '5EED' }), /different seed or mode/);
+        assert.match(rejection({ mode: 'distance' }), /different seed or mode/);
+        assert.match(rejection({ time: submission.time + 10 }), /does not match the run time/);
+        assert.match(rejection({ replay: { format: 'something-else' } }), /Invalid replay/);
+    },
+
+    'the store keeps runs best first and on disk': async () => {
+        await withStore(async (store, dataDir) => {
+            const run = (initials, score, time) => ({ mode: 'time', seed: '1A2B3C4D', initials, score, distance: 100, time });
+            await store.addRun(run('AAA', 500, 60), '{}');
+            await store.addRun(run('BBB', 900, 60), '{}');
+            const tied = await store.addRun(run('CCC', 500, 50), '{}');
+
+            assert.deepStrictEqual(store.getTopRuns('time', '1A2B3C4D', 10).map(entry => entry.initials), ['BBB', 'CCC', 'AAA']);
+            assert.deepStrictEqual(store.getTopRuns('time', '1A2B3C4D', 1).map(entry => entry.initials), ['BBB']);
+            assert.deepStrictEqual(store.getTopRuns('distance', '1A2B3C4D', 10), []);
+
+            const reloaded = new LeaderboardStore(dataDir);
+            assert.strictEqual(reloaded.runs.length, 3);
+            assert.strictEqual(reloaded.getRun(tied.id).initials, 'CCC');
+            assert.ok(fs.existsSync(reloaded.getReplayPath(tied.id)));
+        });
+    },
+
+    'a failed write leaves the store as it was and does not hold up later runs': async () => {
+        await withStore(async store => {
+            const run = { mode: 'time', seed: '1A2B3C4D', initials: 'AAA', score: 500, distance: 100, time: 60 };
+
+            // With its replay folder gone, the store can't write the replay
+            fs.rmdirSync(store.replayDir);
+            await assert.rejects(store.addRun(run, '{}'), { code: 'ENOENT' });
+            assert.deepStrictEqual(store.runs, []);
+
+            fs.mkdirSync(store.replayDir);
+            const stored = await store.addRun(run, '{}');
+            assert.deepStrictEqual(store.runs, [stored]);
+        });
+    },
+
+    'the API turns away bad submissions and queries': async () => {
+        await withStore(async (store, dataDir) => {
+            const api = createLeaderboardApi(dataDir);
+            const submission = await makeSubmission();
+
+            const accepted = await request(api, 'POST', '/api/runs', submission);
+            assert.strictEqual(accepted.status, 201);
+            assert.strictEqual(accepted.body.rank, 1);
+
+            const rejected = async changes => (await request(api, 'POST', '/api/runs', { ...submission, ...changes })).body.error;
+            assert.match(await rejected({ mode: 'constructor' }), /Unknown mode/);
+            assert.match(await rejected({ score: submission.score + 1e9 }), /Score is impossible/);
+            assert.match(await rejected({ seed: '5EED' }), /different seed or mode/);
+            assert.match(await rejected({ replay: { ...submission.replay, mode: 'toString' } }), /unknown game mode/);
+
+            const leaderboard = query => request(api, 'GET', `/api/leaderboard?seed=1A2B3C4D&${query}`);
+            assert.strictEqual((await leaderboard('mode=time')).body.runs.length, 1);
+            assert.strictEqual((await leaderboard('mode=time&limit=500')).body.runs.length, 1);
+            assert.strictEqual((await leaderboard('mode=constructor')).status, 400);
+            assert.strictEqual((await leaderboard('mode=hasOwnProperty')).status, 400);
+            for (const limit of ['-3', '0', '2.5', 'lots', '']) {
+                assert.strictEqual((await leaderboard(`mode=time&limit=${limit}`)).status, 400, `limit=${limit}`);
+            }
+
+            assert.strictEqual((await request(api, 'GET', '/api/runs/0123456789abcdef')).status, 404);
+        });
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Tests for the player's livery
+ */
+
+const assert = require('assert');
+const { importModule, MemoryStorage } = require('./helpers');
+
+module.exports = {
+    'choices cycle round both ways and are saved': async () => {
+        const { Livery, LIVERY_OPTIONS, DEFAULT_LIVERY } = await importModule('livery.js');
+        const storage = new MemoryStorage();
+        const livery = new Livery(storage);
+        assert.deepStrictEqual(livery.settings, DEFAULT_LIVERY);
+
+        livery.cycle('decal', -1);
+        assert.strictEqual(livery.settings.decal, LIVERY_OPTIONS.decal[LIVERY_OPTIONS.decal.length - 1].id);
+        livery.cycle('decal', 1);
+        livery.cycle('trim', 1);
+        assert.strictEqual(livery.settings.decal, 'none');
+        assert.strictEqual(livery.settings.trim, 'chrome');
+
+        assert.strictEqual(new Livery(storage).settings.trim, 'chrome');
+    },
+
+    'saved choices that are no longer offered fall back to the stock look': async () => {
+        const { Livery } = await importModule('livery.js');
+        const storage = new MemoryStorage();
+        storage.setItem('neonDriftProtocol.livery', JSON.stringify({ bodyColor: 'plaid', underglow: 'acid' }));
+
+        const livery = new Livery(storage);
+        assert.strictEqual(livery.settings.bodyColor, 'stock');
+        assert.strictEqual(livery.settings.underglow, 'acid');
+    },
+
+    'neon trim and decals take the underglow color, or the class accent without one': async () => {
+        const { Livery } = await importModule('livery.js');
+        const { getVehicleClass } = await importModule('vehicles.js');
+        const definition = getVehicleClass('vector');
+        const livery = new Livery(null);
+
+        livery.settings = { bodyColor: 'stock', underglow: 'none', trim: 'neon', decal: 'grid' };
+        assert.deepStrictEqual(livery.resolve(definition), {
+            bodyColor: definition.mesh.bodyColor,
+            underglowColor: null,
+            trimColor: definition.mesh.cockpitColor,
+            decal: 'grid',
+            decalColor: definition.mesh.cockpitColor
+        });
+
+        livery.settings = { bodyColor: 'gold', underglow: 'acid', trim: 'neon', decal: 'none' };
+        assert.deepStrictEqual(livery.resolve(definition), {
+            bodyColor: 0xffcc00,
+            underglowColor: 0x66ff00,
+            trimColor: 0x66ff00,
+            decal: null,
+            decalColor: 0x66ff00
+        });
+    }
+};
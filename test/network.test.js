@@ -0,0 +1,47 @@
+/**
+ * Tests for showing remote racers' cars between their snapshots
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+/**
+ * Make a client with one remote racer and its snapshots, showing the cars at a fixed server time
+ */
+async function makeClient(snapshots, serverTime) {
+    const { RaceClient } = await importModule('network.js');
+    const client = new RaceClient();
+    client.getServerTime = () => serverTime;
+
+    const remote = client.addRemote({ id: 2, name: 'P2', vehicle: 'vector', livery: {} });
+    remote.snapshots.push(...snapshots);
+    return { client, remote };
+}
+
+module.exports = {
+    'remote cars are shown between the snapshots either side of the delayed time': async () => {
+        const { client, remote } = await makeClient([
+            { time: 1000, x: 0, y: 1, z: 100, rotationY: 0, speed: 80 },
+            { time: 1100, x: 2, y: 1, z: 110, rotationY: 0.2, speed: 100 }
+        ], 1150);
+
+        const transform = client.getRemoteTransform(remote);
+        assert.ok(transform.position.distanceTo(new THREE.Vector3(1, 1, 105)) < 1e-9);
+        assert.ok(Math.abs(transform.rotationY - 0.1) < 1e-9);
+        assert.strictEqual(transform.speed, 90);
+
+        // Stopped sending for too long, so no longer racing
+        client.getServerTime = () => 2000;
+        assert.strictEqual(client.getRemoteTransform(remote), null);
+    },
+
+    'a heading turning through half a turn goes the short way round': async () => {
+        const { client, remote } = await makeClient([
+            { time: 1000, x: 0, y: 1, z: 0, rotationY: Math.PI - 0.1, speed: 50 },
+            { time: 1100, x: 0, y: 1, z: 0, rotationY: -Math.PI + 0.1, speed: 50 }
+        ], 1150);
+
+        const { rotationY } = client.getRemoteTransform(remote);
+        assert.ok(Math.abs(Math.abs(rotationY) - Math.PI) < 1e-9, `${rotationY} went the long way round`);
+    }
+};
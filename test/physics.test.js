@@ -0,0 +1,48 @@
+/**
+ * Tests for the vehicle's damage model
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+module.exports = {
+    'harder obstacle hits do more damage, capped per impact': async () => {
+        const { Vehicle, MAX_INTEGRITY } = await importModule('physics.js');
+
+        const slow = new Vehicle();
+        slow.speed = 20;
+        const fast = new Vehicle();
+        fast.speed = 200;
+
+        const slowHit = slow.collideWithObstacle(null).damage;
+        const fastHit = fast.collideWithObstacle(null).damage;
+        assert.ok(slowHit > 0);
+        assert.ok(fastHit > slowHit);
+        assert.strictEqual(fast.integrity, MAX_INTEGRITY - fastHit);
+
+        const wreck = new Vehicle();
+        assert.strictEqual(wreck.takeDamage(1000), 60);
+        wreck.takeDamage(1000);
+        assert.strictEqual(wreck.takeDamage(1000), 0);
+        assert.strictEqual(wreck.integrity, 0);
+    },
+
+    'damage lowers top speed and repairs restore it up to full integrity': async () => {
+        const { Vehicle, MAX_INTEGRITY } = await importModule('physics.js');
+        const vehicle = new Vehicle();
+        const maxSpeed = vehicle.handling.maxSpeed;
+        assert.strictEqual(vehicle.getTopSpeed(), maxSpeed);
+
+        vehicle.takeDamage(50);
+        assert.strictEqual(vehicle.getHealth(), 0.5);
+        assert.ok(vehicle.getTopSpeed() < maxSpeed);
+
+        vehicle.repair(200);
+        assert.strictEqual(vehicle.integrity, MAX_INTEGRITY);
+        assert.strictEqual(vehicle.getTopSpeed(), maxSpeed);
+
+        vehicle.takeDamage(30);
+        vehicle.reset();
+        assert.strictEqual(vehicle.integrity, MAX_INTEGRITY);
+    }
+};
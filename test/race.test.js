@@ -0,0 +1,152 @@
+/**
+ * Tests for the LAN race room's WebSocket handling and relaying
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { RaceRoom, WebSocketConnection } = require('../race');
+const { loadGameModules } = require('../leaderboard');
+
+// Stand-in for the TCP socket under a connection, keeping what's written to it
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.ended = false;
+    }
+
+    setNoDelay() {}
+
+    write(data) {
+        this.written.push(data);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    destroy() {}
+}
+
+// Stand-in for a racer's connection, keeping the messages sent to it
+class FakeConnection extends EventEmitter {
+    constructor() {
+        super();
+        this.sent = [];
+        this.closeCode = null;
+    }
+
+    send(message) {
+        this.sent.push(message);
+    }
+
+    close(code) {
+        this.closeCode = code;
+    }
+
+    receive(message) {
+        this.emit('message', JSON.stringify(message));
+    }
+}
+
+/**
+ * Build a frame the way a browser sends it (always masked)
+ */
+function clientFrame(opcode, text, mask = true) {
+    const payload = Buffer.from(text, 'utf-8');
+    const key = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ key[i % 4]));
+
+    return Buffer.concat([
+        Buffer.from([0x80 | opcode, (mask ? 0x80 : 0) | payload.length]),
+        mask ? key : Buffer.alloc(0),
+        mask ? masked : payload
+    ]);
+}
+
+/**
+ * Run a test with the room's console logging silenced
+ */
+async function quietly(test) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        await test();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+module.exports = {
+    'frames are unmasked and put back together across chunks': async () => {
+        const socket = new FakeSocket();
+        const connection = new WebSocketConnection(socket);
+        const messages = [];
+        connection.on('message', text => messages.push(text));
+
+        const frames = Buffer.concat([clientFrame(0x1, '{"type":"start"}'), clientFrame(0x1, 'hi')]);
+        connection.receive(frames.subarray(0, 5));
+        assert.deepStrictEqual(messages, []);
+        connection.receive(frames.subarray(5));
+        assert.deepStrictEqual(messages, ['{"type":"start"}', 'hi']);
+
+        // Pings are answered with the same payload, unmasked
+        connection.receive(clientFrame(0x9, 'ok'));
+        assert.deepStrictEqual(socket.written.pop(), Buffer.from([0x8A, 2, 0x6f, 0x6b]));
+    },
+
+    'unmasked and binary frames close the connection': async () => {
+        const unmasked = new FakeSocket();
+        new WebSocketConnection(unmasked).receive(clientFrame(0x1, 'hi', false));
+        assert.ok(unmasked.ended);
+        assert.strictEqual(unmasked.written[0].readUInt16BE(2), 1002);
+
+        const binary = new FakeSocket();
+        new WebSocketConnection(binary).receive(clientFrame(0x2, 'hi'));
+        assert.strictEqual(binary.written[0].readUInt16BE(2), 1003);
+    },
+
+    'the first racer sets up the track and the room relays cars to each other': () => quietly(async () => {
+        const room = new RaceRoom(await loadGameModules());
+        const first = new FakeConnection();
+        const second = new FakeConnection();
+        room.add(first);
+        room.add(second);
+
+        first.receive({ type: 'join', mode: 'time', vehicle: 'phantom', livery: { decal: 'grid', trim: '<b>' } });
+        second.receive({ type: 'join', mode: 'distance', vehicle: 'vector' });
+
+        const [welcome] = second.sent;
+        assert.strictEqual(welcome.type, 'welcome');
+        assert.strictEqual(welcome.seed, room.seed);
+        assert.strictEqual(welcome.mode, 'time');
+        assert.deepStrictEqual(welcome.racers, [{ id: 1, name: 'P1', vehicle: 'phantom', livery: { decal: 'grid' } }]);
+        assert.strictEqual(first.sent[1].type, 'joined');
+
+        // Snapshots go to everyone else, and broken ones go nowhere
+        second.receive({ type: 'state', state: { x: 1, y: 0.8, z: 100, rotationY: 0, speed: 90, extra: 'x' } });
+        second.receive({ type: 'state', state: { x: 1, y: 0.8, z: 'far', rotationY: 0, speed: 90 } });
+        const relayed = first.sent.slice(2);
+        assert.strictEqual(relayed.length, 1);
+        assert.deepStrictEqual(relayed[0].state, { x: 1, y: 0.8, z: 100, rotationY: 0, speed: 90 });
+        assert.strictEqual(second.sent.length, 1);
+
+        // An empty room starts over with a fresh track
+        first.emit('close');
+        second.emit('close');
+        assert.strictEqual(room.seed, null);
+        assert.strictEqual(room.mode, null);
+    }),
+
+    'the room only takes a game mode the game has': () => quietly(async () => {
+        const game = await loadGameModules();
+
+        for (const mode of ['constructor', 'warp', 42, undefined]) {
+            const room = new RaceRoom(game);
+            const racer = new FakeConnection();
+            room.add(racer);
+            racer.receive({ type: 'join', mode, vehicle: 'vector' });
+            assert.strictEqual(racer.sent[0].mode, null, `mode ${mode}`);
+        }
+    })
+};
@@ -0,0 +1,100 @@
+/**
+ * Tests for recording, saving and playing back replays
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+module.exports = {
+    'a saved replay plays back to the same run': async () => {
+        const { runSimulation, TICK_RATE } = await importModule('simulation.js');
+        const { ReplayRecorder, ReplayPlayer, parseReplay } = await importModule('replay.js');
+
+        // Steer in bursts, so the recording has runs of different inputs
+        const recorder = new ReplayRecorder(0x1A2B3C4D, TICK_RATE, 'time', 'phantom', 2);
+        const live = runSimulation({
+            seed: 0x1A2B3C4D,
+            mode: 'time',
+            vehicle: 'phantom',
+            rivals: 2,
+            ticks: 1500,
+            getInput: tick => {
+                const inputState = {
+                    accelerate: tick % 400 < 350,
+                    brake: tick % 400 >= 380,
+                    turnLeft: tick % 90 < 20,
+                    turnRight: tick % 150 < 10
+                };
+                recorder.record(inputState);
+                return inputState;
+            }
+        });
+
+        const replay = parseReplay(recorder.serialize());
+        assert.strictEqual(replay.ticks, 1500);
+
+        const player = new ReplayPlayer(replay);
+        const playback = runSimulation({
+            seed: replay.seed,
+            mode: replay.mode,
+            vehicle: replay.vehicle,
+            rivals: replay.rivals,
+            ticks: replay.ticks,
+            getInput: tick => player.getInputState(tick)
+        });
+
+        assert.deepStrictEqual(playback, live);
+        assert.ok(player.isFinished(replay.ticks));
+    },
+
+    'analog input is stored in hundredths and played back as recorded': async () => {
+        const { ReplayRecorder, ReplayPlayer, parseReplay } = await importModule('replay.js');
+
+        const recorder = new ReplayRecorder(1, 60, 'time', 'vector');
+        const inputs = [
+            { accelerate: true, turnLeft: true },
+            { accelerate: 0.75, brake: 0, reverse: 0, steering: -0.3 },
+            { accelerate: 0.75, brake: 0, reverse: 0, steering: -0.3 },
+            { accelerate: 0.5, brake: 0.25, reverse: 0, steering: 0.125 }
+        ];
+        inputs.forEach(inputState => recorder.record(inputState));
+
+        // The repeated tick shares a run with the one before it
+        assert.strictEqual(recorder.toJSON().inputs.length, 3);
+
+        const player = new ReplayPlayer(parseReplay(recorder.serialize()));
+        assert.strictEqual(player.getInputState(0).turnLeft, true);
+        assert.strictEqual(player.getInputState(0).steering, undefined);
+        assert.strictEqual(player.getInputState(2).accelerate, 0.75);
+        assert.strictEqual(player.getInputState(2).steering, -0.3);
+        assert.strictEqual(player.getInputState(3).brake, 0.25);
+        assert.strictEqual(player.getInputState(3).steering, 0.13);
+    },
+
+    'files that are not replays are rejected': async () => {
+        const { parseReplay } = await importModule('replay.js');
+        const replay = changes => ({
+            format: 'neon-drift-replay',
+            version: 1,
+            seed: '1A2B3C4D',
+            tickRate: 60,
+            mode: 'time',
+            vehicle: 'vector',
+            rivals: 0,
+            inputs: [[1, 60]],
+            ...changes
+        });
+
+        assert.strictEqual(parseReplay(replay({})).ticks, 60);
+        assert.throws(() => parseReplay('{"format":"something-else"}'), /Not a Neon Drift replay/);
+        assert.throws(() => parseReplay(replay({ version: 2 })), /version 2 is not supported/);
+        assert.throws(() => parseReplay(replay({ inputs: [[1, 0]] })), /corrupted/);
+        assert.throws(() => parseReplay(replay({ seed: undefined })), /no track seed/);
+        assert.throws(() => parseReplay(replay({ seed: 'hello' })), /no track seed/);
+        assert.throws(() => parseReplay(replay({ mode: undefined })), /unknown game mode "undefined"/);
+        assert.throws(() => parseReplay(replay({ mode: 'constructor' })), /unknown game mode "constructor"/);
+        assert.throws(() => parseReplay(replay({ vehicle: 'hovercraft' })), /Unknown vehicle class/);
+        assert.throws(() => parseReplay(replay({ rivals: undefined })), /undefined rivals/);
+        assert.throws(() => parseReplay(replay({ rivals: 99 })), /99 rivals/);
+    }
+};
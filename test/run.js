@@ -0,0 +1,54 @@
+/**
+ * Test runner for Neon Drift Protocol
+ *
+ * Runs the test files in this folder in Node, without a test framework:
+ * - Each *.test.js file exports an object of named tests, functions (async or not) that throw on failure
+ * - The game modules load headless, like in simulate.js, with Three.js as a global
+ * - Prints PASS or FAIL for each test and exits with an error code if any failed
+ *
+ * Usage:
+ *   npm test
+ *   npm test -- replay        (only the test files with "replay" in their name)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The game modules expect Three.js as a global, like the CDN build in the browser
+global.THREE = require('three');
+
+async function main() {
+    const filter = process.argv[2] || '';
+    const files = fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.test.js') && file.includes(filter))
+        .sort();
+
+    let failed = 0;
+    let passed = 0;
+
+    for (const file of files) {
+        const tests = require(path.join(__dirname, file));
+
+        for (const [name, test] of Object.entries(tests)) {
+            try {
+                await test();
+                passed++;
+                console.log(`PASS ${file} - ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`FAIL ${file} - ${name}`);
+                console.log(`    ${error.stack.split('\n').join('\n    ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    if (failed > 0 || passed === 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`Tests failed to run: ${error.stack}`);
+    process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for points and the combo multiplier
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+/**
+ * Make a score system, with the events it reports collected
+ */
+async function makeScoring() {
+    const { ScoreSystem } = await importModule('scoring.js');
+    const triggered = [];
+    const scoring = new ScoreSystem({ trigger: (name, data) => triggered.push({ name, ...data }) });
+    return { scoring, triggered };
+}
+
+module.exports = {
+    'chained events build the multiplier, up to its cap': async () => {
+        const { MAX_MULTIPLIER } = await importModule('scoring.js');
+        const { scoring } = await makeScoring();
+
+        scoring.addCollectible();
+        scoring.addCollectible();
+        scoring.addCollectible();
+        assert.strictEqual(scoring.score, 100 + 150 + 200);
+        assert.strictEqual(scoring.getMultiplier(), 2.5);
+
+        for (let i = 0; i < 20; i++) {
+            scoring.addCollectible();
+        }
+        assert.strictEqual(scoring.getMultiplier(), MAX_MULTIPLIER);
+        assert.strictEqual(scoring.bestMultiplier, MAX_MULTIPLIER);
+    },
+
+    'the combo holds for its window, then runs down a step a second': async () => {
+        const { scoring } = await makeScoring();
+        const car = { isOffRoad: false };
+
+        scoring.addCollectible();
+        scoring.addCollectible();
+        assert.strictEqual(scoring.getMultiplier(), 2);
+
+        const tick = seconds => {
+            for (let i = 0; i < seconds * 60; i++) {
+                scoring.update(1 / 60, car, 0);
+            }
+        };
+        tick(3.9);
+        assert.strictEqual(scoring.getMultiplier(), 2);
+        tick(0.2);
+        assert.strictEqual(scoring.getMultiplier(), 1.5);
+        tick(1);
+        assert.strictEqual(scoring.getMultiplier(), 1);
+    },
+
+    'hitting an obstacle costs points and breaks the combo and the drift': async () => {
+        const { scoring, triggered } = await makeScoring();
+
+        scoring.addCollectible();
+        scoring.startDrift();
+        scoring.addObstacleHit();
+        assert.strictEqual(scoring.score, 50);
+        assert.strictEqual(scoring.getMultiplier(), 1);
+        assert.ok(triggered.some(event => event.name === 'comboBreak' && event.reason === 'obstacle'));
+
+        // The broken drift banks nothing; the score never goes below zero
+        scoring.endDrift(3);
+        assert.strictEqual(scoring.score, 50);
+        scoring.addObstacleHit();
+        scoring.addObstacleHit();
+        assert.strictEqual(scoring.score, 0);
+    },
+
+    'drifts score by length, once they last long enough': async () => {
+        const { scoring } = await makeScoring();
+
+        scoring.startDrift();
+        scoring.endDrift(0.4);
+        assert.strictEqual(scoring.score, 0);
+
+        scoring.startDrift();
+        scoring.endDrift(1.5);
+        assert.strictEqual(scoring.score, 150);
+    },
+
+    'new ground driven without leaving the road scores clean sections': async () => {
+        const { scoring } = await makeScoring();
+        const onRoad = { isOffRoad: false };
+
+        scoring.update(1 / 60, onRoad, 600);
+        scoring.update(1 / 60, onRoad, 1100);
+        assert.strictEqual(scoring.cleanSections, 1);
+
+        // Going off-road starts the section over
+        scoring.update(1 / 60, { isOffRoad: true }, 1900);
+        scoring.update(1 / 60, onRoad, 2500);
+        assert.strictEqual(scoring.cleanSections, 1);
+        scoring.update(1 / 60, onRoad, 2900);
+        assert.strictEqual(scoring.cleanSections, 2);
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * Tests for the seeded track and the headless simulation
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+// Full throttle, swapping steering direction every second (like simulate.js's weave script)
+const weave = tick => ({
+    accelerate: true,
+    turnLeft: Math.floor(tick / 60) % 2 === 0,
+    turnRight: Math.floor(tick / 60) % 2 === 1
+});
+
+/**
+ * Drive a run, noting where each obstacle and data fragment was placed when it first appeared
+ */
+function recordObjectPlacements(Simulation, seed, ticks) {
+    const simulation = new Simulation(null, seed).init();
+    const seen = new Set();
+    const placements = { obstacles: [], collectibles: [] };
+
+    for (let tick = 0; tick < ticks; tick++) {
+        simulation.tick(weave(tick));
+
+        ['obstacles', 'collectibles'].forEach(kind => {
+            simulation.world[kind].forEach(object => {
+                if (seen.has(object)) return;
+                seen.add(object);
+                placements[kind].push([object.position.x, object.position.z]);
+            });
+        });
+    }
+
+    return placements;
+}
+
+module.exports = {
+    'the same seed lays out the same track': async () => {
+        const { Track } = await importModule('track.js');
+        const sampleTrack = seed => {
+            const track = new Track(seed);
+            const samples = [];
+            for (let z = 0; z < 20000; z += 250) {
+                samples.push([track.getCenterX(z), track.getHeading(z), track.getWidth(z)]);
+            }
+            return samples;
+        };
+
+        assert.deepStrictEqual(sampleTrack(0x1A2B3C4D), sampleTrack(0x1A2B3C4D));
+        assert.notDeepStrictEqual(sampleTrack(0x1A2B3C4D), sampleTrack(0x5EED));
+    },
+
+    'the same seed and inputs place the same objects and give the same run': async () => {
+        const { Simulation, runSimulation } = await importModule('simulation.js');
+        const placements = recordObjectPlacements(Simulation, '1A2B3C4D', 2400);
+        assert.ok(placements.obstacles.length > 0 && placements.collectibles.length > 0);
+        assert.deepStrictEqual(recordObjectPlacements(Simulation, '1A2B3C4D', 2400), placements);
+        assert.notDeepStrictEqual(recordObjectPlacements(Simulation, '5EED', 2400), placements);
+
+        const run = () => runSimulation({ seed: '1A2B3C4D', ticks: 1200, getInput: weave });
+        assert.deepStrictEqual(run(), run());
+    },
+
+    'each game mode ends the run on its own condition': async () => {
+        const { runSimulation, TICK_RATE } = await importModule('simulation.js');
+        const accelerate = () => ({ accelerate: true });
+
+        const timed = runSimulation({ seed: '1A2B3C4D', mode: 'time', ticks: TICK_RATE * 150, getInput: accelerate });
+        assert.strictEqual(timed.finishReason, 'time');
+        assert.strictEqual(timed.ticks, TICK_RATE * 120);
+
+        const distance = runSimulation({ seed: '1A2B3C4D', mode: 'distance', ticks: TICK_RATE * 300, getInput: accelerate });
+        assert.strictEqual(distance.finishReason, 'distance');
+        assert.ok(distance.distance >= 20000);
+
+        const endless = runSimulation({ seed: '1A2B3C4D', mode: 'endless', ticks: TICK_RATE * 150, getInput: accelerate });
+        assert.strictEqual(endless.finished, false);
+        assert.strictEqual(endless.ticks, TICK_RATE * 150);
+    },
+
+    'an unknown game mode is refused': async () => {
+        const { Simulation, isGameMode } = await importModule('simulation.js');
+        assert.throws(() => new Simulation(null, 1, 'sprint-to-the-moon'), /Unknown game mode/);
+
+        // Names every object has are not modes either
+        ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(mode => {
+            assert.strictEqual(isGameMode(mode), false);
+            assert.throws(() => new Simulation(null, 1, mode), /Unknown game mode/);
+        });
+        assert.ok(isGameMode('sprint'));
+
+        const simulation = new Simulation(null, 1, 'time');
+        assert.throws(() => simulation.reset(1, 'constructor'), /Unknown game mode/);
+        assert.strictEqual(simulation.mode, 'time');
+    }
+};
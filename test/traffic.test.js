@@ -0,0 +1,107 @@
+/**
+ * Tests for the traffic packets driving down the road
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+// A straight road, where the offset from the centerline is just x
+const straightTrack = { getLateralOffset: position => position.x };
+
+/**
+ * Drive traffic past a player cruising down an empty road
+ * @returns {Array<String>} Every packet's lane, z and offset, tick by tick
+ */
+function driveTraffic(traffic, ticks) {
+    const packets = [];
+    const timeline = [];
+
+    for (let tick = 0; tick < ticks; tick++) {
+        const player = { position: { x: 0, z: tick * 2 }, speed: 120 };
+        const surroundings = { track: straightTrack, obstacles: [], players: [player] };
+
+        traffic.update(packets, surroundings, 1 / 60);
+        packets.push(...traffic.spawn(player.position.z, packets, surroundings));
+        timeline.push(packets.map(packet => `${packet.lane} ${packet.z.toFixed(3)} ${packet.offset.toFixed(3)}`).join('|'));
+    }
+
+    return timeline;
+}
+
+module.exports = {
+    'the same seed plans and drives the same traffic': async () => {
+        const { TrafficSystem } = await importModule('traffic.js');
+
+        const first = driveTraffic(new TrafficSystem(1234), 1500);
+        assert.ok(first[first.length - 1].length > 0);
+        assert.deepStrictEqual(driveTraffic(new TrafficSystem(1234), 1500), first);
+        assert.notDeepStrictEqual(driveTraffic(new TrafficSystem(4321), 1500), first);
+
+        // Starting over replays it too
+        const traffic = new TrafficSystem(1);
+        driveTraffic(traffic, 300);
+        traffic.reset(1234);
+        assert.deepStrictEqual(driveTraffic(traffic, 1500), first);
+    },
+
+    'the traffic plan does not depend on how the run is driven': async () => {
+        const { TrafficSystem } = await importModule('traffic.js');
+        const surroundings = { track: straightTrack, obstacles: [], players: [] };
+
+        // Driving slower leaves the packets already out more ticks (and lane changes) between slots
+        const plan = ticksPerStretch => {
+            const traffic = new TrafficSystem(1234);
+            const packets = [];
+            const slots = [];
+
+            for (let playerZ = 0; playerZ < 8000; playerZ += 100) {
+                for (let tick = 0; tick < ticksPerStretch; tick++) {
+                    traffic.update(packets, surroundings, 1 / 60);
+                }
+                traffic.spawn(playerZ, [], surroundings).forEach(packet => {
+                    slots.push(`${packet.z} ${packet.lane} ${packet.cruiseSpeed} ${packet.color}`);
+                    packets.push(packet);
+                });
+            }
+
+            return slots;
+        };
+
+        assert.deepStrictEqual(plan(10), plan(1));
+    },
+
+    'traffic thickens down the track': async () => {
+        const { TrafficSystem, FIRST_TRAFFIC_Z } = await importModule('traffic.js');
+        const traffic = new TrafficSystem(1);
+
+        assert.strictEqual(traffic.getSpacingScale(FIRST_TRAFFIC_Z), 3);
+        assert.ok(traffic.getSpacingScale(FIRST_TRAFFIC_Z + 5000) < 3);
+        assert.strictEqual(traffic.getSpacingScale(FIRST_TRAFFIC_Z + 50000), 1);
+    },
+
+    'packets do not appear on top of an obstacle and move out of its way': async () => {
+        const { TrafficSystem, FIRST_TRAFFIC_Z } = await importModule('traffic.js');
+        const traffic = new TrafficSystem(1);
+        const surroundings = { track: straightTrack, obstacles: [], players: [] };
+
+        const [packet] = traffic.spawn(FIRST_TRAFFIC_Z - 399, [], surroundings);
+        assert.strictEqual(packet.z, FIRST_TRAFFIC_Z);
+
+        // The same slot stays empty with an obstacle sat in it
+        const blocked = new TrafficSystem(1);
+        const obstacle = { position: { x: packet.offset, z: FIRST_TRAFFIC_Z + 10 } };
+        assert.deepStrictEqual(blocked.spawn(FIRST_TRAFFIC_Z - 399, [], { ...surroundings, obstacles: [obstacle] }), []);
+
+        // A packet that finds it in its lane swerves or stops short, never driving into it
+        const lane = packet.lane;
+        const ahead = { position: { x: packet.offset, z: packet.z + 80 } };
+        surroundings.obstacles.push(ahead);
+        let swerved = false;
+        for (let tick = 0; tick < 180; tick++) {
+            traffic.update([packet], surroundings, 1 / 60);
+            swerved = swerved || packet.lane !== lane;
+            assert.ok(Math.abs(packet.offset - ahead.position.x) >= 3.6 || ahead.position.z - packet.z > 4.7);
+        }
+        assert.ok(swerved || packet.z < ahead.position.z);
+    }
+};
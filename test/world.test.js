@@ -0,0 +1,89 @@
+/**
+ * Tests for collisions and near misses with the objects on the road
+ */
+
+const assert = require('assert');
+const { importModule } = require('./helpers');
+
+const CAR_HALF_SIZE = { x: 1, y: 1, z: 2 };
+
+/**
+ * Make a headless world with nothing on the road but one obstacle
+ */
+async function makeWorldWithObstacle(z) {
+    const { Simulation } = await importModule('simulation.js');
+    const world = new Simulation(null, 'NEARMISS', 'endless').init().world;
+
+    [...world.obstacles, ...world.collectibles].forEach(object => world.road.remove(object));
+    world.obstacles.length = 0;
+    world.collectibles.length = 0;
+
+    return { world, obstacle: world.addObstacle(z, 0) };
+}
+
+/**
+ * Drive a car's hitbox straight past the obstacle, this far to its side
+ * @param {Number} offsetX - Distance between the car's and the obstacle's centers
+ * @returns {Object} Everything checkCollisions reported on the way
+ */
+function drivePast(world, obstacle, offsetX) {
+    return driveSideBySide(world, obstacle, [offsetX])[0];
+}
+
+/**
+ * Drive several players' hitboxes past the obstacle together, each at its own distance to the side
+ * @param {Array<Number>} offsets - Distance between each player's and the obstacle's centers
+ * @returns {Array<Object>} Everything checkCollisions reported for each player on the way
+ */
+function driveSideBySide(world, obstacle, offsets) {
+    const reported = offsets.map(() => ({ obstacles: [], nearMisses: [] }));
+
+    for (let z = obstacle.position.z - 50; z <= obstacle.position.z + 50; z += 2) {
+        offsets.forEach((offsetX, player) => {
+            const center = new THREE.Vector3(obstacle.position.x + offsetX, 2, z);
+            const carBox = new THREE.Box3(
+                center.clone().sub(new THREE.Vector3(CAR_HALF_SIZE.x, CAR_HALF_SIZE.y, CAR_HALF_SIZE.z)),
+                center.clone().add(new THREE.Vector3(CAR_HALF_SIZE.x, CAR_HALF_SIZE.y, CAR_HALF_SIZE.z))
+            );
+
+            const collisions = world.checkCollisions(carBox, 2, player);
+            reported[player].obstacles.push(...collisions.obstacles);
+            reported[player].nearMisses.push(...collisions.nearMisses.map(nearMiss => nearMiss.clearance));
+        });
+    }
+
+    return reported;
+}
+
+module.exports = {
+    'passing close to an obstacle reports one near miss at the closest gap': async () => {
+        const { world, obstacle } = await makeWorldWithObstacle(300);
+        const obstacleHalfWidth = 1.8;
+
+        const reported = drivePast(world, obstacle, obstacleHalfWidth + CAR_HALF_SIZE.x + 0.75);
+        assert.deepStrictEqual(reported.obstacles, []);
+        assert.strictEqual(reported.nearMisses.length, 1);
+        assert.ok(Math.abs(reported.nearMisses[0] - 0.75) < 1e-9);
+    },
+
+    'passing wide of an obstacle is no near miss, and driving into it is a hit': async () => {
+        const wide = await makeWorldWithObstacle(300);
+        assert.deepStrictEqual(drivePast(wide.world, wide.obstacle, 1.8 + CAR_HALF_SIZE.x + 3).nearMisses, []);
+
+        const { world, obstacle } = await makeWorldWithObstacle(300);
+        const reported = drivePast(world, obstacle, 0);
+        assert.deepStrictEqual(reported.obstacles, [obstacle]);
+        assert.deepStrictEqual(reported.nearMisses, []);
+        assert.ok(!world.obstacles.includes(obstacle));
+    },
+
+    'split screen players each near-miss the same obstacle': async () => {
+        const { world, obstacle } = await makeWorldWithObstacle(300);
+        const [left, right] = driveSideBySide(world, obstacle, [-(1.8 + CAR_HALF_SIZE.x + 1.5), 1.8 + CAR_HALF_SIZE.x + 0.5]);
+
+        assert.strictEqual(left.nearMisses.length, 1);
+        assert.ok(Math.abs(left.nearMisses[0] - 1.5) < 1e-9);
+        assert.strictEqual(right.nearMisses.length, 1);
+        assert.ok(Math.abs(right.nearMisses[0] - 0.5) < 1e-9);
+    }
+};